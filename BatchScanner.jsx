@@ -0,0 +1,260 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { parseUrlList, hostnameOf } from './urlUtils.js';
+import { canonicalizeUrl } from './canonicalize.js';
+import { createScanQueue, DEFAULT_CONCURRENCY, MAX_CONCURRENCY } from './scanQueue.js';
+import { scanUrl } from './scanService.js';
+import { addToHistory } from './storage.js';
+import { summarizeResult, VERDICT_RANK } from './verdict.js';
+import { getVerdictStyle } from './verdictStyle.js';
+import { t, verdictLabel } from './i18n.js';
+import CopyDefangedButton from './CopyDefangedButton.jsx';
+
+const STATUSES = ['queued', 'running', 'done', 'error', 'cancelled'];
+
+const COLUMNS = [
+  { key: 'url', label: 'batch.column.url' },
+  { key: 'status', label: 'batch.column.status' },
+  { key: 'verdict', label: 'batch.column.verdict' },
+  { key: 'risk_score', label: 'batch.column.riskScore' },
+  { key: 'detections', label: 'batch.column.detections' }
+];
+
+function sortValue(row, key) {
+  switch (key) {
+    case 'verdict':
+      return VERDICT_RANK[row.summary.verdict] || 0;
+    case 'risk_score':
+      return row.summary.risk_score;
+    case 'detections':
+      return row.summary.malicious_count;
+    default:
+      return String(row[key] || '').toLowerCase();
+  }
+}
+
+/**
+ * Scan a list of URLs through a concurrency-limited queue
+ * @param {object} props
+ * @param {object} props.settings - Current settings
+ * @param {object} props.policy - Verdict policy chosen in the scan form
+ * @param {{urls: Array<string>}} [props.incoming] - URLs handed over for scanning, e.g. from the extractor
+ */
+function BatchScanner({ settings, policy, onOpenResult, onHistoryChange, incoming }) {
+  const [input, setInput] = useState('');
+  const [isCsv, setIsCsv] = useState(false);
+  const [concurrency, setConcurrency] = useState(DEFAULT_CONCURRENCY);
+  const [jobs, setJobs] = useState([]);
+  const [invalid, setInvalid] = useState([]);
+  const [paused, setPaused] = useState(false);
+  const [sort, setSort] = useState({ key: 'url', dir: 'asc' });
+  // Scanned URL -> the wrapped link it was unwrapped from
+  const [origins, setOrigins] = useState({});
+
+  const queueRef = useRef(null);
+  // The queue outlives renders, so its worker reads the latest settings and policy from here
+  const scanOptionsRef = useRef({ settings, policy });
+  scanOptionsRef.current = { settings, policy };
+
+  function getQueue() {
+    if (!queueRef.current) {
+      queueRef.current = createScanQueue({
+        worker: (u, { signal }) => scanUrl(u, { signal, ...scanOptionsRef.current }),
+        concurrency,
+        onUpdate: setJobs,
+        onJobDone: (job) => {
+          addToHistory(job.url, job.result)
+            .then(() => onHistoryChange?.())
+            .catch((err) => console.error('Failed to save history:', err));
+        }
+      });
+    }
+    return queueRef.current;
+  }
+
+  // Stop in-flight scans when leaving batch mode
+  useEffect(() => () => queueRef.current?.cancel(), []);
+
+  // Wrapped links are scanned as their target; duplicates after unwrapping are dropped
+  function queueUrls(urls) {
+    const targets = [];
+    const unwrapped = {};
+    urls.forEach(u => {
+      const canonical = canonicalizeUrl(u);
+      const target = canonical?.url || u;
+      if (targets.includes(target)) return;
+      targets.push(target);
+      if (canonical?.layers.length > 0) unwrapped[target] = canonical.original;
+    });
+    setOrigins((o) => ({ ...o, ...unwrapped }));
+    getQueue().add(targets);
+  }
+
+  // A new handoff (a fresh object each time) is queued right away
+  useEffect(() => {
+    if (!incoming?.urls?.length) return;
+    setInput(incoming.urls.join('\n'));
+    setIsCsv(false);
+    queueUrls(incoming.urls);
+  }, [incoming]);
+
+  useEffect(() => {
+    queueRef.current?.setConcurrency(concurrency);
+  }, [concurrency]);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const text = await file.text();
+    setInput(text);
+    setIsCsv(/\.csv$/i.test(file.name));
+    e.target.value = '';
+  };
+
+  const handleStart = () => {
+    const { valid, invalid: rejected } = parseUrlList(input, { csv: isCsv });
+    setInvalid(rejected);
+    if (valid.length === 0) return;
+    queueUrls(valid);
+  };
+
+  const handlePauseResume = () => {
+    const queue = getQueue();
+    if (paused) queue.resume();
+    else queue.pause();
+    setPaused(!paused);
+  };
+
+  const handleCancel = () => {
+    queueRef.current?.cancel();
+    setPaused(false);
+  };
+
+  const handleClear = () => {
+    queueRef.current?.cancel();
+    queueRef.current = null;
+    setJobs([]);
+    setInvalid([]);
+    setOrigins({});
+    setPaused(false);
+  };
+
+  const toggleSort = (key) => {
+    setSort((s) => ({ key, dir: s.key === key && s.dir === 'asc' ? 'desc' : 'asc' }));
+  };
+
+  const rows = useMemo(() => {
+    const withSummary = jobs.map(j => ({ ...j, summary: summarizeResult(j.result) }));
+    const dir = sort.dir === 'asc' ? 1 : -1;
+    return withSummary.sort((a, b) => {
+      const av = sortValue(a, sort.key);
+      const bv = sortValue(b, sort.key);
+      if (av < bv) return -1 * dir;
+      if (av > bv) return 1 * dir;
+      return a.id - b.id;
+    });
+  }, [jobs, sort]);
+
+  const finished = jobs.filter(j => j.status === 'done' || j.status === 'error' || j.status === 'cancelled').length;
+  const active = jobs.some(j => j.status === 'queued' || j.status === 'running');
+
+  return (
+    <div className="batch-scanner">
+      <textarea
+        className="url-input batch-input"
+        placeholder={t('batch.placeholder')}
+        value={input}
+        onChange={(e) => { setInput(e.target.value); setIsCsv(false); }}
+        rows={6}
+      />
+
+      <div className="batch-controls">
+        <label className="scan-button batch-file">
+          {t('batch.upload')}
+          <input type="file" accept=".txt,.csv,text/plain,text/csv" onChange={handleFile} hidden />
+        </label>
+        <label style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: '0.875rem', color: '#334155' }}>
+          {t('batch.concurrency')}
+          <input
+            type="number"
+            min={1}
+            max={MAX_CONCURRENCY}
+            value={concurrency}
+            onChange={(e) => setConcurrency(Number(e.target.value) || 1)}
+            style={{ width: 60, padding: 6, borderRadius: 8, border: '2px solid #eef2f7' }}
+          />
+        </label>
+        <button type="button" className="scan-button" onClick={handleStart} disabled={!input.trim()}>
+          {t('batch.scanAll')}
+        </button>
+        <button type="button" className="scan-button" onClick={handlePauseResume} disabled={!active}>
+          {paused ? t('batch.resume') : t('batch.pause')}
+        </button>
+        <button type="button" className="scan-button" onClick={handleCancel} disabled={!active}>
+          {t('batch.cancel')}
+        </button>
+        <button type="button" className="scan-button" onClick={handleClear} disabled={jobs.length === 0}>
+          {t('batch.clear')}
+        </button>
+      </div>
+
+      {invalid.length > 0 && (
+        <div className="error">
+          {t('batch.invalid', { count: invalid.length, entries: invalid.slice(0, 5).join(', ') })}
+          {invalid.length > 5 && ' …'}
+        </div>
+      )}
+
+      {jobs.length > 0 && (
+        <>
+          <div style={{ fontSize: '0.875rem', color: '#64748b', marginBottom: 8 }}>
+            {t(paused ? 'batch.progressPaused' : 'batch.progress', { finished, total: jobs.length })}
+          </div>
+          <div className="batch-table-wrapper">
+            <table className="batch-table">
+              <thead>
+                <tr>
+                  {COLUMNS.map(col => (
+                    <th key={col.key} onClick={() => toggleSort(col.key)} aria-sort={sort.key === col.key ? (sort.dir === 'asc' ? 'ascending' : 'descending') : 'none'}>
+                      {t(col.label)}
+                      {sort.key === col.key && (sort.dir === 'asc' ? ' ▲' : ' ▼')}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr
+                    key={row.id}
+                    className={row.status === 'done' ? 'clickable' : ''}
+                    onClick={() => row.status === 'done' && onOpenResult?.(row.url, row.result)}
+                    title={row.status === 'done' ? t('batch.openResult') : row.error || ''}
+                  >
+                    <td className="batch-url">
+                      {row.url}
+                      <CopyDefangedButton url={row.url} compact />
+                      {origins[row.url] && (
+                        <div className="batch-origin" title={origins[row.url]}>{t('batch.unwrappedFrom', { host: hostnameOf(origins[row.url]) })}</div>
+                      )}
+                    </td>
+                    <td>{STATUSES.includes(row.status) ? t(`batch.status.${row.status}`) : row.status}</td>
+                    <td>
+                      {row.status === 'done' && (
+                        <span className="verdict-badge" style={getVerdictStyle(row.summary.verdict)}>
+                          {verdictLabel(row.summary.verdict)}
+                        </span>
+                      )}
+                    </td>
+                    <td>{row.status === 'done' ? `${row.summary.risk_score}/100` : ''}</td>
+                    <td>{row.status === 'done' ? `${row.summary.malicious_count} / ${row.summary.total_engines}` : ''}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default BatchScanner;
@@ -0,0 +1,176 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  BLOCKLIST_FORMATS, blocklistFormatLabel, listBlocklists, importBlocklist, refreshBlocklist, removeBlocklist, fetchBlocklistText
+} from './blocklists.js';
+import { formatDateTime, formatNumber, t } from './i18n.js';
+
+function formatTime(iso) {
+  return iso ? formatDateTime(iso) : '—';
+}
+
+/**
+ * Import, refresh and remove the local blocklists (see blocklists.js). Changes are
+ * stored immediately, not with the settings draft.
+ */
+function BlocklistManager() {
+  const [lists, setLists] = useState([]);
+  const [name, setName] = useState('');
+  const [format, setFormat] = useState('auto');
+  const [sourceUrl, setSourceUrl] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+  const refreshTarget = useRef(null);
+  const refreshInput = useRef(null);
+
+  const reload = () => listBlocklists()
+    .then(setLists)
+    .catch((err) => setMessage({ error: true, text: err.message || t('blocklist.loadFailed') }));
+
+  useEffect(() => { reload(); }, []);
+
+  const run = async (task) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      setMessage({ error: false, text: await task() });
+      await reload();
+    } catch (err) {
+      setMessage({ error: true, text: err.message || String(err) });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    run(async () => {
+      const list = await importBlocklist({ name: name || file.name, text: await file.text(), format, fileName: file.name });
+      setName('');
+      return t('blocklist.imported', { count: list.entryCount, name: list.name, format: blocklistFormatLabel(list.format) });
+    });
+  };
+
+  const handleDownload = () => {
+    const url = sourceUrl.trim();
+    if (!url) return;
+    run(async () => {
+      const list = await importBlocklist({ name: name || url, text: await fetchBlocklistText(url), format, sourceUrl: url });
+      setName('');
+      setSourceUrl('');
+      return t('blocklist.imported', { count: list.entryCount, name: list.name, format: blocklistFormatLabel(list.format) });
+    });
+  };
+
+  const handleRefresh = (list) => {
+    if (list.sourceUrl) {
+      run(async () => t('blocklist.refreshed', { name: list.name, count: (await refreshBlocklist(list.id)).entryCount }));
+      return;
+    }
+    // File lists are refreshed by choosing the file again
+    refreshTarget.current = list;
+    refreshInput.current?.click();
+  };
+
+  const handleRefreshFile = (e) => {
+    const file = e.target.files?.[0];
+    const list = refreshTarget.current;
+    e.target.value = '';
+    if (!file || !list) return;
+    run(async () => t('blocklist.refreshed', { name: list.name, count: (await refreshBlocklist(list.id, await file.text())).entryCount }));
+  };
+
+  const handleRemove = (list) => {
+    run(async () => {
+      await removeBlocklist(list.id);
+      return t('blocklist.removed', { name: list.name });
+    });
+  };
+
+  return (
+    <div className="blocklist-manager">
+      <div style={{ fontSize: 12, color: '#64748b', marginBottom: 6 }}>
+        {t('blocklist.help')}
+      </div>
+
+      <div className="blocklist-import">
+        <input type="text" placeholder={t('blocklist.namePlaceholder')} value={name} onChange={(e) => setName(e.target.value)} aria-label={t('blocklist.name')} />
+        <select value={format} onChange={(e) => setFormat(e.target.value)} aria-label={t('blocklist.formatLabel')}>
+          {BLOCKLIST_FORMATS.map(key => <option key={key} value={key}>{blocklistFormatLabel(key)}</option>)}
+        </select>
+        <label className="scan-button policy-button">
+          {t('blocklist.importFile')}
+          <input type="file" accept=".txt,.csv,.list,text/plain,text/csv" onChange={handleFile} hidden disabled={busy} />
+        </label>
+      </div>
+      <div className="blocklist-import">
+        <input
+          type="url"
+          placeholder="https://example.org/blocklist.txt"
+          value={sourceUrl}
+          onChange={(e) => setSourceUrl(e.target.value)}
+          aria-label={t('blocklist.url')}
+        />
+        <button type="button" className="scan-button policy-button" onClick={handleDownload} disabled={busy || !sourceUrl.trim()}>
+          {t('blocklist.download')}
+        </button>
+      </div>
+      <input type="file" ref={refreshInput} accept=".txt,.csv,.list,text/plain,text/csv" onChange={handleRefreshFile} hidden />
+
+      {busy && <small style={{ color: '#64748b' }}>{t('blocklist.working')}</small>}
+      {message && (
+        <small style={{ display: 'block', color: message.error ? '#9f1239' : '#059669' }}>
+          {message.error ? '❌ ' : ''}{message.text}
+        </small>
+      )}
+
+      {lists.length > 0 && (
+        <table className="watchlist-table blocklist-table">
+          <thead>
+            <tr>
+              <th>{t('blocklist.list')}</th>
+              <th>{t('blocklist.format')}</th>
+              <th>{t('blocklist.entries')}</th>
+              <th>{t('blocklist.updated')}</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {lists.map(list => (
+              <tr key={list.id}>
+                <td title={list.sourceUrl || list.fileName || ''}>{list.name}</td>
+                <td><small>{blocklistFormatLabel(list.format)}</small></td>
+                <td>{formatNumber(list.entryCount)}</td>
+                <td><small>{formatTime(list.updatedAt)}</small></td>
+                <td style={{ whiteSpace: 'nowrap' }}>
+                  <button
+                    type="button"
+                    className="scan-button policy-button"
+                    onClick={() => handleRefresh(list)}
+                    disabled={busy}
+                    title={list.sourceUrl ? t('blocklist.refreshUrl', { url: list.sourceUrl }) : t('blocklist.refreshFile')}
+                  >
+                    {t('blocklist.refresh')}
+                  </button>
+                  <button
+                    type="button"
+                    className="scan-button policy-button"
+                    onClick={() => handleRemove(list)}
+                    disabled={busy}
+                    style={{ marginLeft: 6, background: '#ef4444' }}
+                    title={t('blocklist.remove')}
+                  >
+                    ✕
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default BlocklistManager;
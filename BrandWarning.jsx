@@ -0,0 +1,28 @@
+import React from 'react';
+import { techniqueLabel } from './brandProtection.js';
+import { messageText, t } from './i18n.js';
+
+/**
+ * Prominent warning for hosts that look like a protected brand or show its favicon
+ * (see brandProtection.js)
+ */
+function BrandWarning({ signals }) {
+  const matches = [...(signals?.brand?.matches || []), ...(signals?.favicon?.matches || [])];
+  if (matches.length === 0) return null;
+
+  return (
+    <div className="brand-warning" role="alert">
+      {matches.map(m => (
+        <div key={`${m.technique}-${m.brand}`} className="brand-warning-row">
+          <strong>🎭 {t('finding.brand.impersonation', { brand: m.brand })}</strong>
+          <span className="brand-technique">{techniqueLabel(m.technique)}</span>
+          <div className="brand-detail">
+            {t('brand.realDomain', { detail: messageText(m.detail) })} <code>{m.domain}</code>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default BrandWarning;
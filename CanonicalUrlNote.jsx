@@ -0,0 +1,52 @@
+import React from 'react';
+import { t } from './i18n.js';
+
+/**
+ * Shows how an entered URL was canonicalized: the wrappers that were removed,
+ * the Unicode form of an IDN host and any tracking parameters that were dropped
+ */
+function CanonicalUrlNote({ canonical }) {
+  if (!canonical) return null;
+  const { original, url, display, layers, opaque, removedParams, idn } = canonical;
+
+  return (
+    <div className="canonical-note">
+      {layers.length > 0 && (
+        <>
+          <div className="canonical-title">{t('canonical.unwrapped', { wrappers: layers.map(l => l.label).join(' → ') })}</div>
+          <div className="canonical-row">
+            <span>{t('canonical.original')}</span>
+            <code>{original}</code>
+          </div>
+          <div className="canonical-row">
+            <span>{t('canonical.scanned')}</span>
+            <code>{url}</code>
+          </div>
+        </>
+      )}
+
+      {opaque && (
+        <div className="canonical-title">
+          {t('canonical.opaque', { wrapper: opaque })}
+        </div>
+      )}
+
+      {idn && (
+        <div className="canonical-row">
+          <span>{t('canonical.idn')}</span>
+          <code>{display}</code>
+          <small>{t('canonical.scannedAs')} <code>{new URL(url).hostname}</code></small>
+        </div>
+      )}
+
+      {removedParams.length > 0 && (
+        <div className="canonical-row">
+          <span>{t('canonical.removedParams')}</span>
+          <code>{removedParams.join(', ')}</code>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CanonicalUrlNote;
@@ -0,0 +1,94 @@
+import React from 'react';
+import { parseCertificate, analyzeCertificate } from './certUtils.js';
+import { findingText, formatDateTime, t } from './i18n.js';
+
+const FLAG_COLORS = {
+  high: '#dc2626',
+  medium: '#d97706',
+  low: '#64748b'
+};
+
+function formatDate(date) {
+  return date ? formatDateTime(date) : '—';
+}
+
+function expiryText(days) {
+  if (days === null) return null;
+  if (days < 0) return t('cert.expiredAgo', { count: -days });
+  if (days === 0) return t('cert.expiresToday');
+  return t('cert.daysLeft', { count: days });
+}
+
+/**
+ * Parsed TLS certificate details plus the checks from analyzeCertificate
+ */
+function CertificatePanel({ ssl, hostname }) {
+  const cert = parseCertificate(ssl);
+  if (!cert) {
+    return <div style={{ fontSize: '0.875rem', color: '#64748b', marginBottom: 16 }}>{t('cert.unreadable')}</div>;
+  }
+
+  const analysis = analyzeCertificate(cert, hostname);
+  const expiry = expiryText(analysis.daysToExpiry);
+  const rows = [
+    [t('cert.subject'), cert.subjectDn],
+    [t('cert.issuer'), cert.issuerDn],
+    [t('cert.serial'), cert.serial],
+    [t('cert.key'), cert.keyType && [cert.keyType, cert.keySize && t('cert.bits', { count: cert.keySize })].filter(Boolean).join(' ')],
+    [t('cert.version'), cert.version && `v${cert.version}`]
+  ].filter(([, value]) => value);
+
+  return (
+    <div className="cert-panel">
+      {analysis.findings.length > 0 && (
+        <ul className="cert-flags">
+          {analysis.findings.map(f => {
+            const { label, detail } = findingText(f);
+            return (
+              <li key={f.id} style={{ borderLeftColor: FLAG_COLORS[f.severity] || FLAG_COLORS.low }}>
+                <strong>{label}</strong>
+                {detail && <span style={{ color: '#64748b', marginLeft: 6 }}>({detail})</span>}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <table className="cert-table">
+        <tbody>
+          {rows.map(([label, value]) => (
+            <tr key={label}>
+              <th>{label}</th>
+              <td>{value}</td>
+            </tr>
+          ))}
+          <tr>
+            <th>{t('cert.validity')}</th>
+            <td>
+              {formatDate(cert.notBefore)} → {formatDate(cert.notAfter)}
+              {expiry && (
+                <span className={`cert-expiry ${analysis.daysToExpiry < 0 ? 'expired' : analysis.daysToExpiry <= 30 ? 'soon' : ''}`}>
+                  {expiry}
+                </span>
+              )}
+            </td>
+          </tr>
+          {cert.san.length > 0 && (
+            <tr>
+              <th>{t('cert.altNames', { count: cert.san.length })}</th>
+              <td>
+                <div className="cert-san">
+                  {cert.san.map(n => (
+                    <code key={`${n.type}:${n.value}`} title={n.type}>{n.value}</code>
+                  ))}
+                </div>
+              </td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default CertificatePanel;
@@ -0,0 +1,39 @@
+import React, { useState } from 'react';
+
+/**
+ * Section that starts collapsed and opens on click
+ * @param {object} props
+ * @param {string} props.title
+ * @param {string} props.icon - Emoji shown before the title
+ */
+function CollapsibleSection({ title, icon, children }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  return (
+    <div className="collapsible-section">
+      <button 
+        type="button"
+        className="collapsible-header" 
+        onClick={() => setIsOpen(!isOpen)}
+        aria-expanded={isOpen}
+      >
+        <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+          <span style={{ fontSize: '1.2rem' }}>{icon}</span>
+          <span style={{ fontWeight: 600, color: '#374151', fontSize: '1rem' }}>{title}</span>
+        </div>
+        <span className="chevron" style={{ 
+          transform: isOpen ? 'rotate(180deg)' : 'rotate(0deg)' 
+        }}>
+          ▼
+        </span>
+      </button>
+      <div className={`collapsible-content ${isOpen ? 'open' : ''}`} aria-hidden={!isOpen}>
+        <div className="collapsible-inner">
+          {children}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CollapsibleSection;
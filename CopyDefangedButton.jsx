@@ -0,0 +1,49 @@
+import React, { useEffect, useState } from 'react';
+import { defang } from './indicators.js';
+import { copyText } from './clipboard.js';
+import { t } from './i18n.js';
+
+const COPIED_MS = 1500;
+
+/**
+ * Copy a URL in defanged form (hxxps://example[.]com) for tickets and chats
+ * @param {object} props
+ * @param {string} props.url - Live URL
+ * @param {boolean} [props.compact] - Icon-only button for table rows
+ */
+function CopyDefangedButton({ url, compact = false }) {
+  const [state, setState] = useState('idle');
+
+  useEffect(() => {
+    if (state === 'idle') return undefined;
+    const timer = setTimeout(() => setState('idle'), COPIED_MS);
+    return () => clearTimeout(timer);
+  }, [state]);
+
+  const handleCopy = async (e) => {
+    e.stopPropagation();
+    try {
+      await copyText(defang(url));
+      setState('copied');
+    } catch (err) {
+      console.error('Failed to copy defanged URL:', err);
+      setState('failed');
+    }
+  };
+
+  const label = state === 'copied' ? t('defang.copied') : state === 'failed' ? t('defang.failed') : t('defang.copy');
+
+  return (
+    <button
+      type="button"
+      className={`scan-button copy-defanged ${compact ? 'compact' : ''}`}
+      onClick={handleCopy}
+      title={t('defang.title', { url: defang(url) })}
+      aria-label={t('defang.label')}
+    >
+      {compact ? label.split(' ')[0] : label}
+    </button>
+  );
+}
+
+export default CopyDefangedButton;
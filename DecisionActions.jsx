@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { addDecision, removeDecision, getDecisionFor, decisionKindLabel, decisionScopeLabel, DECISION_SCOPES } from './decisions.js';
+import { loadSettings, updateSettings } from './settings.js';
+import { hostnameOf } from './urlUtils.js';
+import { t } from './i18n.js';
+
+function defaultPattern(scope, url) {
+  if (scope === 'domain') return hostnameOf(url);
+  if (scope === 'url-pattern') return `${hostnameOf(url)}/*`;
+  return url;
+}
+
+/**
+ * "Mark as false positive" / "Confirm malicious" for the shown result, or undo the
+ * decision currently overriding it
+ * @param {object} props
+ * @param {Function} props.onChange - Receives the decision that now applies to the URL, or null
+ */
+function DecisionActions({ url, result, scanId, onChange }) {
+  const [kind, setKind] = useState(null);
+  const [scope, setScope] = useState('url');
+  const [pattern, setPattern] = useState(url);
+  const [reason, setReason] = useState('');
+  const [analyst, setAnalyst] = useState(() => loadSettings().analystName || '');
+  const [error, setError] = useState('');
+
+  const override = Array.isArray(result) ? result.find(cat => cat.override)?.override : null;
+
+  const open = (next) => {
+    setKind(next);
+    setScope('url');
+    setPattern(url);
+    setReason('');
+    setError('');
+  };
+
+  const changeScope = (next) => {
+    setScope(next);
+    setPattern(defaultPattern(next, url));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      const decision = await addDecision({ kind, scope, pattern, reason, analyst, scanId });
+      updateSettings({ analystName: decision.analyst });
+      setKind(null);
+      onChange(decision);
+    } catch (err) {
+      setError(err.message || t('decision.saveFailed'));
+    }
+  };
+
+  const handleUndo = async () => {
+    try {
+      await removeDecision(override.id);
+      // A broader decision (e.g. an allowlisted domain) may still apply
+      onChange(await getDecisionFor(url));
+    } catch (err) {
+      setError(err.message || t('decision.removeFailed'));
+    }
+  };
+
+  if (override && !kind) {
+    return (
+      <div className="decision-actions">
+        <button type="button" className="scan-button policy-button" onClick={handleUndo} title={t('decision.removeTitle', { decision: decisionKindLabel(override.kind).toLowerCase() })}>
+          {t('decision.undo')}
+        </button>
+        {error && <small style={{ color: '#9f1239' }}>{error}</small>}
+      </div>
+    );
+  }
+
+  if (!kind) {
+    return (
+      <div className="decision-actions">
+        <button type="button" className="scan-button policy-button" onClick={() => open('false-positive')}>
+          {t('decision.falsePositive')}
+        </button>
+        <button type="button" className="scan-button policy-button decision-confirm" onClick={() => open('confirmed-malicious')}>
+          {t('decision.confirmMalicious')}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form className="decision-form" onSubmit={handleSave}>
+      <strong>{decisionKindLabel(kind)}</strong>
+      <label>
+        {t('decision.appliesTo')}
+        <select value={scope} onChange={(e) => changeScope(e.target.value)}>
+          {Object.keys(DECISION_SCOPES).map(key => <option key={key} value={key}>{decisionScopeLabel(key)}</option>)}
+        </select>
+      </label>
+      <input type="text" value={pattern} onChange={(e) => setPattern(e.target.value)} aria-label={t('decision.pattern')} />
+      <input type="text" value={reason} onChange={(e) => setReason(e.target.value)} placeholder={t('decision.reason')} aria-label={t('decision.reason')} required />
+      <input type="text" value={analyst} onChange={(e) => setAnalyst(e.target.value)} placeholder={t('decision.analyst')} aria-label={t('decision.analyst')} required />
+      <div style={{ display: 'flex', gap: 6 }}>
+        <button type="submit" className="scan-button policy-button">{t('decision.save')}</button>
+        <button type="button" className="scan-button policy-button" onClick={() => setKind(null)}>{t('form.cancel')}</button>
+      </div>
+      {error && <small style={{ color: '#9f1239' }}>{error}</small>}
+    </form>
+  );
+}
+
+export default DecisionActions;
@@ -0,0 +1,133 @@
+import React, { useEffect, useState } from 'react';
+import { listDecisions, addDecision, removeDecision, decisionKindLabel, decisionScopeLabel } from './decisions.js';
+import { toDecisionsJson, toDecisionsCsv, downloadFile } from './exporters.js';
+import { loadSettings } from './settings.js';
+import { formatDateTime, t } from './i18n.js';
+
+/**
+ * The allowlist and every analyst decision, with export. Like the blocklists, changes
+ * are stored immediately.
+ */
+function DecisionManager() {
+  const [decisions, setDecisions] = useState([]);
+  const [scope, setScope] = useState('domain');
+  const [pattern, setPattern] = useState('');
+  const [reason, setReason] = useState('');
+  const [error, setError] = useState('');
+
+  const reload = () => listDecisions()
+    .then(setDecisions)
+    .catch((err) => setError(err.message || t('decision.loadFailed')));
+
+  useEffect(() => { reload(); }, []);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      await addDecision({ kind: 'allow', scope, pattern, reason, analyst: loadSettings().analystName });
+      setPattern('');
+      setReason('');
+      await reload();
+    } catch (err) {
+      setError(err.message || t('decision.addFailed'));
+    }
+  };
+
+  const handleRemove = async (id) => {
+    try {
+      await removeDecision(id);
+      await reload();
+    } catch (err) {
+      setError(err.message || t('decision.removeEntryFailed'));
+    }
+  };
+
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  return (
+    <div className="decision-manager">
+      <div style={{ fontSize: 12, color: '#64748b', marginBottom: 6 }}>
+        {t('decision.help')}
+      </div>
+
+      <form className="blocklist-import" onSubmit={handleAdd}>
+        <select value={scope} onChange={(e) => setScope(e.target.value)} aria-label={t('decision.allowScope')}>
+          <option value="domain">{decisionScopeLabel('domain')}</option>
+          <option value="url-pattern">{decisionScopeLabel('url-pattern')}</option>
+        </select>
+        <input
+          type="text"
+          value={pattern}
+          onChange={(e) => setPattern(e.target.value)}
+          placeholder={scope === 'domain' ? 'cdn.example.com' : 'cdn.example.com/assets/*'}
+          aria-label={t('decision.domainOrPattern')}
+        />
+        <input type="text" value={reason} onChange={(e) => setReason(e.target.value)} placeholder={t('decision.reason')} aria-label={t('decision.reason')} />
+        <button type="submit" className="scan-button policy-button" disabled={!pattern.trim()}>{t('decision.allow')}</button>
+      </form>
+
+      {error && <small style={{ display: 'block', color: '#9f1239' }}>❌ {error}</small>}
+
+      {decisions.length > 0 && (
+        <>
+          <table className="watchlist-table blocklist-table">
+            <thead>
+              <tr>
+                <th>{t('decision.decision')}</th>
+                <th>{t('decision.appliesTo')}</th>
+                <th>{t('decision.reason')}</th>
+                <th>{t('decision.analyst')}</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {decisions.map(d => (
+                <tr key={d.id}>
+                  <td>
+                    <span className={`override-badge override-${d.kind}`}>{decisionKindLabel(d.kind)}</span>
+                  </td>
+                  <td className="watchlist-url" title={decisionScopeLabel(d.scope)}>{d.pattern}</td>
+                  <td>{d.reason || '—'}</td>
+                  <td>
+                    {d.analyst || '—'}
+                    <div><small>{formatDateTime(d.createdAt)}</small></div>
+                  </td>
+                  <td>
+                    <button
+                      type="button"
+                      className="scan-button policy-button"
+                      onClick={() => handleRemove(d.id)}
+                      style={{ background: '#ef4444' }}
+                      title={t('decision.remove')}
+                    >
+                      ✕
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
+            <button
+              type="button"
+              className="scan-button policy-button"
+              onClick={() => downloadFile(`decisions-${stamp}.json`, toDecisionsJson(decisions), 'application/json')}
+            >
+              {t('decision.exportJson')}
+            </button>
+            <button
+              type="button"
+              className="scan-button policy-button"
+              onClick={() => downloadFile(`decisions-${stamp}.csv`, toDecisionsCsv(decisions), 'text/csv')}
+            >
+              {t('decision.exportCsv')}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default DecisionManager;
@@ -0,0 +1,93 @@
+import React from 'react';
+import { SCHEMA_VERSION } from './responseSchema.js';
+import { t } from './i18n.js';
+
+const MAX_BODY = 20000;
+
+function formatBody(text) {
+  if (!text) return '';
+  let pretty = text;
+  try {
+    pretty = JSON.stringify(JSON.parse(text), null, 2);
+  } catch {
+    // Not JSON; show as received
+  }
+  return pretty.length > MAX_BODY ? `${pretty.slice(0, MAX_BODY)}\n… ${t('diagnostics.truncated', { count: pretty.length - MAX_BODY })}` : pretty;
+}
+
+function statusClass(status) {
+  if (!status) return 'failed';
+  return status >= 200 && status < 300 ? 'ok' : 'failed';
+}
+
+/**
+ * Raw requests, responses, timings and schema warnings of the current scan, per provider
+ */
+function DiagnosticsPanel({ entries }) {
+  if (!Array.isArray(entries) || entries.length === 0) return null;
+
+  return (
+    <div className="diagnostics-panel">
+      {entries.map(entry => {
+        const warnings = entry.validation?.warnings || [];
+        return (
+          <div key={entry.provider} className="diagnostics-provider">
+            <div className="diagnostics-heading">
+              <strong>{entry.provider_label}</strong>
+              <span>{entry.durationMs !== null ? t('diagnostics.total', { ms: entry.durationMs }) : t('diagnostics.running')}</span>
+              {entry.validation && (
+                <span>
+                  {t('diagnostics.schema', { version: entry.validation.version })}
+                  {entry.validation.version !== SCHEMA_VERSION ? ` ${t('diagnostics.schemaCurrent', { version: SCHEMA_VERSION })}` : ''}
+                  {' • '}{t('diagnostics.layout', { shape: entry.validation.shape })}
+                </span>
+              )}
+            </div>
+
+            {entry.error && <div className="error" style={{ marginTop: 6 }}>❌ {entry.error}</div>}
+
+            {warnings.length > 0 && (
+              <ul className="diagnostics-warnings">
+                {warnings.map((w, i) => (
+                  <li key={i}>⚠️ <code>{w.path || t('diagnostics.root')}</code> {w.message}</li>
+                ))}
+              </ul>
+            )}
+            {entry.validation && warnings.length === 0 && (
+              <div className="diagnostics-ok">{t('diagnostics.schemaOk')}</div>
+            )}
+
+            {entry.exchanges.map((ex, i) => (
+              <details key={i} className="diagnostics-exchange">
+                <summary>
+                  <span className={`diagnostics-status ${statusClass(ex.status)}`}>{ex.status ?? 'ERR'}</span>
+                  {ex.request.method} <span className="diagnostics-url">{ex.request.url}</span>
+                  <span className="diagnostics-time">{ex.durationMs ?? '…'} ms</span>
+                </summary>
+                <div className="diagnostics-label">{t('diagnostics.requestHeaders')}</div>
+                <pre>{JSON.stringify(ex.request.headers, null, 2)}</pre>
+                {ex.request.body && (
+                  <>
+                    <div className="diagnostics-label">{t('diagnostics.requestBody')}</div>
+                    <pre>{formatBody(ex.request.body)}</pre>
+                  </>
+                )}
+                <div className="diagnostics-label">{t('diagnostics.response')}</div>
+                <pre>{ex.error ? ex.error : formatBody(ex.response) || t('diagnostics.emptyBody')}</pre>
+              </details>
+            ))}
+
+            {entry.exchanges.length === 0 && entry.payload !== null && entry.payload !== undefined && (
+              <details className="diagnostics-exchange">
+                <summary>{t('diagnostics.payload')}</summary>
+                <pre>{formatBody(JSON.stringify(entry.payload))}</pre>
+              </details>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default DiagnosticsPanel;
@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import {
+  toJson,
+  toDetectionsCsv,
+  toHtmlReport,
+  toStixBundle,
+  downloadFile,
+  printHtmlReport,
+  exportFileName
+} from './exporters.js';
+import { t } from './i18n.js';
+
+const FORMATS = ['html', 'pdf', 'json', 'csv', 'stix'];
+
+function ExportMenu({ url, result }) {
+  const [open, setOpen] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleExport = async (format) => {
+    setBusy(true);
+    setError('');
+    try {
+      switch (format) {
+        case 'html':
+          downloadFile(exportFileName(url, 'html'), await toHtmlReport(url, result), 'text/html');
+          break;
+        case 'pdf':
+          if (!printHtmlReport(await toHtmlReport(url, result))) {
+            setError(t('export.popupBlocked'));
+          }
+          break;
+        case 'json':
+          downloadFile(exportFileName(url, 'json'), toJson(url, result), 'application/json');
+          break;
+        case 'csv':
+          downloadFile(exportFileName(url, 'csv'), toDetectionsCsv(url, result), 'text/csv');
+          break;
+        case 'stix':
+          downloadFile(exportFileName(url, 'stix.json'), JSON.stringify(toStixBundle(url, result), null, 2), 'application/stix+json');
+          break;
+        default:
+          break;
+      }
+      setOpen(false);
+    } catch (err) {
+      setError(err.message || t('export.failed'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="export-menu">
+      <button
+        type="button"
+        className="scan-button"
+        onClick={() => setOpen((v) => !v)}
+        aria-haspopup="menu"
+        aria-expanded={open}
+        disabled={busy}
+        style={{ padding: '8px 14px', fontSize: '0.875rem' }}
+      >
+        {busy ? t('export.busy') : t('export.button')}
+      </button>
+      {open && (
+        <div className="export-options" role="menu">
+          {FORMATS.map(format => (
+            <button key={format} type="button" role="menuitem" onClick={() => handleExport(format)} disabled={busy}>
+              {t(`export.format.${format}`)}
+            </button>
+          ))}
+        </div>
+      )}
+      {error && <small style={{ color: '#9f1239', display: 'block', marginTop: 4 }}>{error}</small>}
+    </div>
+  );
+}
+
+export default ExportMenu;
@@ -0,0 +1,198 @@
+import React, { useEffect, useState } from 'react';
+import { queryHistory, getHistoryItem, clearHistory, removeHistoryItem, DEFAULT_PAGE_SIZE } from './storage.js';
+import { getVerdictStyle } from './verdictStyle.js';
+import CopyDefangedButton from './CopyDefangedButton.jsx';
+import { t, verdictLabel, formatDateTime, formatNumber } from './i18n.js';
+
+const VERDICT_FILTERS = ['', 'CLEAN', 'SUSPICIOUS', 'MALICIOUS', 'UNKNOWN'];
+
+// <input type="date"> gives local calendar days; convert to ISO bounds covering the whole day
+function dayStartIso(day) {
+  return day ? new Date(`${day}T00:00:00`).toISOString() : '';
+}
+
+function dayEndIso(day) {
+  return day ? new Date(`${day}T23:59:59.999`).toISOString() : '';
+}
+
+function HistoryPanel({ refreshKey, onOpen, onChange }) {
+  const [text, setText] = useState('');
+  const [verdict, setVerdict] = useState('');
+  const [fromDay, setFromDay] = useState('');
+  const [toDay, setToDay] = useState('');
+  const [page, setPage] = useState(0);
+  const [data, setData] = useState({ items: [], total: 0 });
+  const [error, setError] = useState('');
+  const [reload, setReload] = useState(0);
+
+  // Go back to the first page whenever the filters change
+  useEffect(() => {
+    setPage(0);
+  }, [text, verdict, fromDay, toDay]);
+
+  useEffect(() => {
+    let cancelled = false;
+    queryHistory({ text, verdict, from: dayStartIso(fromDay), to: dayEndIso(toDay), page, pageSize: DEFAULT_PAGE_SIZE })
+      .then((res) => {
+        if (cancelled) return;
+        setData(res);
+        setError('');
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || t('history.loadFailed'));
+      });
+    return () => { cancelled = true; };
+  }, [text, verdict, fromDay, toDay, page, refreshKey, reload]);
+
+  const pageCount = Math.max(1, Math.ceil(data.total / DEFAULT_PAGE_SIZE));
+  const hasFilters = !!(text || verdict || fromDay || toDay);
+
+  // Removing the last rows of the last page would otherwise leave an empty page
+  useEffect(() => {
+    if (page > pageCount - 1) setPage(pageCount - 1);
+  }, [page, pageCount]);
+
+  const handleOpen = async (id) => {
+    try {
+      const item = await getHistoryItem(id);
+      if (item) onOpen(item.url, item.result, item.id);
+    } catch (err) {
+      setError(err.message || t('error.loadFailed'));
+    }
+  };
+
+  const handleRemove = async (id) => {
+    if (!(await removeHistoryItem(id))) {
+      setError(t('history.removeFailed'));
+      return;
+    }
+    setError('');
+    setReload((n) => n + 1);
+    onChange?.();
+  };
+
+  const handleClearHistory = async () => {
+    if (window.confirm(t('history.confirmClear'))) {
+      if (!(await clearHistory())) {
+        setError(t('history.clearFailed'));
+        return;
+      }
+      setError('');
+      setPage(0);
+      setReload((n) => n + 1);
+      onChange?.();
+    }
+  };
+
+  return (
+    <div className="history-section">
+      <div className="section-divider" />
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12 }}>
+        <h3>{t('history.title')}</h3>
+        {data.total > 0 && !hasFilters && (
+          <button
+            className="scan-button"
+            onClick={handleClearHistory}
+            style={{ padding: '6px 12px', fontSize: '0.875rem', background: '#ef4444' }}
+          >
+            {t('history.clearAll')}
+          </button>
+        )}
+      </div>
+
+      <div className="history-filters">
+        <input
+          className="url-input"
+          type="search"
+          placeholder={t('history.search')}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+        />
+        <select value={verdict} onChange={(e) => setVerdict(e.target.value)} aria-label={t('history.filterVerdict')}>
+          {VERDICT_FILTERS.map(v => (
+            <option key={v} value={v}>{v ? verdictLabel(v) : t('history.allVerdicts')}</option>
+          ))}
+        </select>
+        <label>
+          {t('history.from')}
+          <input type="date" value={fromDay} onChange={(e) => setFromDay(e.target.value)} />
+        </label>
+        <label>
+          {t('history.to')}
+          <input type="date" value={toDay} onChange={(e) => setToDay(e.target.value)} />
+        </label>
+      </div>
+
+      {error && <div className="error">❌ {error}</div>}
+
+      {data.items.length === 0 ? (
+        <div className="no-history">{hasFilters ? t('history.noMatches') : t('history.empty')}</div>
+      ) : (
+        <div style={{ maxHeight: '300px', overflowY: 'auto' }}>
+          {data.items.map((h) => (
+            <div key={h.id} className="history-row" style={{
+              display: 'flex',
+              gap: 8,
+              marginBottom: 10,
+              alignItems: 'center'
+            }}>
+              <button
+                className="scan-button"
+                onClick={() => handleOpen(h.id)}
+                style={{ flex: 1, textAlign: 'left' }}
+              >
+                {h.url}
+              </button>
+              <CopyDefangedButton url={h.url} compact />
+              <span className="verdict-badge" style={{ ...getVerdictStyle(h.verdict), flexShrink: 0 }}>
+                {verdictLabel(h.verdict)}
+              </span>
+              <small style={{ color: '#64748b', whiteSpace: 'nowrap' }} title={new Date(h.when).toString()}>
+                {formatDateTime(h.when)}
+              </small>
+              <button
+                className="scan-button"
+                onClick={() => handleRemove(h.id)}
+                style={{
+                  padding: 0,
+                  width: 20,
+                  height: 20,
+                  minWidth: 20,
+                  maxWidth: 20,
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                  fontSize: '12px',
+                  lineHeight: 1,
+                  background: '#ef4444',
+                  color: '#fff',
+                  borderRadius: '50%',
+                  border: 'none',
+                  cursor: 'pointer',
+                  flexShrink: 0
+                }}
+                title={t('history.remove')}
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {data.total > DEFAULT_PAGE_SIZE && (
+        <div className="history-pager">
+          <button type="button" className="scan-button" onClick={() => setPage((p) => p - 1)} disabled={page === 0}>
+            {t('history.prev')}
+          </button>
+          <span>{t('history.page', { page: formatNumber(page + 1), pages: formatNumber(pageCount), count: data.total })}</span>
+          <button type="button" className="scan-button" onClick={() => setPage((p) => p + 1)} disabled={page + 1 >= pageCount}>
+            {t('history.next')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default HistoryPanel;
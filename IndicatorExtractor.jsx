@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import { extractUrls, defang } from './indicators.js';
+import { canonicalizeUrl } from './canonicalize.js';
+import CopyDefangedButton from './CopyDefangedButton.jsx';
+import { t } from './i18n.js';
+
+/**
+ * Paste free text, pick the URLs found in it and send them to the batch scanner
+ */
+function IndicatorExtractor({ onScan, disabled }) {
+  const [text, setText] = useState('');
+  const [items, setItems] = useState(null);
+
+  const handleExtract = () => {
+    const seen = new Set();
+    const list = [];
+    extractUrls(text).forEach(item => {
+      const canonical = canonicalizeUrl(item.url);
+      const url = canonical?.url || item.url;
+      if (seen.has(url)) return;
+      seen.add(url);
+      list.push({
+        ...item,
+        url,
+        original: item.url,
+        wrappedBy: canonical?.layers.length > 0 ? canonical.layers.map(l => l.label).join(' → ') : null,
+        // Hosts written without a scheme are often just mentioned, so they start unticked
+        selected: !item.bare || item.defanged
+      });
+    });
+    setItems(list);
+  };
+
+  const setAll = (selected) => {
+    setItems((list) => list.map(item => ({ ...item, selected })));
+  };
+
+  const toggle = (url) => {
+    setItems((list) => list.map(item => (item.url === url ? { ...item, selected: !item.selected } : item)));
+  };
+
+  const selected = (items || []).filter(item => item.selected).map(item => item.url);
+
+  return (
+    <div className="indicator-extractor">
+      <textarea
+        className="url-input batch-input"
+        placeholder={t('extract.placeholder')}
+        value={text}
+        onChange={(e) => { setText(e.target.value); setItems(null); }}
+        rows={8}
+      />
+
+      <div className="batch-controls">
+        <button type="button" className="scan-button" onClick={handleExtract} disabled={!text.trim()}>
+          {t('extract.button')}
+        </button>
+        {items && items.length > 0 && (
+          <>
+            <button type="button" className="scan-button" onClick={() => setAll(true)}>{t('extract.selectAll')}</button>
+            <button type="button" className="scan-button" onClick={() => setAll(false)}>{t('extract.selectNone')}</button>
+            <button type="button" className="scan-button" onClick={() => onScan(selected)} disabled={disabled || selected.length === 0}>
+              {t('extract.scanSelected', { count: selected.length })}
+            </button>
+          </>
+        )}
+      </div>
+
+      {items && items.length === 0 && <div className="no-history">{t('extract.none')}</div>}
+
+      {items && items.length > 0 && (
+        <ul className="indicator-list">
+          {items.map(item => (
+            <li key={item.url}>
+              <label>
+                <input type="checkbox" checked={item.selected} onChange={() => toggle(item.url)} />
+                <span className="indicator-url" title={defang(item.url)}>{item.url}</span>
+              </label>
+              {item.defanged && <span className="indicator-tag" title={item.source}>{t('extract.refanged')}</span>}
+              {item.bare && <span className="indicator-tag">{t('extract.noScheme')}</span>}
+              {item.wrappedBy && <span className="indicator-tag" title={item.original}>{t('extract.unwrapped', { wrappers: item.wrappedBy })}</span>}
+              <CopyDefangedButton url={item.url} compact />
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default IndicatorExtractor;
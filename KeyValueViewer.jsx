@@ -0,0 +1,58 @@
+import React, { useState } from 'react';
+import { t } from './i18n.js';
+
+const MAX_STRING = 300;
+const MAX_DEPTH = 6;
+
+function formatScalar(value) {
+  if (value === null || value === undefined) return <span className="kv-null">—</span>;
+  if (typeof value === 'boolean') return <span className="kv-bool">{String(value)}</span>;
+  if (typeof value === 'number') return <span className="kv-number">{value}</span>;
+  const text = String(value);
+  return text.length > MAX_STRING
+    ? <span title={t('kv.characters', { count: text.length })}>{text.slice(0, MAX_STRING)}… <em>({t('kv.chars', { count: text.length })})</em></span>
+    : text;
+}
+
+function Node({ value, depth }) {
+  const [open, setOpen] = useState(depth < 2);
+
+  if (value === null || typeof value !== 'object') return formatScalar(value);
+
+  const entries = Array.isArray(value) ? value.map((v, i) => [i, v]) : Object.entries(value);
+  if (entries.length === 0) return <span className="kv-null">{Array.isArray(value) ? '[]' : '{}'}</span>;
+  if (depth >= MAX_DEPTH) return <code>{JSON.stringify(value).slice(0, MAX_STRING)}</code>;
+
+  return (
+    <div>
+      <button type="button" className="kv-toggle" onClick={() => setOpen(o => !o)} aria-expanded={open}>
+        {open ? '▾' : '▸'} {t(Array.isArray(value) ? 'kv.items' : 'kv.fields', { count: entries.length })}
+      </button>
+      {open && (
+        <table className="kv-table">
+          <tbody>
+            {entries.map(([key, v]) => (
+              <tr key={key}>
+                <th>{Array.isArray(value) ? `[${key}]` : key}</th>
+                <td><Node value={v} depth={depth + 1} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Generic nested key/value view for payloads no dedicated section understands
+ */
+function KeyValueViewer({ data }) {
+  return (
+    <div className="kv-viewer">
+      <Node value={data} depth={0} />
+    </div>
+  );
+}
+
+export default KeyValueViewer;
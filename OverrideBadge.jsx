@@ -0,0 +1,29 @@
+import React from 'react';
+import { formatDate, t, verdictLabel } from './i18n.js';
+import { decisionKindLabel, decisionScopeLabel } from './decisions.js';
+
+/**
+ * Marks a verdict that an analyst decision replaced (see applyDecision in verdict.js)
+ */
+function OverrideBadge({ override }) {
+  if (!override) return null;
+  const label = decisionKindLabel(override.kind);
+  const when = formatDate(override.createdAt);
+  const title = [
+    override.analyst
+      ? t('decision.madeBy', { decision: label, analyst: override.analyst, when })
+      : t('decision.madeOn', { decision: label, when }),
+    t('decision.appliesToPattern', { scope: decisionScopeLabel(override.scope), pattern: override.pattern }),
+    override.reason && t('decision.reasonIs', { reason: override.reason })
+  ].filter(Boolean).join('\n');
+
+  return (
+    <span className={`override-badge override-${override.kind}`} title={title}>
+      ✋ {label}
+      {override.analyst && ` · ${override.analyst}`}
+      <span className="override-original"> {t('decision.was', { verdict: verdictLabel(override.original_verdict) })}</span>
+    </span>
+  );
+}
+
+export default OverrideBadge;
@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import { listPolicies, validatePolicy, SIGNALS, OPERATORS, DEFAULT_POLICY } from './policy.js';
+import { downloadFile } from './exporters.js';
+import { REPUTATION_SOURCES } from './reputation.js';
+import { t } from './i18n.js';
+
+function toEditableJson(policy) {
+  const { builtIn, ...rest } = policy;
+  return JSON.stringify(rest, null, 2);
+}
+
+/**
+ * Edits the verdict policies stored in the settings draft
+ */
+function PolicyEditor({ draft, onDraftChange }) {
+  const policies = listPolicies(draft);
+  const [selectedName, setSelectedName] = useState(draft.activePolicy || DEFAULT_POLICY.name);
+  const selected = policies.find(p => p.name === selectedName) || DEFAULT_POLICY;
+  const [text, setText] = useState(() => toEditableJson(selected));
+  const [errors, setErrors] = useState([]);
+  const [showReference, setShowReference] = useState(false);
+
+  const select = (name) => {
+    const policy = policies.find(p => p.name === name) || DEFAULT_POLICY;
+    setSelectedName(policy.name);
+    setText(toEditableJson(policy));
+    setErrors([]);
+  };
+
+  // Insert or replace a custom policy by name
+  const upsert = (policy) => {
+    const custom = (draft.policies || []).filter(p => p.name !== policy.name);
+    onDraftChange({ ...draft, policies: [...custom, policy] });
+    setSelectedName(policy.name);
+    setText(toEditableJson(policy));
+  };
+
+  const parseAndValidate = (json) => {
+    let policy;
+    try {
+      policy = JSON.parse(json);
+    } catch (err) {
+      setErrors([t('policy.invalidJson', { message: err.message })]);
+      return null;
+    }
+    const problems = validatePolicy(policy);
+    if (policies.some(p => p.builtIn && p.name === policy?.name)) {
+      problems.push(t('policy.builtInName', { name: policy.name }));
+    }
+    setErrors(problems);
+    return problems.length === 0 ? { ...policy, builtIn: false } : null;
+  };
+
+  const handleSave = () => {
+    const policy = parseAndValidate(text);
+    if (policy) upsert(policy);
+  };
+
+  const handleDelete = () => {
+    onDraftChange({
+      ...draft,
+      policies: (draft.policies || []).filter(p => p.name !== selected.name),
+      activePolicy: draft.activePolicy === selected.name ? DEFAULT_POLICY.name : draft.activePolicy
+    });
+    select(DEFAULT_POLICY.name);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    const json = await file.text();
+    const policy = parseAndValidate(json);
+    if (policy) upsert(policy);
+    else setText(json);
+  };
+
+  const handleExport = () => {
+    const safeName = selected.name.replace(/[^a-z0-9_-]+/gi, '_');
+    downloadFile(`policy-${safeName}.json`, toEditableJson(selected), 'application/json');
+  };
+
+  return (
+    <div className="policy-editor">
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 8, marginBottom: 8 }}>
+        <select value={selected.name} onChange={(e) => select(e.target.value)} aria-label={t('policy.label')}>
+          {policies.map(p => (
+            <option key={p.name} value={p.name}>{p.name}{p.builtIn ? ` ${t('policy.builtIn')}` : ''}</option>
+          ))}
+        </select>
+        <label style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: '0.875rem' }}>
+          <input
+            type="radio"
+            checked={(draft.activePolicy || DEFAULT_POLICY.name) === selected.name}
+            onChange={() => onDraftChange({ ...draft, activePolicy: selected.name })}
+          />
+          {t('policy.useByDefault')}
+        </label>
+      </div>
+
+      <textarea
+        className="url-input policy-json"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        rows={12}
+        spellCheck={false}
+        aria-label={t('policy.json')}
+      />
+
+      {errors.length > 0 && (
+        <div className="error" style={{ marginTop: 8 }}>
+          {errors.map(err => <div key={err}>❌ {err}</div>)}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8, marginTop: 8 }}>
+        <button type="button" className="scan-button policy-button" onClick={handleSave}>
+          {t('policy.save')}
+        </button>
+        <button type="button" className="scan-button policy-button" onClick={handleDelete} disabled={selected.builtIn}>
+          {t('policy.delete')}
+        </button>
+        <label className="scan-button policy-button">
+          {t('policy.import')}
+          <input type="file" accept=".json,application/json" onChange={handleImport} hidden />
+        </label>
+        <button type="button" className="scan-button policy-button" onClick={handleExport}>
+          {t('policy.export')}
+        </button>
+        <button type="button" className="scan-button policy-button" onClick={() => setShowReference((v) => !v)}>
+          {showReference ? t('policy.hideReference') : t('policy.showReference')}
+        </button>
+      </div>
+      <small style={{ display: 'block', marginTop: 6, color: '#64748b' }}>
+        {t('policy.saveHint')}
+      </small>
+
+      {showReference && (
+        <div style={{ marginTop: 10, fontSize: '0.8rem', color: '#334155' }}>
+          <div style={{ marginBottom: 6 }}><strong>{t('policy.operators')}</strong> {OPERATORS.join(', ')}</div>
+          {Object.entries(SIGNALS).map(([key, description]) => (
+            <div key={key}><code>{key}</code> — {description}</div>
+          ))}
+          <div style={{ margin: '6px 0' }}>
+            <strong>sourceWeights</strong> {t('policy.sourceWeights')}{' '}
+            {Object.entries(REPUTATION_SOURCES).map(([id, source]) => `${id} (${source.weight})`).join(', ')}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PolicyEditor;
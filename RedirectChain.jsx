@@ -0,0 +1,45 @@
+import React from 'react';
+import { t } from './i18n.js';
+
+const METHODS = ['http', 'meta', 'js', 'unknown'];
+
+function statusColor(status) {
+  if (!status) return '#64748b';
+  if (status >= 300 && status < 400) return '#d97706';
+  if (status >= 200 && status < 300) return '#059669';
+  return '#dc2626';
+}
+
+/**
+ * Step-by-step timeline of the hops between the submitted and the landing URL
+ */
+function RedirectChain({ chain }) {
+  if (!Array.isArray(chain) || chain.length === 0) return null;
+
+  return (
+    <ol className="redirect-chain">
+      {chain.map((hop, i) => {
+        const isLast = i === chain.length - 1;
+        return (
+          <li key={`${i}-${hop.url}`} className={`redirect-hop ${hop.cross_domain ? 'cross-domain' : ''} ${isLast ? 'landing' : ''}`}>
+            <div className="redirect-meta">
+              <span className="redirect-step">{i === 0 ? t('redirect.start') : t('redirect.hop', { hop: i })}</span>
+              {hop.status && (
+                <span className="verdict-badge" style={{ color: statusColor(hop.status), border: `1px solid ${statusColor(hop.status)}` }}>
+                  {hop.status}
+                </span>
+              )}
+              {i > 0 && <span style={{ color: '#64748b' }}>{METHODS.includes(hop.method) ? t(`redirect.method.${hop.method}`) : hop.method}</span>}
+              {hop.cross_domain && <span className="redirect-cross" title={t('redirect.crossDomainTitle')}>{t('redirect.crossDomain')}</span>}
+              {isLast && chain.length > 1 && <span style={{ color: '#667eea', fontWeight: 600 }}>{t('redirect.landing')}</span>}
+            </div>
+            <div className="redirect-url">{hop.url}</div>
+            {hop.ip && <div style={{ fontSize: 12, color: '#64748b', fontFamily: 'monospace' }}>{t('redirect.ip', { ip: hop.ip })}</div>}
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
+
+export default RedirectChain;
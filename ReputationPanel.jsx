@@ -0,0 +1,49 @@
+import React from 'react';
+import { getVerdictStyle } from './verdictStyle.js';
+import { t, verdictLabel } from './i18n.js';
+
+/**
+ * One card per reputation source with a consensus line above them
+ * @param {object} props
+ * @param {object} props.summary - Output of summarizeReputation (a category's reputation_summary)
+ */
+function ReputationPanel({ summary }) {
+  if (!summary || !Array.isArray(summary.sources) || summary.sources.length === 0) return null;
+  const { sources, flagged, total } = summary;
+  const unknown = sources.length - total;
+
+  return (
+    <div className="reputation-panel">
+      <div className={`reputation-consensus${flagged > 0 ? ' flagged' : ''}`}>
+        {t('reputation.consensus', { flagged, count: total })}
+        {unknown > 0 && <span className="reputation-unknown"> {t('reputation.unanswered', { count: unknown })}</span>}
+      </div>
+
+      <div className="reputation-cards">
+        {sources.map(source => (
+          <div key={source.id} className="reputation-card">
+            <div className="reputation-card-header">
+              <strong>{source.name}</strong>
+              <span className="verdict-badge" style={getVerdictStyle(source.verdict)}>{verdictLabel(source.verdict)}</span>
+            </div>
+            {source.evidence.length > 0 ? (
+              <ul>
+                {source.evidence.map(item => <li key={item}>{item}</li>)}
+              </ul>
+            ) : (
+              <div className="reputation-unknown">{t('reputation.noEvidence')}</div>
+            )}
+            <div className="reputation-card-footer">
+              <small title={t('reputation.weightTitle')}>{t('reputation.weight', { weight: source.weight })}</small>
+              {source.link && (
+                <a href={source.link} target="_blank" rel="noopener noreferrer">{t('reputation.viewOn', { name: source.name })}</a>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default ReputationPanel;
@@ -0,0 +1,37 @@
+import React from 'react';
+import { panelsForEntry, panelTitle, unclaimedFields } from './resultPanels.js';
+import { t } from './i18n.js';
+import CollapsibleSection from './CollapsibleSection.jsx';
+import KeyValueViewer from './KeyValueViewer.jsx';
+import './builtinPanels.jsx';
+
+/**
+ * The registered panels for one result entry, then any fields no panel handles
+ * @param {object} props
+ * @param {object} props.entry - Result entry
+ * @param {string} props.scannedUrl - URL the scan was run for
+ */
+function ResultPanels({ entry, scannedUrl }) {
+  const context = { scannedUrl };
+  const other = unclaimedFields(entry);
+  const otherCount = Object.keys(other).length;
+
+  return (
+    <>
+      {panelsForEntry(entry).map(panel => (
+        <CollapsibleSection key={panel.id} title={panelTitle(panel, entry)} icon={panel.icon}>
+          {panel.render(entry, context)}
+        </CollapsibleSection>
+      ))}
+      {otherCount > 0 && (
+        <CollapsibleSection title={t('result.otherData', { count: otherCount })} icon="🧩">
+          <div className="other-fields">
+            <KeyValueViewer data={other} />
+          </div>
+        </CollapsibleSection>
+      )}
+    </>
+  );
+}
+
+export default ResultPanels;
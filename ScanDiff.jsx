@@ -0,0 +1,113 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { findScansByHost } from './storage.js';
+import { diffScans } from './scanDiff.js';
+import { getVerdictStyle } from './verdictStyle.js';
+import { formatDateTime, t, verdictLabel } from './i18n.js';
+
+function formatValue(value) {
+  return value === null || value === undefined || value === '' ? '—' : String(value);
+}
+
+/**
+ * Compares the shown result with an earlier scan of the same host from history
+ */
+function ScanDiff({ url, result, scanId, refreshKey }) {
+  const [previous, setPrevious] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    findScansByHost(url)
+      .then((items) => {
+        if (cancelled) return;
+        // Only older scans: an unsaved result is the newest, a stored one is compared with what came before it
+        const shownWhen = items.find(item => item.id === scanId)?.when || new Date().toISOString();
+        const earlier = items
+          .filter(item => item.id !== scanId && item.when < shownWhen)
+          .sort((a, b) => (a.when < b.when ? 1 : -1));
+        setPrevious(earlier);
+        setSelectedId(earlier[0]?.id ?? null);
+      })
+      .catch((err) => console.error('Failed to load previous scans:', err));
+    return () => { cancelled = true; };
+  }, [url, scanId, refreshKey]);
+
+  const selected = previous.find(item => item.id === selectedId);
+  const diff = useMemo(() => (selected ? diffScans(selected.result, result) : null), [selected, result]);
+
+  if (previous.length === 0 || !diff) return null;
+
+  return (
+    <div className="scan-diff">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 12, flexWrap: 'wrap' }}>
+        <button type="button" className="collapsible-header" style={{ width: 'auto', padding: '4px' }} onClick={() => setOpen((v) => !v)} aria-expanded={open}>
+          <span style={{ fontWeight: 600, color: '#374151' }}>
+            {diff.changes.length > 0 ? t('diff.titleCount', { count: diff.changes.length }) : t('diff.titleNone')}
+          </span>
+        </button>
+        <label style={{ fontSize: '0.875rem', color: '#334155', display: 'flex', gap: 6, alignItems: 'center' }}>
+          {t('diff.compareWith')}
+          <select value={selectedId ?? ''} onChange={(e) => setSelectedId(Number(e.target.value))}>
+            {previous.map(item => (
+              <option key={item.id} value={item.id}>
+                {formatDateTime(item.when)} — {verdictLabel(item.verdict)}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {diff.escalated && (
+        <div className="error" style={{ marginTop: 12, marginBottom: 0 }}>
+          {t('diff.escalated', { before: verdictLabel(diff.verdictBefore), after: verdictLabel(diff.verdictAfter) })}
+        </div>
+      )}
+
+      {open && (
+        diff.changes.length === 0 ? (
+          <div className="no-history">{t('diff.noChanges')}</div>
+        ) : (
+          <table className="batch-table" style={{ marginTop: 12 }}>
+            <thead>
+              <tr>
+                <th>{t('diff.fieldColumn')}</th>
+                <th>{t('diff.before')}</th>
+                <th>{t('diff.after')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {diff.changes.map(change => (
+                <tr key={change.field} className={change.field === 'verdict' && diff.escalated ? 'diff-escalated' : ''}>
+                  <td><strong>{change.label}</strong></td>
+                  {change.type === 'set' ? (
+                    <>
+                      <td className="diff-cell">
+                        {change.removed.map(v => <div key={v} className="diff-removed">− {v}</div>)}
+                      </td>
+                      <td className="diff-cell">
+                        {change.added.map(v => <div key={v} className="diff-added">+ {v}</div>)}
+                      </td>
+                    </>
+                  ) : change.field === 'verdict' ? (
+                    <>
+                      <td><span className="verdict-badge" style={getVerdictStyle(change.before)}>{change.before ? verdictLabel(change.before) : formatValue(change.before)}</span></td>
+                      <td><span className="verdict-badge" style={getVerdictStyle(change.after)}>{change.after ? verdictLabel(change.after) : formatValue(change.after)}</span></td>
+                    </>
+                  ) : (
+                    <>
+                      <td className="diff-cell diff-removed">{formatValue(change.before)}</td>
+                      <td className="diff-cell diff-added">{formatValue(change.after)}</td>
+                    </>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )
+      )}
+    </div>
+  );
+}
+
+export default ScanDiff;
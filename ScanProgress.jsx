@@ -0,0 +1,101 @@
+import React from 'react';
+import { parseWhoisData } from './whoisUtils.js';
+import CertificatePanel from './CertificatePanel.jsx';
+import KeyValueViewer from './KeyValueViewer.jsx';
+import { t } from './i18n.js';
+
+const STATUS_ICONS = {
+  pending: '○',
+  running: '⏳',
+  done: '✅',
+  error: '❌',
+  skipped: '⏭️'
+};
+
+// Fields rendered by a dedicated block below; anything else goes to the generic viewer
+const KNOWN_FIELDS = ['dns', 'whois', 'ssl', 'screenshot', 'input_url', 'domain', 'ip'];
+
+function duration(stage) {
+  if (!stage.finishedAt) return null;
+  return `${((stage.finishedAt - stage.startedAt) / 1000).toFixed(1)}s`;
+}
+
+function PartialResult({ partial, hostname }) {
+  const whois = partial.whois ? parseWhoisData(partial.whois) : null;
+  const screenshot = partial.screenshot?.image_url ||
+    (partial.screenshot?.screenshot_base64 ? `data:image/png;base64,${partial.screenshot.screenshot_base64}` : null);
+  const others = Object.fromEntries(Object.entries(partial).filter(([key]) => !KNOWN_FIELDS.includes(key)));
+
+  return (
+    <div className="partial-result">
+      {partial.ip && <div><strong>{t('domain.ip')}:</strong> {partial.ip}</div>}
+      {partial.dns && (
+        <div className="partial-block">
+          <strong>{t('dns.title')}</strong>
+          {['A', 'MX', 'NS'].filter(type => partial.dns[type]?.length > 0).map(type => (
+            <div key={type} style={{ fontFamily: 'monospace', color: '#059669' }}>
+              {type}: {[].concat(partial.dns[type]).join(', ')}
+            </div>
+          ))}
+        </div>
+      )}
+      {whois && (
+        <div className="partial-block">
+          <strong>{t('whois.title')}</strong>
+          {whois.registrar && <div>{t('whois.registrar')}: {whois.registrar}</div>}
+          {whois.dates.created && <div>{t('whois.created')}: {whois.dates.created}{whois.dates.age ? ` (${whois.dates.age})` : ''}</div>}
+          {whois.dates.expires && <div>{t('whois.expires')}: {whois.dates.expires}</div>}
+        </div>
+      )}
+      {partial.ssl && (
+        <div className="partial-block">
+          <strong>{t('ssl.title')}</strong>
+          <CertificatePanel ssl={partial.ssl} hostname={hostname} />
+        </div>
+      )}
+      {screenshot && (
+        <div className="partial-block">
+          <strong>{t('result.screenshotAlt')}</strong>
+          <img src={screenshot} alt={t('result.screenshotAlt')} style={{ display: 'block', maxWidth: '100%', borderRadius: 8, marginTop: 6 }} />
+        </div>
+      )}
+      {Object.keys(others).length > 0 && (
+        <div className="partial-block">
+          <KeyValueViewer data={others} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Per-stage progress of a streaming scan plus whatever the finished stages already returned
+ */
+function ScanProgress({ progress, hostname }) {
+  if (!progress || progress.stages.length === 0) return null;
+  const done = progress.stages.filter(s => s.status !== 'pending' && s.status !== 'running').length;
+
+  return (
+    <div className="scan-progress">
+      <h3 style={{ marginBottom: 10 }}>{t('progress.title', { done, total: progress.stages.length })}</h3>
+      <ul className="scan-stages">
+        {progress.stages.map(stage => (
+          <li key={stage.id} className={`scan-stage ${stage.status}`}>
+            <span className="scan-stage-icon">{STATUS_ICONS[stage.status] || STATUS_ICONS.running}</span>
+            <span className="scan-stage-label">{stage.label}</span>
+            {stage.message && <span className="scan-stage-message">{stage.message}</span>}
+            {duration(stage) && <span className="scan-stage-time">{duration(stage)}</span>}
+          </li>
+        ))}
+      </ul>
+      {Object.keys(progress.partial).length > 0 && (
+        <>
+          <h4 style={{ margin: '12px 0 6px' }}>{t('progress.partial')}</h4>
+          <PartialResult partial={progress.partial} hostname={hostname} />
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ScanProgress;
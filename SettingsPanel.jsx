@@ -0,0 +1,180 @@
+import React, { useState } from 'react';
+import { PROVIDERS, getProviderConfig } from './providers.js';
+import { saveSettings } from './settings.js';
+import { clearRecordings, loadRecordings } from './fixtures.js';
+import PolicyEditor from './PolicyEditor.jsx';
+import { parseBrandList, formatBrandList } from './brandProtection.js';
+import BlocklistManager from './BlocklistManager.jsx';
+import DecisionManager from './DecisionManager.jsx';
+import { t } from './i18n.js';
+
+const CAPABILITIES = ['detections', 'whois', 'dns', 'ssl', 'screenshot'];
+
+function SettingsPanel({ settings, onChange, onClose }) {
+  const [draft, setDraft] = useState(settings);
+  const [recordingCount, setRecordingCount] = useState(() => loadRecordings().length);
+  const [saved, setSaved] = useState(false);
+  const [brandText, setBrandText] = useState(() => formatBrandList(settings.protectedBrands));
+
+  const toggleProvider = (id) => {
+    setSaved(false);
+    setDraft((d) => {
+      const enabled = d.enabledProviders.includes(id)
+        ? d.enabledProviders.filter(p => p !== id)
+        : [...d.enabledProviders, id];
+      return { ...d, enabledProviders: enabled };
+    });
+  };
+
+  const setProviderField = (id, key, value) => {
+    setSaved(false);
+    setDraft((d) => ({
+      ...d,
+      providerConfig: {
+        ...d.providerConfig,
+        [id]: { ...(d.providerConfig?.[id] || {}), [key]: value }
+      }
+    }));
+  };
+
+  const handleSave = () => {
+    saveSettings(draft);
+    onChange(draft);
+    setSaved(true);
+  };
+
+  const handleBrandText = (text) => {
+    setSaved(false);
+    setBrandText(text);
+    setDraft((d) => ({ ...d, protectedBrands: parseBrandList(text) }));
+  };
+
+  const handleClearRecordings = () => {
+    clearRecordings();
+    setRecordingCount(0);
+  };
+
+  return (
+    <div className="settings-panel">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12 }}>
+        <h3 style={{ margin: 0 }}>{t('app.settings')}</h3>
+        <button type="button" className="scan-button" onClick={onClose} style={{ padding: '6px 12px', fontSize: '0.875rem' }}>
+          {t('settings.close')}
+        </button>
+      </div>
+
+      <h4>{t('settings.providers')}</h4>
+      {PROVIDERS.map(provider => {
+        const enabled = draft.enabledProviders.includes(provider.id);
+        const config = getProviderConfig(provider, draft);
+        return (
+          <div key={provider.id} className="settings-provider">
+            <label style={{ display: 'flex', alignItems: 'center', gap: 8, fontWeight: 600 }}>
+              <input type="checkbox" checked={enabled} onChange={() => toggleProvider(provider.id)} />
+              {provider.label}
+            </label>
+            <div style={{ fontSize: 12, color: '#64748b', margin: '4px 0 8px 24px' }}>
+              {Object.entries(provider.capabilities)
+                .filter(([, supported]) => supported)
+                .map(([key]) => (CAPABILITIES.includes(key) ? t(`settings.capability.${key}`) : key))
+                .join(' • ')}
+            </div>
+            {enabled && provider.configFields.map(field => (
+              <label key={field.key} className="settings-field">
+                <span>{t(field.label)}</span>
+                {field.type === 'select' ? (
+                  <select
+                    value={config[field.key] ?? ''}
+                    onChange={(e) => setProviderField(provider.id, field.key, e.target.value)}
+                  >
+                    {field.options.map(o => <option key={o.value} value={o.value}>{t(o.label)}</option>)}
+                  </select>
+                ) : (
+                  <input
+                    className="url-input"
+                    type={field.type === 'password' || field.type === 'number' ? field.type : 'text'}
+                    min={field.type === 'number' ? 0 : undefined}
+                    placeholder={field.placeholder ? t(field.placeholder) : ''}
+                    value={config[field.key] ?? ''}
+                    onChange={(e) => setProviderField(provider.id, field.key, e.target.value)}
+                  />
+                )}
+              </label>
+            ))}
+          </div>
+        );
+      })}
+
+      <h4 style={{ marginTop: 16 }}>{t('settings.policy')}</h4>
+      <PolicyEditor draft={draft} onDraftChange={(next) => { setSaved(false); setDraft(next); }} />
+
+      <h4 style={{ marginTop: 16 }}>{t('settings.brands')}</h4>
+      <div style={{ fontSize: 12, color: '#64748b', marginBottom: 6 }}>
+        {t('settings.brandsFormat')} <code>{t('settings.brandsFormatExample')}</code>{t('settings.brandsOwned')} <code>+</code>{' '}
+        {t('settings.brandsFavicon')} <code>http.favicon.hash</code>{t('settings.brandsFaviconAfter')}
+      </div>
+      <textarea
+        className="url-input batch-input"
+        rows={5}
+        value={brandText}
+        onChange={(e) => handleBrandText(e.target.value)}
+        placeholder={'Acme: acme.com, acme-corp.net, -1234567890\nPartner Bank: partnerbank.com'}
+        aria-label={t('settings.brands')}
+      />
+      <small style={{ color: '#64748b' }}>{t('settings.brandCount', { count: (draft.protectedBrands || []).length })}</small>
+
+      <h4 style={{ marginTop: 16 }}>{t('settings.blocklists')}</h4>
+      <BlocklistManager />
+      <label style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: '0.875rem', marginTop: 8 }}>
+        <input
+          type="checkbox"
+          checked={!!draft.blocklistSkipsRemote}
+          onChange={(e) => { setSaved(false); setDraft((d) => ({ ...d, blocklistSkipsRemote: e.target.checked })); }}
+        />
+        {t('settings.blocklistSkipsRemote')}
+      </label>
+
+      <h4 style={{ marginTop: 16 }}>{t('settings.decisions')}</h4>
+      <DecisionManager />
+
+      <h4 style={{ marginTop: 16 }}>{t('settings.demo')}</h4>
+      <label style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: '0.875rem' }}>
+        <input
+          type="checkbox"
+          checked={!!draft.demoMode}
+          onChange={(e) => { setSaved(false); setDraft((d) => ({ ...d, demoMode: e.target.checked })); }}
+        />
+        {t('settings.demoDescription')}
+      </label>
+
+      <h4 style={{ marginTop: 16 }}>{t('settings.fixtures')}</h4>
+      <label style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: '0.875rem' }}>
+        <input
+          type="checkbox"
+          checked={!!draft.recordResponses}
+          onChange={(e) => { setSaved(false); setDraft((d) => ({ ...d, recordResponses: e.target.checked })); }}
+        />
+        {t('settings.record', { count: recordingCount })}
+      </label>
+      <button
+        type="button"
+        className="scan-button"
+        onClick={handleClearRecordings}
+        disabled={recordingCount === 0}
+        style={{ marginTop: 8, padding: '6px 12px', fontSize: '0.875rem' }}
+      >
+        {t('settings.clearRecordings')}
+      </button>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: 12, marginTop: 20 }}>
+        <button type="button" className="scan-button" onClick={handleSave} disabled={draft.enabledProviders.length === 0}>
+          {t('settings.save')}
+        </button>
+        {draft.enabledProviders.length === 0 && <small style={{ color: '#9f1239' }}>{t('settings.noProvider')}</small>}
+        {saved && <small style={{ color: '#059669' }}>{t('settings.saved')}</small>}
+      </div>
+    </div>
+  );
+}
+
+export default SettingsPanel;
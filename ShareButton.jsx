@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { copyText } from './clipboard.js';
+import { routeUrl } from './router.js';
+import { buildShareLink } from './sharing.js';
+import { t } from './i18n.js';
+
+/**
+ * Copy a link to the shown result: a permalink to the stored scan (only opens in this
+ * browser, where the history lives) or a link that carries the result itself
+ * @param {object} props
+ * @param {string} props.url - Scanned URL
+ * @param {Array} props.result - Normalized scan result
+ * @param {number|null} props.scanId - History item id, when the result was saved
+ */
+function ShareButton({ url, result, scanId }) {
+  const [open, setOpen] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState('');
+  const [error, setError] = useState('');
+
+  const handleCopy = async (kind) => {
+    setBusy(true);
+    setError('');
+    setStatus('');
+    try {
+      const link = kind === 'permalink'
+        ? routeUrl({ name: 'scan', id: scanId })
+        : await buildShareLink({ url, result });
+      await copyText(link);
+      setStatus(kind === 'permalink' ? t('share.permalinkCopied') : t('share.resultCopied'));
+      setOpen(false);
+    } catch (err) {
+      console.error('Failed to copy share link:', err);
+      setError(err.message || t('share.copyFailed'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="export-menu">
+      <button
+        type="button"
+        className="scan-button"
+        onClick={() => setOpen((v) => !v)}
+        aria-haspopup="menu"
+        aria-expanded={open}
+        disabled={busy}
+        style={{ padding: '8px 14px', fontSize: '0.875rem' }}
+      >
+        {t('share.button')}
+      </button>
+      {open && (
+        <div className="export-options" role="menu">
+          <button
+            type="button"
+            role="menuitem"
+            onClick={() => handleCopy('permalink')}
+            disabled={busy || scanId == null}
+            title={scanId == null ? t('share.notSaved') : t('share.permalinkTitle')}
+          >
+            {t('share.permalink')}
+          </button>
+          <button
+            type="button"
+            role="menuitem"
+            onClick={() => handleCopy('result')}
+            disabled={busy}
+            title={t('share.resultTitle')}
+          >
+            {t('share.result')}
+          </button>
+        </div>
+      )}
+      {status && <small style={{ color: '#166534', display: 'block', marginTop: 4 }}>✅ {status}</small>}
+      {error && <small style={{ color: '#9f1239', display: 'block', marginTop: 4 }}>{error}</small>}
+    </div>
+  );
+}
+
+export default ShareButton;
@@ -0,0 +1,46 @@
+import React from 'react';
+import { findingText, signalLabel, t } from './i18n.js';
+
+const SEVERITY_COLORS = {
+  high: '#dc2626',
+  medium: '#d97706',
+  low: '#64748b'
+};
+
+/**
+ * Lists the findings of every locally computed signal category (see decideVerdict)
+ */
+function SignalsPanel({ signals, title = t('signals.title') }) {
+  const groups = Object.values(signals || {}).filter(s => s && Array.isArray(s.findings) && s.findings.length > 0);
+  if (groups.length === 0) return null;
+
+  return (
+    <div className="signals-panel">
+      <h3 style={{ marginBottom: 10 }}>{title}</h3>
+      {groups.map(group => (
+        <div key={group.source} style={{ marginBottom: 12 }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', fontWeight: 600, color: '#334155', marginBottom: 4 }}>
+            <span>{signalLabel(group)}</span>
+            <span>{group.score}/100</span>
+          </div>
+          <ul style={{ listStyle: 'none', padding: 0 }}>
+            {group.findings.map(f => {
+              const { label, detail } = findingText(f);
+              return (
+                <li key={f.id} style={{ padding: '4px 0', borderBottom: '1px solid #eef2f7', fontSize: '0.875rem' }}>
+                  <span style={{ color: SEVERITY_COLORS[f.severity] || SEVERITY_COLORS.low, fontWeight: 600, marginRight: 6 }}>
+                    ●
+                  </span>
+                  {label}
+                  {detail && <span style={{ color: '#64748b', marginLeft: 6, fontFamily: 'monospace' }}>({detail})</span>}
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default SignalsPanel;
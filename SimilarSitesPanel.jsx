@@ -0,0 +1,88 @@
+import React, { useEffect, useState } from 'react';
+import { getHistoryItem, findSimilarScans } from './storage.js';
+import { getVerdictStyle } from './verdictStyle.js';
+import { formatDateTime, t, verdictLabel } from './i18n.js';
+
+/**
+ * Lists earlier scans of other hosts that share the shown scan's favicon hash or have a
+ * near-identical screenshot, which usually means the same phishing kit
+ */
+function SimilarSitesPanel({ scanId, refreshKey, onOpen }) {
+  const [fingerprints, setFingerprints] = useState(null);
+  const [similar, setSimilar] = useState([]);
+  const [open, setOpen] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    if (scanId === null || scanId === undefined) {
+      setFingerprints(null);
+      setSimilar([]);
+      return undefined;
+    }
+
+    getHistoryItem(scanId)
+      .then(async (item) => {
+        if (!item || cancelled) return;
+        const next = { faviconHash: item.favicon_hash ?? null, screenshotPhash: item.screenshot_phash ?? null };
+        const matches = await findSimilarScans({ ...next, excludeHost: item.host });
+        if (cancelled) return;
+        setFingerprints(next);
+        setSimilar(matches);
+      })
+      .catch((err) => console.error('Failed to load similar scans:', err));
+    return () => { cancelled = true; };
+  }, [scanId, refreshKey]);
+
+  if (!fingerprints || (fingerprints.faviconHash === null && !fingerprints.screenshotPhash)) return null;
+
+  return (
+    <div className="scan-diff similar-sites">
+      <button type="button" className="collapsible-header" style={{ width: 'auto', padding: '4px' }} onClick={() => setOpen((v) => !v)} aria-expanded={open}>
+        <span style={{ fontWeight: 600, color: '#374151' }}>
+          {similar.length > 0 ? t('similar.titleCount', { count: similar.length }) : t('similar.titleNone')}
+        </span>
+      </button>
+
+      {open && (
+        <>
+          <div className="fingerprint-list">
+            {fingerprints.faviconHash !== null && (
+              <span title={t('similar.faviconTitle')}>
+                {t('similar.faviconHash')} <code>http.favicon.hash:{fingerprints.faviconHash}</code>
+              </span>
+            )}
+            {fingerprints.screenshotPhash && (
+              <span title={t('similar.screenshotTitle')}>
+                {t('similar.screenshotHash')} <code>{fingerprints.screenshotPhash}</code>
+              </span>
+            )}
+          </div>
+
+          {similar.length === 0 ? (
+            <div className="no-history">{t('similar.none')}</div>
+          ) : (
+            <ul className="similar-list">
+              {similar.map(({ item, faviconMatch, screenshotDistance }) => (
+                <li key={item.id}>
+                  <button type="button" className="link-button" onClick={() => onOpen(item.id)} title={item.url}>
+                    {item.host || item.url}
+                  </button>
+                  <span className="verdict-badge" style={getVerdictStyle(item.verdict)}>{verdictLabel(item.verdict)}</span>
+                  {faviconMatch && <span className="indicator-tag">{t('similar.sameFavicon')}</span>}
+                  {screenshotDistance !== null && (
+                    <span className="indicator-tag">
+                      {screenshotDistance === 0 ? t('similar.identical') : t('similar.distance', { count: screenshotDistance })}
+                    </span>
+                  )}
+                  <small>{formatDateTime(item.when)}</small>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default SimilarSitesPanel;
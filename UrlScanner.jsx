@@ -1,70 +1,76 @@
 import React, { useEffect, useRef, useState } from 'react';
-import { parseVTResult, isVTMalicious } from './VT.js';
-import { fetchScan } from './n8nClient.js';
-import { normalizeScanResponse } from './parsers.js';
-import { loadHistory, addToHistory, clearHistory, removeHistoryItem } from './storage.js';
-import { parseWhoisData } from './whoisUtils.js';
-import { decideVerdict } from './verdict.js';
-
-function isValidUrl(value) {
-  try {
-    const u = new URL(value.trim());
-    return u.protocol === 'http:' || u.protocol === 'https:';
-  } catch {
-    return false;
-  }
-}
-
-// Ensure the URL has a protocol; default to http if missing
-function ensureProtocol(value) {
-  if (!value || typeof value !== 'string') return value;
-  const v = value.trim();
-  if (/^https?:\/\//i.test(v)) return v;
-  return `http://${v}`;
-}
-
-function CollapsibleSection({ title, icon, children }) {
-  const [isOpen, setIsOpen] = useState(false);
-
-  return (
-    <div className="collapsible-section">
-      <button 
-        type="button"
-        className="collapsible-header" 
-        onClick={() => setIsOpen(!isOpen)}
-        aria-expanded={isOpen}
-      >
-        <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
-          <span style={{ fontSize: '1.2rem' }}>{icon}</span>
-          <span style={{ fontWeight: 600, color: '#374151', fontSize: '1rem' }}>{title}</span>
-        </div>
-        <span className="chevron" style={{ 
-          transform: isOpen ? 'rotate(180deg)' : 'rotate(0deg)' 
-        }}>
-          ▼
-        </span>
-      </button>
-      <div className={`collapsible-content ${isOpen ? 'open' : ''}`} aria-hidden={!isOpen}>
-        <div className="collapsible-inner">
-          {children}
-        </div>
-      </div>
-    </div>
-  );
-}
+import { groupDetectionsByThreatType } from './VT.js';
+import { scanUrl, analyzeLocally, checkLocalBlocklists } from './scanService.js';
+import { addToHistory, getHistoryItem } from './storage.js';
+import { isValidUrl, ensureProtocol, hostnameOf } from './urlUtils.js';
+import { getVerdictStyle } from './verdictStyle.js';
+import { loadSettings, updateSettings } from './settings.js';
+import { DEMO_CASES } from './demoResponses.js';
+import { listPolicies, getPolicy } from './policy.js';
+import BatchScanner from './BatchScanner.jsx';
+import IndicatorExtractor from './IndicatorExtractor.jsx';
+import CopyDefangedButton from './CopyDefangedButton.jsx';
+import ShareButton from './ShareButton.jsx';
+import CanonicalUrlNote from './CanonicalUrlNote.jsx';
+import { canonicalizeUrl } from './canonicalize.js';
+import SignalsPanel from './SignalsPanel.jsx';
+import BrandWarning from './BrandWarning.jsx';
+import SettingsPanel from './SettingsPanel.jsx';
+import HistoryPanel from './HistoryPanel.jsx';
+import ExportMenu from './ExportMenu.jsx';
+import ScanDiff from './ScanDiff.jsx';
+import SimilarSitesPanel from './SimilarSitesPanel.jsx';
+import VTBreakdown from './VTBreakdown.jsx';
+import ReputationPanel from './ReputationPanel.jsx';
+import DecisionActions from './DecisionActions.jsx';
+import OverrideBadge from './OverrideBadge.jsx';
+import { extractReputationSources, summarizeReputation } from './reputation.js';
+import { applyDecision } from './verdict.js';
+import DiagnosticsPanel from './DiagnosticsPanel.jsx';
+import KeyValueViewer from './KeyValueViewer.jsx';
+import CollapsibleSection from './CollapsibleSection.jsx';
+import ResultPanels from './ResultPanels.jsx';
+import ScanProgress from './ScanProgress.jsx';
+import { applyStageEvent } from './scanProgress.js';
+import WatchButton from './WatchButton.jsx';
+import WatchlistPanel from './WatchlistPanel.jsx';
+import WatchAlerts from './WatchAlerts.jsx';
+import { createWatchScheduler, rescanWatchItem } from './watchScheduler.js';
+import { registerWatchWorker, notifyDesktop } from './watchNotifications.js';
+import { describeChange } from './scanDiff.js';
+import { parseRoute, navigate, onRouteChange } from './router.js';
+import { decodeSharedResult } from './sharing.js';
+import { t, verdictLabel, formatNumber, formatDateTime, setLocale, LOCALES } from './i18n.js';
+
+const MAX_WATCH_ALERTS = 20;
 
 function UrlScanner() {
   const [url, setUrl] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [result, setResult] = useState(null);
-  const [history, setHistory] = useState([]);
+  const [scannedUrl, setScannedUrl] = useState('');
+  const [scanId, setScanId] = useState(null);
+  const [historyVersion, setHistoryVersion] = useState(0);
   const [shownScreenshots, setShownScreenshots] = useState({});
   const [expandedCategories, setExpandedCategories] = useState({});
   const [modalImage, setModalImage] = useState(null);
-
+  const [mode, setMode] = useState('single');
+  const [batchHandoff, setBatchHandoff] = useState(null);
+  const [canonical, setCanonical] = useState(null);
+  const [pendingSignals, setPendingSignals] = useState(null);
+  const [settings, setSettings] = useState(loadSettings);
+  const [showSettings, setShowSettings] = useState(false);
+  const [policyName, setPolicyName] = useState(() => loadSettings().activePolicy);
+  const [diagnostics, setDiagnostics] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [watchVersion, setWatchVersion] = useState(0);
+  const [watchAlerts, setWatchAlerts] = useState([]);
+  const [shared, setShared] = useState(null);
 
   const resultRef = useRef(null);
+  const scanAbortRef = useRef(null);
+  const historyRef = useRef(null);
 
   function toggleScreenshot(key) {
     setShownScreenshots((s) => ({ ...s, [key]: !s[key] }));
@@ -74,39 +80,49 @@ function UrlScanner() {
     setExpandedCategories((s) => ({ ...s, [key]: !s[key] }));
   }
 
-  // Load history on mount
-  useEffect(() => {
-    setHistory(loadHistory());
-  }, []);
-
-  const handleScan = async (e) => {
-    e.preventDefault();
+  const runScan = async (rawUrl) => {
     setError('');
     setResult(null);
-
-    if (!isValidUrl(url)) {
-      setError('Please enter a valid http/https URL.');
+    setDiagnostics(null);
+    setCanonical(null);
+    setShared(null);
+
+    // normalize URL (add protocol if missing) and reflect back in the input
+    const normalizedUrl = ensureProtocol(rawUrl);
+    if (!isValidUrl(normalizedUrl)) {
+      setError(t('error.invalidUrl'));
       return;
     }
+    if (normalizedUrl !== rawUrl) setUrl(normalizedUrl);
 
     setLoading(true);
+    const scanDiagnostics = [];
+    const controller = new AbortController();
+    scanAbortRef.current = controller;
 
     try {
-      // normalize URL (add protocol if missing) and reflect back in the input
-      const normalizedUrl = ensureProtocol(url);
-      if (normalizedUrl !== url) setUrl(normalizedUrl);
-
-      if (!isValidUrl(normalizedUrl)) {
-        setError('Please enter a valid http/https URL.');
-        return;
-      }
-
-      const data = await fetchScan(normalizedUrl);
-      let normalized = normalizeScanResponse(data);
+      // Scan the real target of wrapped (SafeLinks, URL Defense, ...) links; the input keeps the original
+      const canonicalized = canonicalizeUrl(normalizedUrl);
+      const targetUrl = canonicalized?.url || normalizedUrl;
+      if (canonicalized && (canonicalized.changed || canonicalized.opaque || canonicalized.idn)) setCanonical(canonicalized);
+
+      // Show the local heuristics while the webhook is still working
+      setPendingSignals(analyzeLocally(targetUrl, { brands: settings.protectedBrands }));
+      checkLocalBlocklists(targetUrl).then((blocklist) => {
+        if (blocklist) setPendingSignals((pending) => (pending ? { ...pending, blocklist } : pending));
+      });
 
-      // Apply heuristics to determine the final verdict
-      normalized = decideVerdict(normalized);
+      const normalized = await scanUrl(targetUrl, {
+        settings,
+        policy: getPolicy(settings, policyName),
+        diagnostics: scanDiagnostics,
+        signal: controller.signal,
+        onProgress: (event) => setProgress((p) => applyStageEvent(p, event))
+      });
+      controller.signal.throwIfAborted();
 
+      setScannedUrl(targetUrl);
+      setScanId(null);
       setResult(normalized);
       
       // Initialize screenshot visibility
@@ -122,98 +138,434 @@ function UrlScanner() {
       // Expand first category by default
       setExpandedCategories(() => ({ 0: true }));
 
-      // Add to history using storage module
-      const updatedHistory = addToHistory(normalizedUrl || url, normalized);
-      setHistory(updatedHistory);
+      // Add to history using storage module; a failed save should not hide the result
+      try {
+        const saved = await addToHistory(targetUrl, normalized);
+        setScanId(saved.id);
+        navigate({ name: 'scan', id: saved.id });
+        refreshHistory();
+      } catch (saveErr) {
+        console.error('Failed to save history:', saveErr);
+        navigate({ name: 'home', url: targetUrl });
+        setError(t('error.saveFailed', { message: saveErr.message || saveErr }));
+      }
 
       requestAnimationFrame(() => resultRef.current?.focus());
     } catch (err) {
-      setError(err.message || 'Scan failed');
+      setError(controller.signal.aborted ? t('error.cancelled') : (err.message || t('error.scanFailed')));
 
     } finally {
 
+      if (scanAbortRef.current === controller) scanAbortRef.current = null;
       setLoading(false);
+      setPendingSignals(null);
+      setProgress(null);
+      if (scanDiagnostics.length > 0) setDiagnostics(scanDiagnostics);
 
     }
 
   };
 
+  const handleScan = (e) => {
+    e.preventDefault();
+    runScan(url);
+  };
+
+
 
 
+  const refreshHistory = () => setHistoryVersion((v) => v + 1);
 
-  const handleClearHistory = () => {
-    if (window.confirm('Are you sure you want to clear all scan history?')) {
-      clearHistory();
-      setHistory([]);
+  // Show a stored or batch result in the detail view. Opening one adds a browser history
+  // entry unless it was the route that asked for it (back/forward, a pasted link).
+  const showResult = (resultUrl, resultData, resultId = null, { fromRoute = false } = {}) => {
+    if (!fromRoute) navigate(resultId != null ? { name: 'scan', id: resultId } : { name: 'home', url: resultUrl });
+    setMode('single');
+    setError('');
+    setShared(null);
+    setUrl(resultUrl);
+    setScannedUrl(resultUrl);
+    setCanonical(null);
+    setScanId(resultId);
+    setResult(resultData);
+    setDiagnostics(null);
+    setShownScreenshots(() => {
+      const map = {};
+      if (Array.isArray(resultData) && resultData.length > 0 &&
+          Array.isArray(resultData[0].results) && resultData[0].results.length > 0) {
+        map[`0-0`] = true;
+      }
+      return map;
+    });
+    setExpandedCategories(() => ({ 0: true }));
+    requestAnimationFrame(() => resultRef.current?.focus());
+  };
+
+  const openHistoryScan = async (id, options) => {
+    try {
+      const item = await getHistoryItem(id);
+      if (item) showResult(item.url, item.result, item.id, options);
+      else setError(t('error.notInHistory', { id }));
+    } catch (err) {
+      setError(err.message || t('error.loadFailed'));
     }
   };
 
-  const handleRemoveHistoryItem = (index) => {
-    const updatedHistory = removeHistoryItem(index);
-    setHistory(updatedHistory);
+  const clearResult = () => {
+    setResult(null);
+    setScanId(null);
+    setShared(null);
+    setDiagnostics(null);
+    setCanonical(null);
+    setError('');
+    setShownScreenshots({});
+    setExpandedCategories({});
   };
 
-  const getVerdictStyle = (verdict) => {
-    switch(verdict?.toUpperCase()) {
-      case 'CLEAN':
-        return { background: '#d1fae5', color: '#065f46', border: '2px solid #10b981' };
-      case 'SUSPICIOUS':
-        return { background: '#fef3c7', color: '#92400e', border: '2px solid #f59e0b' };
-      case 'MALICIOUS':
-        return { background: '#fee2e2', color: '#991b1b', border: '2px solid #ef4444' };
+  const openSharedResult = async (payload) => {
+    try {
+      const decoded = await decodeSharedResult(payload);
+      showResult(decoded.url, decoded.result, null, { fromRoute: true });
+      setShared({ when: decoded.when });
+    } catch (err) {
+      clearResult();
+      setError(err.message || t('error.sharedFailed'));
+    }
+  };
+
+  // Show what a route points at, without adding a history entry
+  const applyRoute = (route, { initial = false } = {}) => {
+    switch (route.name) {
+      case 'scan':
+        openHistoryScan(route.id, { fromRoute: true });
+        break;
+      case 'shared':
+        openSharedResult(route.payload);
+        break;
+      case 'history':
+        setMode('single');
+        requestAnimationFrame(() => {
+          historyRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+          historyRef.current?.focus({ preventScroll: true });
+        });
+        break;
       default:
-        return { background: '#f3f4f6', color: '#374151', border: '2px solid #9ca3af' };
+        setMode('single');
+        clearResult();
+        setUrl(route.url);
+        if (initial && route.autoScan && route.url) {
+          // Drop scan=1 so reloading the page does not start another scan
+          navigate({ name: 'home', url: route.url }, { replace: true });
+          runScan(route.url);
+        }
     }
   };
 
+  const initialRouteRef = useRef(false);
+  useEffect(() => {
+    // StrictMode runs effects twice in development; only act on the first load once
+    if (!initialRouteRef.current) {
+      initialRouteRef.current = true;
+      applyRoute(parseRoute(), { initial: true });
+    }
+    return onRouteChange((route) => {
+      scanAbortRef.current?.abort();
+      applyRoute(route);
+    });
+  }, []);
+
+  const refreshWatchlist = () => setWatchVersion((v) => v + 1);
+
+  // A watchlist rescan finished: refresh the lists and alert when something relevant changed
+  const reportWatchRescan = (outcome) => {
+    refreshWatchlist();
+    refreshHistory();
+    if (outcome.changes.length === 0) return;
+
+    const alert = {
+      id: outcome.scanId,
+      url: outcome.item.url,
+      scanId: outcome.scanId,
+      escalated: outcome.escalated,
+      changes: outcome.changes.map(describeChange),
+      when: new Date().toISOString()
+    };
+    setWatchAlerts((list) => [alert, ...list].slice(0, MAX_WATCH_ALERTS));
+    notifyDesktop(t(outcome.escalated ? 'notify.escalated' : 'notify.changed', { host: hostnameOf(alert.url) }), { body: alert.changes.join('\n'), tag: alert.url });
+  };
+
+  const rescanWatched = (item) => rescanWatchItem(item)
+    .then(reportWatchRescan)
+    .catch((err) => {
+      console.warn(`Rescan of ${item.url} failed:`, err);
+      refreshWatchlist();
+    });
+
+  // Rescan due watchlist items while the app is open; the service worker can prompt a check too
+  useEffect(() => {
+    const scheduler = createWatchScheduler({
+      onRescan: reportWatchRescan,
+      onError: (item, err) => {
+        console.warn(`Rescan of ${item.url} failed:`, err);
+        refreshWatchlist();
+      }
+    });
+    scheduler.start();
+    const unregister = registerWatchWorker(() => scheduler.runDue());
+    return () => {
+      scheduler.stop();
+      unregister();
+    };
+  }, []);
+
+  const changeLanguage = (language) => {
+    const next = updateSettings({ language });
+    setLocale(next.language);
+    setSettings(next);
+  };
+
+  const setDemoMode = (on) => {
+    const next = updateSettings({ demoMode: on });
+    setSettings(next);
+  };
+
+  // Without a webhook the default n8n provider can only fail, so point at demo mode
+  const missingWebhook = !settings.demoMode
+    && settings.enabledProviders.includes('n8n')
+    && !import.meta.env.VITE_WEBHOOK_URL
+    && !settings.providerConfig?.n8n?.webhookUrl;
+
   return (
     <div className="scanner-container" style={{ maxWidth: '1400px', width: '95%', margin: '0 auto' }}>
-      <h1>🔒 URL Security Scanner</h1>
-
-      <form className="url-form" onSubmit={handleScan}>
-        <input
-          className="url-input"
-          placeholder="https://example.com"
-          value={url}
-          onChange={(e) => setUrl(e.target.value)}
-          disabled={loading}
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 12 }}>
+        <h1>{t('app.title')}</h1>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+          <select
+            className="language-select"
+            value={settings.language}
+            onChange={(e) => changeLanguage(e.target.value)}
+            aria-label={t('app.language')}
+            title={t('app.language')}
+          >
+            <option value="">🌐 {t('app.languageAuto')}</option>
+            {LOCALES.map(l => <option key={l.code} value={l.code} lang={l.code}>{l.label}</option>)}
+          </select>
+          <button
+            type="button"
+            className="scan-button"
+            onClick={() => setShowSettings((v) => !v)}
+            aria-expanded={showSettings}
+            style={{ padding: '8px 14px', fontSize: '0.875rem' }}
+          >
+            {t('app.settings')}
+          </button>
+        </div>
+      </div>
+
+      {showSettings && (
+        <SettingsPanel
+          settings={settings}
+          onChange={(next) => { setSettings(next); setPolicyName(next.activePolicy); }}
+          onClose={() => setShowSettings(false)}
         />
-        <button className="scan-button" disabled={loading}>
-          {loading ? 'Scanning…' : 'Scan URL'}
-        </button>
+      )}
+
+      {settings.demoMode && (
+        <div className="demo-banner" role="status">
+          <span>
+            🧪 <strong>{t('demo.title')}</strong> {t('demo.description')}{' '}
+            {DEMO_CASES.map(c => (
+              <button key={c.id} type="button" className="link-button demo-example" title={c.label} onClick={() => setUrl(c.example)} disabled={loading}>
+                {c.id}
+              </button>
+            ))}
+          </span>
+          <button type="button" className="scan-button policy-button" onClick={() => setDemoMode(false)} disabled={loading}>
+            {t('demo.turnOff')}
+          </button>
+        </div>
+      )}
 
-        {/* Reset button to clear form and UI state */}
+      {missingWebhook && (
+        <div className="demo-banner">
+          <span>{t('webhook.missingBefore')} <code>VITE_WEBHOOK_URL</code> {t('webhook.missingAfter')}</span>
+          <button type="button" className="scan-button policy-button" onClick={() => setDemoMode(true)}>
+            {t('webhook.useDemo')}
+          </button>
+        </div>
+      )}
+
+      <WatchAlerts
+        alerts={watchAlerts}
+        onOpen={openHistoryScan}
+        onDismiss={(id) => setWatchAlerts((list) => list.filter(a => a.id !== id))}
+      />
+
+      <div className="mode-toggle" role="tablist">
         <button
           type="button"
-          className="scan-button"
-          onClick={() => {
-            setUrl('');
-            setResult(null);
-            setError('');
-            setShownScreenshots({});
-            setExpandedCategories({});
-            requestAnimationFrame(() => resultRef.current?.focus());
-          }}
-          style={{ marginLeft: 8 }}
+          role="tab"
+          aria-selected={mode === 'single'}
+          className={`mode-tab ${mode === 'single' ? 'active' : ''}`}
+          onClick={() => setMode('single')}
+        >
+          {t('mode.single')}
+        </button>
+        <button
+          type="button"
+          role="tab"
+          aria-selected={mode === 'batch'}
+          className={`mode-tab ${mode === 'batch' ? 'active' : ''}`}
+          onClick={() => setMode('batch')}
+          disabled={loading}
+        >
+          {t('mode.batch')}
+        </button>
+        <button
+          type="button"
+          role="tab"
+          aria-selected={mode === 'extract'}
+          className={`mode-tab ${mode === 'extract' ? 'active' : ''}`}
+          onClick={() => setMode('extract')}
           disabled={loading}
         >
-          Reset
+          {t('mode.extract')}
         </button>
-      </form>
+      </div>
+
+      {/* Kept mounted while hidden so a running batch survives opening a row */}
+      <div hidden={mode !== 'batch'}>
+        <BatchScanner
+          settings={settings}
+          policy={getPolicy(settings, policyName)}
+          onOpenResult={showResult}
+          onHistoryChange={refreshHistory}
+          incoming={batchHandoff}
+        />
+      </div>
+
+      <div hidden={mode !== 'extract'}>
+        <IndicatorExtractor
+          disabled={loading}
+          onScan={(urls) => { setBatchHandoff({ urls }); setMode('batch'); }}
+        />
+      </div>
+
+      {mode === 'single' && (
+        <form className="url-form" onSubmit={handleScan}>
+          <input
+            className="url-input"
+            placeholder="https://example.com"
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+            disabled={loading}
+          />
+          <select
+            className="policy-select"
+            value={getPolicy(settings, policyName).name}
+            onChange={(e) => setPolicyName(e.target.value)}
+            disabled={loading}
+            aria-label={t('form.policy')}
+            title={t('form.policyTitle')}
+          >
+            {listPolicies(settings).map(p => (
+              <option key={p.name} value={p.name}>{p.name}</option>
+            ))}
+          </select>
+          <button className="scan-button" disabled={loading}>
+            {loading ? t('form.scanning') : t('form.scan')}
+          </button>
+
+          {/* Reset button: cancels a running scan, then clears form and UI state */}
+          <button
+            type="button"
+            className="scan-button"
+            onClick={() => {
+              scanAbortRef.current?.abort();
+              navigate({ name: 'home' });
+              setShared(null);
+              setScanId(null);
+              setUrl('');
+              setResult(null);
+              setDiagnostics(null);
+              setCanonical(null);
+              setError('');
+              setShownScreenshots({});
+              setExpandedCategories({});
+              requestAnimationFrame(() => resultRef.current?.focus());
+            }}
+            style={{ marginLeft: 8 }}
+          >
+            {loading ? t('form.cancel') : t('form.reset')}
+          </button>
+        </form>
+      )}
 
       {error && <div className="error">❌ {error}</div>}
 
+      {mode === 'single' && <CanonicalUrlNote canonical={canonical} />}
+
+      {loading && pendingSignals && (
+        <>
+          <BrandWarning signals={pendingSignals} />
+          <SignalsPanel signals={pendingSignals} title={t('signals.preliminary')} />
+        </>
+      )}
+
+      {loading && <ScanProgress progress={progress} hostname={hostnameOf(canonical?.url || url)} />}
+
       <div ref={resultRef} tabIndex={-1}>
         {result && (
           <div className="result-card">
-            <h2>📊 Scan Results</h2>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 12 }}>
+              <h2>{t('result.title')}</h2>
+              {Array.isArray(result) && result.length > 0 && (
+                <div style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+                  <CopyDefangedButton url={scannedUrl} />
+                  <ShareButton url={scannedUrl} result={result} scanId={scanId} />
+                  <WatchButton url={scannedUrl} result={result} scanId={scanId} refreshKey={watchVersion} onChange={refreshWatchlist} />
+                  <ExportMenu url={scannedUrl} result={result} />
+                </div>
+              )}
+            </div>
+
+            {shared && (
+              <div className="shared-banner" role="status">
+                <span>
+                  📦 <strong>{t('result.sharedTitle')}</strong>{shared.when && t('result.sharedFrom', { when: formatDateTime(shared.when) })} {t('result.sharedNote')}
+                </span>
+                <button type="button" className="scan-button policy-button" onClick={() => runScan(scannedUrl)} disabled={loading}>
+                  {t('result.scanAgain')}
+                </button>
+              </div>
+            )}
+
+            {Array.isArray(result) && result.length > 0 && (
+              <DecisionActions
+                url={scannedUrl}
+                result={result}
+                scanId={scanId}
+                onChange={(decision) => setResult((r) => applyDecision(r, decision))}
+              />
+            )}
+
+            {Array.isArray(result) && result.length > 0 && <BrandWarning signals={result[0].signals} />}
+
+            {Array.isArray(result) && result.length > 0 && (
+              <ScanDiff url={scannedUrl} result={result} scanId={scanId} refreshKey={historyVersion} />
+            )}
+
+            {Array.isArray(result) && result.length > 0 && (
+              <SimilarSitesPanel scanId={scanId} refreshKey={historyVersion} onOpen={openHistoryScan} />
+            )}
 
             {Array.isArray(result) ? (
               result.map((cat, ci) => {
                 const verdictStyle = getVerdictStyle(cat.verdict);
                 const isExpanded = expandedCategories[ci];
-                const vtRaw = cat.vt || cat.virustotal || cat.vt_data || cat.raw_vt || cat.virus_total || cat.vtResult || cat.vtData;
-                const vtParsed = vtRaw ? parseVTResult(vtRaw) : null;
+                // Scans saved before reputation sources existed still show their VirusTotal data
+                const reputation = cat.reputation_summary || (cat.vt || cat.virustotal ? summarizeReputation(extractReputationSources(cat)) : null);
+                const vtParsed = reputation?.sources.find(s => s.id === 'virustotal')?.details || null;
                 
                 const firstResult = cat.results?.[0];
                 const mainScreenshotBase64 = firstResult?.screenshot?.screenshot_base64;
@@ -231,65 +583,124 @@ function UrlScanner() {
                               {cat.verdict === 'CLEAN' && '✅ '}
                               {cat.verdict === 'SUSPICIOUS' && '⚠️ '}
                               {cat.verdict === 'MALICIOUS' && '🚨 '}
-                              {cat.verdict || 'UNKNOWN'}
+                              {verdictLabel(cat.verdict)}
+                              {cat.provider_label && (
+                                <span style={{ fontSize: '0.8rem', fontWeight: 600, opacity: 0.75, marginLeft: 10 }}>
+                                  {t('result.via', { provider: cat.provider_label })}
+                                </span>
+                              )}
+                              <OverrideBadge override={cat.override} />
                             </div>
                             <button 
                               className="scan-button" 
                               onClick={() => toggleCategory(ci)}
                               style={{ padding: '8px 16px', fontSize: '0.875rem' }}
                             >
-                              {isExpanded ? '▲ Collapse' : '▼ Expand'}
+                              {isExpanded ? t('result.collapse') : t('result.expand')}
                             </button>
                           </div>
 
+                          {cat.provider_errors?.length > 0 && (
+                            <div className="provider-errors" role="status" style={{ fontSize: '0.85rem', marginBottom: 12 }}>
+                              <strong>{t('result.providerErrors', { count: cat.provider_errors.length })}</strong>
+                              <ul style={{ margin: '4px 0 0', paddingLeft: 18 }}>
+                                {cat.provider_errors.map(f => (
+                                  <li key={f.provider}>{f.provider_label}: {f.error}</li>
+                                ))}
+                              </ul>
+                            </div>
+                          )}
+
                           <div className="result-grid">
                             <div>
-                              <strong>🎯 Risk Score</strong>
-                              <div style={{ fontSize: '1.2rem', fontWeight: 'bold' }}>{cat.risk_score || 0}/100</div>
+                              <strong>{t('result.riskScore')}</strong>
+                              <div style={{ fontSize: '1.2rem', fontWeight: 'bold' }}>{formatNumber(cat.risk_score || 0)}/100</div>
                             </div>
                             <div>
-                              <strong>📈 Confidence</strong>
-                              <div style={{ fontSize: '1.2rem', fontWeight: 'bold' }}>{cat.confidence || 'N/A'}</div>
+                              <strong>{t('result.confidence')}</strong>
+                              <div style={{ fontSize: '1.2rem', fontWeight: 'bold' }}>
+                                {typeof cat.confidence === 'number' ? formatNumber(cat.confidence) : (cat.confidence || t('result.notAvailable'))}
+                              </div>
                             </div>
                             <div>
-                              <strong>🔍 Detections</strong>
+                              <strong>{t('result.detections')}</strong>
                               <div style={{ fontSize: '1.2rem', fontWeight: 'bold' }}>
-                                {cat.malicious_count || 0} / {cat.total_engines || 0}
+                                {formatNumber(cat.malicious_count || 0)} / {formatNumber(cat.total_engines || 0)}
                               </div>
                             </div>
                             <div>
-                              <strong>📋 Results</strong>
+                              <strong>{t('result.results')}</strong>
                               <div style={{ fontSize: '1.2rem', fontWeight: 'bold' }}>
-                                {cat.count || cat.results?.length || 0}
+                                {formatNumber(cat.count || cat.results?.length || 0)}
                               </div>
                             </div>
-                            {vtParsed && (
+                            {reputation && (
                               <div>
-                                <strong>🛡️ VirusTotal</strong>
-                                <div style={{ fontSize: 13, color: '#334155' }}>
-                                  <div>Verdict: {vtParsed.verdict} {isVTMalicious(vtRaw) ? '⚠️' : '✅'}</div>
-                                  <div>Score: {vtParsed.risk_score} • {vtParsed.malicious_count}/{vtParsed.total_engines}</div>
+                                <strong>{t('result.reputation')}</strong>
+                                <div style={{ fontSize: '1.2rem', fontWeight: 'bold' }}>
+                                  {t('result.reputationFlags', { flagged: formatNumber(reputation.flagged), total: formatNumber(reputation.total) })}
                                 </div>
                               </div>
                             )}
                           </div>
 
-                          {/* Detections List */}
+                          {/* Detections, grouped by threat type */}
                           {Array.isArray(cat.detections) && cat.detections.length > 0 && (
                             <div style={{ marginTop: 16, padding: 16, background: '#fff1f2', borderRadius: 12 }}>
-                              <h3 style={{ color: '#991b1b', marginBottom: 10 }}>⚠️ Threats Detected</h3>
-                              <ul style={{ listStyle: 'none', padding: 0 }}>
-                                {cat.detections.map((d, i) => (
-                                  <li key={i} style={{ padding: '8px 0', borderBottom: '1px solid #fecaca' }}>
-                                    <strong>{d.engine}</strong> → {d.result} 
-                                    <span style={{ color: '#dc2626', marginLeft: 8 }}>({d.threat_type})</span>
-                                  </li>
-                                ))}
-                              </ul>
+                              <h3 style={{ color: '#991b1b', marginBottom: 10 }}>{t('result.threats')}</h3>
+                              {groupDetectionsByThreatType(cat.detections).map(group => (
+                                <div key={group.threat_type} className="detection-group">
+                                  <h4 style={{ color: '#dc2626' }}>{group.threat_type} ({formatNumber(group.detections.length)})</h4>
+                                  <ul style={{ listStyle: 'none', padding: 0 }}>
+                                    {group.detections.map((d, i) => (
+                                      <li key={i} style={{ padding: '8px 0', borderBottom: '1px solid #fecaca' }}>
+                                        <strong>{d.engine}</strong> → {d.result}
+                                      </li>
+                                    ))}
+                                  </ul>
+                                </div>
+                              ))}
+                            </div>
+                          )}
+
+                          <ReputationPanel summary={reputation} />
+
+                          {vtParsed && <VTBreakdown vt={vtParsed} />}
+
+                          {cat.policy_result && (
+                            <div style={{ marginTop: 12, fontSize: '0.875rem' }}>
+                              <strong>{t('result.policy')}</strong> {cat.policy_result.name}
+                              {cat.policy_result.matched.length > 0 && (
+                                <ul style={{ margin: '6px 0 0 18px' }}>
+                                  {cat.policy_result.matched.map(rule => (
+                                    <li key={rule.id}>
+                                      {rule.description || rule.id} ({rule.weight > 0 ? '+' : ''}{rule.weight})
+                                    </li>
+                                  ))}
+                                </ul>
+                              )}
                             </div>
                           )}
+
+                          {cat.remote_skipped && (
+                            <div className="remote-skipped">
+                              {t('result.remoteSkipped')}
+                            </div>
+                          )}
+
+                          <SignalsPanel signals={cat.signals} />
                         </div>
 
+                        {/* Payload no layout matched: show it as-is */}
+                        {cat.unrecognized && (
+                          <div className="unrecognized-payload">
+                            <div style={{ marginBottom: 8, color: '#92400e' }}>
+                              {t('result.unrecognized', { provider: cat.provider_label || t('result.theProvider') })}
+                            </div>
+                            <KeyValueViewer data={cat._raw} />
+                          </div>
+                        )}
+
                         {/* Expanded Details */}
                         {isExpanded && Array.isArray(cat.results) && cat.results.length > 0 && (
                           <>
@@ -331,141 +742,17 @@ function UrlScanner() {
                                           🔗 {r.input_url}
                                         </a>
                                       </h3>
+                                      {r.input_url && <CopyDefangedButton url={r.input_url} compact />}
                                     </div>
+                                    {r.final_url && r.input_url && r.final_url !== r.input_url && (
+                                      <div style={{ fontSize: '0.875rem', color: '#334155', wordBreak: 'break-all' }}>
+                                        {t('result.landsOn')} <span style={{ fontFamily: 'monospace' }}>{r.final_url}</span>
+                                        <CopyDefangedButton url={r.final_url} compact />
+                                      </div>
+                                    )}
                                   </div>
 
-                                  {/* Domain Information */}
-                                  <CollapsibleSection title="Domain Information" icon="🌐">
-                                    <div className="result-grid" style={{ marginTop: 0, marginBottom: 16 }}>
-                                      <div>
-                                        <strong>Domain</strong>
-                                        <div style={{ fontFamily: 'monospace', fontSize: '0.9rem' }}>{r.domain || 'N/A'}</div>
-                                      </div>
-                                      <div>
-                                        <strong>IP Address</strong>
-                                        <div style={{ fontFamily: 'monospace', fontSize: '0.9rem' }}>{r.ip || 'N/A'}</div>
-                                      </div>
-                                      <div>
-                                        <strong>Favicon</strong>
-                                        <div style={{ fontSize: '0.9rem', color: '#334155' }}>
-                                          {r.favicon_src ? (
-                                            <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
-                                              <img src={r.favicon_src} alt="favicon" style={{ height: 36, width: 36, borderRadius: 6, objectFit: 'contain', border: '1px solid #e5e7eb' }} />
-                                              <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-start' }}>
-                                                <small style={{ color: '#64748b' }}>{r.favicon_url ? 'Remote' : 'Embedded'}</small>
-                                                <a href={r.favicon_src} target="_blank" rel="noreferrer" style={{ fontSize: 12, color: '#667eea' }}>
-                                                  Open
-                                                </a>
-                                                {r.favicon_src && r.favicon_src.startsWith('data:') && (
-                                                  <a href={r.favicon_src} download={`favicon-${r.domain || 'site'}.png`} style={{ fontSize: 12, color: '#10b981', marginTop: 4 }}>
-                                                    Download
-                                                  </a>
-                                                )}
-                                              </div>
-                                            </div>
-                                          ) : (
-                                            '—'
-                                          )}
-                                        </div>
-                                      </div>
-                                    </div>
-                                  </CollapsibleSection>
-
-                                  {/* WHOIS Info */}
-                                  {r.whois && (() => {
-                                    const w = parseWhoisData(r.whois);
-                                    if (!w) return null;
-                                    return (
-                                      <CollapsibleSection title="WHOIS Information" icon="📋">
-                                        <div style={{ 
-                                          fontSize: '0.875rem',
-                                          background: '#f8fafc',
-                                          padding: 12,
-                                          borderRadius: 8,
-                                          display: 'flex',
-                                          flexWrap: 'wrap',
-                                          gap: 20,
-                                          marginBottom: 16
-                                        }}>
-                                          <div style={{ flex: 1, minWidth: '200px' }}>
-                                            {w.domain && <div style={{ marginBottom: 6 }}><strong>Domain:</strong> {w.domain}</div>}
-                                            {w.registrar && <div style={{ marginBottom: 6 }}><strong>Registrar:</strong> {w.registrar}</div>}
-                                            {w.registrant?.organization && <div style={{ marginBottom: 6 }}><strong>Organization:</strong> {w.registrant.organization}</div>}
-                                            {w.registrant?.country && <div><strong>Country:</strong> {w.registrant.country}</div>}
-                                          </div>
-                                          <div style={{ flex: 1, minWidth: '200px' }}>
-                                            {w.dates.created && <div style={{ marginBottom: 6 }}><strong>Created:</strong> {w.dates.created}</div>}
-                                            {w.dates.updated && <div style={{ marginBottom: 6 }}><strong>Updated:</strong> {w.dates.updated}</div>}
-                                            {w.dates.expires && <div><strong>Expires:</strong> {w.dates.expires}</div>}
-                                          </div>
-                                        </div>
-                                      </CollapsibleSection>
-                                    );
-                                  })()}
-
-                                  {/* DNS Info */}
-                                  {r.dns && (
-                                    <CollapsibleSection title="DNS Records" icon="🖥️">
-                                      <div style={{ 
-                                        fontSize: '0.875rem',
-                                        background: '#f0fdf4',
-                                        padding: 12,
-                                        borderRadius: 8,
-                                        marginBottom: 16
-                                      }}>
-                                        {r.dns.A && r.dns.A.length > 0 && (
-                                          <div style={{ marginBottom: 6 }}>
-                                            <strong>A Records:</strong> 
-                                            <div style={{ fontFamily: 'monospace', color: '#059669' }}>
-                                              {r.dns.A.join(', ')}
-                                            </div>
-                                          </div>
-                                        )}
-                                        {r.dns.MX && r.dns.MX.length > 0 && (
-                                          <div style={{ marginBottom: 6 }}>
-                                            <strong>MX Records:</strong>
-                                            <div style={{ fontFamily: 'monospace', color: '#059669' }}>
-                                              {r.dns.MX.join(', ')}
-                                            </div>
-                                          </div>
-                                        )}
-                                        {r.dns.NS && r.dns.NS.length > 0 && (
-                                          <div>
-                                            <strong>NS Records:</strong>
-                                            <div style={{ fontFamily: 'monospace', color: '#059669' }}>
-                                              {r.dns.NS.join(', ')}
-                                            </div>
-                                          </div>
-                                        )}
-                                      </div>
-                                    </CollapsibleSection>
-                                  )}
-
-                                  {/* SSL Info */}
-                                  {r.ssl && (
-                                    <CollapsibleSection title="SSL Certificate" icon="🔐">
-                                      <div style={{ 
-                                        fontSize: '0.875rem',
-                                        background: '#faf5ff',
-                                        padding: 12,
-                                        borderRadius: 8,
-                                        marginBottom: 16
-                                      }}>
-                                        {r.ssl.subject?.[0]?.[0]?.[1] && (
-                                          <div><strong>Common Name:</strong> {r.ssl.subject[0][0][1]}</div>
-                                        )}
-                                        {r.ssl.issuer?.[1]?.[0]?.[1] && (
-                                          <div><strong>Issuer:</strong> {r.ssl.issuer[1][0][1]}</div>
-                                        )}
-                                        {r.ssl.notBefore && (
-                                          <div><strong>Valid From:</strong> {r.ssl.notBefore}</div>
-                                        )}
-                                        {r.ssl.notAfter && (
-                                          <div><strong>Valid Until:</strong> {r.ssl.notAfter}</div>
-                                        )}
-                                      </div>
-                                    </CollapsibleSection>
-                                  )}
+                                  <ResultPanels entry={r} scannedUrl={scannedUrl} />
                                 </div>
                               );
                             })}
@@ -477,10 +764,10 @@ function UrlScanner() {
                       <div className="result-sidebar">
                         {mainScreenshotUrl && (
                           <div className="screenshot-card">
-                            <h4 style={{ marginTop: 0, marginBottom: 12, color: '#334155' }}>📸 Website Preview</h4>
+                            <h4 style={{ marginTop: 0, marginBottom: 12, color: '#334155' }}>{t('result.preview')}</h4>
                             <img 
                               src={mainScreenshotUrl} 
-                              alt="Screenshot" 
+                              alt={t('result.screenshotAlt')} 
                               style={{ 
                                 width: '100%', 
                                 borderRadius: 8, 
@@ -501,90 +788,26 @@ function UrlScanner() {
                 );
               })
             ) : (
-              <div className="no-history">No results returned from scan.</div>
+              <div className="no-history">{t('result.none')}</div>
             )}
           </div>
         )}
       </div>
 
-      {/* History Section */}
-      <div className="history-section">
-        <div className="section-divider" />
-        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12 }}>
-          <h3>📜 Scan History</h3>
-          {history.length > 0 && (
-            <button
-              className="scan-button"
-              onClick={handleClearHistory}
-              style={{ padding: '6px 12px', fontSize: '0.875rem', background: '#ef4444' }}
-            >
-              Clear All
-            </button>
-          )}
-        </div>
+      {mode === 'single' && diagnostics && (
+        <CollapsibleSection
+          title={t('result.diagnostics', { count: diagnostics.reduce((n, d) => n + (d.validation?.warnings.length || 0), 0) })}
+          icon="🩺"
+        >
+          <DiagnosticsPanel entries={diagnostics} />
+        </CollapsibleSection>
+      )}
 
-        {history.length === 0 ? (
-          <div className="no-history">No recent scans.</div>
-        ) : (
-          <div style={{ maxHeight: '300px', overflowY: 'auto' }}>
-            {history.map((h, i) => (
-              <div key={i} className="history-row" style={{ 
-                display: 'flex', 
-                gap: 8, 
-                marginBottom: 10,
-                alignItems: 'center'
-              }}>
-                <button
-                  className="scan-button"
-                  onClick={() => {
-                    setUrl(h.url);
-                    setResult(h.result);
-                    setShownScreenshots(() => {
-                      const map = {};
-                      if (Array.isArray(h.result) && h.result.length > 0 && 
-                          Array.isArray(h.result[0].results) && h.result[0].results.length > 0) {
-                        map[`0-0`] = true;
-                      }
-                      return map;
-                    });
-                    setExpandedCategories(() => ({ 0: true }));
-                  }}
-                  style={{ flex: 1, textAlign: 'left' }}
-                >
-                  {h.url}
-                </button>
-                <small style={{ color: '#64748b', whiteSpace: 'nowrap' }} title={new Date(h.when).toString()}>
-                  {new Date(h.when).toLocaleString()}
-                </small>
-                <button
-                  className="scan-button"
-                  onClick={() => handleRemoveHistoryItem(i)}
-                  style={{ 
-                    padding: 0,
-                    width: 20,
-                    height: 20,
-                    minWidth: 20,
-                    maxWidth: 20,
-                    display: 'flex',
-                    alignItems: 'center',
-                    justifyContent: 'center',
-                    fontSize: '12px',
-                    lineHeight: 1,
-                    background: '#ef4444',
-                    color: '#fff',
-                    borderRadius: '50%',
-                    border: 'none',
-                    cursor: 'pointer',
-                    flexShrink: 0  
-                  }}
-                  title="Remove this item"
-                >
-                  ✕
-                </button>
-              </div>
-            ))}
-          </div>
-        )}
+      <WatchlistPanel refreshKey={watchVersion} onRescanNow={rescanWatched} onOpen={openHistoryScan} onChange={refreshWatchlist} />
+
+      {/* History Section */}
+      <div ref={historyRef} tabIndex={-1}>
+        <HistoryPanel refreshKey={historyVersion} onOpen={showResult} />
       </div>
 
       {/* Image Modal */}
@@ -608,7 +831,7 @@ function UrlScanner() {
         >
           <img 
             src={modalImage} 
-            alt="Full size screenshot" 
+            alt={t('result.fullScreenshotAlt')} 
             style={{ maxWidth: '100%', maxHeight: '90vh', borderRadius: 8, boxShadow: '0 4px 20px rgba(0,0,0,0.5)', cursor: 'default' }} 
             onClick={(e) => e.stopPropagation()}
           />
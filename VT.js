@@ -1,6 +1,59 @@
+export const VT_STAT_KEYS = ['malicious', 'suspicious', 'harmless', 'undetected', 'timeout'];
+
+// Engine categories from most to least alarming, for sorting the engine table
+export const VT_CATEGORY_ORDER = ['malicious', 'suspicious', 'harmless', 'undetected', 'timeout', 'type-unsupported', 'failure'];
+
+// VT reports dates as Unix seconds; webhooks may already send ISO strings
+function toIsoDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Per-engine rows from VT's last_analysis_results ({ name: { category, result, method } })
+ * or an array that is already flat
+ */
+function parseEngines(results) {
+  const entries = Array.isArray(results)
+    ? results.map(e => [e?.engine || e?.engine_name, e])
+    : Object.entries(results && typeof results === 'object' ? results : {});
+
+  return entries
+    .filter(([, e]) => e && typeof e === 'object')
+    .map(([name, e]) => ({
+      engine: e.engine_name || e.engine || name || 'unknown',
+      category: typeof e.category === 'string' ? e.category : 'undetected',
+      result: typeof e.result === 'string' ? e.result : null,
+      method: typeof e.method === 'string' ? e.method : null
+    }));
+}
+
+/**
+ * Group detections by threat_type
+ * @param {Array} detections - [{ engine, result, threat_type }]
+ * @returns {Array<{threat_type: string, detections: Array}>} Largest group first
+ */
+export function groupDetectionsByThreatType(detections) {
+  const groups = new Map();
+  (Array.isArray(detections) ? detections : []).forEach(d => {
+    const type = d?.threat_type || 'unspecified';
+    if (!groups.has(type)) groups.set(type, []);
+    groups.get(type).push(d);
+  });
+  return [...groups.entries()]
+    .map(([threat_type, list]) => ({ threat_type, detections: list }))
+    .sort((a, b) => b.detections.length - a.detections.length || a.threat_type.localeCompare(b.threat_type));
+}
+
 export function parseVTResult(vtData) {
-  // Defensive defaults
+  // Defensive defaults; a raw VT API object ({ data: { attributes } }) is read through its attributes
   const safe = vtData && typeof vtData === 'object' ? vtData : {};
+  const attrs = safe.data?.attributes && typeof safe.data.attributes === 'object' ? safe.data.attributes : safe;
+
+  const rawStats = attrs.last_analysis_stats || {};
+  const stats = Object.fromEntries(VT_STAT_KEYS.map(key => [key, Number(rawStats[key]) || 0]));
+  const engines = parseEngines(attrs.last_analysis_results);
 
   const verdict =
     typeof safe.verdict === 'string' ? safe.verdict : 'UNKNOWN';
@@ -13,12 +66,12 @@ export function parseVTResult(vtData) {
   const maliciousCount =
     Number.isFinite(Number(safe.malicious_count))
       ? Number(safe.malicious_count)
-      : 0;
+      : stats.malicious;
 
   const totalEngines =
     Number.isFinite(Number(safe.total_engines))
       ? Number(safe.total_engines)
-      : 0;
+      : Object.values(rawStats).reduce((sum, n) => sum + (Number(n) || 0), 0);
 
   const confidence =
     typeof safe.confidence === 'string'
@@ -31,7 +84,13 @@ export function parseVTResult(vtData) {
 
   const detections = Array.isArray(safe.detections)
     ? safe.detections
-    : [];
+    : engines
+      .filter(e => e.category === 'malicious' || e.category === 'suspicious')
+      .map(e => ({ engine: e.engine, result: e.result || e.category, category: e.category, threat_type: e.result || e.category }));
+
+  // categories is { vendor: category } in the API
+  const categories = Object.entries(attrs.categories && typeof attrs.categories === 'object' ? attrs.categories : {})
+    .map(([vendor, category]) => ({ vendor, category: String(category) }));
 
   return {
     verdict,
@@ -40,6 +99,15 @@ export function parseVTResult(vtData) {
     malicious_count: maliciousCount,
     total_engines: totalEngines,
     detections,
+    detection_groups: groupDetectionsByThreatType(detections),
+    stats,
+    has_stats: Object.keys(rawStats).length > 0,
+    engines,
+    categories,
+    tags: Array.isArray(attrs.tags) ? attrs.tags.map(String) : [],
+    first_submission_date: toIsoDate(attrs.first_submission_date),
+    last_submission_date: toIsoDate(attrs.last_submission_date),
+    last_analysis_date: toIsoDate(attrs.last_analysis_date),
     count: 1
   };
 }
@@ -0,0 +1,168 @@
+import React, { useMemo, useState } from 'react';
+import { VT_STAT_KEYS, VT_CATEGORY_ORDER } from './VT.js';
+import { formatDateTime, t } from './i18n.js';
+
+const COLUMNS = [
+  { key: 'engine', label: 'vt.column.engine' },
+  { key: 'category', label: 'vt.column.category' },
+  { key: 'result', label: 'vt.column.result' },
+  { key: 'method', label: 'vt.column.method' }
+];
+
+function sortValue(row, key) {
+  if (key === 'category') {
+    const rank = VT_CATEGORY_ORDER.indexOf(row.category);
+    return rank === -1 ? VT_CATEGORY_ORDER.length : rank;
+  }
+  return String(row[key] || '').toLowerCase();
+}
+
+function formatDate(iso) {
+  return iso ? formatDateTime(iso) : '—';
+}
+
+/**
+ * Full VirusTotal report: analysis stats, submission dates, categories, tags and a
+ * sortable, filterable per-engine table
+ * @param {object} props
+ * @param {object} props.vt - Output of parseVTResult
+ */
+function VTBreakdown({ vt }) {
+  const [open, setOpen] = useState(false);
+  const [filter, setFilter] = useState('');
+  const [category, setCategory] = useState('');
+  const [sort, setSort] = useState({ key: 'category', dir: 'asc' });
+
+  const toggleSort = (key) => {
+    setSort((s) => ({ key, dir: s.key === key && s.dir === 'asc' ? 'desc' : 'asc' }));
+  };
+
+  const presentCategories = useMemo(() => {
+    const seen = new Set(vt.engines.map(e => e.category));
+    return [...VT_CATEGORY_ORDER.filter(c => seen.has(c)), ...[...seen].filter(c => !VT_CATEGORY_ORDER.includes(c))];
+  }, [vt.engines]);
+
+  const rows = useMemo(() => {
+    const needle = filter.trim().toLowerCase();
+    const dir = sort.dir === 'asc' ? 1 : -1;
+    return vt.engines
+      .filter(e => !category || e.category === category)
+      .filter(e => !needle || [e.engine, e.result, e.method].some(v => v && v.toLowerCase().includes(needle)))
+      .sort((a, b) => {
+        const av = sortValue(a, sort.key);
+        const bv = sortValue(b, sort.key);
+        if (av < bv) return -1 * dir;
+        if (av > bv) return 1 * dir;
+        return a.engine.localeCompare(b.engine);
+      });
+  }, [vt.engines, filter, category, sort]);
+
+  const hasMeta = vt.first_submission_date || vt.last_submission_date || vt.categories.length > 0 || vt.tags.length > 0;
+  if (!vt.has_stats && vt.engines.length === 0 && !hasMeta) return null;
+
+  return (
+    <div className="vt-breakdown">
+      <button type="button" className="collapsible-header" style={{ width: 'auto', padding: '4px' }} onClick={() => setOpen((v) => !v)} aria-expanded={open}>
+        <span style={{ fontWeight: 600, color: '#374151' }}>
+          {vt.engines.length > 0 ? t('vt.titleEngines', { count: vt.engines.length }) : t('vt.title')}
+        </span>
+      </button>
+
+      {vt.has_stats && (
+        <div className="vt-stats">
+          {VT_STAT_KEYS.map(key => (
+            <button
+              key={key}
+              type="button"
+              className={`vt-stat vt-${key}${category === key ? ' active' : ''}`}
+              onClick={() => { setCategory(category === key ? '' : key); setOpen(true); }}
+              title={t('vt.showCategory', { category: key })}
+            >
+              <strong>{vt.stats[key]}</strong> {key}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {open && (
+        <>
+          {hasMeta && (
+            <dl className="vt-meta">
+              <dt>{t('vt.firstSubmitted')}</dt>
+              <dd>{formatDate(vt.first_submission_date)}</dd>
+              <dt>{t('vt.lastSubmitted')}</dt>
+              <dd>{formatDate(vt.last_submission_date)}</dd>
+              {vt.last_analysis_date && (
+                <>
+                  <dt>{t('vt.lastAnalysed')}</dt>
+                  <dd>{formatDate(vt.last_analysis_date)}</dd>
+                </>
+              )}
+              {vt.categories.length > 0 && (
+                <>
+                  <dt>{t('vt.categories')}</dt>
+                  <dd>
+                    {vt.categories.map(c => (
+                      <span key={c.vendor} className="indicator-tag" title={c.vendor}>{c.category}</span>
+                    ))}
+                  </dd>
+                </>
+              )}
+              {vt.tags.length > 0 && (
+                <>
+                  <dt>{t('vt.tags')}</dt>
+                  <dd>{vt.tags.map(tag => <span key={tag} className="indicator-tag">{tag}</span>)}</dd>
+                </>
+              )}
+            </dl>
+          )}
+
+          {vt.engines.length > 0 && (
+            <>
+              <div className="vt-filters">
+                <input
+                  type="search"
+                  placeholder={t('vt.filter')}
+                  value={filter}
+                  onChange={(e) => setFilter(e.target.value)}
+                  aria-label={t('vt.filterLabel')}
+                />
+                <select value={category} onChange={(e) => setCategory(e.target.value)} aria-label={t('vt.categoryLabel')}>
+                  <option value="">{t('vt.allCategories')}</option>
+                  {presentCategories.map(c => <option key={c} value={c}>{c}</option>)}
+                </select>
+                <small>{rows.length} / {vt.engines.length}</small>
+              </div>
+              <div className="batch-table-wrapper">
+                <table className="batch-table">
+                  <thead>
+                    <tr>
+                      {COLUMNS.map(col => (
+                        <th key={col.key} onClick={() => toggleSort(col.key)} aria-sort={sort.key === col.key ? (sort.dir === 'asc' ? 'ascending' : 'descending') : 'none'}>
+                          {t(col.label)}
+                          {sort.key === col.key && (sort.dir === 'asc' ? ' ▲' : ' ▼')}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map(row => (
+                      <tr key={row.engine} className={`vt-row-${row.category}`}>
+                        <td>{row.engine}</td>
+                        <td>{row.category}</td>
+                        <td>{row.result || '—'}</td>
+                        <td>{row.method || '—'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default VTBreakdown;
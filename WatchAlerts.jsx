@@ -0,0 +1,36 @@
+import React from 'react';
+import { formatDateTime, t } from './i18n.js';
+
+/**
+ * In-app alerts raised when a watched URL changed on rescan
+ */
+function WatchAlerts({ alerts, onOpen, onDismiss }) {
+  if (!Array.isArray(alerts) || alerts.length === 0) return null;
+
+  return (
+    <div className="watch-alerts" role="status" aria-live="polite">
+      {alerts.map(alert => (
+        <div key={alert.id} className={`watch-alert ${alert.escalated ? 'escalated' : ''}`}>
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <strong>{alert.escalated ? t('alerts.escalated') : t('alerts.changed')} </strong>
+            <span className="watch-alert-url">{alert.url}</span>
+            <ul>
+              {alert.changes.map(text => <li key={text}>{text}</li>)}
+            </ul>
+            <small style={{ color: '#64748b' }}>{formatDateTime(alert.when)}</small>
+          </div>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+            <button type="button" className="scan-button policy-button" onClick={() => onOpen(alert.scanId)}>
+              {t('alerts.view')}
+            </button>
+            <button type="button" className="scan-button policy-button" onClick={() => onDismiss(alert.id)} style={{ background: '#64748b' }}>
+              {t('alerts.dismiss')}
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default WatchAlerts;
@@ -0,0 +1,63 @@
+import React, { useEffect, useState } from 'react';
+import { getWatchItem, watchUrl, unwatchUrl, intervalLabel, WATCH_INTERVALS, DEFAULT_WATCH_INTERVAL } from './watchlist.js';
+import { summarizeResult } from './verdict.js';
+import { t } from './i18n.js';
+
+/**
+ * Pin the shown URL to the watchlist, or unpin it
+ */
+function WatchButton({ url, result, scanId, refreshKey, onChange }) {
+  const [item, setItem] = useState(null);
+  const [intervalMinutes, setIntervalMinutes] = useState(DEFAULT_WATCH_INTERVAL);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    getWatchItem(url)
+      .then((found) => { if (!cancelled) setItem(found); })
+      .catch((err) => { if (!cancelled) setError(err.message || t('watch.loadFailed')); });
+    return () => { cancelled = true; };
+  }, [url, refreshKey]);
+
+  const handleWatch = async () => {
+    try {
+      setItem(await watchUrl(url, { intervalMinutes, scanId, summary: summarizeResult(result) }));
+      onChange?.();
+    } catch (err) {
+      setError(err.message || t('watch.watchFailed'));
+    }
+  };
+
+  const handleUnwatch = async () => {
+    try {
+      await unwatchUrl(url);
+      setItem(null);
+      onChange?.();
+    } catch (err) {
+      setError(err.message || t('watch.unwatchFailed'));
+    }
+  };
+
+  if (error) return <small style={{ color: '#9f1239' }} title={error}>{t('watch.unavailable')}</small>;
+
+  if (item) {
+    return (
+      <button type="button" className="scan-button watch-button watching" onClick={handleUnwatch} title={t('watch.stop')}>
+        {t('watch.watching', { interval: intervalLabel(item.intervalMinutes).toLowerCase() })}
+      </button>
+    );
+  }
+
+  return (
+    <div className="watch-control">
+      <select value={intervalMinutes} onChange={(e) => setIntervalMinutes(Number(e.target.value))} aria-label={t('watch.interval')}>
+        {WATCH_INTERVALS.map(i => <option key={i.minutes} value={i.minutes}>{intervalLabel(i.minutes)}</option>)}
+      </select>
+      <button type="button" className="scan-button watch-button" onClick={handleWatch}>
+        {t('watch.watch')}
+      </button>
+    </div>
+  );
+}
+
+export default WatchButton;
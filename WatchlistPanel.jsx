@@ -0,0 +1,140 @@
+import React, { useEffect, useState } from 'react';
+import { listWatchlist, updateWatchItem, unwatchUrl, addMinutes, intervalLabel, WATCH_INTERVALS } from './watchlist.js';
+import { desktopPermission, requestDesktopPermission } from './watchNotifications.js';
+import { getVerdictStyle } from './verdictStyle.js';
+import CopyDefangedButton from './CopyDefangedButton.jsx';
+import { formatDateTime, t, verdictLabel } from './i18n.js';
+
+function formatTime(iso) {
+  return iso ? formatDateTime(iso) : '—';
+}
+
+/**
+ * Watched URLs with their schedule, last outcome and controls
+ */
+function WatchlistPanel({ refreshKey, onRescanNow, onOpen, onChange }) {
+  const [items, setItems] = useState([]);
+  const [error, setError] = useState('');
+  const [busyUrl, setBusyUrl] = useState(null);
+  const [permission, setPermission] = useState(desktopPermission);
+
+  useEffect(() => {
+    let cancelled = false;
+    listWatchlist()
+      .then((list) => { if (!cancelled) { setItems(list); setError(''); } })
+      .catch((err) => { if (!cancelled) setError(err.message || t('watch.loadFailed')); });
+    return () => { cancelled = true; };
+  }, [refreshKey]);
+
+  const handleInterval = async (item, minutes) => {
+    try {
+      await updateWatchItem(item.url, { intervalMinutes: minutes, nextScanAt: addMinutes(item.lastScanAt, minutes) });
+      onChange?.();
+    } catch (err) {
+      setError(err.message || t('watchlist.updateFailed'));
+    }
+  };
+
+  const handleRemove = async (item) => {
+    try {
+      await unwatchUrl(item.url);
+      onChange?.();
+    } catch (err) {
+      setError(err.message || t('watch.unwatchFailed'));
+    }
+  };
+
+  const handleRescan = async (item) => {
+    setBusyUrl(item.url);
+    try {
+      await onRescanNow(item);
+    } finally {
+      setBusyUrl(null);
+    }
+  };
+
+  const handleEnableAlerts = async () => {
+    setPermission(await requestDesktopPermission());
+  };
+
+  if (items.length === 0 && !error) return null;
+
+  return (
+    <div className="watchlist-section">
+      <div className="section-divider" />
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12, gap: 8 }}>
+        <h3>{t('watchlist.title')}</h3>
+        {permission === 'default' && (
+          <button type="button" className="scan-button" onClick={handleEnableAlerts} style={{ padding: '6px 12px', fontSize: '0.875rem' }}>
+            {t('watchlist.enableAlerts')}
+          </button>
+        )}
+        {permission === 'denied' && <small style={{ color: '#64748b' }}>{t('watchlist.alertsBlocked')}</small>}
+      </div>
+
+      {error && <div className="error">❌ {error}</div>}
+
+      <table className="watchlist-table">
+        <thead>
+          <tr>
+            <th>{t('watchlist.url')}</th>
+            <th>{t('watchlist.verdict')}</th>
+            <th>{t('watchlist.lastScan')}</th>
+            <th>{t('watchlist.nextScan')}</th>
+            <th>{t('watch.interval')}</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {items.map(item => (
+            <tr key={item.url}>
+              <td className="watchlist-url">
+                {item.lastScanId ? (
+                  <button type="button" className="link-button" onClick={() => onOpen(item.lastScanId)}>{item.url}</button>
+                ) : item.url}
+                <CopyDefangedButton url={item.url} compact />
+                {item.lastError && <div className="watchlist-error" title={item.lastError}>⚠️ {item.lastError}</div>}
+              </td>
+              <td>
+                {item.lastVerdict && (
+                  <span className="verdict-badge" style={getVerdictStyle(item.lastVerdict)}>
+                    {verdictLabel(item.lastVerdict)}{item.lastRiskScore !== null ? ` · ${item.lastRiskScore}` : ''}
+                  </span>
+                )}
+                {item.lastChanges > 0 && <small className="watchlist-changed">{t('watchlist.changed', { count: item.lastChanges })}</small>}
+              </td>
+              <td><small>{formatTime(item.lastScanAt)}</small></td>
+              <td><small>{busyUrl === item.url ? t('form.scanning') : formatTime(item.nextScanAt)}</small></td>
+              <td>
+                <select value={item.intervalMinutes} onChange={(e) => handleInterval(item, Number(e.target.value))} aria-label={t('watch.interval')}>
+                  {WATCH_INTERVALS.map(i => <option key={i.minutes} value={i.minutes}>{intervalLabel(i.minutes)}</option>)}
+                </select>
+              </td>
+              <td style={{ whiteSpace: 'nowrap' }}>
+                <button
+                  type="button"
+                  className="scan-button policy-button"
+                  onClick={() => handleRescan(item)}
+                  disabled={busyUrl !== null}
+                >
+                  {t('watchlist.rescan')}
+                </button>
+                <button
+                  type="button"
+                  className="scan-button policy-button"
+                  onClick={() => handleRemove(item)}
+                  style={{ marginLeft: 6, background: '#ef4444' }}
+                  title={t('watch.stop')}
+                >
+                  ✕
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default WatchlistPanel;
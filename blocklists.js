@@ -0,0 +1,358 @@
+import { openDatabase, requestToPromise, transactionDone, STORES } from './db.js';
+import { refang } from './indicators.js';
+import { baseDomain, hostnameOf } from './urlUtils.js';
+import { severityForWeight } from './heuristics.js';
+import { formatDate, t } from './i18n.js';
+
+/**
+ * Locally imported blocklists, kept in IndexedDB and checked before the remote scan.
+ *
+ * List record: { id, name, format, sourceUrl, fileName, entryCount, importedAt, updatedAt }
+ * Entry record: { listId, key, added?, threat? } where key is "host:<hostname>" or
+ * "url:<host[:port]><path><query>" (no scheme, so http and https entries match alike)
+ */
+
+export const BLOCKLIST_FORMATS = ['auto', 'hosts', 'adblock', 'urlhaus-csv', 'plain'];
+
+/**
+ * Display name of a list format
+ * @param {string} format - One of BLOCKLIST_FORMATS
+ * @returns {string}
+ */
+export function blocklistFormatLabel(format) {
+  return BLOCKLIST_FORMATS.includes(format) ? t(`blocklist.format.${format}`) : format;
+}
+
+export const MATCH_TYPES = {
+  'exact-url': { weight: 90 },
+  'url-prefix': { weight: 80 },
+  'exact-host': { weight: 80 },
+  // The list names a parent domain; subdomains of shared hosts make this less certain
+  'parent-domain': { weight: 60 }
+};
+
+// Names hosts files map to themselves
+const HOSTS_IGNORED = new Set(['localhost', 'localhost.localdomain', 'local', 'broadcasthost', 'ip6-localhost', 'ip6-loopback', '0.0.0.0']);
+const HOSTS_LINE = /^(0\.0\.0\.0|127\.0\.0\.1|::1?|::)\s+\S/;
+const HOST_PATTERN = /^(?:\*\.)?([a-z0-9_-]+(?:\.[a-z0-9_-]+)+)\.?$/i;
+
+function hostKey(host) {
+  const match = HOST_PATTERN.exec(String(host || '').trim());
+  return match ? `host:${match[1].toLowerCase()}` : null;
+}
+
+function urlKey(url) {
+  try {
+    const u = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(url) ? url : `http://${url}`);
+    return `url:${u.host.toLowerCase()}${u.pathname}${u.search}`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Guess the format of a list from its first lines
+ * @param {string} text - List contents
+ * @returns {string} One of BLOCKLIST_FORMATS other than 'auto'
+ */
+export function detectBlocklistFormat(text) {
+  const lines = String(text || '').split(/\r?\n/, 500).map(l => l.trim()).filter(Boolean);
+  if (lines.some(l => /^#\s*id,\s*dateadded,\s*url/i.test(l) || /^"\d+","\d{4}-\d\d-\d\d/.test(l))) return 'urlhaus-csv';
+  if (lines.some(l => /^\[adblock/i.test(l) || /^\|\|[^\s]+/.test(l))) return 'adblock';
+  if (lines.some(l => HOSTS_LINE.test(l))) return 'hosts';
+  return 'plain';
+}
+
+// Split one CSV row, honouring double-quoted cells
+function csvCells(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell);
+  return cells;
+}
+
+const LINE_PARSERS = {
+  hosts(line) {
+    const tokens = line.replace(/#.*$/, '').trim().split(/\s+/);
+    if (tokens.length < 2 || !/^[\d.:a-f]+$/i.test(tokens[0])) return [];
+    return tokens.slice(1).filter(h => !HOSTS_IGNORED.has(h.toLowerCase())).map(h => ({ key: hostKey(h) }));
+  },
+  adblock(line) {
+    // Comments, the header, exceptions and cosmetic filters say nothing about bad hosts
+    if (/^[![]/.test(line) || line.startsWith('@@') || line.includes('##') || line.includes('#@#')) return [];
+    const rule = line.replace(/\$.*$/, '');
+    const anchored = /^\|\|([^/^|*]+)(\/[^^|*]*)?/.exec(rule);
+    if (anchored) {
+      return [{ key: anchored[2] && anchored[2] !== '/' ? urlKey(`${anchored[1]}${anchored[2]}`) : hostKey(anchored[1]) }];
+    }
+    // uBlock also accepts bare domains, one per line
+    return [{ key: hostKey(rule) }];
+  },
+  'urlhaus-csv'(line) {
+    if (line.startsWith('#')) return [];
+    const [, dateadded, url, , , threat] = csvCells(line);
+    if (!url) return [];
+    const added = dateadded ? new Date(`${dateadded.replace(' ', 'T')}Z`) : null;
+    return [{
+      key: urlKey(url),
+      added: added && !Number.isNaN(added.getTime()) ? added.toISOString() : undefined,
+      threat: threat || undefined
+    }];
+  },
+  plain(line) {
+    const value = refang(line.replace(/\s#.*$/, '').trim());
+    if (!value || value.startsWith('#')) return [];
+    return [{ key: /[/:]/.test(value) ? urlKey(value) : hostKey(value) }];
+  }
+};
+
+/**
+ * Parse a blocklist into entries
+ * @param {string} text - List contents
+ * @param {string} [format='auto'] - One of BLOCKLIST_FORMATS
+ * @returns {{format: string, entries: Array<{key: string, added?: string, threat?: string}>}}
+ *   Entries deduplicated by key
+ */
+export function parseBlocklist(text, format = 'auto') {
+  const resolved = format === 'auto' || !LINE_PARSERS[format] ? detectBlocklistFormat(text) : format;
+  const parseLine = LINE_PARSERS[resolved];
+  const entries = new Map();
+
+  String(text || '').split(/\r?\n/).forEach(raw => {
+    const line = raw.trim();
+    if (!line) return;
+    parseLine(line).forEach(entry => {
+      if (entry.key && !entries.has(entry.key)) entries.set(entry.key, entry);
+    });
+  });
+
+  return { format: resolved, entries: [...entries.values()] };
+}
+
+/**
+ * Download a list for import or refresh
+ * @param {string} url - List URL; the server must allow cross-origin requests
+ * @returns {Promise<string>}
+ */
+export async function fetchBlocklistText(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Could not download ${url}: HTTP ${response.status}`);
+  return response.text();
+}
+
+async function deleteEntries(tx, listId) {
+  const index = tx.objectStore(STORES.BLOCKLIST_ENTRIES).index('listId');
+  const keys = await requestToPromise(index.getAllKeys(listId));
+  const store = tx.objectStore(STORES.BLOCKLIST_ENTRIES);
+  keys.forEach(key => store.delete(key));
+}
+
+function addEntries(tx, listId, entries) {
+  const store = tx.objectStore(STORES.BLOCKLIST_ENTRIES);
+  entries.forEach(entry => store.add({ ...entry, listId }));
+}
+
+/**
+ * All imported lists, by name
+ * @returns {Promise<Array>} List records
+ */
+export async function listBlocklists() {
+  const db = await openDatabase();
+  const tx = db.transaction(STORES.BLOCKLISTS, 'readonly');
+  const lists = await requestToPromise(tx.objectStore(STORES.BLOCKLISTS).getAll());
+  return lists.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Import a list
+ * @param {object} list
+ * @param {string} list.name - Shown in findings
+ * @param {string} list.text - List contents
+ * @param {string} [list.format='auto'] - One of BLOCKLIST_FORMATS
+ * @param {string} [list.sourceUrl] - Where the list was downloaded from, for refreshing
+ * @param {string} [list.fileName] - File the list was read from
+ * @returns {Promise<object>} The stored list record
+ */
+export async function importBlocklist({ name, text, format = 'auto', sourceUrl = null, fileName = null }) {
+  const parsed = parseBlocklist(text, format);
+  if (parsed.entries.length === 0) throw new Error('No domains or URLs found in the list');
+
+  const now = new Date().toISOString();
+  const record = {
+    name: String(name || fileName || sourceUrl || 'Blocklist').trim(),
+    format: parsed.format,
+    sourceUrl,
+    fileName,
+    entryCount: parsed.entries.length,
+    importedAt: now,
+    updatedAt: now
+  };
+
+  const db = await openDatabase();
+  const tx = db.transaction([STORES.BLOCKLISTS, STORES.BLOCKLIST_ENTRIES], 'readwrite');
+  const id = await requestToPromise(tx.objectStore(STORES.BLOCKLISTS).add(record));
+  addEntries(tx, id, parsed.entries);
+  await transactionDone(tx);
+  return { ...record, id };
+}
+
+/**
+ * Replace a list's entries with a new copy: the given text, or a fresh download from its sourceUrl
+ * @param {number} id - List id
+ * @param {string} [text] - New contents, e.g. from a re-selected file
+ * @returns {Promise<object>} The updated list record
+ */
+export async function refreshBlocklist(id, text) {
+  const db = await openDatabase();
+  const existing = await requestToPromise(db.transaction(STORES.BLOCKLISTS, 'readonly').objectStore(STORES.BLOCKLISTS).get(id));
+  if (!existing) throw new Error('Blocklist not found');
+
+  let contents = text;
+  if (contents === undefined) {
+    if (!existing.sourceUrl) throw new Error(`"${existing.name}" was imported from a file; choose the file again to refresh it`);
+    contents = await fetchBlocklistText(existing.sourceUrl);
+  }
+
+  // Keep the format the list was imported with; updates of one list do not change layout
+  const parsed = parseBlocklist(contents, existing.format);
+  if (parsed.entries.length === 0) throw new Error('No domains or URLs found in the list');
+
+  const record = { ...existing, entryCount: parsed.entries.length, updatedAt: new Date().toISOString() };
+  const tx = db.transaction([STORES.BLOCKLISTS, STORES.BLOCKLIST_ENTRIES], 'readwrite');
+  await deleteEntries(tx, id);
+  addEntries(tx, id, parsed.entries);
+  tx.objectStore(STORES.BLOCKLISTS).put(record);
+  await transactionDone(tx);
+  return record;
+}
+
+/**
+ * Delete a list and its entries
+ * @param {number} id - List id
+ * @returns {Promise<void>}
+ */
+export async function removeBlocklist(id) {
+  const db = await openDatabase();
+  const tx = db.transaction([STORES.BLOCKLISTS, STORES.BLOCKLIST_ENTRIES], 'readwrite');
+  await deleteEntries(tx, id);
+  tx.objectStore(STORES.BLOCKLISTS).delete(id);
+  await transactionDone(tx);
+}
+
+/**
+ * Keys a URL can be listed under, each with the match type it stands for:
+ * the host, its parent domains up to the registrable domain, the full URL and its
+ * path prefixes ("/a/b/c" -> "/a/b/", "/a/b", "/a/", "/a", "/")
+ */
+function candidateKeys(url) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    return [];
+  }
+  const hostname = u.hostname.toLowerCase().replace(/\.$/, '');
+  const candidates = [{ key: `host:${hostname}`, type: 'exact-host' }];
+
+  const base = baseDomain(hostname);
+  const labels = hostname.split('.');
+  for (let i = 1; i < labels.length && labels.slice(i).join('.').length >= base.length; i++) {
+    candidates.push({ key: `host:${labels.slice(i).join('.')}`, type: 'parent-domain' });
+  }
+
+  const origin = u.host.toLowerCase();
+  if (u.search) candidates.push({ key: `url:${origin}${u.pathname}${u.search}`, type: 'exact-url' });
+  candidates.push({ key: `url:${origin}${u.pathname}`, type: u.search ? 'url-prefix' : 'exact-url' });
+  let path = u.pathname;
+  while (path.length > 1) {
+    path = path.endsWith('/') ? path.slice(0, -1) : path.slice(0, path.lastIndexOf('/') + 1);
+    candidates.push({ key: `url:${origin}${path}`, type: 'url-prefix' });
+  }
+  return candidates;
+}
+
+/**
+ * Look a URL up in every imported list
+ * @param {string} url - Fully qualified URL
+ * @returns {Promise<Array<{listId: number, listName: string, type: string, value: string, added: string, threat?: string}>>}
+ *   The strongest match per list; added is the entry's date, or when the list was imported
+ */
+export async function checkBlocklists(url) {
+  const candidates = candidateKeys(url);
+  if (candidates.length === 0) return [];
+
+  const db = await openDatabase();
+  const tx = db.transaction([STORES.BLOCKLISTS, STORES.BLOCKLIST_ENTRIES], 'readonly');
+  const index = tx.objectStore(STORES.BLOCKLIST_ENTRIES).index('key');
+  const found = await Promise.all(candidates.map(c => requestToPromise(index.getAll(c.key))));
+  if (found.every(list => list.length === 0)) return [];
+  const lists = await requestToPromise(tx.objectStore(STORES.BLOCKLISTS).getAll());
+
+  const best = new Map();
+  candidates.forEach((candidate, i) => {
+    found[i].forEach(entry => {
+      const current = best.get(entry.listId);
+      if (current && MATCH_TYPES[current.type].weight >= MATCH_TYPES[candidate.type].weight) return;
+      const list = lists.find(l => l.id === entry.listId);
+      if (!list) return;
+      best.set(entry.listId, {
+        listId: list.id,
+        listName: list.name,
+        type: candidate.type,
+        value: candidate.key.replace(/^(host|url):/, ''),
+        added: entry.added || list.importedAt,
+        threat: entry.threat
+      });
+    });
+  });
+  return [...best.values()];
+}
+
+/**
+ * Turn blocklist matches into a signal category for decideVerdict
+ * @param {string} url - Fully qualified URL
+ * @returns {Promise<object>} Signal category with source 'blocklist', score, findings and matches
+ */
+export async function analyzeBlocklists(url) {
+  const signal = { source: 'blocklist', message: 'signal.blocklist', score: 0, findings: [], matches: [] };
+  if (!hostnameOf(url)) return signal;
+
+  signal.matches = await checkBlocklists(url);
+  signal.findings = signal.matches.map(match => {
+    const { weight } = MATCH_TYPES[match.type];
+    const type = { message: `blocklist.match.${match.type}` };
+    return {
+      id: `blocklist-${match.listId}`,
+      message: 'finding.blocklist.listed',
+      params: { list: match.listName, added: formatDate(match.added) },
+      weight,
+      severity: severityForWeight(weight),
+      detail: match.threat
+        ? { message: 'finding.blocklist.detailThreat', params: { type, value: match.value, threat: match.threat } }
+        : { message: 'finding.blocklist.detail', params: { type, value: match.value } }
+    };
+  });
+  signal.score = Math.min(100, signal.findings.reduce((sum, f) => sum + f.weight, 0));
+  return signal;
+}
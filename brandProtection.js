@@ -0,0 +1,312 @@
+import { baseDomain, hostnameOf } from './urlUtils.js';
+import { hostnameToUnicode } from './canonicalize.js';
+import { severityForWeight } from './heuristics.js';
+import { t } from './i18n.js';
+
+/**
+ * Lookalike-domain detection against a list of protected brands. Runs locally like
+ * the lexical heuristics and feeds into decideVerdict as the `brand` signal category.
+ *
+ * A brand is { name, domains, ownedDomains?, faviconHashes? }; its keywords are the
+ * registrable labels of its domains (paypal.com -> "paypal"). ownedDomains are the brand's
+ * own infrastructure (CDNs, login and API hosts) that is never flagged but whose names are
+ * too generic to be keywords (live.com). faviconHashes are Shodan-style favicon hashes
+ * (see fingerprints.js) for the favicon check.
+ */
+
+export const DEFAULT_PROTECTED_BRANDS = [
+  {
+    name: 'Microsoft',
+    domains: ['microsoft.com', 'outlook.com', 'sharepoint.com'],
+    ownedDomains: ['microsoftonline.com', 'live.com', 'office.com', 'office365.com', 'windows.net', 'azure.com', 'msauth.net', 'msftauth.net', 'onmicrosoft.com', 'bing.com']
+  },
+  {
+    name: 'Google',
+    domains: ['google.com', 'gmail.com'],
+    ownedDomains: ['googleapis.com', 'gstatic.com', 'googleusercontent.com', 'googletagmanager.com', 'google-analytics.com', 'googlesyndication.com', 'googleadservices.com', 'googlevideo.com', 'doubleclick.net', 'youtube.com', 'ggpht.com']
+  },
+  { name: 'Apple', domains: ['apple.com', 'icloud.com'], ownedDomains: ['mzstatic.com', 'apple-cloudkit.com', 'cdn-apple.com', 'me.com'] },
+  { name: 'PayPal', domains: ['paypal.com'], ownedDomains: ['paypalobjects.com', 'paypal-community.com', 'braintreegateway.com'] },
+  { name: 'Amazon', domains: ['amazon.com'], ownedDomains: ['amazonaws.com', 'awsstatic.com', 'cloudfront.net', 'media-amazon.com', 'ssl-images-amazon.com', 'amazontrust.com'] },
+  { name: 'DocuSign', domains: ['docusign.com', 'docusign.net'] }
+];
+
+// Keywords shorter than this only count for TLD swaps and homoglyphs; "hp" or "ups" inside
+// another word is noise
+const MIN_KEYWORD_LENGTH = 4;
+// Up to this length a single edit turns one real word into another (gmail/email, apple/ample)
+const MAX_NO_TYPO_LENGTH = 5;
+
+// QWERTY neighbours: a mistyped letter is usually next to the intended one
+const KEYBOARD_ROWS = ['qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+
+export const TECHNIQUES = {
+  homoglyph: { weight: 50 },
+  typosquat: { weight: 45 },
+  combosquat: { weight: 40 },
+  subdomain: { weight: 40 },
+  // Brands often own country domains too, so this alone stays below the suspicious threshold
+  'tld-swap': { weight: 35 },
+  favicon: { weight: 50 }
+};
+
+/**
+ * Display name of a matching technique
+ * @param {string} technique - Key of TECHNIQUES
+ * @returns {string}
+ */
+export function techniqueLabel(technique) {
+  return TECHNIQUES[technique] ? t(`brand.technique.${technique}`) : technique;
+}
+
+// Characters that render like ASCII letters, mapped to the letter they imitate
+const CONFUSABLES = {
+  а: 'a', е: 'e', о: 'o', р: 'p', с: 'c', у: 'y', х: 'x', і: 'i', ј: 'j', ԁ: 'd', ɡ: 'g',
+  ӏ: 'l', һ: 'h', ѕ: 's', ԛ: 'q', ԝ: 'w', ո: 'n', ս: 'u', ν: 'v', ο: 'o', ρ: 'p', α: 'a',
+  ε: 'e', κ: 'k', τ: 't', ι: 'i', ɩ: 'i', ı: 'i', ł: 'l', ø: 'o', đ: 'd', ß: 'b'
+};
+
+// Applied after the single-character map; "i" and "l" are folded together last
+const SKELETON_RULES = [
+  [/rn/g, 'm'], [/vv/g, 'w'], [/0/g, 'o'], [/1/g, 'l'], [/3/g, 'e'], [/4/g, 'a'], [/5/g, 's'],
+  [/7/g, 't'], [/8/g, 'b'], [/\|/g, 'l'], [/i/g, 'l']
+];
+
+/**
+ * Reduce a label to the letters it looks like, so visually identical strings compare equal
+ * @param {string} text - Hostname label, ASCII or Unicode
+ * @returns {string} Skeleton string
+ */
+export function skeleton(text) {
+  const stripped = String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  const mapped = Array.from(stripped, ch => CONFUSABLES[ch] || ch).join('');
+  return SKELETON_RULES.reduce((out, [pattern, replacement]) => out.replace(pattern, replacement), mapped);
+}
+
+/**
+ * Edit distance counting adjacent transpositions as one edit
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function editDistance(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+  for (let j = 0; j < cols; j++) d[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[rows - 1][cols - 1];
+}
+
+// "login.paypal.co.uk" -> { label: 'paypal', suffix: 'co.uk', sub: 'login' }
+function splitHost(hostname) {
+  const base = baseDomain(hostname);
+  const dot = base.indexOf('.');
+  return {
+    label: dot === -1 ? base : base.slice(0, dot),
+    suffix: dot === -1 ? '' : base.slice(dot + 1),
+    sub: hostname === base ? '' : hostname.slice(0, -(base.length + 1))
+  };
+}
+
+// Only whole hyphen/dot-separated words count: "paypal-login" does, "googleapis" does not
+function containsKeyword(text, keyword) {
+  const words = skeleton(text).split(/[-.]+/).filter(Boolean);
+  return words.includes(skeleton(keyword));
+}
+
+function typoThreshold(keyword) {
+  if (keyword.length <= MAX_NO_TYPO_LENGTH) return 0;
+  return keyword.length >= 8 ? 2 : 1;
+}
+
+function keyboardAdjacent(a, b) {
+  const position = (ch) => {
+    const row = KEYBOARD_ROWS.findIndex(r => r.includes(ch));
+    return row === -1 ? null : { row, col: KEYBOARD_ROWS[row].indexOf(ch) };
+  };
+  const pa = position(a);
+  const pb = position(b);
+  return !!pa && !!pb && Math.abs(pa.row - pb.row) <= 1 && Math.abs(pa.col - pb.col) <= 1;
+}
+
+// A single swapped-in letter is a typo only when it sits next to the intended key;
+// otherwise it is usually a different word (paypay vs paypal)
+function plausibleTypo(label, keyword, distance) {
+  if (distance !== 1 || label.length !== keyword.length) return true;
+  const i = Array.from(label).findIndex((ch, idx) => ch !== keyword[idx]);
+  return i === -1 || label.slice(i + 1) !== keyword.slice(i + 1) || keyboardAdjacent(label[i], keyword[i]);
+}
+
+/**
+ * Check a host against one protected domain
+ * @returns {{technique: string, detail: object}|null} detail is a { message, params } reference
+ */
+function matchDomain(host, protectedDomain) {
+  const target = splitHost(protectedDomain);
+  const keyword = target.label;
+
+  if (host.label === keyword && host.suffix !== target.suffix) {
+    return { technique: 'tld-swap', detail: { message: 'brand.match.tldSwap', params: { suffix: host.suffix, expected: target.suffix } } };
+  }
+  if (host.label !== keyword && skeleton(host.unicodeLabel) === skeleton(keyword)) {
+    return { technique: 'homoglyph', detail: { message: 'brand.match.homoglyph', params: { label: host.unicodeLabel, keyword } } };
+  }
+  if (keyword.length < MIN_KEYWORD_LENGTH) return null;
+
+  const label = skeleton(host.unicodeLabel);
+  const distance = editDistance(label, skeleton(keyword));
+  if (distance > 0 && distance <= typoThreshold(keyword) && plausibleTypo(label, skeleton(keyword), distance)) {
+    return { technique: 'typosquat', detail: { message: 'brand.match.typosquat', params: { label: host.label, count: distance, keyword } } };
+  }
+  if (containsKeyword(host.unicodeLabel, keyword)) {
+    return { technique: 'combosquat', detail: { message: 'brand.match.combosquat', params: { keyword, label: host.label } } };
+  }
+  if (host.sub && containsKeyword(hostnameToUnicode(host.sub), keyword)) {
+    return { technique: 'subdomain', detail: { message: 'brand.match.subdomain', params: { keyword, sub: host.sub } } };
+  }
+  return null;
+}
+
+/**
+ * Parse the settings text format: one brand per line, "Name: domain, +owned domain, favicon hash"
+ * (a line with only a domain uses the domain as the name; "+" marks an owned domain that is
+ * not used for lookalike matching; integers are favicon hashes)
+ * @param {string} text - Settings text
+ * @returns {Array<{name: string, domains: Array<string>, ownedDomains?: Array<string>, faviconHashes?: Array<number>}>}
+ */
+export function parseBrandList(text) {
+  return String(text || '').split(/\r?\n/).map(line => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return null;
+    const idx = trimmed.indexOf(':');
+    const tokens = (idx === -1 ? trimmed : trimmed.slice(idx + 1)).split(/[\s,]+/).map(t => t.trim()).filter(Boolean);
+    const faviconHashes = tokens.filter(t => /^-?\d+$/.test(t)).map(Number);
+    const cleanDomain = d => d.toLowerCase().replace(/^\+/, '').replace(/^https?:\/\//, '').replace(/\/.*$/, '').replace(/^www\./, '');
+    const domains = tokens.filter(t => !t.startsWith('+')).map(cleanDomain).filter(d => d.includes('.'));
+    const ownedDomains = tokens.filter(t => t.startsWith('+')).map(cleanDomain).filter(d => d.includes('.'));
+    if (domains.length === 0) return null;
+    const brand = { name: idx === -1 ? domains[0] : trimmed.slice(0, idx).trim() || domains[0], domains };
+    if (ownedDomains.length > 0) brand.ownedDomains = ownedDomains;
+    return faviconHashes.length > 0 ? { ...brand, faviconHashes } : brand;
+  }).filter(Boolean);
+}
+
+/**
+ * Inverse of parseBrandList
+ * @param {Array} brands
+ * @returns {string}
+ */
+export function formatBrandList(brands) {
+  return (brands || []).map(b => `${b.name}: ${[...b.domains, ...(b.ownedDomains || []).map(d => `+${d}`), ...(b.faviconHashes || [])].join(', ')}`).join('\n');
+}
+
+function ownsHost(domains, hostname) {
+  return domains.some(d => hostname === d || hostname.endsWith(`.${d}`));
+}
+
+function ownedBy(brand) {
+  return [...(brand.domains || []), ...(brand.ownedDomains || [])].map(d => String(d).toLowerCase());
+}
+
+/**
+ * Check a URL's host against the protected brands
+ * @param {string} url - Fully qualified URL
+ * @param {Array} [brands] - Protected brands; see DEFAULT_PROTECTED_BRANDS
+ * @returns {object} Signal category with source, message, score (0-100), findings and
+ *   matches: [{ brand, domain, technique, detail }], the strongest per brand; detail is a
+ *   { message, params } reference (see messageText)
+ */
+export function analyzeBrandImpersonation(url, brands = DEFAULT_PROTECTED_BRANDS) {
+  const signal = { source: 'brand', message: 'signal.brand', score: 0, findings: [], matches: [] };
+  const hostname = hostnameOf(url).replace(/\.$/, '');
+  if (!hostname || /^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) || hostname.startsWith('[')) return signal;
+
+  const parts = splitHost(hostname);
+  const host = { ...parts, unicodeLabel: hostnameToUnicode(parts.label) };
+
+  (Array.isArray(brands) ? brands : []).forEach(brand => {
+    const domains = (brand.domains || []).map(d => String(d).toLowerCase());
+    // The brand's own hosts are not impersonating it
+    if (ownsHost(ownedBy(brand), hostname)) return;
+
+    const best = domains
+      .map(domain => ({ domain, match: matchDomain(host, domain) }))
+      .filter(m => m.match)
+      .sort((a, b) => TECHNIQUES[b.match.technique].weight - TECHNIQUES[a.match.technique].weight)[0];
+    if (!best) return;
+
+    const { technique, detail } = best.match;
+    const { weight } = TECHNIQUES[technique];
+    signal.matches.push({ brand: brand.name, domain: best.domain, technique, detail });
+    signal.findings.push({
+      id: `brand-${technique}-${brand.name.toLowerCase().replace(/\W+/g, '-')}`,
+      message: 'finding.brand.impersonation',
+      params: { brand: brand.name },
+      weight,
+      severity: severityForWeight(weight),
+      detail: { message: 'finding.brand.detail', params: { technique: { message: `brand.technique.${technique}` }, match: detail } }
+    });
+  });
+
+  signal.score = Math.min(100, signal.findings.reduce((sum, f) => sum + f.weight, 0));
+  return signal;
+}
+
+/**
+ * Flag a page that shows a protected brand's favicon on a domain the brand does not own.
+ * The brand's favicon is known either from its configured faviconHashes or from an
+ * earlier scan of one of its domains with the same hash.
+ * @param {string} url - Fully qualified URL
+ * @param {number|null} hash - Favicon hash of the scanned page
+ * @param {Array} [brands] - Protected brands; see DEFAULT_PROTECTED_BRANDS
+ * @param {Array} [knownScans] - History items with the same favicon hash
+ * @returns {object} Signal category with source 'favicon', shaped like analyzeBrandImpersonation's
+ */
+export function analyzeBrandFavicon(url, hash, brands = DEFAULT_PROTECTED_BRANDS, knownScans = []) {
+  const signal = { source: 'favicon', message: 'signal.favicon', score: 0, findings: [], matches: [] };
+  const hostname = hostnameOf(url).replace(/\.$/, '');
+  if (!hostname || typeof hash !== 'number') return signal;
+
+  const { weight } = TECHNIQUES.favicon;
+  (Array.isArray(brands) ? brands : []).forEach(brand => {
+    const domains = (brand.domains || []).map(d => String(d).toLowerCase());
+    const owned = ownedBy(brand);
+    if (ownsHost(owned, hostname)) return;
+
+    let detail = null;
+    let domain = domains[0];
+    if ((brand.faviconHashes || []).includes(hash)) {
+      detail = { message: 'brand.match.faviconListed', params: { hash, brand: brand.name } };
+    } else {
+      const seen = (knownScans || []).find(item => item?.host && ownsHost(owned, item.host));
+      if (seen) {
+        domain = baseDomain(seen.host);
+        detail = { message: 'brand.match.faviconSeen', params: { host: seen.host } };
+      }
+    }
+    if (!detail) return;
+
+    signal.matches.push({ brand: brand.name, domain, technique: 'favicon', detail });
+    signal.findings.push({
+      id: `favicon-${brand.name.toLowerCase().replace(/\W+/g, '-')}`,
+      message: 'finding.favicon.brand',
+      params: { brand: brand.name },
+      weight,
+      severity: severityForWeight(weight),
+      detail: { message: 'finding.brand.detail', params: { technique: { message: 'brand.technique.favicon' }, match: detail } }
+    });
+  });
+
+  signal.score = Math.min(100, signal.findings.reduce((sum, f) => sum + f.weight, 0));
+  return signal;
+}
@@ -0,0 +1,29 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeBrandImpersonation, parseBrandList, formatBrandList, DEFAULT_PROTECTED_BRANDS } from './brandProtection.js';
+
+const check = (host) => analyzeBrandImpersonation(`https://${host}/`);
+
+test('brand infrastructure and look-alike real words are not flagged', () => {
+  [
+    'fonts.googleapis.com',
+    'lh3.googleusercontent.com',
+    'www.googletagmanager.com',
+    'login.microsoftonline.com',
+    's3.amazonaws.com',
+    'email.com',
+    'ample.com',
+    'paypay.ne.jp'
+  ].forEach(host => assert.equal(check(host).score, 0, host));
+});
+
+test('lookalikes are still flagged', () => {
+  assert.equal(check('paypal-login.com').matches[0]?.technique, 'combosquat');
+  assert.equal(check('paypa1.com').matches[0]?.technique, 'homoglyph');
+  assert.equal(check('paypl.com').matches[0]?.technique, 'typosquat');
+  assert.equal(check('login.paypal.com.evil.io').matches[0]?.technique, 'subdomain');
+});
+
+test('owned domains survive the settings text format', () => {
+  assert.deepEqual(parseBrandList(formatBrandList(DEFAULT_PROTECTED_BRANDS)), DEFAULT_PROTECTED_BRANDS);
+});
@@ -0,0 +1,169 @@
+import React from 'react';
+import { registerResultPanel } from './resultPanels.js';
+import { parseWhoisData } from './whoisUtils.js';
+import { hostnameOf } from './urlUtils.js';
+import { t, formatRelative } from './i18n.js';
+import RedirectChain from './RedirectChain.jsx';
+import CertificatePanel from './CertificatePanel.jsx';
+
+// The panels that ship with the app; see resultPanels.js for the panel shape
+
+registerResultPanel({
+  id: 'redirect-chain',
+  title: (r) => t('result.redirectChain', { count: r.redirect_chain.length - 1 }),
+  icon: '↪️',
+  order: 10,
+  fields: ['redirect_chain', 'redirectChain', 'redirects', 'hops'],
+  when: (r) => Array.isArray(r.redirect_chain) && r.redirect_chain.length > 1,
+  render: (r) => <RedirectChain chain={r.redirect_chain} />
+});
+
+registerResultPanel({
+  id: 'domain',
+  title: () => t('domain.title'),
+  icon: '🌐',
+  order: 20,
+  fields: ['domain', 'ip', 'favicon_src', 'favicon_url', 'favicon_base64'],
+  // Always shown, with N/A for missing values
+  when: () => true,
+  render: (r) => (
+    <div className="result-grid" style={{ marginTop: 0, marginBottom: 16 }}>
+      <div>
+        <strong>{t('domain.domain')}</strong>
+        <div style={{ fontFamily: 'monospace', fontSize: '0.9rem' }}>{r.domain || t('result.notAvailable')}</div>
+      </div>
+      <div>
+        <strong>{t('domain.ip')}</strong>
+        <div style={{ fontFamily: 'monospace', fontSize: '0.9rem' }}>{r.ip || t('result.notAvailable')}</div>
+      </div>
+      <div>
+        <strong>{t('domain.favicon')}</strong>
+        <div style={{ fontSize: '0.9rem', color: '#334155' }}>
+          {r.favicon_src ? (
+            <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+              <img src={r.favicon_src} alt="favicon" style={{ height: 36, width: 36, borderRadius: 6, objectFit: 'contain', border: '1px solid #e5e7eb' }} />
+              <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-start' }}>
+                <small style={{ color: '#64748b' }}>{r.favicon_url ? t('domain.remote') : t('domain.embedded')}</small>
+                <a href={r.favicon_src} target="_blank" rel="noreferrer" style={{ fontSize: 12, color: '#667eea' }}>
+                  {t('domain.open')}
+                </a>
+                {r.favicon_src && r.favicon_src.startsWith('data:') && (
+                  <a href={r.favicon_src} download={`favicon-${r.domain || 'site'}.png`} style={{ fontSize: 12, color: '#10b981', marginTop: 4 }}>
+                    {t('domain.download')}
+                  </a>
+                )}
+              </div>
+            </div>
+          ) : (
+            '—'
+          )}
+        </div>
+      </div>
+    </div>
+  )
+});
+
+registerResultPanel({
+  id: 'whois',
+  title: () => t('whois.title'),
+  icon: '📋',
+  order: 30,
+  fields: ['whois'],
+  when: (r) => !!parseWhoisData(r.whois),
+  render: (r) => {
+    const w = parseWhoisData(r.whois);
+    return (
+      <div style={{ 
+        fontSize: '0.875rem',
+        background: '#f8fafc',
+        padding: 12,
+        borderRadius: 8,
+        display: 'flex',
+        flexWrap: 'wrap',
+        gap: 20,
+        marginBottom: 16
+      }}>
+        <div style={{ flex: 1, minWidth: '200px' }}>
+          {w.domain && <div style={{ marginBottom: 6 }}><strong>{t('whois.domain')}:</strong> {w.domain}</div>}
+          {w.registrar && <div style={{ marginBottom: 6 }}><strong>{t('whois.registrar')}:</strong> {w.registrar}</div>}
+          {w.registrant?.organization && <div style={{ marginBottom: 6 }}><strong>{t('whois.organization')}:</strong> {w.registrant.organization}</div>}
+          {w.registrant?.country && <div><strong>{t('whois.country')}:</strong> {w.registrant.country}</div>}
+        </div>
+        <div style={{ flex: 1, minWidth: '200px' }}>
+          {w.dates.created && (
+            <div style={{ marginBottom: 6 }}>
+              <strong>{t('whois.created')}:</strong> {w.dates.created}
+              {w.dates.ageInDays !== null && (
+                <small className="whois-relative"> ({t('whois.registered', { ago: formatRelative(w.dates.createdRaw) })})</small>
+              )}
+            </div>
+          )}
+          {w.dates.updated && <div style={{ marginBottom: 6 }}><strong>{t('whois.updated')}:</strong> {w.dates.updated}</div>}
+          {w.dates.expires && (
+            <div>
+              <strong>{t('whois.expires')}:</strong> {w.dates.expires}
+              {w.dates.daysToExpiry !== null && (
+                <small className="whois-relative">
+                  {' '}({w.isExpired
+                    ? t('whois.expiredAgo', { ago: formatRelative(w.dates.expiresRaw) })
+                    : t('whois.expiresIn', { when: formatRelative(w.dates.expiresRaw) })})
+                </small>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  }
+});
+
+registerResultPanel({
+  id: 'dns',
+  title: () => t('dns.title'),
+  icon: '🖥️',
+  order: 40,
+  fields: ['dns'],
+  render: (r) => (
+    <div style={{ 
+      fontSize: '0.875rem',
+      background: '#f0fdf4',
+      padding: 12,
+      borderRadius: 8,
+      marginBottom: 16
+    }}>
+      {r.dns.A && r.dns.A.length > 0 && (
+        <div style={{ marginBottom: 6 }}>
+          <strong>{t('dns.a')}:</strong> 
+          <div style={{ fontFamily: 'monospace', color: '#059669' }}>
+            {r.dns.A.join(', ')}
+          </div>
+        </div>
+      )}
+      {r.dns.MX && r.dns.MX.length > 0 && (
+        <div style={{ marginBottom: 6 }}>
+          <strong>{t('dns.mx')}:</strong>
+          <div style={{ fontFamily: 'monospace', color: '#059669' }}>
+            {r.dns.MX.join(', ')}
+          </div>
+        </div>
+      )}
+      {r.dns.NS && r.dns.NS.length > 0 && (
+        <div>
+          <strong>{t('dns.ns')}:</strong>
+          <div style={{ fontFamily: 'monospace', color: '#059669' }}>
+            {r.dns.NS.join(', ')}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+});
+
+registerResultPanel({
+  id: 'ssl',
+  title: () => t('ssl.title'),
+  icon: '🔐',
+  order: 50,
+  fields: ['ssl'],
+  render: (r, { scannedUrl }) => <CertificatePanel ssl={r.ssl} hostname={hostnameOf(r.final_url || scannedUrl)} />
+});
@@ -0,0 +1,219 @@
+import { ensureProtocol, isValidUrl } from './urlUtils.js';
+
+/**
+ * Canonicalize URLs before they are scanned: unwrap mail-gateway and redirect wrappers
+ * (recursively), normalize the host and drop tracking parameters, so the scan targets
+ * the real destination rather than the wrapper.
+ */
+
+const MAX_UNWRAP_DEPTH = 5;
+
+// Parameters that only identify a campaign or click and never change the page
+const TRACKING_PARAMS = [
+  /^utm_/i, /^fbclid$/i, /^gclid$/i, /^gclsrc$/i, /^dclid$/i, /^gbraid$/i, /^wbraid$/i, /^msclkid$/i,
+  /^mc_cid$/i, /^mc_eid$/i, /^_hsenc$/i, /^_hsmi$/i, /^igshid$/i, /^yclid$/i, /^twclid$/i,
+  /^ttclid$/i, /^li_fat_id$/i, /^mkt_tok$/i, /^oly_(anon|enc)_id$/i, /^vero_(conv|id)$/i, /^_ga$/i
+];
+
+function param(url, ...names) {
+  for (const name of names) {
+    const value = url.searchParams.get(name);
+    if (value) return value;
+  }
+  return null;
+}
+
+function base64UrlToText(value) {
+  const padded = value.replace(/-/g, '+').replace(/_/g, '/') + '==='.slice((value.length + 3) % 4);
+  const binary = atob(padded);
+  const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
+// Proofpoint v3 replaces some characters with "*" and stores them, base64url encoded,
+// after "__;". "**X" stands for a run of characters whose length X encodes (A = 2, B = 3, ...).
+const PROOFPOINT_RUN_VALUES = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+function decodeProofpointV3(href) {
+  const match = href.match(/\/v3\/__(.+?)__;(.*?)!/);
+  if (!match) return null;
+
+  const encoded = decodeURIComponent(match[1]);
+  const replaced = Array.from(base64UrlToText(match[2]));
+  let marker = 0;
+
+  return encoded.replace(/\*(\*.)?/g, (token, run) => {
+    const length = run ? PROOFPOINT_RUN_VALUES.indexOf(run[1]) + 2 : 1;
+    const text = replaced.slice(marker, marker + length).join('');
+    marker += length;
+    return text;
+  });
+}
+
+/**
+ * Known wrappers: test(url) says whether a URL is one, unwrap(url, href) returns the
+ * wrapped target or null when it cannot be decoded locally
+ */
+const WRAPPERS = [
+  {
+    id: 'safelinks',
+    label: 'Microsoft SafeLinks',
+    test: url => /(^|\.)safelinks\.protection\.outlook\.com$/.test(url.hostname),
+    unwrap: url => param(url, 'url')
+  },
+  {
+    id: 'proofpoint',
+    label: 'Proofpoint URL Defense',
+    test: url => /(^|\.)urldefense(\.proofpoint)?\.com$/.test(url.hostname),
+    unwrap(url, href) {
+      if (url.pathname.startsWith('/v3/')) return decodeProofpointV3(href);
+      const u = param(url, 'u');
+      if (!u) return null;
+      // v2 escapes "%" as "-" and "/" as "_"; v1 is plain percent-encoding
+      return url.pathname.startsWith('/v2/') ? decodeURIComponent(u.replace(/-/g, '%').replace(/_/g, '/')) : u;
+    }
+  },
+  {
+    id: 'mimecast',
+    label: 'Mimecast URL Protect',
+    test: url => /(^|\.)mimecast\.com$/.test(url.hostname) && (url.pathname.startsWith('/s/') || url.searchParams.has('url')),
+    // Newer links only carry an opaque id; the target is only known to Mimecast
+    unwrap: url => param(url, 'url')
+  },
+  {
+    id: 'google',
+    label: 'Google redirect',
+    test: url => /(^|\.)google\.[a-z]{2,3}(\.[a-z]{2})?$/.test(url.hostname) && url.pathname === '/url',
+    unwrap: url => param(url, 'q', 'url')
+  }
+];
+
+// RFC 3492 punycode decoding, for showing internationalized hosts as they are written
+const PUNY = { base: 36, tMin: 1, tMax: 26, skew: 38, damp: 700, initialBias: 72, initialN: 128 };
+
+function adaptBias(delta, numPoints, firstTime) {
+  let d = firstTime ? Math.floor(delta / PUNY.damp) : delta >> 1;
+  d += Math.floor(d / numPoints);
+  let k = 0;
+  while (d > ((PUNY.base - PUNY.tMin) * PUNY.tMax) >> 1) {
+    d = Math.floor(d / (PUNY.base - PUNY.tMin));
+    k += PUNY.base;
+  }
+  return k + Math.floor(((PUNY.base - PUNY.tMin + 1) * d) / (d + PUNY.skew));
+}
+
+function punycodeDecode(input) {
+  const output = [];
+  const basicEnd = input.lastIndexOf('-');
+  for (let j = 0; j < Math.max(basicEnd, 0); j++) output.push(input.charCodeAt(j));
+
+  let n = PUNY.initialN;
+  let bias = PUNY.initialBias;
+  let i = 0;
+  for (let index = basicEnd > 0 ? basicEnd + 1 : 0; index < input.length;) {
+    const oldI = i;
+    for (let w = 1, k = PUNY.base; ; k += PUNY.base) {
+      if (index >= input.length) throw new Error('Invalid punycode');
+      const code = input.charCodeAt(index++);
+      const digit = code - 48 < 10 ? code - 22 : code - 65 < 26 ? code - 65 : code - 97 < 26 ? code - 97 : PUNY.base;
+      if (digit >= PUNY.base) throw new Error('Invalid punycode');
+      i += digit * w;
+      const t = k <= bias ? PUNY.tMin : k >= bias + PUNY.tMax ? PUNY.tMax : k - bias;
+      if (digit < t) break;
+      w *= PUNY.base - t;
+    }
+    bias = adaptBias(i - oldI, output.length + 1, oldI === 0);
+    n += Math.floor(i / (output.length + 1));
+    i %= output.length + 1;
+    output.splice(i++, 0, n);
+  }
+  return String.fromCodePoint(...output);
+}
+
+/**
+ * Convert a punycode (xn--) hostname to Unicode for display
+ * @param {string} hostname - ASCII hostname as produced by URL parsing
+ * @returns {string} Unicode hostname; labels that fail to decode are left as they are
+ */
+export function hostnameToUnicode(hostname) {
+  if (!hostname) return '';
+  return hostname.split('.').map(label => {
+    if (!/^xn--/i.test(label)) return label;
+    try {
+      return punycodeDecode(label.slice(4).toLowerCase());
+    } catch {
+      return label;
+    }
+  }).join('.');
+}
+
+/**
+ * Strip one layer of wrapping
+ * @param {string} href - Absolute URL
+ * @returns {{wrapper: object, target: string|null}|null} Matching wrapper and its target
+ *   (null target: recognised but opaque), or null if the URL is not wrapped
+ */
+function unwrapOnce(href) {
+  const url = new URL(href);
+  const wrapper = WRAPPERS.find(w => w.test(url));
+  if (!wrapper) return null;
+
+  let target = null;
+  try {
+    target = wrapper.unwrap(url, href);
+  } catch (error) {
+    console.warn(`Failed to decode ${wrapper.label} link:`, error);
+  }
+  target = target ? ensureProtocol(target.trim()) : null;
+  return { wrapper, target: target && isValidUrl(target) ? target : null };
+}
+
+/**
+ * Canonicalize a URL for scanning
+ * @param {string} input - URL as entered or pasted; a missing scheme defaults to http
+ * @returns {object|null} null when the input is not an http(s) URL, otherwise
+ *   { original, url, display, layers: [{ wrapper, label, url }], opaque, removedParams, idn, changed }
+ *   `url` is what to scan (ASCII host), `display` the same URL with a Unicode host,
+ *   `layers` the wrappers removed from the outside in, `opaque` the label of a wrapper whose
+ *   target cannot be decoded locally
+ */
+export function canonicalizeUrl(input) {
+  const original = typeof input === 'string' ? input.trim() : '';
+  let href = ensureProtocol(original);
+  if (!href || !isValidUrl(href)) return null;
+
+  const layers = [];
+  let opaque = null;
+  for (let depth = 0; depth < MAX_UNWRAP_DEPTH; depth++) {
+    const step = unwrapOnce(href);
+    if (!step) break;
+    if (!step.target) {
+      opaque = step.wrapper.label;
+      break;
+    }
+    layers.push({ wrapper: step.wrapper.id, label: step.wrapper.label, url: step.target });
+    href = step.target;
+  }
+
+  // URL parsing lowercases the host and converts IDN to punycode
+  const url = new URL(href);
+  url.hostname = url.hostname.replace(/\.$/, '');
+
+  const removedParams = [...new Set([...url.searchParams.keys()].filter(key => TRACKING_PARAMS.some(p => p.test(key))))];
+  removedParams.forEach(key => url.searchParams.delete(key));
+
+  const canonical = url.href;
+  const unicodeHost = hostnameToUnicode(url.hostname);
+  const display = unicodeHost === url.hostname ? canonical : canonical.replace(url.hostname, unicodeHost);
+
+  return {
+    original,
+    url: canonical,
+    display,
+    layers,
+    opaque,
+    removedParams,
+    idn: unicodeHost !== url.hostname,
+    changed: canonical !== new URL(ensureProtocol(original)).href
+  };
+}
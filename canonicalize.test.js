@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { canonicalizeUrl, hostnameToUnicode } from './canonicalize.js';
+import { ensureProtocol, isValidUrl } from './urlUtils.js';
+
+const target = (input) => canonicalizeUrl(input)?.url;
+
+test('unwraps Microsoft SafeLinks', () => {
+  const result = canonicalizeUrl('https://nam02.safelinks.protection.outlook.com/?url=https%3A%2F%2Fevil.example%2Flogin%3Fid%3D7&data=05%7C01&reserved=0');
+  assert.equal(result.url, 'https://evil.example/login?id=7');
+  assert.deepEqual(result.layers, [{ wrapper: 'safelinks', label: 'Microsoft SafeLinks', url: 'https://evil.example/login?id=7' }]);
+  assert.equal(result.changed, true);
+});
+
+test('unwraps Proofpoint URL Defense v1, v2 and v3', () => {
+  assert.equal(target('https://urldefense.proofpoint.com/v1/url?u=https://evil.example/a&k=abc'), 'https://evil.example/a');
+  assert.equal(
+    target('https://urldefense.proofpoint.com/v2/url?u=https-3A__evil.example_login-3Fid-3D5&d=DwMF&c=abc'),
+    'https://evil.example/login?id=5'
+  );
+  // "*" stands for a character stored base64url-encoded after "__;" ("Pw" is "?")
+  assert.equal(target('https://urldefense.com/v3/__https://evil.example/a*b=1__;Pw!!ABC!xyz$'), 'https://evil.example/a?b=1');
+});
+
+test('unwraps Mimecast links that carry the target and flags opaque ones', () => {
+  assert.equal(target('https://protect-eu.mimecast.com/s/abc?url=https://evil.example/x'), 'https://evil.example/x');
+
+  const opaque = canonicalizeUrl('https://protect-us.mimecast.com/s/AbCdEfGh?domain=evil.example');
+  assert.equal(opaque.opaque, 'Mimecast URL Protect');
+  assert.equal(opaque.url, 'https://protect-us.mimecast.com/s/AbCdEfGh?domain=evil.example');
+  assert.deepEqual(opaque.layers, []);
+});
+
+test('unwraps Google redirects, including nested wrappers', () => {
+  assert.equal(target('https://www.google.com/url?q=https://evil.example/&sa=D'), 'https://evil.example/');
+  assert.equal(target('https://www.google.co.uk/url?url=https://evil.example/uk'), 'https://evil.example/uk');
+
+  const google = encodeURIComponent('https://www.google.com/url?q=https://evil.example/deep');
+  const nested = canonicalizeUrl(`https://eur01.safelinks.protection.outlook.com/?url=${google}&data=x`);
+  assert.deepEqual(nested.layers.map(l => l.wrapper), ['safelinks', 'google']);
+  assert.equal(nested.url, 'https://evil.example/deep');
+});
+
+test('drops tracking parameters and a trailing dot', () => {
+  const result = canonicalizeUrl('https://Shop.Example.com./item?id=3&utm_source=mail&fbclid=abc');
+  assert.equal(result.url, 'https://shop.example.com/item?id=3');
+  assert.deepEqual(result.removedParams, ['utm_source', 'fbclid']);
+});
+
+test('keeps punycode for scanning and shows Unicode hosts', () => {
+  assert.equal(hostnameToUnicode('xn--bcher-kva.example'), 'bücher.example');
+  assert.equal(hostnameToUnicode('www.xn--mnchen-3ya.de'), 'www.münchen.de');
+
+  const result = canonicalizeUrl('https://bücher.example/');
+  assert.equal(result.url, 'https://xn--bcher-kva.example/');
+  assert.equal(result.display, 'https://bücher.example/');
+  assert.equal(result.idn, true);
+});
+
+test('a bare domain is valid once normalized', () => {
+  // The form validates the URL after adding the scheme, so "example.com" must not be rejected
+  assert.equal(isValidUrl('example.com'), false);
+  assert.equal(isValidUrl(ensureProtocol('example.com')), true);
+
+  const result = canonicalizeUrl('example.com');
+  assert.equal(result.url, 'http://example.com/');
+  assert.equal(result.changed, false);
+  assert.equal(canonicalizeUrl(''), null);
+});
@@ -0,0 +1,459 @@
+import { severityForWeight } from './heuristics.js';
+
+/**
+ * Utility functions for reading TLS certificate data returned by the scan.
+ * Accepts Python getpeercert() tuples, flat objects (e.g. Node's getPeerCertificate())
+ * and PEM text, and produces one normalized shape.
+ */
+
+const ATTRIBUTE_NAMES = {
+  commonname: 'CN',
+  countryname: 'C',
+  organizationname: 'O',
+  organizationalunitname: 'OU',
+  localityname: 'L',
+  stateorprovincename: 'ST',
+  emailaddress: 'E',
+  serialnumber: 'SERIALNUMBER',
+  businesscategory: 'BUSINESSCATEGORY',
+  jurisdictioncountryname: 'JURISDICTIONC'
+};
+
+const NAME_OIDS = {
+  '2.5.4.3': 'CN',
+  '2.5.4.5': 'SERIALNUMBER',
+  '2.5.4.6': 'C',
+  '2.5.4.7': 'L',
+  '2.5.4.8': 'ST',
+  '2.5.4.10': 'O',
+  '2.5.4.11': 'OU',
+  '2.5.4.15': 'BUSINESSCATEGORY',
+  '1.2.840.113549.1.9.1': 'E',
+  '1.3.6.1.4.1.311.60.2.1.3': 'JURISDICTIONC'
+};
+
+const KEY_OIDS = {
+  '1.2.840.113549.1.1.1': 'RSA',
+  '1.2.840.10045.2.1': 'EC',
+  '1.3.101.112': 'Ed25519',
+  '1.3.101.113': 'Ed448',
+  '1.2.840.10040.4.1': 'DSA'
+};
+
+const CURVE_BITS = {
+  '1.2.840.10045.3.1.7': 256,
+  '1.3.132.0.34': 384,
+  '1.3.132.0.35': 521
+};
+
+const SAN_OID = '2.5.29.17';
+
+const FREE_CA_PATTERN = /let'?s encrypt|zerossl|buypass|google trust services|ssl\.com free|cloudflare/i;
+const FREE_CA_MAX_LIFETIME_DAYS = 90;
+const FRESH_CERT_DAYS = 14;
+const EXPIRY_WARNING_DAYS = 7;
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+function attributeKey(name) {
+  const key = String(name).trim();
+  return ATTRIBUTE_NAMES[key.toLowerCase()] || key.toUpperCase();
+}
+
+/**
+ * Flatten a certificate name in any nesting (getpeercert() tuples, [key, value] lists,
+ * objects or "K=V, K=V" strings) into a list of [key, value] pairs
+ * @param {any} name - Subject or issuer value
+ * @returns {Array<Array<string>>} Attribute pairs with short keys (CN, O, C, ...)
+ */
+export function parseDistinguishedName(name) {
+  if (!name) return [];
+
+  if (typeof name === 'string') {
+    return name
+      .split(/,(?=\s*[A-Za-z.\d]+\s*=)|\n|\//)
+      .map(part => part.trim())
+      .filter(part => part.includes('='))
+      .map(part => {
+        const idx = part.indexOf('=');
+        return [attributeKey(part.slice(0, idx)), part.slice(idx + 1).trim()];
+      });
+  }
+
+  if (Array.isArray(name)) {
+    if (name.length === 2 && typeof name[0] === 'string' && typeof name[1] === 'string') {
+      return [[attributeKey(name[0]), name[1]]];
+    }
+    return name.flatMap(parseDistinguishedName);
+  }
+
+  if (typeof name === 'object') {
+    return Object.entries(name).flatMap(([k, v]) => (Array.isArray(v) ? v : [v]).map(item => [attributeKey(k), String(item)]));
+  }
+
+  return [];
+}
+
+/**
+ * Flatten a certificate name in any nesting into "K=V, K=V"
+ * @param {any} name - Subject or issuer value, or attribute pairs from parseDistinguishedName
+ * @returns {string} Flattened distinguished name
+ */
+export function formatDistinguishedName(name) {
+  return parseDistinguishedName(name).map(([k, v]) => `${k}=${v}`).join(', ');
+}
+
+function getAttribute(pairs, key) {
+  const match = pairs.find(([k]) => k === key);
+  return match ? match[1] : null;
+}
+
+const MONTHS = { Jan: 0, Feb: 1, Mar: 2, Apr: 3, May: 4, Jun: 5, Jul: 6, Aug: 7, Sep: 8, Oct: 9, Nov: 10, Dec: 11 };
+
+/**
+ * Parse certificate dates, including OpenSSL's "Jan  1 00:00:00 2024 GMT" format
+ * @param {string|number|Date} value - Date value
+ * @returns {Date|null} Date, or null if it cannot be parsed
+ */
+export function parseCertDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+
+  const openssl = /^([A-Z][a-z]{2})\s+(\d{1,2})\s+(\d{2}):(\d{2}):(\d{2})\s+(\d{4})\s*(GMT|UTC)?$/.exec(String(value).trim());
+  if (openssl && MONTHS[openssl[1]] !== undefined) {
+    const [, mon, day, h, m, s, year] = openssl;
+    return new Date(Date.UTC(Number(year), MONTHS[mon], Number(day), Number(h), Number(m), Number(s)));
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Read subjectAltName in its common shapes: getpeercert() [["DNS", "a"], ...],
+ * Node's "DNS:a, DNS:b", or a plain list of names
+ */
+function parseSubjectAltNames(value) {
+  if (!value) return [];
+  if (typeof value === 'string') {
+    return value.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+      const idx = part.indexOf(':');
+      return idx > 0 ? { type: part.slice(0, idx).trim(), value: part.slice(idx + 1).trim() } : { type: 'DNS', value: part };
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap(item => {
+      if (Array.isArray(item) && item.length === 2 && typeof item[0] === 'string') return [{ type: item[0], value: String(item[1]) }];
+      if (typeof item === 'string') return parseSubjectAltNames(item);
+      if (item && typeof item === 'object' && item.value) return [{ type: item.type || 'DNS', value: String(item.value) }];
+      return [];
+    });
+  }
+  return [];
+}
+
+// ---- Minimal DER reader, enough for X.509 TBSCertificate fields ----
+
+function readTlv(bytes, offset) {
+  const tag = bytes[offset];
+  let length = bytes[offset + 1];
+  let header = 2;
+  if (length & 0x80) {
+    const count = length & 0x7f;
+    length = 0;
+    for (let i = 0; i < count; i++) length = (length * 256) + bytes[offset + 2 + i];
+    header += count;
+  }
+  const start = offset + header;
+  if (start + length > bytes.length) throw new Error('Truncated DER data');
+  return { tag, start, end: start + length };
+}
+
+function children(bytes, node) {
+  const list = [];
+  let offset = node.start;
+  while (offset < node.end) {
+    const child = readTlv(bytes, offset);
+    list.push(child);
+    offset = child.end;
+  }
+  return list;
+}
+
+function decodeOid(bytes, node) {
+  const parts = [];
+  let value = 0;
+  for (let i = node.start; i < node.end; i++) {
+    value = (value * 128) + (bytes[i] & 0x7f);
+    if (!(bytes[i] & 0x80)) {
+      if (parts.length === 0) {
+        const first = Math.min(2, Math.floor(value / 40));
+        parts.push(first, value - (first * 40));
+      } else {
+        parts.push(value);
+      }
+      value = 0;
+    }
+  }
+  return parts.join('.');
+}
+
+function decodeString(bytes, node) {
+  const slice = bytes.subarray(node.start, node.end);
+  if (node.tag === 0x0c) return new TextDecoder('utf-8').decode(slice);
+  if (node.tag === 0x1e) {
+    let out = '';
+    for (let i = 0; i + 1 < slice.length; i += 2) out += String.fromCharCode((slice[i] << 8) | slice[i + 1]);
+    return out;
+  }
+  return Array.from(slice, b => String.fromCharCode(b)).join('');
+}
+
+function decodeTime(bytes, node) {
+  const text = decodeString(bytes, node);
+  const m = node.tag === 0x17
+    ? /^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?Z$/.exec(text)
+    : /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?Z$/.exec(text);
+  if (!m) return null;
+  let year = Number(m[1]);
+  if (node.tag === 0x17) year += year >= 50 ? 1900 : 2000;
+  return new Date(Date.UTC(year, Number(m[2]) - 1, Number(m[3]), Number(m[4]), Number(m[5]), Number(m[6] || 0)));
+}
+
+function decodeName(bytes, node) {
+  return children(bytes, node).flatMap(set => children(bytes, set).map(seq => {
+    const [oid, value] = children(bytes, seq);
+    const key = decodeOid(bytes, oid);
+    return [NAME_OIDS[key] || key, decodeString(bytes, value)];
+  }));
+}
+
+function toHex(bytes, node) {
+  return Array.from(bytes.subarray(node.start, node.end), b => b.toString(16).padStart(2, '0')).join(':').toUpperCase();
+}
+
+function integerBits(bytes, node) {
+  let start = node.start;
+  while (start < node.end && bytes[start] === 0) start++;
+  if (start >= node.end) return 0;
+  return ((node.end - start - 1) * 8) + (32 - Math.clz32(bytes[start]));
+}
+
+function decodePublicKey(bytes, spki) {
+  const [algorithm, keyBits] = children(bytes, spki);
+  const [oid, params] = children(bytes, algorithm);
+  const type = KEY_OIDS[decodeOid(bytes, oid)] || decodeOid(bytes, oid);
+
+  if (type === 'RSA') {
+    // BIT STRING: one "unused bits" byte, then SEQUENCE { modulus, exponent }
+    const rsa = readTlv(bytes, keyBits.start + 1);
+    const [modulus] = children(bytes, rsa);
+    return { keyType: 'RSA', keySize: integerBits(bytes, modulus) };
+  }
+  if (type === 'EC') {
+    return { keyType: 'EC', keySize: params && params.tag === 0x06 ? CURVE_BITS[decodeOid(bytes, params)] || null : null };
+  }
+  if (type === 'Ed25519') return { keyType: type, keySize: 256 };
+  if (type === 'Ed448') return { keyType: type, keySize: 456 };
+  return { keyType: type, keySize: null };
+}
+
+function decodeSanExtension(bytes, octets) {
+  const seq = readTlv(bytes, octets.start);
+  return children(bytes, seq).map(gn => {
+    if (gn.tag === 0x82) return { type: 'DNS', value: decodeString(bytes, gn) };
+    if (gn.tag === 0x87) {
+      const raw = Array.from(bytes.subarray(gn.start, gn.end));
+      const value = raw.length === 4 ? raw.join('.') : raw.map(b => b.toString(16).padStart(2, '0')).join('').replace(/(.{4})(?!$)/g, '$1:');
+      return { type: 'IP Address', value };
+    }
+    if (gn.tag === 0x81) return { type: 'email', value: decodeString(bytes, gn) };
+    if (gn.tag === 0x86) return { type: 'URI', value: decodeString(bytes, gn) };
+    return null;
+  }).filter(Boolean);
+}
+
+/**
+ * Decode a PEM certificate into the normalized fields
+ * @param {string} pem - Text containing a -----BEGIN CERTIFICATE----- block
+ * @returns {object|null} Decoded fields, or null if the PEM cannot be read
+ */
+export function parsePem(pem) {
+  const match = /-----BEGIN CERTIFICATE-----([\s\S]+?)-----END CERTIFICATE-----/.exec(pem || '');
+  if (!match) return null;
+
+  try {
+    const binary = atob(match[1].replace(/\s+/g, ''));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+
+    const cert = readTlv(bytes, 0);
+    const tbs = children(bytes, cert)[0];
+    const fields = children(bytes, tbs);
+    let i = 0;
+    let version = 1;
+    if (fields[0].tag === 0xa0) {
+      const v = children(bytes, fields[0])[0];
+      version = bytes[v.start] + 1;
+      i = 1;
+    }
+
+    const serial = fields[i];
+    const issuer = fields[i + 2];
+    const [notBefore, notAfter] = children(bytes, fields[i + 3]);
+    const subject = fields[i + 4];
+    const spki = fields[i + 5];
+
+    let san = [];
+    const extensionsWrapper = fields.slice(i + 6).find(f => f.tag === 0xa3);
+    if (extensionsWrapper) {
+      const extensions = children(bytes, children(bytes, extensionsWrapper)[0]);
+      extensions.forEach(ext => {
+        const parts = children(bytes, ext);
+        if (decodeOid(bytes, parts[0]) === SAN_OID) {
+          san = decodeSanExtension(bytes, parts[parts.length - 1]);
+        }
+      });
+    }
+
+    return {
+      version,
+      serial: toHex(bytes, serial),
+      issuer: decodeName(bytes, issuer),
+      subject: decodeName(bytes, subject),
+      notBefore: decodeTime(bytes, notBefore),
+      notAfter: decodeTime(bytes, notAfter),
+      san,
+      ...decodePublicKey(bytes, spki)
+    };
+  } catch (error) {
+    console.error('Failed to decode PEM certificate:', error);
+    return null;
+  }
+}
+
+function findPem(ssl) {
+  if (typeof ssl === 'string') return ssl.includes('BEGIN CERTIFICATE') ? ssl : null;
+  const candidate = ssl.pem || ssl.certificate || ssl.cert || ssl.raw;
+  return typeof candidate === 'string' && candidate.includes('BEGIN CERTIFICATE') ? candidate : null;
+}
+
+/**
+ * Normalize certificate data from any supported format
+ * @param {object|string} ssl - `ssl` field of a scan result
+ * @returns {object|null} { subject, issuer (attribute pairs), subjectDn, issuerDn, commonName,
+ *   issuerName, san, serial, keyType, keySize, notBefore, notAfter (Dates), version, format }
+ */
+export function parseCertificate(ssl) {
+  if (!ssl) return null;
+
+  const pem = findPem(ssl);
+  const decoded = pem ? parsePem(pem) : null;
+  const flat = typeof ssl === 'object' ? ssl : {};
+
+  const subject = decoded?.subject || parseDistinguishedName(flat.subject);
+  const issuer = decoded?.issuer || parseDistinguishedName(flat.issuer);
+  const san = decoded?.san?.length
+    ? decoded.san
+    : parseSubjectAltNames(flat.subjectAltName || flat.subjectaltname || flat.subject_alt_names || flat.san || flat.altNames || flat.dns_names);
+
+  const cert = {
+    format: decoded ? 'pem' : (Array.isArray(flat.subject) || Array.isArray(flat.issuer) ? 'tuple' : 'object'),
+    subject,
+    issuer,
+    subjectDn: formatDistinguishedName(subject),
+    issuerDn: formatDistinguishedName(issuer),
+    commonName: getAttribute(subject, 'CN'),
+    issuerName: getAttribute(issuer, 'O') || getAttribute(issuer, 'CN'),
+    san,
+    serial: decoded?.serial || flat.serialNumber || flat.serial_number || flat.serial || null,
+    keyType: decoded?.keyType || flat.key_type || flat.keyType || flat.public_key_type || (flat.asn1Curve ? 'EC' : (flat.modulus ? 'RSA' : null)),
+    keySize: decoded?.keySize || Number(flat.key_size || flat.keySize || flat.bits) || null,
+    notBefore: decoded?.notBefore || parseCertDate(flat.notBefore || flat.not_before || flat.valid_from || flat.validFrom),
+    notAfter: decoded?.notAfter || parseCertDate(flat.notAfter || flat.not_after || flat.valid_to || flat.validTo),
+    version: decoded?.version || flat.version || null
+  };
+
+  const hasData = cert.subject.length > 0 || cert.issuer.length > 0 || cert.notAfter || cert.san.length > 0;
+  return hasData ? cert : null;
+}
+
+/**
+ * Check whether a certificate name (possibly a wildcard) covers a hostname
+ * @param {string} pattern - Name from SAN or CN
+ * @param {string} hostname - Host being visited
+ * @returns {boolean} True if it matches
+ */
+export function hostnameMatches(pattern, hostname) {
+  const p = String(pattern || '').toLowerCase().replace(/\.$/, '');
+  const h = String(hostname || '').toLowerCase().replace(/\.$/, '');
+  if (!p || !h) return false;
+  if (p === h) return true;
+  if (p.startsWith('*.')) {
+    const suffix = p.slice(1);
+    return h.endsWith(suffix) && !h.slice(0, -suffix.length).includes('.');
+  }
+  return false;
+}
+
+/**
+ * Days from now until the certificate expires (negative once expired)
+ * @param {object} cert - Output of parseCertificate
+ * @param {Date} [now]
+ * @returns {number|null} Days, or null without an expiry date
+ */
+export function daysUntilCertExpiry(cert, now = new Date()) {
+  if (!cert?.notAfter) return null;
+  return Math.floor((cert.notAfter - now) / DAY_MS);
+}
+
+/**
+ * Flag certificate problems as a verdict signal category
+ * @param {object} cert - Output of parseCertificate
+ * @param {string} hostname - Host the certificate was served for
+ * @param {Date} [now]
+ * @returns {object} Signal category with source 'tls', score, findings and daysToExpiry
+ */
+export function analyzeCertificate(cert, hostname, now = new Date()) {
+  const signal = { source: 'tls', message: 'signal.tls', score: 0, findings: [], daysToExpiry: null };
+  if (!cert) return signal;
+
+  const findings = signal.findings;
+  const add = (id, weight, detail) => {
+    findings.push({ id, message: `finding.tls.${id}`, weight, severity: severityForWeight(weight), detail: detail || null });
+  };
+
+  if (cert.subjectDn && cert.subjectDn === cert.issuerDn) {
+    add('self-signed', 25, cert.issuerDn);
+  }
+
+  const daysToExpiry = daysUntilCertExpiry(cert, now);
+  signal.daysToExpiry = daysToExpiry;
+  if (daysToExpiry !== null && daysToExpiry < 0) {
+    add('expired', 30, { message: 'cert.expiredAgo', params: { count: -daysToExpiry } });
+  } else if (daysToExpiry !== null && daysToExpiry <= EXPIRY_WARNING_DAYS) {
+    add('expiring', 5, { message: 'cert.daysLeft', params: { count: daysToExpiry } });
+  }
+
+  if (cert.notBefore && cert.notBefore > now) {
+    add('not-yet-valid', 25, cert.notBefore.toISOString().slice(0, 10));
+  }
+
+  if (cert.notBefore && cert.notAfter && FREE_CA_PATTERN.test(cert.issuerDn)) {
+    const lifetime = (cert.notAfter - cert.notBefore) / DAY_MS;
+    const age = (now - cert.notBefore) / DAY_MS;
+    if (lifetime <= FREE_CA_MAX_LIFETIME_DAYS && age >= 0 && age <= FRESH_CERT_DAYS) {
+      add('fresh-free-ca', 10, { message: 'finding.detail.certAge', params: { count: Math.floor(age), issuer: cert.issuerName } });
+    }
+  }
+
+  if (hostname) {
+    const names = cert.san.filter(n => n.type === 'DNS' || n.type === 'IP Address').map(n => n.value);
+    const candidates = names.length > 0 ? names : [cert.commonName].filter(Boolean);
+    if (candidates.length > 0 && !candidates.some(name => hostnameMatches(name, hostname))) {
+      add('hostname-mismatch', 25, hostname);
+    }
+  }
+
+  signal.score = Math.min(100, findings.reduce((sum, f) => sum + f.weight, 0));
+  return signal;
+}
@@ -0,0 +1,111 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCertificate, analyzeCertificate, hostnameMatches } from './certUtils.js';
+
+// Self-signed EC P-256 certificate for example.com and *.example.com
+const PEM = `
+-----BEGIN CERTIFICATE-----
+MIIB3DCCAYKgAwIBAgICEjQwCgYIKoZIzj0EAwIwOTELMAkGA1UEBhMCVVMxFDAS
+BgNVBAoMC0V4YW1wbGUgT3JnMRQwEgYDVQQDDAtleGFtcGxlLmNvbTAeFw0yNjEw
+MTkxNzQ4MTNaFw0yNjExMTgxNzQ4MTNaMDkxCzAJBgNVBAYTAlVTMRQwEgYDVQQK
+DAtFeGFtcGxlIE9yZzEUMBIGA1UEAwwLZXhhbXBsZS5jb20wWTATBgcqhkjOPQIB
+BggqhkjOPQMBBwNCAASxQF7nG/D8V8Q1R5wwgvnzz8zGVEJwM7a+1QAFnXifgkPj
+SkeEcW1xE+RbXSQgcPtheXpm361fQVNezY9b7A91o3oweDAdBgNVHQ4EFgQUCErJ
+AqkvNrYDWHTWAZakF+5uUBMwHwYDVR0jBBgwFoAUCErJAqkvNrYDWHTWAZakF+5u
+UBMwDwYDVR0TAQH/BAUwAwEB/zAlBgNVHREEHjAcggtleGFtcGxlLmNvbYINKi5l
+eGFtcGxlLmNvbTAKBggqhkjOPQQDAgNIADBFAiEApMR031aYZAFzmJeSZEzdLl+y
+h7D4f8Pr9NIBJtIQhF8CICGOGLbKSjatKknziFWAhRlvGbaDvBC5WHsUYVBB6NnO
+-----END CERTIFICATE-----
+`;
+
+// Python ssl getpeercert() output
+const TUPLE = {
+  subject: [[['commonName', 'login.example.org']], [['organizationName', 'Example Org']]],
+  issuer: [[['countryName', 'US']], [['organizationName', "Let's Encrypt"]], [['commonName', 'R3']]],
+  subjectAltName: [['DNS', 'login.example.org'], ['DNS', 'www.example.org']],
+  serialNumber: '04ABCDEF',
+  notBefore: 'Jan  5 00:00:00 2024 GMT',
+  notAfter: 'Apr  3 23:59:59 2024 GMT',
+  version: 3
+};
+
+// Node getPeerCertificate() output
+const OBJECT = {
+  subject: { CN: 'shop.example.net', O: 'Shop' },
+  issuer: { CN: 'Example CA', O: 'Example Trust' },
+  subjectaltname: 'DNS:shop.example.net, IP Address:203.0.113.7',
+  serialNumber: '0A1B',
+  bits: 2048,
+  modulus: 'C0FFEE',
+  valid_from: 'Mar  1 12:00:00 2024 GMT',
+  valid_to: 'Mar  1 12:00:00 2025 GMT'
+};
+
+test('parseCertificate decodes PEM text', () => {
+  const cert = parseCertificate(PEM);
+  assert.equal(cert.format, 'pem');
+  assert.deepEqual(cert.subject, [['C', 'US'], ['O', 'Example Org'], ['CN', 'example.com']]);
+  assert.equal(cert.subjectDn, 'C=US, O=Example Org, CN=example.com');
+  assert.equal(cert.issuerDn, cert.subjectDn);
+  assert.equal(cert.commonName, 'example.com');
+  assert.equal(cert.issuerName, 'Example Org');
+  assert.deepEqual(cert.san, [{ type: 'DNS', value: 'example.com' }, { type: 'DNS', value: '*.example.com' }]);
+  assert.equal(cert.serial, '12:34');
+  assert.equal(cert.keyType, 'EC');
+  assert.equal(cert.keySize, 256);
+  assert.equal(cert.version, 3);
+  assert.equal(cert.notBefore.toISOString(), '2026-10-19T17:48:13.000Z');
+  assert.equal(cert.notAfter.toISOString(), '2026-11-18T17:48:13.000Z');
+  assert.equal(parseCertificate({ pem: PEM }).format, 'pem');
+});
+
+test('parseCertificate reads getpeercert() tuples', () => {
+  const cert = parseCertificate(TUPLE);
+  assert.equal(cert.format, 'tuple');
+  assert.equal(cert.subjectDn, 'CN=login.example.org, O=Example Org');
+  assert.equal(cert.issuerDn, "C=US, O=Let's Encrypt, CN=R3");
+  assert.equal(cert.issuerName, "Let's Encrypt");
+  assert.deepEqual(cert.san.map(n => n.value), ['login.example.org', 'www.example.org']);
+  assert.equal(cert.serial, '04ABCDEF');
+  assert.equal(cert.notBefore.toISOString(), '2024-01-05T00:00:00.000Z');
+  assert.equal(cert.notAfter.toISOString(), '2024-04-03T23:59:59.000Z');
+});
+
+test('parseCertificate reads flat objects', () => {
+  const cert = parseCertificate(OBJECT);
+  assert.equal(cert.format, 'object');
+  assert.equal(cert.commonName, 'shop.example.net');
+  assert.equal(cert.issuerName, 'Example Trust');
+  assert.deepEqual(cert.san, [{ type: 'DNS', value: 'shop.example.net' }, { type: 'IP Address', value: '203.0.113.7' }]);
+  assert.equal(cert.keyType, 'RSA');
+  assert.equal(cert.keySize, 2048);
+  assert.equal(cert.notAfter.toISOString(), '2025-03-01T12:00:00.000Z');
+});
+
+test('parseCertificate returns null without certificate data', () => {
+  assert.equal(parseCertificate(null), null);
+  assert.equal(parseCertificate(''), null);
+  assert.equal(parseCertificate('not a certificate'), null);
+  assert.equal(parseCertificate({ cipher: 'TLS_AES_128_GCM_SHA256' }), null);
+});
+
+test('hostnameMatches covers one wildcard label', () => {
+  assert.ok(hostnameMatches('*.example.com', 'www.example.com'));
+  assert.ok(!hostnameMatches('*.example.com', 'a.b.example.com'));
+  assert.ok(!hostnameMatches('*.example.com', 'example.com'));
+  assert.ok(hostnameMatches('Example.com.', 'example.com'));
+});
+
+test('analyzeCertificate flags problems with the certificate', () => {
+  const now = new Date('2026-11-15T00:00:00Z');
+  const ids = (cert, host) => analyzeCertificate(parseCertificate(cert), host, now).findings.map(f => f.id);
+
+  assert.deepEqual(ids(PEM, 'www.example.com'), ['self-signed', 'expiring']);
+  assert.deepEqual(ids(PEM, 'example.org'), ['self-signed', 'expiring', 'hostname-mismatch']);
+  assert.deepEqual(ids(TUPLE, 'login.example.org'), ['expired']);
+  assert.deepEqual(
+    analyzeCertificate(parseCertificate(TUPLE), 'login.example.org', new Date('2024-01-10T00:00:00Z')).findings.map(f => f.id),
+    ['fresh-free-ca']
+  );
+  assert.equal(analyzeCertificate(null, 'example.com').score, 0);
+});
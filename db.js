@@ -0,0 +1,93 @@
+/**
+ * Shared IndexedDB connection for the app's persistent stores
+ */
+
+const DB_NAME = 'urlscanner';
+const DB_VERSION = 5;
+
+export const STORES = {
+  SCANS: 'scans',
+  SCREENSHOTS: 'screenshots',
+  WATCHLIST: 'watchlist',
+  BLOCKLISTS: 'blocklists',
+  BLOCKLIST_ENTRIES: 'blocklistEntries',
+  DECISIONS: 'decisions'
+};
+
+let dbPromise = null;
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<any>} Resolves with the request result
+ */
+export function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolve once a transaction has committed
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+export function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+function upgrade(db, oldVersion, tx) {
+  if (oldVersion < 1) {
+    const scans = db.createObjectStore(STORES.SCANS, { keyPath: 'id', autoIncrement: true });
+    scans.createIndex('when', 'when');
+    scans.createIndex('host', 'host');
+    db.createObjectStore(STORES.SCREENSHOTS, { keyPath: 'scanId' });
+  }
+  if (oldVersion < 2) {
+    const watchlist = db.createObjectStore(STORES.WATCHLIST, { keyPath: 'url' });
+    watchlist.createIndex('nextScanAt', 'nextScanAt');
+  }
+  if (oldVersion < 3) {
+    // Scans saved before version 3 have no fingerprints and are simply absent from these indexes
+    const scans = tx.objectStore(STORES.SCANS);
+    scans.createIndex('favicon_hash', 'favicon_hash');
+    scans.createIndex('screenshot_phash', 'screenshot_phash');
+  }
+  if (oldVersion < 4) {
+    db.createObjectStore(STORES.BLOCKLISTS, { keyPath: 'id', autoIncrement: true });
+    const entries = db.createObjectStore(STORES.BLOCKLIST_ENTRIES, { autoIncrement: true });
+    entries.createIndex('key', 'key');
+    entries.createIndex('listId', 'listId');
+  }
+  if (oldVersion < 5) {
+    db.createObjectStore(STORES.DECISIONS, { keyPath: 'id', autoIncrement: true });
+  }
+}
+
+/**
+ * Open (and create or upgrade) the database; the connection is shared
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+  if (!dbPromise) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('IndexedDB is not available in this browser'));
+    }
+
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => upgrade(request.result, event.oldVersion, request.transaction);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later retry if opening failed
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
@@ -0,0 +1,185 @@
+import { openDatabase, requestToPromise, transactionDone, STORES } from './db.js';
+import { t } from './i18n.js';
+
+/**
+ * Analyst decisions that override verdicts: allowlist entries, false positives and
+ * confirmed-malicious calls, kept in IndexedDB and applied to every later scan.
+ *
+ * Decision shape: { id, kind, scope, pattern, reason, analyst, createdAt, scanId }
+ *   kind    - a key of DECISION_KINDS
+ *   scope   - a key of DECISION_SCOPES
+ *   pattern - the URL, domain or wildcard pattern for that scope
+ */
+
+export const DECISION_KINDS = {
+  allow: { verdict: 'CLEAN' },
+  'false-positive': { verdict: 'CLEAN' },
+  'confirmed-malicious': { verdict: 'MALICIOUS' }
+};
+
+// Ordered from most to least specific; the most specific matching decision wins
+export const DECISION_SCOPES = {
+  url: { rank: 3 },
+  'url-pattern': { rank: 2 },
+  domain: { rank: 1 }
+};
+
+/**
+ * Display name of a decision kind
+ * @param {string} kind - A key of DECISION_KINDS
+ * @returns {string}
+ */
+export function decisionKindLabel(kind) {
+  return DECISION_KINDS[kind] ? t(`decision.kind.${kind}`) : kind;
+}
+
+/**
+ * Display name of a decision scope
+ * @param {string} scope - A key of DECISION_SCOPES
+ * @returns {string}
+ */
+export function decisionScopeLabel(scope) {
+  return DECISION_SCOPES[scope] ? t(`decision.scope.${scope}`) : scope;
+}
+
+function withoutScheme(url) {
+  return String(url || '').replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+}
+
+function normalizeUrl(url) {
+  try {
+    const u = new URL(url);
+    u.hash = '';
+    return u.href;
+  } catch {
+    return String(url || '').trim();
+  }
+}
+
+/**
+ * Clean up a pattern as entered for a scope: domains lose scheme, path and "www.",
+ * URLs lose their fragment
+ * @param {string} scope - A key of DECISION_SCOPES
+ * @param {string} pattern
+ * @returns {string}
+ */
+export function normalizePattern(scope, pattern) {
+  const value = String(pattern || '').trim();
+  if (scope === 'domain') {
+    return withoutScheme(value).replace(/[/?#].*$/, '').replace(/:\d+$/, '').replace(/^(\*\.|www\.)/, '').replace(/\.$/, '').toLowerCase();
+  }
+  if (scope === 'url') return normalizeUrl(value);
+  return value;
+}
+
+function patternRegExp(pattern) {
+  const escaped = withoutScheme(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Check whether a decision applies to a URL
+ * @param {object} decision
+ * @param {string} url - Fully qualified URL
+ * @returns {boolean}
+ */
+export function decisionMatches(decision, url) {
+  switch (decision.scope) {
+    case 'url':
+      return normalizeUrl(url) === normalizeUrl(decision.pattern);
+    case 'domain': {
+      let host;
+      try {
+        host = new URL(url).hostname.toLowerCase();
+      } catch {
+        return false;
+      }
+      return host === decision.pattern || host.endsWith(`.${decision.pattern}`);
+    }
+    case 'url-pattern':
+      // Patterns are written without a scheme, so http and https both match
+      return patternRegExp(decision.pattern).test(withoutScheme(normalizeUrl(url)));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Pick the decision that governs a URL: the most specific scope, then the longest
+ * pattern, then the newest
+ * @param {string} url - Fully qualified URL
+ * @param {Array} decisions
+ * @returns {object|null}
+ */
+export function findDecision(url, decisions) {
+  const matching = (decisions || []).filter(d => DECISION_KINDS[d.kind] && decisionMatches(d, url));
+  matching.sort((a, b) => (DECISION_SCOPES[b.scope]?.rank || 0) - (DECISION_SCOPES[a.scope]?.rank || 0) ||
+    b.pattern.length - a.pattern.length ||
+    (a.createdAt < b.createdAt ? 1 : -1));
+  return matching[0] || null;
+}
+
+/**
+ * All stored decisions, newest first
+ * @returns {Promise<Array>}
+ */
+export async function listDecisions() {
+  const db = await openDatabase();
+  const tx = db.transaction(STORES.DECISIONS, 'readonly');
+  const items = await requestToPromise(tx.objectStore(STORES.DECISIONS).getAll());
+  return items.sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+}
+
+/**
+ * The decision that applies to a URL, if any
+ * @param {string} url - Fully qualified URL
+ * @returns {Promise<object|null>}
+ */
+export async function getDecisionFor(url) {
+  return findDecision(url, await listDecisions());
+}
+
+/**
+ * Record a decision
+ * @param {object} decision
+ * @param {string} decision.kind - A key of DECISION_KINDS
+ * @param {string} decision.scope - A key of DECISION_SCOPES
+ * @param {string} decision.pattern
+ * @param {string} [decision.reason]
+ * @param {string} [decision.analyst]
+ * @param {number|null} [decision.scanId] - History item the decision was made on
+ * @returns {Promise<object>} The stored decision
+ */
+export async function addDecision({ kind, scope, pattern, reason = '', analyst = '', scanId = null }) {
+  if (!DECISION_KINDS[kind]) throw new Error(`Unknown decision "${kind}"`);
+  if (!DECISION_SCOPES[scope]) throw new Error(`Unknown scope "${scope}"`);
+  const normalized = normalizePattern(scope, pattern);
+  if (!normalized) throw new Error('Enter a URL, domain or pattern');
+
+  const record = {
+    kind,
+    scope,
+    pattern: normalized,
+    reason: String(reason).trim(),
+    analyst: String(analyst).trim(),
+    createdAt: new Date().toISOString(),
+    scanId
+  };
+  const db = await openDatabase();
+  const tx = db.transaction(STORES.DECISIONS, 'readwrite');
+  const id = await requestToPromise(tx.objectStore(STORES.DECISIONS).add(record));
+  await transactionDone(tx);
+  return { ...record, id };
+}
+
+/**
+ * Delete a decision; later scans are no longer overridden by it
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+export async function removeDecision(id) {
+  const db = await openDatabase();
+  const tx = db.transaction(STORES.DECISIONS, 'readwrite');
+  tx.objectStore(STORES.DECISIONS).delete(id);
+  await transactionDone(tx);
+}
@@ -0,0 +1,236 @@
+import { SAMPLE_RESPONSE } from './sampleResponse.js';
+
+/**
+ * Canned scan responses for demo mode and the local mock webhook (mock-server.js).
+ * Both pick a case by matching the scanned URL against DEMO_CASES in order, so a URL
+ * gives the same answer in the browser and from the mock server.
+ *
+ * Every case is built from SAMPLE_RESPONSE, so it stays in the n8n payload layout.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isoDay(offsetDays) {
+  return new Date(Date.now() + offsetDays * DAY_MS).toISOString().slice(0, 10);
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return String(url);
+  }
+}
+
+// SAMPLE_RESPONSE with the scanned URL filled in and the given fields replaced
+function fromSample(url, category, result) {
+  const [sample] = SAMPLE_RESPONSE;
+  const domain = hostOf(url);
+  return [{
+    ...sample,
+    ...category,
+    results: [{
+      ...sample.results[0],
+      input_url: url,
+      domain,
+      ssl: { ...sample.results[0].ssl, subject: [['CN', domain]] },
+      ...result
+    }]
+  }];
+}
+
+function cleanResponse(url) {
+  const domain = hostOf(url);
+  return fromSample(url, {
+    verdict: 'CLEAN',
+    risk_score: 3,
+    confidence: 'High',
+    malicious_count: 0,
+    detections: [],
+    reputation: [
+      { source: 'urlhaus', verdict: 'clean', evidence: 'Not in URLhaus' },
+      { source: 'phishtank', verdict: 'clean', evidence: 'Not in PhishTank' },
+      { source: 'safebrowsing', verdict: 'clean', evidence: 'No Safe Browsing matches' }
+    ]
+  }, {
+    ip: '203.0.113.10',
+    whois: { registrar: 'Example Registrar, Inc.', org: 'Example Org', country: 'US', creation_date: ['2009-03-15'] },
+    dns: { A: ['203.0.113.10'], MX: [`mail.${domain}`], NS: ['ns1.example-dns.net', 'ns2.example-dns.net'] },
+    ssl: {
+      subject: [['CN', domain]],
+      issuer: [['C', 'US'], ['O', 'Example Trust Services'], ['CN', 'Example TLS CA']],
+      subjectAltName: [['DNS', domain], ['DNS', `www.${domain}`]],
+      notBefore: isoDay(-60),
+      notAfter: isoDay(305)
+    }
+  });
+}
+
+function maliciousResponse(url) {
+  const domain = hostOf(url);
+  return fromSample(url, {
+    verdict: 'MALICIOUS',
+    risk_score: 94,
+    confidence: 'High',
+    malicious_count: 17,
+    total_engines: 70,
+    detections: [
+      { engine: 'AV-Test', result: 'malicious', threat_type: 'phishing' },
+      { engine: 'MalDetect', result: 'malicious', threat_type: 'malware' },
+      { engine: 'PhishGuard', result: 'phishing', threat_type: 'phishing' },
+      { engine: 'NetShield', result: 'malicious', threat_type: 'credential harvesting' }
+    ],
+    vt: {
+      verdict: 'MALICIOUS',
+      risk_score: 94,
+      malicious_count: 17,
+      total_engines: 70,
+      last_analysis_stats: { malicious: 17, suspicious: 3, harmless: 38, undetected: 11, timeout: 1 },
+      last_analysis_results: {
+        'AV-Test': { category: 'malicious', result: 'phishing', method: 'blacklist' },
+        MalDetect: { category: 'malicious', result: 'malware', method: 'blacklist' },
+        PhishGuard: { category: 'malicious', result: 'phishing', method: 'blacklist' },
+        NetShield: { category: 'suspicious', result: 'suspicious', method: 'blacklist' },
+        CleanWeb: { category: 'harmless', result: 'clean', method: 'blacklist' },
+        SafeSurf: { category: 'undetected', result: 'unrated', method: 'blacklist' },
+        SlowScan: { category: 'timeout', result: null, method: 'blacklist' }
+      },
+      categories: { PhishGuard: 'phishing and fraud', CleanWeb: 'newly registered' },
+      tags: ['phishing', 'credential-harvesting'],
+      first_submission_date: Math.floor(Date.now() / 1000) - 2 * 86400,
+      last_submission_date: Math.floor(Date.now() / 1000) - 3600,
+      last_analysis_date: Math.floor(Date.now() / 1000) - 3600
+    },
+    // Raw lookup fields, as the flow forwards them; the UI derives each verdict
+    reputation: {
+      urlhaus: { query_status: 'ok', threat: 'malware_download', url_status: 'online', tags: ['exe'] },
+      phishtank: { in_database: true, verified: true, valid: true, phish_id: '8123456' },
+      openphish: { listed: false },
+      safebrowsing: { matches: [{ threatType: 'SOCIAL_ENGINEERING' }] },
+      abuseipdb: { data: { ipAddress: '192.0.2.66', abuseConfidenceScore: 87, totalReports: 41 } }
+    }
+  }, {
+    ip: '192.0.2.66',
+    whois: { registrar: 'BadRegistrar', org: 'REDACTED FOR PRIVACY', country: 'RU', creation_date: [isoDay(-3)] },
+    dns: { A: ['192.0.2.66'], MX: [], NS: ['ns1.bulletproof.example'] },
+    ssl: {
+      subject: [['CN', domain]],
+      issuer: [['C', 'US'], ['O', "Let's Encrypt"], ['CN', 'R3']],
+      notBefore: isoDay(-2),
+      notAfter: isoDay(88)
+    }
+  });
+}
+
+/**
+ * Demo cases, checked in order against the full URL; the last one matches everything.
+ *   id, label    - identity, also listed by the mock server
+ *   example      - a URL that picks this case
+ *   pattern      - RegExp tested against the URL
+ *   delayMs      - how long the answer takes
+ *   status       - HTTP status the mock server answers with (demo mode throws for >= 400)
+ *   body(url)    - response body: an object sent as JSON, or a string sent as is
+ */
+export const DEMO_CASES = [
+  {
+    id: 'malformed',
+    example: 'https://malformed.example/',
+    label: 'Truncated JSON body',
+    pattern: /malformed/i,
+    delayMs: 300,
+    status: 200,
+    body: url => `[{"verdict": "MALICIOUS", "risk_score": 90, "results": [{"input_url": ${JSON.stringify(url)}, "domain": `
+  },
+  {
+    id: 'unrecognized',
+    example: 'https://unrecognized.example/',
+    label: 'Valid JSON in an unknown layout',
+    pattern: /unrecognized|unknown-shape/i,
+    delayMs: 300,
+    status: 200,
+    body: url => ({ ok: true, report: { target: url, engines_checked: 12, flagged: 0 } })
+  },
+  {
+    id: 'unavailable',
+    example: 'https://unavailable.example/',
+    label: 'HTTP 503 from the webhook',
+    pattern: /unavailable/i,
+    delayMs: 300,
+    status: 503,
+    body: () => ({ message: 'Scanner backend is unavailable' })
+  },
+  {
+    id: 'slow',
+    example: 'https://slow.example/',
+    label: 'Clean result after 15 seconds',
+    pattern: /slow/i,
+    delayMs: 15000,
+    status: 200,
+    body: cleanResponse
+  },
+  {
+    id: 'malicious',
+    example: 'https://login-malicious.example/verify',
+    label: 'Malicious verdict with detections',
+    pattern: /malicious|malware|phish|evil/i,
+    delayMs: 1200,
+    status: 200,
+    body: maliciousResponse
+  },
+  {
+    id: 'suspicious',
+    example: 'https://example-bad.com/',
+    label: 'SAMPLE_RESPONSE as is',
+    pattern: /suspicious|example-bad/i,
+    delayMs: 1200,
+    status: 200,
+    body: url => fromSample(url)
+  },
+  {
+    id: 'clean',
+    example: 'https://example.com/',
+    label: 'Clean verdict (any other URL)',
+    pattern: /./,
+    delayMs: 800,
+    status: 200,
+    body: cleanResponse
+  }
+];
+
+/**
+ * Pick the demo case for a URL
+ * @param {string} url - Scanned URL
+ * @returns {object} Entry of DEMO_CASES
+ */
+export function matchDemoCase(url) {
+  return DEMO_CASES.find(c => c.pattern.test(String(url))) || DEMO_CASES[DEMO_CASES.length - 1];
+}
+
+/**
+ * Response body of a demo case as text
+ * @param {object} demoCase - Entry of DEMO_CASES
+ * @param {string} url - Scanned URL
+ * @returns {string}
+ */
+export function demoBodyText(demoCase, url) {
+  const body = demoCase.body(url);
+  return typeof body === 'string' ? body : JSON.stringify(body);
+}
+
+/**
+ * Stage events a streaming backend would send for a payload, each carrying the
+ * result fields that stage produced
+ * @param {any} payload - Demo response body
+ * @returns {Array<{stage: string, data: object|null}>}
+ */
+export function demoStages(payload) {
+  const result = Array.isArray(payload) ? payload[0]?.results?.[0] : null;
+  if (!result) return [];
+  return [
+    { stage: 'dns', data: { domain: result.domain, ip: result.ip, dns: result.dns } },
+    { stage: 'whois', data: { whois: result.whois } },
+    { stage: 'ssl', data: { ssl: result.ssl } },
+    { stage: 'virustotal', data: null },
+    { stage: 'screenshot', data: { screenshot: result.screenshot } }
+  ];
+}
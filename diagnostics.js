@@ -0,0 +1,81 @@
+/**
+ * Captures the HTTP exchanges behind a scan so the diagnostics panel can show
+ * exactly what was sent and received. Secrets in request headers are masked.
+ */
+
+const SECRET_HEADER = /key|token|secret|authorization|cookie/i;
+
+function redactHeaders(headers) {
+  const out = {};
+  Object.entries(headers || {}).forEach(([name, value]) => {
+    out[name] = SECRET_HEADER.test(name) ? '••••••' : value;
+  });
+  return out;
+}
+
+function now() {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+/**
+ * Create the record of one HTTP exchange and append it to `exchanges`.
+ * Callers fill in status, response, error and durationMs as the request progresses.
+ * @param {string} endpoint - Request URL
+ * @param {RequestInit} [init] - fetch options
+ * @param {Array} [exchanges] - List the exchange is appended to
+ * @returns {object} The exchange record
+ */
+export function startExchange(endpoint, init = {}, exchanges) {
+  const exchange = {
+    request: {
+      method: init.method || 'GET',
+      url: endpoint,
+      headers: redactHeaders(init.headers),
+      body: typeof init.body === 'string' ? init.body : null
+    },
+    status: null,
+    durationMs: null,
+    response: null,
+    error: null
+  };
+  exchanges?.push(exchange);
+  return exchange;
+}
+
+/**
+ * fetch() that records the request, status, timing and raw response body.
+ * The body is always read as text so it can be shown even when it is not JSON.
+ * @param {string} endpoint - Request URL
+ * @param {RequestInit} [init] - fetch options
+ * @param {Array} [exchanges] - List the exchange is appended to; nothing is recorded without it
+ * @returns {Promise<{ok: boolean, status: number, text: string, headers: Headers}>} Status, headers and raw body
+ */
+export async function tracedFetch(endpoint, init = {}, exchanges) {
+  const exchange = startExchange(endpoint, init, exchanges);
+  const started = now();
+  try {
+    const resp = await fetch(endpoint, init);
+    const text = await resp.text().catch(() => '');
+    exchange.status = resp.status;
+    exchange.response = text;
+    return { ok: resp.ok, status: resp.status, text, headers: resp.headers };
+  } catch (err) {
+    exchange.error = err.message || String(err);
+    throw err;
+  } finally {
+    exchange.durationMs = Math.round(now() - started);
+  }
+}
+
+/**
+ * Parse a response body as JSON, returning null when it is empty or not JSON
+ * @param {string} text - Raw body
+ * @returns {any} Parsed value or null
+ */
+export function parseJsonBody(text) {
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch {
+    return null;
+  }
+}
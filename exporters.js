@@ -0,0 +1,415 @@
+import { parseWhoisData } from './whoisUtils.js';
+import { summarizeResult } from './verdict.js';
+import { parseCertificate } from './certUtils.js';
+
+/**
+ * Serializers for sharing a scan result: self-contained HTML (printable to PDF),
+ * raw JSON, CSV of detections and a STIX 2.1 bundle
+ */
+
+const VERDICT_COLORS = {
+  CLEAN: '#10b981',
+  SUSPICIOUS: '#f59e0b',
+  MALICIOUS: '#ef4444'
+};
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function csvCell(value) {
+  const s = String(value ?? '');
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function allDetections(result) {
+  if (!Array.isArray(result)) return [];
+  return result.flatMap(cat => (Array.isArray(cat.detections) ? cat.detections : []).map(d => ({ ...d, category: cat })));
+}
+
+function allResults(result) {
+  if (!Array.isArray(result)) return [];
+  return result.flatMap(cat => (Array.isArray(cat.results) ? cat.results : []));
+}
+
+/**
+ * Build a safe file name for an export
+ * @param {string} url - Scanned URL
+ * @param {string} extension - File extension without dot
+ * @returns {string} File name like scan-example.com-2024-01-01.json
+ */
+export function exportFileName(url, extension) {
+  let host = 'scan';
+  try {
+    host = new URL(url).hostname || host;
+  } catch {
+    // keep default
+  }
+  const day = new Date().toISOString().slice(0, 10);
+  return `scan-${host.replace(/[^a-z0-9.-]/gi, '_')}-${day}.${extension}`;
+}
+
+/**
+ * Serialize the normalized result as pretty-printed JSON
+ * @param {string} url - Scanned URL
+ * @param {Array} result - Normalized result
+ * @returns {string} JSON document
+ */
+export function toJson(url, result) {
+  return JSON.stringify({ url, exported_at: new Date().toISOString(), result }, null, 2);
+}
+
+/**
+ * List every detection as a CSV row
+ * @param {string} url - Scanned URL
+ * @param {Array} result - Normalized result
+ * @returns {string} CSV with a header row
+ */
+export function toDetectionsCsv(url, result) {
+  const header = ['url', 'provider', 'verdict', 'risk_score', 'engine', 'result', 'threat_type'];
+  const rows = allDetections(result).map(d => [
+    url,
+    d.category.provider_label || d.category.provider || '',
+    d.category.verdict || '',
+    d.category.risk_score ?? '',
+    d.engine,
+    d.result,
+    d.threat_type
+  ]);
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+}
+
+/**
+ * Analyst decisions as a JSON document
+ * @param {Array} decisions - From listDecisions
+ * @returns {string}
+ */
+export function toDecisionsJson(decisions) {
+  return JSON.stringify({ exported_at: new Date().toISOString(), decisions }, null, 2);
+}
+
+/**
+ * Analyst decisions as CSV, one row per decision
+ * @param {Array} decisions - From listDecisions
+ * @returns {string} CSV with a header row
+ */
+export function toDecisionsCsv(decisions) {
+  const header = ['kind', 'scope', 'pattern', 'reason', 'analyst', 'created_at'];
+  const rows = (decisions || []).map(d => [d.kind, d.scope, d.pattern, d.reason, d.analyst, d.createdAt]);
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+}
+
+// Image sources come from the scanned site or a shared link, so only plain base64 raster
+// images are written into the report
+const SAFE_IMAGE_DATA_URL = /^data:image\/(png|jpeg|gif|webp|x-icon|vnd\.microsoft\.icon);base64,[A-Za-z0-9+/=]+$/;
+
+function safeImageDataUrl(value) {
+  return typeof value === 'string' && SAFE_IMAGE_DATA_URL.test(value) ? value : null;
+}
+
+/**
+ * Read an image URL (remote, blob: or data:) into a data: URL so the report has no external references
+ * @param {string} src - Image source
+ * @returns {Promise<string|null>} data: URL, or null if it could not be fetched or is not a safe image
+ */
+async function inlineImage(src) {
+  if (!src || typeof src !== 'string') return null;
+  if (src.startsWith('data:')) return safeImageDataUrl(src);
+  try {
+    const resp = await fetch(src);
+    if (!resp.ok) return null;
+    const blob = await resp.blob();
+    const dataUrl = await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+    return safeImageDataUrl(dataUrl);
+  } catch {
+    return null;
+  }
+}
+
+function htmlRows(pairs) {
+  return pairs
+    .filter(([, v]) => v !== null && v !== undefined && v !== '')
+    .map(([k, v]) => `<tr><th>${escapeHtml(k)}</th><td>${escapeHtml(v)}</td></tr>`)
+    .join('');
+}
+
+async function renderResultHtml(r) {
+  const sections = [];
+  const favicon = await inlineImage(r.favicon_src);
+  const screenshot = await inlineImage(r.screenshot_src || r.screenshot?.image_url);
+
+  sections.push(`<h3>${favicon ? `<img class="favicon" src="${escapeHtml(favicon)}" alt="">` : ''}${escapeHtml(r.input_url || r.domain || '')}</h3>`);
+  sections.push(`<table>${htmlRows([['Domain', r.domain], ['IP Address', r.ip]])}</table>`);
+
+  const w = r.whois ? parseWhoisData(r.whois) : null;
+  if (w) {
+    sections.push(`<h4>WHOIS</h4><table>${htmlRows([
+      ['Domain', w.domain],
+      ['Registrar', w.registrar],
+      ['Organization', w.registrant?.organization],
+      ['Country', w.registrant?.country],
+      ['Created', w.dates.created],
+      ['Updated', w.dates.updated],
+      ['Expires', w.dates.expires]
+    ])}</table>`);
+  }
+
+  if (r.dns) {
+    sections.push(`<h4>DNS</h4><table>${htmlRows(['A', 'AAAA', 'MX', 'NS', 'TXT', 'CNAME']
+      .map(type => [type, Array.isArray(r.dns[type]) ? r.dns[type].join(', ') : r.dns[type]]))}</table>`);
+  }
+
+  const cert = parseCertificate(r.ssl);
+  if (cert) {
+    sections.push(`<h4>SSL Certificate</h4><table>${htmlRows([
+      ['Subject', cert.subjectDn],
+      ['Issuer', cert.issuerDn],
+      ['Alt Names', cert.san.map(n => n.value).join(', ')],
+      ['Serial', cert.serial],
+      ['Key', cert.keyType && [cert.keyType, cert.keySize && `${cert.keySize} bits`].filter(Boolean).join(' ')],
+      ['Valid From', cert.notBefore?.toISOString()],
+      ['Valid Until', cert.notAfter?.toISOString()]
+    ])}</table>`);
+  }
+
+  if (screenshot) {
+    sections.push(`<h4>Screenshot</h4><img class="screenshot" src="${escapeHtml(screenshot)}" alt="Screenshot">`);
+  }
+
+  return `<section class="result">${sections.join('\n')}</section>`;
+}
+
+/**
+ * Build a self-contained HTML report; images are inlined so the file works offline
+ * and prints cleanly to PDF
+ * @param {string} url - Scanned URL
+ * @param {Array} result - Normalized result
+ * @returns {Promise<string>} HTML document
+ */
+export async function toHtmlReport(url, result) {
+  const summary = summarizeResult(result);
+  const categories = Array.isArray(result) ? result : [];
+  const color = VERDICT_COLORS[summary.verdict] || '#9ca3af';
+
+  const detections = allDetections(result);
+  const detectionsHtml = detections.length > 0
+    ? `<table class="list"><thead><tr><th>Engine</th><th>Result</th><th>Threat Type</th></tr></thead><tbody>${detections
+      .map(d => `<tr><td>${escapeHtml(d.engine)}</td><td>${escapeHtml(d.result)}</td><td>${escapeHtml(d.threat_type)}</td></tr>`)
+      .join('')}</tbody></table>`
+    : '<p>No detections.</p>';
+
+  const categoriesHtml = categories.map(cat => `<tr><td>${escapeHtml(cat.provider_label || cat.provider || '—')}</td><td>${escapeHtml(cat.verdict)}</td><td>${escapeHtml(cat.risk_score)}/100</td><td>${escapeHtml(cat.malicious_count)} / ${escapeHtml(cat.total_engines)}</td></tr>`).join('');
+  const resultsHtml = (await Promise.all(allResults(result).map(renderResultHtml))).join('\n');
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>URL Scan Report – ${escapeHtml(url)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #0f172a; max-width: 900px; margin: 32px auto; padding: 0 24px; }
+  h1 { font-size: 1.5rem; margin-bottom: 4px; }
+  h2 { font-size: 1.15rem; margin-top: 28px; border-bottom: 1px solid #e5e7eb; padding-bottom: 6px; }
+  h3 { font-size: 1rem; display: flex; align-items: center; gap: 8px; word-break: break-all; }
+  h4 { font-size: 0.9rem; margin: 16px 0 6px; color: #374151; }
+  .meta { color: #64748b; font-size: 0.85rem; word-break: break-all; }
+  .verdict { display: inline-block; margin-top: 16px; padding: 10px 18px; border-radius: 10px; border: 2px solid ${color}; color: ${color}; font-weight: 700; font-size: 1.2rem; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.85rem; }
+  th, td { text-align: left; padding: 5px 8px; border-bottom: 1px solid #eef2f7; vertical-align: top; word-break: break-word; }
+  th { color: #64748b; width: 160px; font-weight: 600; }
+  table.list th { width: auto; }
+  .favicon { width: 20px; height: 20px; object-fit: contain; }
+  .screenshot { max-width: 100%; border: 1px solid #e5e7eb; border-radius: 8px; }
+  .result { page-break-inside: avoid; margin-bottom: 24px; }
+  @media print {
+    body { margin: 0; max-width: none; }
+    .result { page-break-inside: avoid; }
+  }
+</style>
+</head>
+<body>
+<h1>URL Scan Report</h1>
+<div class="meta">${escapeHtml(url)}<br>Generated ${escapeHtml(new Date().toISOString())}</div>
+<div class="verdict">${escapeHtml(summary.verdict)} · ${escapeHtml(summary.risk_score)}/100</div>
+<h2>Sources</h2>
+<table class="list"><thead><tr><th>Provider</th><th>Verdict</th><th>Risk Score</th><th>Detections</th></tr></thead><tbody>${categoriesHtml}</tbody></table>
+<h2>Detections</h2>
+${detectionsHtml}
+<h2>Details</h2>
+${resultsHtml || '<p>No details returned.</p>'}
+</body>
+</html>`;
+}
+
+function stixId(type) {
+  return `${type}--${crypto.randomUUID()}`;
+}
+
+function stixString(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
+
+const INDICATOR_TYPES = {
+  MALICIOUS: ['malicious-activity'],
+  SUSPICIOUS: ['anomalous-activity'],
+  CLEAN: ['benign']
+};
+
+// STIX malware-type-ov values, matched against the detection's threat name
+const MALWARE_TYPES = [
+  [/ransom/i, 'ransomware'],
+  [/spy/i, 'spyware'],
+  [/worm/i, 'worm'],
+  [/virus/i, 'virus'],
+  [/trojan/i, 'trojan']
+];
+
+function malwareType(threat) {
+  return MALWARE_TYPES.find(([pattern]) => pattern.test(threat))?.[1] || 'unknown';
+}
+
+/**
+ * Build a STIX 2.1 bundle: an indicator for the URL, observed-data with the URL/domain/IP
+ * observables, and a malware or attack-pattern object (linked with `indicates`) per detection
+ * @param {string} url - Scanned URL
+ * @param {Array} result - Normalized result
+ * @returns {object} STIX bundle
+ */
+export function toStixBundle(url, result) {
+  const now = new Date().toISOString();
+  const summary = summarizeResult(result);
+  const objects = [];
+
+  const urlObject = { type: 'url', spec_version: '2.1', id: stixId('url'), value: url };
+  objects.push(urlObject);
+
+  const observedRefs = [urlObject.id];
+  const seenValues = new Set();
+  allResults(result).forEach(r => {
+    if (r.domain && !seenValues.has(`d:${r.domain}`)) {
+      seenValues.add(`d:${r.domain}`);
+      const domain = { type: 'domain-name', spec_version: '2.1', id: stixId('domain-name'), value: r.domain };
+      objects.push(domain);
+      observedRefs.push(domain.id);
+    }
+    if (r.ip && !seenValues.has(`i:${r.ip}`)) {
+      seenValues.add(`i:${r.ip}`);
+      const type = String(r.ip).includes(':') ? 'ipv6-addr' : 'ipv4-addr';
+      const ip = { type, spec_version: '2.1', id: stixId(type), value: r.ip };
+      objects.push(ip);
+      observedRefs.push(ip.id);
+    }
+  });
+
+  const indicator = {
+    type: 'indicator',
+    spec_version: '2.1',
+    id: stixId('indicator'),
+    created: now,
+    modified: now,
+    name: `URL scan: ${url}`,
+    description: `Verdict ${summary.verdict}, risk score ${summary.risk_score}/100, ${summary.malicious_count}/${summary.total_engines} engines`,
+    indicator_types: INDICATOR_TYPES[summary.verdict] || ['unknown'],
+    pattern: `[url:value = '${stixString(url)}']`,
+    pattern_type: 'stix',
+    valid_from: now
+  };
+  objects.push(indicator);
+
+  objects.push({
+    type: 'observed-data',
+    spec_version: '2.1',
+    id: stixId('observed-data'),
+    created: now,
+    modified: now,
+    first_observed: now,
+    last_observed: now,
+    number_observed: 1,
+    object_refs: observedRefs
+  });
+
+  allDetections(result).forEach(d => {
+    const threat = String(d.threat_type || d.result || 'unknown');
+    const isPhishing = /phish/i.test(threat);
+    const target = isPhishing
+      ? {
+        type: 'attack-pattern',
+        spec_version: '2.1',
+        id: stixId('attack-pattern'),
+        created: now,
+        modified: now,
+        name: 'Phishing',
+        description: `Reported by ${d.engine}: ${d.result}`,
+        external_references: [{ source_name: 'capec', external_id: 'CAPEC-98' }]
+      }
+      : {
+        type: 'malware',
+        spec_version: '2.1',
+        id: stixId('malware'),
+        created: now,
+        modified: now,
+        name: String(d.result || threat),
+        description: `Reported by ${d.engine}`,
+        malware_types: [malwareType(threat)],
+        is_family: false
+      };
+    objects.push(target);
+    objects.push({
+      type: 'relationship',
+      spec_version: '2.1',
+      id: stixId('relationship'),
+      created: now,
+      modified: now,
+      relationship_type: 'indicates',
+      source_ref: indicator.id,
+      target_ref: target.id
+    });
+  });
+
+  return { type: 'bundle', id: stixId('bundle'), objects };
+}
+
+/**
+ * Trigger a browser download for generated content
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} mime - MIME type
+ */
+export function downloadFile(filename, content, mime) {
+  const blob = new Blob([content], { type: mime });
+  const href = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = href;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(href), 1000);
+}
+
+/**
+ * Open an HTML report in a new window and show the print dialog (Save as PDF)
+ * @param {string} html - Report document
+ * @returns {boolean} False if the popup was blocked
+ */
+export function printHtmlReport(html) {
+  const win = window.open('', '_blank');
+  if (!win) return false;
+  win.document.open();
+  win.document.write(html);
+  win.document.close();
+  win.focus();
+  // Give inlined images a moment to decode before the print dialog snapshots the page
+  setTimeout(() => win.print(), 300);
+  return true;
+}
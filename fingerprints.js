@@ -0,0 +1,176 @@
+/**
+ * Fingerprints that link scans of the same phishing kit across domains: the Shodan-style
+ * favicon hash and a perceptual hash of the screenshot
+ */
+
+const HASH_SIZE = 8;
+// Screenshots whose 64-bit hashes differ in at most this many bits count as near matches
+export const NEAR_SCREENSHOT_DISTANCE = 10;
+
+/**
+ * MurmurHash3 (x86, 32-bit) of a string's UTF-8 bytes, as a signed integer like Python's mmh3.hash
+ * @param {string} text
+ * @param {number} [seed=0]
+ * @returns {number}
+ */
+export function murmurHash3(text, seed = 0) {
+  const bytes = new TextEncoder().encode(text);
+  const c1 = 0xcc9e2d51;
+  const c2 = 0x1b873593;
+  const blocks = bytes.length >> 2;
+  let h = seed | 0;
+  let k;
+
+  for (let i = 0; i < blocks; i++) {
+    const o = i * 4;
+    k = bytes[o] | (bytes[o + 1] << 8) | (bytes[o + 2] << 16) | (bytes[o + 3] << 24);
+    k = Math.imul(k, c1);
+    k = (k << 15) | (k >>> 17);
+    k = Math.imul(k, c2);
+    h ^= k;
+    h = (h << 13) | (h >>> 19);
+    h = (Math.imul(h, 5) + 0xe6546b64) | 0;
+  }
+
+  const tail = blocks * 4;
+  k = 0;
+  switch (bytes.length & 3) {
+    case 3: k ^= bytes[tail + 2] << 16; // falls through
+    case 2: k ^= bytes[tail + 1] << 8; // falls through
+    case 1:
+      k ^= bytes[tail];
+      k = Math.imul(k, c1);
+      k = (k << 15) | (k >>> 17);
+      k = Math.imul(k, c2);
+      h ^= k;
+  }
+
+  h ^= bytes.length;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h | 0;
+}
+
+/**
+ * Shodan's favicon hash (http.favicon.hash): mmh3 of the base64 text wrapped at 76
+ * characters with a trailing newline, as Python's base64.encodebytes produces it
+ * @param {string} base64 - Favicon bytes as base64 or a data: URL
+ * @returns {number|null}
+ */
+export function faviconHash(base64) {
+  if (!base64 || typeof base64 !== 'string') return null;
+  const body = base64.replace(/^data:[^,]*,/, '').replace(/\s+/g, '');
+  if (!body || !/^[A-Za-z0-9+/]+=*$/.test(body)) return null;
+
+  const lines = body.match(/.{1,76}/g) || [];
+  return murmurHash3(lines.map(line => `${line}\n`).join(''));
+}
+
+function createCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+  if (typeof document === 'undefined') return null;
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+async function loadImage(src) {
+  const img = new Image();
+  img.crossOrigin = 'anonymous';
+  img.src = src;
+  await img.decode();
+  return img;
+}
+
+/**
+ * Difference hash (dHash) of a screenshot: the image is shrunk to 9x8 greyscale and each
+ * bit says whether a pixel is brighter than its right neighbour
+ * @param {string} src - Image URL, blob: URL or data: URL
+ * @returns {Promise<string|null>} 16 hex characters, or null when the image cannot be read
+ *   (no canvas, or a cross-origin image without CORS headers)
+ */
+export async function screenshotHash(src) {
+  if (!src || typeof Image === 'undefined') return null;
+  const canvas = createCanvas(HASH_SIZE + 1, HASH_SIZE);
+  if (!canvas) return null;
+
+  try {
+    const img = await loadImage(src);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(img, 0, 0, HASH_SIZE + 1, HASH_SIZE);
+    const { data } = ctx.getImageData(0, 0, HASH_SIZE + 1, HASH_SIZE);
+    const grey = (x, y) => {
+      const i = (y * (HASH_SIZE + 1) + x) * 4;
+      return data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+    };
+
+    let hex = '';
+    for (let y = 0; y < HASH_SIZE; y++) {
+      let byte = 0;
+      for (let x = 0; x < HASH_SIZE; x++) {
+        byte = (byte << 1) | (grey(x, y) > grey(x + 1, y) ? 1 : 0);
+      }
+      hex += byte.toString(16).padStart(2, '0');
+    }
+    return hex;
+  } catch (error) {
+    console.warn('Could not fingerprint screenshot:', error);
+    return null;
+  }
+}
+
+/**
+ * Number of differing bits between two hex hashes of the same length
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Bit distance, or Infinity when the hashes cannot be compared
+ */
+export function hammingDistance(a, b) {
+  if (!a || !b || a.length !== b.length) return Infinity;
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let x = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (x) {
+      distance += x & 1;
+      x >>= 1;
+    }
+  }
+  return distance;
+}
+
+function firstWith(result, pick) {
+  if (!Array.isArray(result)) return null;
+  for (const cat of result) {
+    for (const r of Array.isArray(cat?.results) ? cat.results : []) {
+      const value = r && pick(r);
+      if (value) return value;
+    }
+  }
+  return null;
+}
+
+/**
+ * Favicon hash of the first result that embeds its favicon
+ * @param {Array} result - Normalized scan result
+ * @returns {number|null}
+ */
+export function resultFaviconHash(result) {
+  return faviconHash(firstWith(result, r => r.favicon_base64));
+}
+
+/**
+ * Compute both fingerprints of a scan result
+ * @param {Array} result - Normalized scan result
+ * @returns {Promise<{favicon_hash: number|null, screenshot_phash: string|null}>}
+ */
+export async function computeFingerprints(result) {
+  const screenshot = firstWith(result, r => r.screenshot_src || r.screenshot?.image_url);
+  return {
+    favicon_hash: resultFaviconHash(result),
+    screenshot_phash: await screenshotHash(screenshot)
+  };
+}
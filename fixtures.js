@@ -0,0 +1,66 @@
+import { SAMPLE_RESPONSE } from './sampleResponse.js';
+
+const RECORDINGS_KEY = 'urlscanner.fixtures.v1';
+const MAX_RECORDINGS = 50;
+
+/**
+ * Load recorded provider responses from localStorage
+ * @returns {Array} Array of { url, provider, when, response } records
+ */
+export function loadRecordings() {
+  try {
+    const raw = localStorage.getItem(RECORDINGS_KEY);
+    if (!raw) return [];
+
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.error('Failed to load recordings:', error);
+    return [];
+  }
+}
+
+/**
+ * Record a raw provider response so the fixture provider can replay it later
+ * @param {string} url - The URL that was scanned
+ * @param {string} provider - Provider id that produced the response
+ * @param {any} response - Raw response payload
+ * @returns {boolean} True if successful, false otherwise
+ */
+export function recordResponse(url, provider, response) {
+  try {
+    const others = loadRecordings().filter(r => !(r.url === url && r.provider === provider));
+    const updated = [{ url, provider, when: new Date().toISOString(), response }, ...others].slice(0, MAX_RECORDINGS);
+    localStorage.setItem(RECORDINGS_KEY, JSON.stringify(updated));
+    return true;
+  } catch (error) {
+    console.error('Failed to record response:', error);
+    return false;
+  }
+}
+
+/**
+ * Remove all recorded responses
+ * @returns {boolean} True if successful
+ */
+export function clearRecordings() {
+  try {
+    localStorage.removeItem(RECORDINGS_KEY);
+    return true;
+  } catch (error) {
+    console.error('Failed to clear recordings:', error);
+    return false;
+  }
+}
+
+/**
+ * Find the response to replay for a URL: the most recent recording for that exact URL,
+ * otherwise the bundled sample response
+ * @param {string} url - The URL being scanned
+ * @returns {{provider: string, response: any}} Recorded provider id and payload
+ */
+export function findRecording(url) {
+  const match = loadRecordings().find(r => r.url === url);
+  if (match) return { provider: match.provider, response: match.response };
+  return { provider: 'n8n', response: SAMPLE_RESPONSE };
+}
@@ -0,0 +1,149 @@
+/**
+ * Client-side lexical analysis of a URL. Runs without any network access so
+ * its findings are available before the webhook answers, and feeds into
+ * decideVerdict as the `lexical` signal category.
+ */
+
+const SUSPICIOUS_TLDS = [
+  'zip', 'mov', 'xyz', 'top', 'tk', 'ml', 'ga', 'cf', 'gq', 'work', 'click',
+  'country', 'kim', 'loan', 'men', 'stream', 'download', 'racing', 'review',
+  'gdn', 'icu', 'rest', 'fit', 'cam', 'sbs', 'cfd', 'buzz', 'monster', 'quest'
+];
+
+const PHISHING_KEYWORDS = [
+  'login', 'signin', 'sign-in', 'logon', 'verify', 'verification', 'account',
+  'update', 'secure', 'banking', 'confirm', 'password', 'wallet', 'webscr',
+  'auth', 'unlock', 'suspended', 'billing'
+];
+
+const MAX_HOST_LENGTH = 50;
+const MAX_SUBDOMAIN_DEPTH = 4;
+const MAX_HYPHENS = 4;
+const MAX_HOST_DIGITS = 6;
+
+/**
+ * Map a finding weight to a display severity
+ * @param {number} weight - Points the finding adds to the score
+ * @returns {string} 'high', 'medium' or 'low'
+ */
+export function severityForWeight(weight) {
+  if (weight >= 25) return 'high';
+  if (weight >= 15) return 'medium';
+  return 'low';
+}
+
+// detail is plain data (a hostname, a TLD) or a { message, params } reference
+function finding(id, weight, detail) {
+  return { id, message: `finding.lexical.${id}`, weight, severity: severityForWeight(weight), detail: detail || null };
+}
+
+// Split on anything that is not a letter or digit, so "sign-in" and "/login?" give whole words
+function tokenize(text) {
+  return text.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+// A keyword only counts as whole words: "login" is in "secure-login.example" but not in
+// "blogin", "auth" is not in "author" or "oauth"
+function containsKeyword(tokens, keyword) {
+  const words = tokenize(keyword);
+  return tokens.some((_, i) => words.every((word, j) => tokens[i + j] === word));
+}
+
+function isIpHost(hostname) {
+  return /^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) || hostname.startsWith('[');
+}
+
+/**
+ * Look for long base64/hex runs or heavy percent-encoding that usually hide a payload
+ * @param {string} text - Path and query of the URL
+ * @returns {object|null} Message reference describing what was found
+ */
+function findEncodedPayload(text) {
+  const percentCount = (text.match(/%[0-9a-f]{2}/gi) || []).length;
+  if (percentCount > 10) return { message: 'finding.detail.percentEncoded', params: { count: percentCount } };
+  if (/[A-Za-z0-9+/_-]{40,}={0,2}/.test(text) && /\d/.test(text) && /[A-Z]/.test(text)) return { message: 'finding.detail.base64' };
+  if (/(?:^|[^0-9a-f])[0-9a-f]{40,}/i.test(text)) return { message: 'finding.detail.hex' };
+  if (/(?:data|javascript):/i.test(decodeSafe(text))) return { message: 'finding.detail.embeddedUri' };
+  return null;
+}
+
+function decodeSafe(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Run the lexical checks on a URL
+ * @param {string} url - Fully qualified URL
+ * @returns {object} Signal category with source, message, score (0-100) and findings
+ */
+export function analyzeUrl(url) {
+  const signal = { source: 'lexical', message: 'signal.lexical', score: 0, findings: [] };
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return signal;
+  }
+
+  const hostname = parsed.hostname.toLowerCase();
+  const labels = hostname.split('.').filter(Boolean);
+  const tld = labels[labels.length - 1] || '';
+  const pathAndQuery = `${parsed.pathname}${parsed.search}`;
+  const findings = signal.findings;
+
+  if (isIpHost(hostname)) {
+    findings.push(finding('raw-ip', 30, hostname));
+  }
+
+  // The URL parser strips userinfo into username/password; `@` there hides the real host
+  if (parsed.username || parsed.password) {
+    findings.push(finding('userinfo', 30, `${parsed.username}@${hostname}`));
+  }
+
+  if (labels.some(l => l.startsWith('xn--'))) {
+    findings.push(finding('punycode', 25, hostname));
+  }
+
+  if (!isIpHost(hostname)) {
+    if (hostname.length > MAX_HOST_LENGTH) {
+      findings.push(finding('long-host', 10, { message: 'finding.detail.characters', params: { count: hostname.length } }));
+    }
+
+    if (labels.length > MAX_SUBDOMAIN_DEPTH) {
+      findings.push(finding('deep-subdomain', 15, { message: 'finding.detail.labels', params: { count: labels.length } }));
+    }
+
+    if (SUSPICIOUS_TLDS.includes(tld)) {
+      findings.push(finding('suspicious-tld', 15, `.${tld}`));
+    }
+
+    const hyphens = (hostname.match(/-/g) || []).length;
+    if (hyphens >= MAX_HYPHENS) {
+      findings.push(finding('hyphens', 10, { message: 'finding.detail.hyphens', params: { count: hyphens } }));
+    }
+
+    const digits = (hostname.match(/\d/g) || []).length;
+    if (digits >= MAX_HOST_DIGITS) {
+      findings.push(finding('digits', 10, { message: 'finding.detail.digits', params: { count: digits } }));
+    }
+  }
+
+  const payload = findEncodedPayload(pathAndQuery);
+  if (payload) {
+    findings.push(finding('encoded-payload', 15, payload));
+  }
+
+  const tokens = tokenize(`${hostname} ${decodeSafe(pathAndQuery)}`);
+  const keywords = PHISHING_KEYWORDS.filter(k => containsKeyword(tokens, k));
+  if (keywords.length > 0) {
+    findings.push(finding('keywords', 15, keywords.join(', ')));
+  }
+
+  signal.score = Math.min(100, findings.reduce((sum, f) => sum + f.weight, 0));
+  return signal;
+}
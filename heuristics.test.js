@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeUrl, severityForWeight } from './heuristics.js';
+
+const ids = (url) => analyzeUrl(url).findings.map(f => f.id);
+
+test('severityForWeight maps weights to severities at 15 and 25', () => {
+  assert.equal(severityForWeight(0), 'low');
+  assert.equal(severityForWeight(14), 'low');
+  assert.equal(severityForWeight(15), 'medium');
+  assert.equal(severityForWeight(24), 'medium');
+  assert.equal(severityForWeight(25), 'high');
+  assert.equal(severityForWeight(50), 'high');
+});
+
+test('ordinary URLs have no findings', () => {
+  ['https://example.com/', 'https://www.wikipedia.org/wiki/URL', 'https://github.com/nodejs/node'].forEach(url => {
+    const signal = analyzeUrl(url);
+    assert.equal(signal.score, 0, url);
+    assert.deepEqual(signal.findings, [], url);
+  });
+});
+
+test('an unparsable URL yields an empty signal', () => {
+  assert.deepEqual(analyzeUrl('not a url'), { source: 'lexical', message: 'signal.lexical', score: 0, findings: [] });
+});
+
+test('host findings', () => {
+  assert.deepEqual(ids('http://192.168.10.20/'), ['raw-ip']);
+  assert.ok(ids('https://user@example.com/').includes('userinfo'));
+  assert.ok(ids('https://xn--pypal-4ve.com/').includes('punycode'));
+  assert.ok(ids(`https://${'a'.repeat(51)}.com/`).includes('long-host'));
+  assert.ok(ids('https://a.b.c.d.example.com/').includes('deep-subdomain'));
+  assert.deepEqual(ids('https://example.xyz/'), ['suspicious-tld']);
+  assert.ok(ids('https://a-b-c-d-e.com/').includes('hyphens'));
+  assert.ok(ids('https://host123456.com/').includes('digits'));
+});
+
+test('encoded payloads in the path or query', () => {
+  assert.ok(ids(`https://example.com/?q=${'%41'.repeat(11)}`).includes('encoded-payload'));
+  assert.ok(ids(`https://example.com/${'ab12'.repeat(10)}`).includes('encoded-payload'));
+  assert.ok(ids('https://example.com/?next=javascript%3Aalert(1)').includes('encoded-payload'));
+  assert.ok(!ids('https://example.com/?q=%20').includes('encoded-payload'));
+});
+
+test('findings carry weight, severity and a detail', () => {
+  const [finding] = analyzeUrl('http://10.0.0.1/').findings;
+  assert.equal(finding.message, 'finding.lexical.raw-ip');
+  assert.equal(finding.weight, 30);
+  assert.equal(finding.severity, 'high');
+  assert.equal(finding.detail, '10.0.0.1');
+});
+
+test('the score is the sum of the weights, capped at 100', () => {
+  const signal = analyzeUrl('https://example.xyz/login');
+  assert.equal(signal.score, signal.findings.reduce((sum, f) => sum + f.weight, 0));
+  assert.equal(analyzeUrl(`http://user@xn--pypal-4ve.a-b-c-d-e.x1234567.y.z.xyz/login?${'%41'.repeat(11)}`).score, 100);
+});
+
+test('keywords only match whole words', () => {
+  const keywords = (url) => analyzeUrl(url).findings.find(f => f.id === 'keywords')?.detail ?? null;
+
+  assert.equal(keywords('https://example.com/login'), 'login');
+  assert.equal(keywords('https://secure-login.example.com/'), 'login, secure');
+  assert.equal(keywords('https://example.com/account/sign-in?next=/'), 'sign-in, account');
+  assert.equal(keywords('https://example.com/?action=verify_account'), 'verify, account');
+
+  assert.equal(keywords('https://author.example.com/'), null);
+  assert.equal(keywords('https://oauth-docs.example.com/'), null);
+  assert.equal(keywords('https://blogin.example.com/'), null);
+  assert.equal(keywords('https://example.com/updates/unverified'), null);
+});
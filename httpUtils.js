@@ -0,0 +1,127 @@
+import { tracedFetch } from './diagnostics.js';
+
+/**
+ * Timeouts, retries and waiting for HTTP calls to scan backends
+ */
+
+export const DEFAULT_TIMEOUT_MS = 60000;
+export const DEFAULT_RETRIES = 2;
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 30000;
+
+function abortError() {
+  return new DOMException('Aborted', 'AbortError');
+}
+
+/**
+ * Resolve after `ms`, or reject with an AbortError as soon as `signal` aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+export function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(abortError());
+    }, { once: true });
+  });
+}
+
+/**
+ * Derive a signal that aborts when the parent aborts or after `ms`
+ * @param {AbortSignal} [parent] - Caller's signal
+ * @param {number} ms - Timeout; 0 or less disables it
+ * @returns {{signal: AbortSignal, timedOut: () => boolean, restart: () => void, clear: () => void}}
+ *   `restart` starts the countdown again, turning it into an idle timeout
+ */
+export function withTimeout(parent, ms) {
+  const controller = new AbortController();
+  let expired = false;
+  let timer = null;
+  const onAbort = () => controller.abort();
+
+  if (parent?.aborted) controller.abort();
+  else parent?.addEventListener('abort', onAbort, { once: true });
+
+  const start = () => {
+    clearTimeout(timer);
+    timer = ms > 0 ? setTimeout(() => { expired = true; controller.abort(); }, ms) : null;
+  };
+  start();
+
+  return {
+    signal: controller.signal,
+    timedOut: () => expired,
+    restart: start,
+    clear: () => {
+      clearTimeout(timer);
+      parent?.removeEventListener('abort', onAbort);
+    }
+  };
+}
+
+/**
+ * Whether an HTTP status is worth retrying: rate limiting and server errors
+ * @param {number} status
+ * @returns {boolean}
+ */
+export function isRetryableStatus(status) {
+  return status === 429 || (status >= 500 && status <= 599);
+}
+
+/**
+ * Exponential backoff with jitter, honouring a Retry-After header when present
+ * @param {number} attempt - Zero-based retry number
+ * @param {string|null} [retryAfter] - Retry-After header (seconds or HTTP date)
+ * @returns {number} Delay in milliseconds
+ */
+export function backoffDelay(attempt, retryAfter) {
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : new Date(retryAfter).getTime() - Date.now();
+    if (Number.isFinite(ms) && ms >= 0) return Math.min(ms, BACKOFF_MAX_MS);
+  }
+  const exponential = BACKOFF_BASE_MS * (2 ** attempt);
+  return Math.min(BACKOFF_MAX_MS, exponential + Math.round(Math.random() * exponential * 0.25));
+}
+
+/**
+ * tracedFetch with a per-attempt timeout and exponential-backoff retries on
+ * 429/5xx responses and network errors. Timeouts and caller aborts are not retried:
+ * a backend that was too slow once will most likely be too slow again.
+ * @param {string} endpoint - Request URL
+ * @param {RequestInit} init - fetch options (without `signal`)
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request and any pending retry
+ * @param {number} [options.timeoutMs] - Per-attempt timeout
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @param {Array} [options.exchanges] - Receives every attempt (see tracedFetch)
+ * @param {string} [options.label] - Name used in error messages
+ * @returns {Promise<{ok: boolean, status: number, text: string, headers: Headers}>} Last response
+ */
+export async function fetchWithRetry(endpoint, init, { signal, timeoutMs = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES, exchanges, label = 'Request' } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const timeout = withTimeout(signal, timeoutMs);
+    let resp;
+    try {
+      resp = await tracedFetch(endpoint, { ...init, signal: timeout.signal }, exchanges);
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      if (timeout.timedOut()) throw new Error(`${label} timed out after ${timeoutMs / 1000}s`);
+      if (attempt >= retries) throw err;
+      await wait(backoffDelay(attempt), signal);
+      continue;
+    } finally {
+      timeout.clear();
+    }
+
+    if (resp.ok || !isRetryableStatus(resp.status) || attempt >= retries) return resp;
+    await wait(backoffDelay(attempt, resp.headers?.get('Retry-After')), signal);
+  }
+}
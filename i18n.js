@@ -0,0 +1,177 @@
+import { MESSAGES } from './translations.js';
+
+/**
+ * UI translation and locale-aware formatting.
+ *
+ * Messages are looked up by key in the active catalog, then in English, then the key
+ * itself is shown. "{name}" placeholders are filled from params; a message can be an
+ * object of Intl.PluralRules categories ({ one, other }) chosen by params.count.
+ */
+
+export const DEFAULT_LOCALE = 'en';
+
+export const LOCALES = Object.keys(MESSAGES).map(code => ({ code, label: MESSAGES[code]['locale.name'] }));
+
+let currentLocale = DEFAULT_LOCALE;
+
+/**
+ * Pick a supported locale: the stored choice, else the browser's first supported language
+ * @param {string} [preferred] - Locale from settings; empty means follow the browser
+ * @returns {string}
+ */
+export function resolveLocale(preferred) {
+  const candidates = [preferred, ...(typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : [])];
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    const base = String(candidate).toLowerCase().split('-')[0];
+    if (MESSAGES[base]) return base;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Switch the UI language. Components pick it up on their next render.
+ * @param {string} [preferred] - Locale code, or empty to follow the browser
+ * @returns {string} The locale now in use
+ */
+export function setLocale(preferred) {
+  currentLocale = resolveLocale(preferred);
+  if (typeof document !== 'undefined') document.documentElement.lang = currentLocale;
+  return currentLocale;
+}
+
+/**
+ * @returns {string} The locale in use
+ */
+export function getLocale() {
+  return currentLocale;
+}
+
+function interpolate(message, params) {
+  return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+}
+
+/**
+ * Translate a message
+ * @param {string} key - Catalog key
+ * @param {object} [params] - Placeholder values; count also selects the plural form
+ * @returns {string}
+ */
+export function t(key, params = {}) {
+  let message = MESSAGES[currentLocale]?.[key] ?? MESSAGES[DEFAULT_LOCALE][key];
+  if (message === undefined) {
+    console.warn(`Missing translation: ${key}`);
+    return key;
+  }
+  if (typeof message === 'object') {
+    const category = new Intl.PluralRules(currentLocale).select(Number(params.count) || 0);
+    message = message[category] ?? message.other;
+  }
+  const formatted = typeof params.count === 'number' ? { ...params, count: formatNumber(params.count) } : params;
+  return interpolate(message, formatted);
+}
+
+/**
+ * Display name of a verdict (CLEAN, SUSPICIOUS, ...); unknown values pass through
+ * @param {string} verdict
+ * @returns {string}
+ */
+export function verdictLabel(verdict) {
+  const key = `verdict.${verdict || 'UNKNOWN'}`;
+  return MESSAGES[DEFAULT_LOCALE][key] ? t(key) : verdict;
+}
+
+/**
+ * Translate a message reference { message, params } as stored in scan results. Params
+ * that are references themselves are translated first; a plain string passes through.
+ * @param {object|string|null} ref
+ * @returns {string|null}
+ */
+export function messageText(ref) {
+  if (!ref || typeof ref !== 'object') return ref ?? null;
+  const params = Object.fromEntries(Object.entries(ref.params || {})
+    .map(([name, value]) => [name, value && typeof value === 'object' ? messageText(value) : value]));
+  return t(ref.message, params);
+}
+
+/**
+ * Label and detail of a signal finding (see decideVerdict). Results saved before findings
+ * carried message references hold English label and detail text, shown as is.
+ * @param {object} finding
+ * @returns {{label: string, detail: string|null}}
+ */
+export function findingText(finding) {
+  return { label: finding.message ? messageText(finding) : finding.label, detail: messageText(finding.detail) };
+}
+
+/**
+ * Heading of a signal category
+ * @param {object} signal
+ * @returns {string}
+ */
+export function signalLabel(signal) {
+  return signal.message ? t(signal.message) : signal.label || signal.source;
+}
+
+function toDate(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * @param {number} value
+ * @param {Intl.NumberFormatOptions} [options]
+ * @returns {string}
+ */
+export function formatNumber(value, options) {
+  const number = Number(value);
+  return Number.isFinite(number) ? new Intl.NumberFormat(currentLocale, options).format(number) : String(value ?? '');
+}
+
+/**
+ * Calendar date, e.g. "Mar 5, 2024" / "5 mar 2024"
+ * @param {string|number|Date} value
+ * @returns {string} Empty for missing values; unparseable input is returned as-is
+ */
+export function formatDate(value) {
+  if (value === null || value === undefined || value === '') return '';
+  const date = toDate(value);
+  if (!date) return String(value);
+  return new Intl.DateTimeFormat(currentLocale, { year: 'numeric', month: 'short', day: 'numeric' }).format(date);
+}
+
+/**
+ * Date and time for timestamps in lists
+ * @param {string|number|Date} value
+ * @returns {string}
+ */
+export function formatDateTime(value) {
+  if (value === null || value === undefined || value === '') return '';
+  const date = toDate(value);
+  if (!date) return String(value);
+  return new Intl.DateTimeFormat(currentLocale, { dateStyle: 'medium', timeStyle: 'short' }).format(date);
+}
+
+const RELATIVE_UNITS = [
+  ['year', 365.25 * 24 * 3600],
+  ['month', 30.44 * 24 * 3600],
+  ['week', 7 * 24 * 3600],
+  ['day', 24 * 3600],
+  ['hour', 3600],
+  ['minute', 60],
+  ['second', 1]
+];
+
+/**
+ * Distance from now in the largest whole unit: "3 days ago", "in 2 months"
+ * @param {string|number|Date} value
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export function formatRelative(value, now = new Date()) {
+  const date = toDate(value);
+  if (!date) return '';
+  const seconds = (date.getTime() - now.getTime()) / 1000;
+  const [unit, size] = RELATIVE_UNITS.find(([, s]) => Math.abs(seconds) >= s) || RELATIVE_UNITS[RELATIVE_UNITS.length - 1];
+  return new Intl.RelativeTimeFormat(currentLocale, { numeric: 'auto' }).format(Math.round(seconds / size), unit);
+}
@@ -1,8 +1,12 @@
 import React from 'react';
 import { createRoot } from 'react-dom/client';
 import App from './App.jsx';
+import { setLocale } from './i18n.js';
+import { loadSettings } from './settings.js';
 import './style.css';
 
+setLocale(loadSettings().language);
+
 const rootElement = document.getElementById('root') || document.createElement('div');
 if (!rootElement.id) document.body.appendChild(rootElement);
 
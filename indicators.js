@@ -0,0 +1,106 @@
+import { isValidUrl } from './urlUtils.js';
+
+/**
+ * Pull URLs out of free text (emails, chat messages, incident notes) and convert
+ * between live and defanged forms such as hxxps://example[.]com
+ */
+
+// Spaced-out dots first ("example [dot] com") so the token pass below sees one word
+const SPACED_DOT = /\s*[[({]\s*(?:\.|dot)\s*[\])}]\s*/gi;
+
+const REFANG_RULES = [
+  [/\bh(?:xx|\*\*|\[xx\]|\[tt\]|tt)p(s?)(?=\[?:)/gi, 'http$1'],
+  [/\[:\]\/\/|\[:\/\/\]|\(:\/\/\)/g, '://'],
+  [/\[:\]|\(:\)/g, ':'],
+  [/[[({](?:\.|dot)[\])}]/gi, '.'],
+  [/\[\/\]/g, '/'],
+  [/\[@\]|\(@\)/g, '@']
+];
+
+// Bare words that look like hostnames but are usually file names
+const FILE_EXTENSIONS = new Set([
+  'pdf', 'txt', 'doc', 'docx', 'xls', 'xlsx', 'xlsm', 'ppt', 'pptx', 'csv', 'zip', 'rar', '7z', 'gz',
+  'exe', 'dll', 'msi', 'iso', 'img', 'js', 'vbs', 'ps1', 'bat', 'lnk', 'hta', 'png', 'jpg', 'jpeg',
+  'gif', 'svg', 'eml', 'msg', 'htm', 'html', 'json', 'xml', 'log', 'tmp'
+]);
+
+const SCHEME_URL = /https?:\/\/[^\s<>"'`]+/i;
+const BARE_HOST = /^(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+([a-z]{2,24})(?::\d{1,5})?(?:[/?#][^\s<>"'`]*)?$/i;
+
+/**
+ * Turn defanged notation back into a live URL or text
+ * @param {string} text - e.g. "hxxps[:]//login[.]example(dot)com"
+ * @returns {string} e.g. "https://login.example.com"
+ */
+export function refang(text) {
+  if (!text || typeof text !== 'string') return '';
+  return REFANG_RULES.reduce((out, [pattern, replacement]) => out.replace(pattern, replacement), text);
+}
+
+/**
+ * Defang a URL so it can be pasted into tickets and chats without becoming a link
+ * @param {string} url - Live URL
+ * @returns {string} e.g. "hxxps://login[.]example[.]com/path"
+ */
+export function defang(url) {
+  if (!url || typeof url !== 'string') return '';
+  const match = url.trim().match(/^([a-z][a-z0-9+.-]*):\/\/([^/?#]*)(.*)$/i);
+  if (!match) return url.trim().replace(/\./g, '[.]');
+
+  const [, scheme, authority, rest] = match;
+  const safeScheme = scheme.toLowerCase().replace(/^http/, 'hxxp');
+  return `${safeScheme}://${authority.replace(/\./g, '[.]')}${rest}`;
+}
+
+// Trailing sentence punctuation is not part of the URL; a ")" only counts when it closes a "("
+function trimTrailing(candidate) {
+  let out = candidate;
+  for (;;) {
+    const last = out.slice(-1);
+    if (/[.,;:!?'"\]>}*]/.test(last)) {
+      out = out.slice(0, -1);
+    } else if (last === ')' && (out.match(/\(/g) || []).length < (out.match(/\)/g) || []).length) {
+      out = out.slice(0, -1);
+    } else {
+      return out;
+    }
+  }
+}
+
+function candidateFrom(token) {
+  const scheme = token.match(SCHEME_URL);
+  if (scheme) return { url: trimTrailing(scheme[0]), bare: false };
+
+  const word = trimTrailing(token.replace(/^[<([{'"*]+/, ''));
+  const bare = word.match(BARE_HOST);
+  if (!bare || FILE_EXTENSIONS.has(bare[1].toLowerCase())) return null;
+  return { url: `http://${word}`, bare: true };
+}
+
+/**
+ * Find every URL in free text, including defanged ones, in order of first appearance
+ * @param {string} text - Pasted text
+ * @returns {Array<{url: string, source: string, defanged: boolean, bare: boolean}>}
+ *   `source` is the pasted word the URL was found in, `bare` marks hosts written without a scheme
+ */
+export function extractUrls(text) {
+  if (!text || typeof text !== 'string') return [];
+  const found = [];
+  const seen = new Set();
+
+  text.replace(SPACED_DOT, '[.]').split(/\s+/).forEach(token => {
+    if (!token) return;
+    const live = refang(token);
+    const candidate = candidateFrom(live);
+    if (!candidate || !isValidUrl(candidate.url)) return;
+
+    const url = new URL(candidate.url);
+    if (!url.hostname.includes('.')) return;
+    if (seen.has(url.href)) return;
+    seen.add(url.href);
+
+    found.push({ url: url.href, source: token, defanged: live !== token, bare: candidate.bare });
+  });
+
+  return found;
+}
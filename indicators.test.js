@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { refang, defang, extractUrls } from './indicators.js';
+
+test('refang undoes the common defanging notations', () => {
+  assert.equal(refang('hxxps[:]//login[.]example(dot)com'), 'https://login.example.com');
+  assert.equal(refang('hXXp://example{.}org[/]path'), 'http://example.org/path');
+  assert.equal(refang('h**ps[://]example[dot]net'), 'https://example.net');
+  assert.equal(refang('user[@]example[.]com'), 'user@example.com');
+  assert.equal(refang('https://already.live/'), 'https://already.live/');
+  assert.equal(refang(null), '');
+});
+
+test('defang and refang round-trip', () => {
+  const url = 'https://login.example.com/a.b?x=1';
+  assert.equal(defang(url), 'hxxps://login[.]example[.]com/a.b?x=1');
+  assert.equal(refang(defang(url)), url);
+  assert.equal(defang('example.com'), 'example[.]com');
+});
+
+test('extractUrls finds live, defanged and bare URLs in order', () => {
+  const text = [
+    'Reported by a user: please check hxxps://login[.]evil-bank[.]com/verify?id=1 and',
+    'https://example.org/page.',
+    'Also seen: paypal-secure.net/login (and the attachment invoice.pdf).'
+  ].join('\n');
+
+  assert.deepEqual(extractUrls(text), [
+    { url: 'https://login.evil-bank.com/verify?id=1', source: 'hxxps://login[.]evil-bank[.]com/verify?id=1', defanged: true, bare: false },
+    { url: 'https://example.org/page', source: 'https://example.org/page.', defanged: false, bare: false },
+    { url: 'http://paypal-secure.net/login', source: 'paypal-secure.net/login', defanged: false, bare: true }
+  ]);
+});
+
+test('extractUrls joins spaced-out dots and drops duplicates', () => {
+  assert.deepEqual(extractUrls('evil [dot] example [.] com then evil.example.com again').map(u => u.url), ['http://evil.example.com/']);
+});
+
+test('extractUrls keeps balanced parentheses and trims sentence punctuation', () => {
+  assert.deepEqual(
+    extractUrls('See (https://en.wikipedia.org/wiki/Foo_(bar)), or "https://example.com/x";').map(u => u.url),
+    ['https://en.wikipedia.org/wiki/Foo_(bar)', 'https://example.com/x']
+  );
+});
+
+test('extractUrls ignores file names and words without a domain', () => {
+  assert.deepEqual(extractUrls('open report.docx and setup.exe, then localhost or http://intranet/'), []);
+  assert.deepEqual(extractUrls(''), []);
+  assert.deepEqual(extractUrls(undefined), []);
+});
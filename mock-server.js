@@ -0,0 +1,149 @@
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { DEMO_CASES, matchDemoCase, demoBodyText, demoStages } from './demoResponses.js';
+import { parseJsonBody } from './diagnostics.js';
+
+/**
+ * Local stand-in for the n8n scan webhook, answering with the demo cases in demoResponses.js.
+ *
+ *   npm run mock
+ *   VITE_WEBHOOK_URL=http://localhost:5678/webhook/scan npm run dev
+ *
+ * Any POST path is treated as the webhook and speaks the protocol n8nClient.js expects:
+ * sync, async ({ mode: 'async' } returns a job to poll) and stream (SSE stage events).
+ * GET / lists the cases and an example URL for each. MOCK_PORT changes the port.
+ */
+
+const PORT = Number(process.env.MOCK_PORT) || 5678;
+const JOB_TTL_MS = 10 * 60 * 1000;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Accept, Authorization'
+};
+
+const jobs = new Map();
+
+function send(res, status, body, contentType = 'application/json') {
+  if (res.writableEnded) return;
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': contentType });
+  res.end(typeof body === 'string' ? body : JSON.stringify(body, null, 2));
+}
+
+// Run fn after ms unless the client went away first
+function later(res, ms, fn) {
+  const timer = setTimeout(fn, ms);
+  res.on('close', () => clearTimeout(timer));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+function pruneJobs(now) {
+  for (const [id, job] of jobs) {
+    if (now - job.readyAt > JOB_TTL_MS) jobs.delete(id);
+  }
+}
+
+function sendJob(res, jobId) {
+  const job = jobs.get(jobId);
+  if (!job) return send(res, 404, { status: 'failed', error: `Unknown job ${jobId}` });
+  if (Date.now() < job.readyAt) return send(res, 200, { status: 'running', job_id: jobId });
+
+  const text = demoBodyText(job.demoCase, job.url);
+  // A malformed body is passed through as a string so the poll response itself stays valid JSON
+  return send(res, 200, { status: 'completed', job_id: jobId, result: parseJsonBody(text) ?? text });
+}
+
+function streamCase(res, demoCase, url) {
+  const text = demoBodyText(demoCase, url);
+  const stages = demoStages(parseJsonBody(text));
+  const step = demoCase.delayMs / (stages.length + 1);
+  const write = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+  };
+
+  const timers = [];
+  const at = (ms, fn) => timers.push(setTimeout(fn, ms));
+  res.on('close', () => timers.forEach(clearTimeout));
+
+  res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  stages.forEach(({ stage, data }, i) => {
+    at(i * step, () => write('stage', { stage, status: 'running' }));
+    at((i + 1) * step, () => write('stage', data ? { stage, status: 'done', data } : { stage, status: 'skipped', message: 'Not part of the demo data' }));
+  });
+  at(demoCase.delayMs, () => {
+    write('result', text);
+    res.end();
+  });
+}
+
+async function handleScan(req, res) {
+  const body = parseJsonBody(await readBody(req));
+  const url = body?.url;
+  if (typeof url !== 'string' || !url) return send(res, 400, { message: 'Expected a JSON body with a "url" field' });
+
+  const demoCase = matchDemoCase(url);
+  const wantsStream = body.mode === 'stream' || (req.headers.accept || '').includes('text/event-stream');
+  const mode = body.mode === 'async' ? 'async' : wantsStream ? 'stream' : 'sync';
+  console.log(`${new Date().toISOString()} ${mode.padEnd(6)} ${demoCase.id.padEnd(12)} ${url}`);
+
+  // Failures answer with the HTTP status in every mode, like a webhook that is down
+  if (demoCase.status >= 400) {
+    return later(res, demoCase.delayMs, () => send(res, demoCase.status, demoBodyText(demoCase, url)));
+  }
+
+  if (mode === 'async') {
+    const now = Date.now();
+    pruneJobs(now);
+    const jobId = randomUUID();
+    jobs.set(jobId, { url, demoCase, readyAt: now + demoCase.delayMs });
+    return send(res, 202, { job_id: jobId, status: 'queued', status_url: `/jobs/${jobId}` });
+  }
+
+  if (mode === 'stream') return streamCase(res, demoCase, url);
+
+  return later(res, demoCase.delayMs, () => send(res, demoCase.status, demoBodyText(demoCase, url)));
+}
+
+const server = http.createServer(async (req, res) => {
+  const requestUrl = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+  try {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS);
+      return res.end();
+    }
+
+    if (req.method === 'POST') return await handleScan(req, res);
+
+    if (req.method === 'GET') {
+      const jobMatch = requestUrl.pathname.match(/^\/jobs\/([^/]+)$/);
+      const jobId = jobMatch ? decodeURIComponent(jobMatch[1]) : requestUrl.searchParams.get('job_id');
+      if (jobId) return sendJob(res, jobId);
+
+      return send(res, 200, {
+        webhook: `http://localhost:${PORT}/webhook/scan`,
+        cases: DEMO_CASES.map(({ id, label, example, delayMs, status }) => ({ id, label, example, delayMs, status }))
+      });
+    }
+
+    return send(res, 405, { message: `Method ${req.method} is not supported` });
+  } catch (error) {
+    console.error('Mock webhook failed:', error);
+    return send(res, 500, { message: error.message || String(error) });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock scan webhook listening on http://localhost:${PORT}/webhook/scan`);
+  DEMO_CASES.forEach(c => console.log(`  ${c.id.padEnd(12)} ${c.example.padEnd(40)} ${c.label}`));
+});
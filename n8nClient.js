@@ -1,18 +1,230 @@
-export async function fetchScan(url, webhookUrl) {
-  const endpoint = webhookUrl || import.meta.env.VITE_WEBHOOK_URL;
-  if (!endpoint) throw new Error('VITE_WEBHOOK_URL is not defined');
+import { parseJsonBody, startExchange } from './diagnostics.js';
+import { fetchWithRetry, withTimeout, wait, DEFAULT_TIMEOUT_MS, DEFAULT_RETRIES } from './httpUtils.js';
 
-  const resp = await fetch(endpoint, {
+/**
+ * Client for the n8n scan webhook.
+ *
+ * Sync mode: POST { url } and the webhook answers with the scan payload.
+ * Async mode: POST { url, mode: 'async' } and the webhook answers with
+ *   { job_id, status_url? }; the client then polls the status endpoint, which answers
+ *   { status: 'queued' | 'running' | 'completed' | 'failed', result?, error? }.
+ * Stream mode: POST { url, mode: 'stream' } with Accept: text/event-stream and the webhook
+ *   answers with Server-Sent Events:
+ *     event: stage   data: { stage, status: 'running' | 'done' | 'error' | 'skipped', message?, data? }
+ *     event: result  data: full scan payload
+ *     event: error   data: { message }
+ *   `data` of a stage event holds the result fields that stage produced (e.g. { dns }).
+ *   A response that is not an event stream is read as a one-shot payload.
+ */
+
+export const DEFAULT_POLL_INTERVAL_MS = 5000;
+export const DEFAULT_MAX_WAIT_MS = 10 * 60 * 1000;
+
+const DONE_STATUSES = ['completed', 'complete', 'done', 'finished', 'success', 'succeeded'];
+const FAILED_STATUSES = ['failed', 'error', 'errored', 'cancelled', 'canceled'];
+
+// Relative webhook URLs (e.g. behind a dev proxy) resolve against the page
+const BASE_URL = typeof location !== 'undefined' ? location.href : undefined;
+
+function jobIdOf(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return null;
+  return body.job_id || body.jobId || (body.status ? body.id : null) || null;
+}
+
+/**
+ * Build the URL to poll for a job: an explicit status_url from the webhook wins, then
+ * the configured template ({jobId} is replaced), then ?job_id= on the webhook URL
+ */
+function statusEndpoint(accepted, statusUrl, endpoint, jobId) {
+  if (accepted.status_url || accepted.statusUrl) {
+    return new URL(accepted.status_url || accepted.statusUrl, new URL(endpoint, BASE_URL)).href;
+  }
+  if (statusUrl) {
+    return statusUrl.includes('{jobId}')
+      ? statusUrl.replace('{jobId}', encodeURIComponent(jobId))
+      : `${statusUrl}${statusUrl.includes('?') ? '&' : '?'}job_id=${encodeURIComponent(jobId)}`;
+  }
+  const url = new URL(endpoint, BASE_URL);
+  url.searchParams.set('job_id', jobId);
+  return url.href;
+}
+
+async function pollJob(pollUrl, jobId, { signal, timeoutMs, retries, exchanges, pollIntervalMs, maxWaitMs }) {
+  const deadline = Date.now() + maxWaitMs;
+
+  while (Date.now() < deadline) {
+    await wait(pollIntervalMs, signal);
+    const resp = await fetchWithRetry(pollUrl, { method: 'GET' }, { signal, timeoutMs, retries, exchanges, label: 'Scan status request' });
+    if (!resp.ok) throw new Error(`Scan status request failed: HTTP ${resp.status} ${resp.text}`);
+
+    const body = parseJsonBody(resp.text) || {};
+    const status = String(body.status || body.state || '').toLowerCase();
+    if (DONE_STATUSES.includes(status)) return body.result ?? body.data ?? body;
+    if (FAILED_STATUSES.includes(status)) throw new Error(`Scan job ${jobId} ${status}: ${body.error || body.message || 'no details'}`);
+  }
+
+  throw new Error(`Scan job ${jobId} did not finish within ${Math.round(maxWaitMs / 1000)}s`);
+}
+
+/**
+ * Split buffered SSE text into complete events and the unfinished remainder
+ * @param {string} buffer - Text received so far
+ * @returns {{events: Array<{event: string, data: string}>, rest: string}}
+ */
+function parseSseEvents(buffer) {
+  const blocks = buffer.replace(/\r\n?/g, '\n').split('\n\n');
+  const rest = blocks.pop();
+  const events = blocks.map(block => {
+    let event = 'message';
+    const data = [];
+    block.split('\n').forEach(line => {
+      if (!line || line.startsWith(':')) return;
+      const idx = line.indexOf(':');
+      const field = idx === -1 ? line : line.slice(0, idx);
+      const value = idx === -1 ? '' : line.slice(idx + 1).replace(/^ /, '');
+      if (field === 'event') event = value;
+      else if (field === 'data') data.push(value);
+    });
+    return { event, data: data.join('\n') };
+  }).filter(e => e.data !== '' || e.event !== 'message');
+  return { events, rest };
+}
+
+async function streamScan(endpoint, url, { signal, exchanges, timeoutMs, onProgress }) {
+  const init = {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+    body: JSON.stringify({ url, mode: 'stream' })
+  };
+  const exchange = startExchange(endpoint, init, exchanges);
+  const started = Date.now();
+  // Stages such as the screenshot can take long, so the timeout applies to the gap between events
+  const idle = withTimeout(signal, timeoutMs);
+
+  try {
+    const resp = await fetch(endpoint, { ...init, signal: idle.signal });
+    exchange.status = resp.status;
+
+    if (!resp.ok || !resp.body || !(resp.headers.get('Content-Type') || '').includes('text/event-stream')) {
+      const text = await resp.text().catch(() => '');
+      exchange.response = text;
+      if (!resp.ok) throw new Error(`Scan request failed: HTTP ${resp.status} ${text}`);
+      return parseJsonBody(text);
+    }
+
+    const reader = resp.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let raw = '';
+    let partial = {};
+    let payload;
+    let finished = false;
+
+    while (payload === undefined && !finished) {
+      const { value, done } = await reader.read();
+      finished = done;
+      idle.restart();
+
+      // A last event without its terminating blank line still counts
+      const chunk = done ? '\n\n' : decoder.decode(value, { stream: true });
+      if (!done) raw += chunk;
+      const parsed = parseSseEvents(buffer + chunk);
+      buffer = parsed.rest;
+
+      for (const ev of parsed.events) {
+        const data = parseJsonBody(ev.data);
+        const type = ev.event !== 'message' ? ev.event : (data?.type || 'message');
+
+        if (type === 'stage') {
+          const stageData = data?.data ?? null;
+          if (stageData && typeof stageData === 'object') partial = { ...partial, ...stageData };
+          onProgress?.({
+            stage: data?.stage || data?.name || 'scan',
+            status: data?.status || 'running',
+            message: data?.message || null,
+            data: stageData
+          });
+        } else if (type === 'result' || type === 'complete') {
+          payload = data?.result ?? data;
+          break;
+        } else if (type === 'error') {
+          throw new Error(`Scan failed: ${data?.message || ev.data}`);
+        }
+      }
+    }
+
+    if (payload !== undefined) reader.cancel().catch(() => {});
+    exchange.response = raw;
+
+    // No final event: assemble what the stages delivered
+    if (payload === undefined) {
+      payload = Object.keys(partial).length > 0 ? { input_url: url, ...partial } : null;
+    }
+    return payload;
+  } catch (err) {
+    const error = idle.timedOut() ? new Error(`Scan stream sent nothing for ${timeoutMs / 1000}s`) : err;
+    exchange.error = error.message || String(error);
+    throw error;
+  } finally {
+    idle.clear();
+    exchange.durationMs = Date.now() - started;
+  }
+}
+
+/**
+ * Scan a URL through the n8n webhook
+ * @param {string} url - URL to scan
+ * @param {string} [webhookUrl] - Webhook endpoint; defaults to VITE_WEBHOOK_URL
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the scan, including polling and retries
+ * @param {Array} [options.exchanges] - Receives the HTTP exchanges (see tracedFetch)
+ * @param {'sync'|'async'|'stream'} [options.mode] - Wait for the payload, submit a job and poll
+ *   for it, or receive stage events as they happen
+ * @param {Function} [options.onProgress] - Stream mode: called with { stage, status, message, data }
+ * @param {number} [options.timeoutMs] - Timeout of each HTTP request
+ * @param {number} [options.retries] - Retries on 429/5xx and network errors
+ * @param {string} [options.statusUrl] - Status endpoint for async mode; may contain {jobId}
+ * @param {number} [options.pollIntervalMs] - Delay between status polls
+ * @param {number} [options.maxWaitMs] - Give up polling after this long
+ * @returns {Promise<any>} Scan payload
+ */
+export async function fetchScan(url, webhookUrl, {
+  signal,
+  exchanges,
+  mode = 'sync',
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  retries = DEFAULT_RETRIES,
+  statusUrl,
+  pollIntervalMs = DEFAULT_POLL_INTERVAL_MS,
+  maxWaitMs = DEFAULT_MAX_WAIT_MS,
+  onProgress
+} = {}) {
+  const endpoint = webhookUrl || import.meta.env?.VITE_WEBHOOK_URL;
+  if (!endpoint) {
+    throw new Error('VITE_WEBHOOK_URL is not defined. Set it, enter a webhook URL in Settings, or turn on demo mode.');
+  }
+
+  if (mode === 'stream') {
+    return streamScan(endpoint, url, { signal, exchanges, timeoutMs, onProgress });
+  }
+
+  const isAsync = mode === 'async';
+  const resp = await fetchWithRetry(endpoint, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ url })
-  });
+    body: JSON.stringify(isAsync ? { url, mode: 'async' } : { url })
+  }, { signal, timeoutMs, retries, exchanges, label: 'Scan request' });
 
   if (!resp.ok) {
-    const text = await resp.text().catch(() => '');
-    throw new Error(`Scan request failed: HTTP ${resp.status} ${text}`);
+    throw new Error(`Scan request failed: HTTP ${resp.status} ${resp.text}`);
   }
 
-  const data = await resp.json().catch(() => null);
-  return data;
-}
\ No newline at end of file
+  const body = parseJsonBody(resp.text);
+  const jobId = isAsync ? jobIdOf(body) : null;
+
+  // A flow that ignores async mode and answers with the payload right away is fine too
+  if (!jobId) return body;
+
+  const pollUrl = statusEndpoint(body, statusUrl, endpoint, jobId);
+  return pollJob(pollUrl, jobId, { signal, timeoutMs, retries, exchanges, pollIntervalMs, maxWaitMs });
+}
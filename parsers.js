@@ -1,3 +1,51 @@
+import { baseDomain, hostnameOf } from './urlUtils.js';
+import { detectResponseShape } from './responseSchema.js';
+
+const HOP_METHODS = {
+  http: 'http',
+  '3xx': 'http',
+  header: 'http',
+  location: 'http',
+  meta: 'meta',
+  'meta-refresh': 'meta',
+  meta_refresh: 'meta',
+  refresh: 'meta',
+  js: 'js',
+  javascript: 'js',
+  script: 'js'
+};
+
+/**
+ * Normalize a redirect chain from the many shapes a flow may return
+ * (strings, or objects with url/location, status/status_code, method/type and ip)
+ * @param {Array} chain - Raw hops in the order they were followed
+ * @returns {Array} Hops as { url, status, method, ip, cross_domain }
+ */
+export function normalizeRedirectChain(chain) {
+  if (!Array.isArray(chain)) return [];
+
+  const hops = chain
+    .map(hop => (typeof hop === 'string' ? { url: hop } : hop))
+    .filter(hop => hop && typeof hop === 'object' && (hop.url || hop.location || hop.href))
+    .map(hop => {
+      const status = Number(hop.status ?? hop.status_code ?? hop.statusCode ?? hop.code);
+      const rawMethod = String(hop.method || hop.type || hop.redirect_type || '').toLowerCase();
+      const method = HOP_METHODS[rawMethod] || (status >= 300 && status < 400 ? 'http' : (rawMethod || 'unknown'));
+      return {
+        url: hop.url || hop.location || hop.href,
+        status: Number.isFinite(status) ? status : null,
+        method,
+        ip: hop.ip || hop.ip_address || hop.remote_ip || null
+      };
+    });
+
+  return hops.map((hop, i) => ({
+    ...hop,
+    // A hop is cross-domain when it lands on a different registrable domain than the previous one
+    cross_domain: i > 0 && baseDomain(hostnameOf(hop.url)) !== baseDomain(hostnameOf(hops[i - 1].url))
+  }));
+}
+
 function normalizeResult(r) {
   if (!r || typeof r !== 'object') return r;
 
@@ -15,64 +63,99 @@ function normalizeResult(r) {
     ? screenshotUrl
     : (screenshotBase64 ? `data:image/png;base64,${screenshotBase64}` : null);
 
+  // Redirect chains arrive under several names; the landing URL is the last hop unless given
+  const redirectChain = normalizeRedirectChain(r.redirect_chain || r.redirectChain || r.redirects || r.hops);
+  const finalUrl = r.final_url || r.finalUrl || r.landing_url || r.effective_url ||
+    (redirectChain.length > 0 ? redirectChain[redirectChain.length - 1].url : null) || r.input_url || null;
+
   return {
     ...r,
     favicon_url: faviconUrl || null,
     favicon_base64: faviconBase64 || null,
     favicon_src,
     screenshot_src,
+    redirect_chain: redirectChain,
+    final_url: finalUrl,
   };
 }
 
+function normalizeCategories(categories) {
+  return categories.map(cat => ({ ...cat, results: Array.isArray(cat.results) ? cat.results.map(normalizeResult) : cat.results }));
+}
+
+/**
+ * Map any accepted payload layout (see detectResponseShape) to a list of categories
+ * @param {any} raw - Payload from a provider's normalize()
+ * @returns {Array} Categories; empty if the payload is not recognized
+ */
 export function normalizeScanResponse(raw) {
-  // If already an array of categories, attempt to normalize nested results
-  if (Array.isArray(raw)) return raw.map(cat => ({ ...cat, results: Array.isArray(cat.results) ? cat.results.map(normalizeResult) : cat.results }));
+  switch (detectResponseShape(raw)) {
+    // Already an array of categories: normalize nested results
+    case 'categories':
+      return normalizeCategories(raw);
 
-  if (!raw || typeof raw !== 'object') return [];
+    // Some n8n flows may return an object with a `categories` field
+    case 'wrapped-categories':
+      return normalizeCategories(raw.categories);
 
-  // Some n8n flows may return an object with a `categories` field
-  if (Array.isArray(raw.categories)) return raw.categories.map(cat => ({ ...cat, results: Array.isArray(cat.results) ? cat.results.map(normalizeResult) : cat.results }));
+    // Some flows return { results: [...] } where each result is a category
+    case 'result-categories':
+      return normalizeCategories(raw.results);
 
-  // Some flows return { results: [...] } where each result is a category
-  if (Array.isArray(raw.results) && raw.results.length > 0 && raw.results[0].verdict) {
-    return raw.results.map(cat => ({ ...cat, results: Array.isArray(cat.results) ? cat.results.map(normalizeResult) : cat.results }));
-  }
+    // The payload looks like a single category object (verdict, risk_score, results)
+    case 'category':
+      return [
+        {
+          verdict: raw.verdict || 'UNKNOWN',
+          risk_score: raw.risk_score || 0,
+          confidence: raw.confidence || 'N/A',
+          malicious_count: raw.malicious_count || 0,
+          total_engines: raw.total_engines || 0,
+          detections: Array.isArray(raw.detections) ? raw.detections : [],
+          ...(raw.reputation ? { reputation: raw.reputation } : {}),
+          results: Array.isArray(raw.results) ? raw.results.map(normalizeResult) : (Array.isArray(raw.items) ? raw.items.map(normalizeResult) : []),
+          count: raw.count || (Array.isArray(raw.results) ? raw.results.length : 1),
+          // preserve raw for any specialized handlers
+          _raw: raw
+        }
+      ];
 
-  // If the payload looks like a single category object (verdict, risk_score, results)
-  if (raw.verdict || raw.risk_score || Array.isArray(raw.results)) {
-    return [
-      {
-        verdict: raw.verdict || 'UNKNOWN',
-        risk_score: raw.risk_score || 0,
-        confidence: raw.confidence || 'N/A',
-        malicious_count: raw.malicious_count || 0,
-        total_engines: raw.total_engines || 0,
-        detections: Array.isArray(raw.detections) ? raw.detections : [],
-        results: Array.isArray(raw.results) ? raw.results.map(normalizeResult) : (Array.isArray(raw.items) ? raw.items.map(normalizeResult) : []),
-        count: raw.count || (Array.isArray(raw.results) ? raw.results.length : 1),
-        // preserve raw for any specialized handlers
-        _raw: raw
-      }
-    ];
-  }
+    // Fields that look like a single scan result: wrap them
+    case 'result':
+      return [
+        {
+          verdict: 'UNKNOWN',
+          risk_score: 0,
+          confidence: 'N/A',
+          malicious_count: 0,
+          total_engines: 0,
+          detections: [],
+          results: [normalizeResult(raw)],
+          count: 1,
+          _raw: raw
+        }
+      ];
 
-  // As a fallback: if there are fields that look like a single scan result, wrap them
-  if (raw.input_url || raw.domain || raw.ip) {
-    return [
-      {
-        verdict: 'UNKNOWN',
-        risk_score: 0,
-        confidence: 'N/A',
-        malicious_count: 0,
-        total_engines: 0,
-        detections: [],
-        results: [normalizeResult(raw)],
-        count: 1,
-        _raw: raw
-      }
-    ];
+    // Nothing we recognize — return empty
+    default:
+      return [];
   }
+}
 
-  // Nothing we recognize — return empty
-  return [];
+/**
+ * Placeholder category for a payload normalizeScanResponse could not map, so the
+ * raw data can still be shown instead of disappearing
+ * @param {any} raw - Unrecognized payload
+ * @returns {object} Category flagged with `unrecognized`
+ */
+export function unrecognizedCategory(raw) {
+  return {
+    verdict: 'UNKNOWN',
+    confidence: 'N/A',
+    detections: [],
+    results: [],
+    count: 0,
+    unrecognized: true,
+    _raw: raw
+  };
 }
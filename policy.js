@@ -0,0 +1,227 @@
+import { calculateDomainAgeInDays, isKnownRegistrar } from './whoisUtils.js';
+import { parseCertificate, daysUntilCertExpiry } from './certUtils.js';
+
+/**
+ * Declarative verdict policies. A policy holds the verdict thresholds used by
+ * decideVerdict and a list of weighted rules; every rule whose condition holds
+ * adds its weight (which may be negative) to the risk score.
+ *
+ * Rule shape: { id, description, signal, op, value, weight }
+ *   signal - a key from SIGNALS below
+ *   op     - one of OPERATORS
+ *
+ * A policy may also set sourceWeights: { sourceId: weight } to change how much each
+ * reputation source counts in the consensus score (see reputation.js).
+ */
+
+export const OPERATORS = ['gt', 'gte', 'lt', 'lte', 'eq', 'neq', 'includes', 'excludes', 'true', 'false', 'missing'];
+
+export const SIGNALS = {
+  detection_ratio: 'Share of engines flagging the URL (0-100)',
+  malicious_count: 'Number of engines flagging the URL',
+  remote_risk_score: 'Risk score reported by the scan provider',
+  detected_engines: 'Names of the engines flagging the URL (use includes/excludes)',
+  threat_types: 'Threat types reported by detections (use includes/excludes)',
+  domain_age_days: 'Days since WHOIS creation date',
+  known_registrar: 'Registrar is a well-known reputable registrar',
+  cert_days_to_expiry: 'Days until the TLS certificate expires',
+  dns_a_count: 'Number of DNS A records',
+  dns_mx_count: 'Number of DNS MX records',
+  dns_ns_count: 'Number of DNS NS records',
+  lexical_score: 'Score of the local URL heuristics (0-100)',
+  tls_score: 'Score of the TLS certificate checks (0-100)',
+  brand_score: 'Score of the protected-brand lookalike checks (0-100)',
+  impersonated_brands: 'Protected brands the host appears to imitate (use includes/excludes)',
+  favicon_score: 'Score of the protected-brand favicon check (0-100)',
+  reputation_score: 'Weighted share of reputation sources flagging the URL (0-100)',
+  reputation_flagged: 'Number of reputation sources flagging the URL',
+  flagging_sources: 'Ids of the reputation sources flagging the URL (use includes/excludes)',
+  blocklist_hit: 'URL matches an imported local blocklist',
+  blocklist_names: 'Names of the local blocklists the URL is on (use includes/excludes)'
+};
+
+export const DEFAULT_POLICY = {
+  name: 'Default',
+  builtIn: true,
+  thresholds: { malicious: 70, suspicious: 40 },
+  detectionThresholds: { malicious: 10, suspicious: 3 },
+  assumedEngines: 70,
+  rules: []
+};
+
+export const STRICT_POLICY = {
+  name: 'Strict',
+  builtIn: true,
+  thresholds: { malicious: 60, suspicious: 30 },
+  detectionThresholds: { malicious: 5, suspicious: 1 },
+  assumedEngines: 70,
+  rules: [
+    { id: 'new-domain', description: 'Domain registered less than 30 days ago', signal: 'domain_age_days', op: 'lt', value: 30, weight: 25 },
+    { id: 'young-domain', description: 'Domain registered less than a year ago', signal: 'domain_age_days', op: 'lt', value: 365, weight: 10 },
+    { id: 'unknown-registrar', description: 'Registrar is not a well-known one', signal: 'known_registrar', op: 'false', weight: 5 },
+    { id: 'cert-expired', description: 'TLS certificate already expired', signal: 'cert_days_to_expiry', op: 'lt', value: 0, weight: 20 },
+    { id: 'no-mx', description: 'Domain has no MX records', signal: 'dns_mx_count', op: 'eq', value: 0, weight: 5 },
+    { id: 'phishing-detection', description: 'Any engine reports phishing', signal: 'threat_types', op: 'includes', value: 'phishing', weight: 20 }
+  ]
+};
+
+export const BUILT_IN_POLICIES = [DEFAULT_POLICY, STRICT_POLICY];
+
+function firstResult(category) {
+  return Array.isArray(category.results) && category.results.length > 0 ? category.results[0] : null;
+}
+
+function listLength(value) {
+  if (value === undefined || value === null) return null;
+  return Array.isArray(value) ? value.length : 1;
+}
+
+/**
+ * Extract the values rules can refer to from one category
+ * @param {object} category - Normalized category
+ * @param {object} counts - Counts and the reputation consensus already computed by decideVerdict
+ * @param {object} [signals] - Local signal categories keyed by source
+ * @returns {object} Signal values keyed like SIGNALS
+ */
+export function collectSignals(category, { maliciousCount, totalEngines, riskScore, reputation }, signals = {}) {
+  const r = firstResult(category) || {};
+  const whois = r.whois || {};
+  const detections = Array.isArray(category.detections) ? category.detections : [];
+  const registrar = whois.registrar || whois.sponsoring_registrar;
+
+  return {
+    detection_ratio: totalEngines > 0 ? Math.round((maliciousCount / totalEngines) * 100) : 0,
+    malicious_count: maliciousCount,
+    remote_risk_score: Number(category.risk_score) || riskScore || 0,
+    detected_engines: detections.map(d => String(d.engine || '').toLowerCase()),
+    threat_types: detections.map(d => String(d.threat_type || '').toLowerCase()),
+    domain_age_days: calculateDomainAgeInDays(whois.creation_date || whois.created || whois.creationDate || whois.created_date),
+    known_registrar: registrar ? isKnownRegistrar(registrar) : null,
+    cert_days_to_expiry: daysUntilCertExpiry(parseCertificate(r.ssl)),
+    dns_a_count: r.dns ? listLength(r.dns.A) ?? 0 : null,
+    dns_mx_count: r.dns ? listLength(r.dns.MX) ?? 0 : null,
+    dns_ns_count: r.dns ? listLength(r.dns.NS) ?? 0 : null,
+    lexical_score: signals.lexical ? Number(signals.lexical.score) || 0 : null,
+    tls_score: signals.tls ? Number(signals.tls.score) || 0 : null,
+    brand_score: signals.brand ? Number(signals.brand.score) || 0 : null,
+    impersonated_brands: [...new Set([...(signals.brand?.matches || []), ...(signals.favicon?.matches || [])]
+      .map(m => String(m.brand).toLowerCase()))],
+    favicon_score: signals.favicon ? Number(signals.favicon.score) || 0 : null,
+    reputation_score: reputation?.total > 0 ? reputation.score : null,
+    reputation_flagged: reputation?.total > 0 ? reputation.flagged : null,
+    flagging_sources: (reputation?.sources || [])
+      .filter(s => s.verdict === 'MALICIOUS' || s.verdict === 'SUSPICIOUS')
+      .map(s => s.id),
+    blocklist_hit: (signals.blocklist?.matches || []).length > 0,
+    blocklist_names: (signals.blocklist?.matches || []).map(m => String(m.listName).toLowerCase())
+  };
+}
+
+/**
+ * Check one rule against the collected signal values
+ * @param {object} rule - Policy rule
+ * @param {object} values - Output of collectSignals
+ * @returns {boolean} True if the rule applies
+ */
+export function ruleMatches(rule, values) {
+  const actual = values[rule.signal];
+  if (rule.op === 'missing') return actual === null || actual === undefined;
+  if (actual === null || actual === undefined) return false;
+
+  const expected = rule.value;
+  switch (rule.op) {
+    case 'gt': return Number(actual) > Number(expected);
+    case 'gte': return Number(actual) >= Number(expected);
+    case 'lt': return Number(actual) < Number(expected);
+    case 'lte': return Number(actual) <= Number(expected);
+    case 'eq': return String(actual) === String(expected);
+    case 'neq': return String(actual) !== String(expected);
+    case 'includes': return Array.isArray(actual) && actual.includes(String(expected).toLowerCase());
+    case 'excludes': return Array.isArray(actual) && !actual.includes(String(expected).toLowerCase());
+    case 'true': return actual === true;
+    case 'false': return actual === false;
+    default: return false;
+  }
+}
+
+/**
+ * Apply a policy's rules to collected signal values
+ * @param {object} policy - Verdict policy
+ * @param {object} values - Output of collectSignals
+ * @returns {{adjustment: number, matched: Array}} Sum of matched weights and the matched rules
+ */
+export function evaluateRules(policy, values) {
+  const matched = (policy?.rules || []).filter(rule => ruleMatches(rule, values));
+  return {
+    adjustment: matched.reduce((sum, rule) => sum + (Number(rule.weight) || 0), 0),
+    matched: matched.map(({ id, description, weight }) => ({ id, description, weight }))
+  };
+}
+
+/**
+ * Check a policy object for structural problems before it is saved or imported
+ * @param {any} policy - Candidate policy
+ * @returns {Array<string>} Error messages; empty if the policy is usable
+ */
+export function validatePolicy(policy) {
+  const errors = [];
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) return ['Policy must be a JSON object'];
+  if (!policy.name || typeof policy.name !== 'string') errors.push('"name" must be a non-empty string');
+
+  ['thresholds', 'detectionThresholds'].forEach(key => {
+    const t = policy[key];
+    if (!t || !Number.isFinite(Number(t.malicious)) || !Number.isFinite(Number(t.suspicious))) {
+      errors.push(`"${key}" needs numeric "malicious" and "suspicious" values`);
+    } else if (Number(t.suspicious) > Number(t.malicious)) {
+      errors.push(`"${key}.suspicious" must not be above "${key}.malicious"`);
+    }
+  });
+
+  if (policy.sourceWeights !== undefined) {
+    const weights = policy.sourceWeights;
+    if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+      errors.push('"sourceWeights" must be an object of source id -> weight');
+    } else {
+      Object.entries(weights).forEach(([id, weight]) => {
+        if (!Number.isFinite(Number(weight)) || Number(weight) < 0) errors.push(`sourceWeights.${id} must be a number of at least 0`);
+      });
+    }
+  }
+
+  if (!Array.isArray(policy.rules)) {
+    errors.push('"rules" must be an array');
+  } else {
+    policy.rules.forEach((rule, i) => {
+      const where = `rules[${i}]`;
+      if (!rule || typeof rule !== 'object') {
+        errors.push(`${where} must be an object`);
+        return;
+      }
+      if (!SIGNALS[rule.signal]) errors.push(`${where}: unknown signal "${rule.signal}"`);
+      if (!OPERATORS.includes(rule.op)) errors.push(`${where}: unknown op "${rule.op}"`);
+      if (!Number.isFinite(Number(rule.weight))) errors.push(`${where}: "weight" must be a number`);
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * All policies available to the user: built-ins followed by saved custom ones
+ * @param {object} settings - Settings from loadSettings
+ * @returns {Array} Policies
+ */
+export function listPolicies(settings) {
+  const custom = Array.isArray(settings?.policies) ? settings.policies : [];
+  return [...BUILT_IN_POLICIES, ...custom.filter(p => !BUILT_IN_POLICIES.some(b => b.name === p.name))];
+}
+
+/**
+ * Find a policy by name, falling back to the default policy
+ * @param {object} settings - Settings from loadSettings
+ * @param {string} [name] - Policy name; defaults to the active policy
+ * @returns {object} Policy
+ */
+export function getPolicy(settings, name = settings?.activePolicy) {
+  return listPolicies(settings).find(p => p.name === name) || DEFAULT_POLICY;
+}
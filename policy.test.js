@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ruleMatches, evaluateRules, validatePolicy, DEFAULT_POLICY, STRICT_POLICY } from './policy.js';
+
+const rule = (op, value, signal = 'x') => ({ id: 'r', description: 'rule', signal, op, value, weight: 10 });
+
+test('ruleMatches compares numbers and strings', () => {
+  const values = { x: 30 };
+  assert.ok(ruleMatches(rule('gt', 29), values));
+  assert.ok(!ruleMatches(rule('gt', 30), values));
+  assert.ok(ruleMatches(rule('gte', 30), values));
+  assert.ok(ruleMatches(rule('lt', 31), values));
+  assert.ok(!ruleMatches(rule('lt', 30), values));
+  assert.ok(ruleMatches(rule('lte', 30), values));
+  assert.ok(ruleMatches(rule('eq', '30'), values));
+  assert.ok(ruleMatches(rule('neq', 31), values));
+});
+
+test('ruleMatches checks lists case-insensitively', () => {
+  const values = { x: ['phishing', 'malware'] };
+  assert.ok(ruleMatches(rule('includes', 'Phishing'), values));
+  assert.ok(!ruleMatches(rule('includes', 'spam'), values));
+  assert.ok(ruleMatches(rule('excludes', 'spam'), values));
+  assert.ok(!ruleMatches(rule('excludes', 'malware'), values));
+  assert.ok(!ruleMatches(rule('includes', 'phishing'), { x: 'phishing' }));
+});
+
+test('ruleMatches handles booleans and missing values', () => {
+  assert.ok(ruleMatches(rule('true'), { x: true }));
+  assert.ok(ruleMatches(rule('false'), { x: false }));
+  assert.ok(!ruleMatches(rule('false'), { x: null }));
+  assert.ok(ruleMatches(rule('missing'), { x: null }));
+  assert.ok(ruleMatches(rule('missing'), {}));
+  assert.ok(!ruleMatches(rule('missing'), { x: 0 }));
+  // Only "missing" matches an unknown value; a young-domain rule must not fire without WHOIS data
+  assert.ok(!ruleMatches(rule('lt', 30), { x: null }));
+  assert.ok(!ruleMatches(rule('bogus', 1), { x: 1 }));
+});
+
+test('evaluateRules sums the weights of the matched rules', () => {
+  const values = { domain_age_days: 10, known_registrar: false, cert_days_to_expiry: 40, dns_mx_count: 2, threat_types: ['phishing'] };
+  const { adjustment, matched } = evaluateRules(STRICT_POLICY, values);
+  assert.deepEqual(matched.map(r => r.id), ['new-domain', 'young-domain', 'unknown-registrar', 'phishing-detection']);
+  assert.equal(adjustment, 25 + 10 + 5 + 20);
+  assert.deepEqual(Object.keys(matched[0]), ['id', 'description', 'weight']);
+});
+
+test('evaluateRules allows negative weights and policies without rules', () => {
+  const policy = { rules: [{ ...rule('true', undefined, 'known_registrar'), weight: -15 }] };
+  assert.equal(evaluateRules(policy, { known_registrar: true }).adjustment, -15);
+  assert.deepEqual(evaluateRules(DEFAULT_POLICY, {}), { adjustment: 0, matched: [] });
+  assert.deepEqual(evaluateRules(null, {}), { adjustment: 0, matched: [] });
+});
+
+test('validatePolicy accepts the built-in policies', () => {
+  assert.deepEqual(validatePolicy(DEFAULT_POLICY), []);
+  assert.deepEqual(validatePolicy(STRICT_POLICY), []);
+  assert.deepEqual(validatePolicy({ ...DEFAULT_POLICY, sourceWeights: { virustotal: 2, urlhaus: 0 } }), []);
+});
+
+test('validatePolicy reports structural problems', () => {
+  assert.deepEqual(validatePolicy([]), ['Policy must be a JSON object']);
+  assert.deepEqual(validatePolicy(null), ['Policy must be a JSON object']);
+
+  const errors = validatePolicy({
+    name: '',
+    thresholds: { malicious: 40, suspicious: 70 },
+    detectionThresholds: { malicious: 'many' },
+    sourceWeights: { virustotal: -1 },
+    rules: [null, { signal: 'nope', op: 'about', weight: 'heavy' }]
+  });
+  assert.deepEqual(errors, [
+    '"name" must be a non-empty string',
+    '"thresholds.suspicious" must not be above "thresholds.malicious"',
+    '"detectionThresholds" needs numeric "malicious" and "suspicious" values',
+    'sourceWeights.virustotal must be a number of at least 0',
+    'rules[0] must be an object',
+    'rules[1]: unknown signal "nope"',
+    'rules[1]: unknown op "about"',
+    'rules[1]: "weight" must be a number'
+  ]);
+  assert.ok(validatePolicy({ ...DEFAULT_POLICY, rules: {} }).includes('"rules" must be an array'));
+});
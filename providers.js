@@ -0,0 +1,372 @@
+import { fetchScan, DEFAULT_POLL_INTERVAL_MS } from './n8nClient.js';
+import { normalizeScanResponse, unrecognizedCategory } from './parsers.js';
+import { validateScanResponse } from './responseSchema.js';
+import { tracedFetch, parseJsonBody, startExchange } from './diagnostics.js';
+import { wait, DEFAULT_TIMEOUT_MS, DEFAULT_RETRIES } from './httpUtils.js';
+import { findRecording, recordResponse } from './fixtures.js';
+import { matchDemoCase, demoBodyText, demoStages } from './demoResponses.js';
+import { hostnameOf } from './urlUtils.js';
+
+/**
+ * Scan providers. Each provider describes one backend:
+ *   id, label         - identity shown in the settings panel
+ *   capabilities      - which kinds of data the backend can return
+ *   configFields      - settings the user can edit ({ key, label, type, placeholder, options });
+ *                       type is 'text', 'url', 'password', 'number' or 'select'. Field and
+ *                       option labels and placeholders are translations.js keys
+ *   defaults          - default values for those settings
+ *   lookup(url, config, { signal, exchanges, onProgress }) - fetch the raw payload, recording
+ *                                     HTTP exchanges for the diagnostics panel and reporting
+ *                                     stage events when the backend streams them
+ *   normalize(raw, url)             - map the payload into a shape normalizeScanResponse accepts;
+ *                                     an array of categories keeps provider-specific fields such as `vt`
+ */
+
+const VT_POLL_ATTEMPTS = 6;
+const URLSCAN_POLL_ATTEMPTS = 12;
+const POLL_INTERVAL_MS = 5000;
+
+async function requestJson(endpoint, init, label, exchanges) {
+  const resp = await tracedFetch(endpoint, init, exchanges);
+  if (!resp.ok) {
+    const error = new Error(`${label} request failed: HTTP ${resp.status} ${resp.text}`);
+    error.status = resp.status;
+    throw error;
+  }
+  return parseJsonBody(resp.text);
+}
+
+// Settings inputs hold strings; blank or invalid values fall back to the default
+function secondsToMs(value, fallback) {
+  const seconds = Number(value);
+  return value !== '' && Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : fallback;
+}
+
+// VirusTotal v3 identifies a URL by its unpadded base64url encoding
+function vtUrlId(url) {
+  const bytes = new TextEncoder().encode(url);
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+const n8nProvider = {
+  id: 'n8n',
+  label: 'n8n Webhook',
+  capabilities: { detections: true, whois: true, dns: true, ssl: true, screenshot: true },
+  configFields: [
+    { key: 'webhookUrl', label: 'provider.field.webhookUrl', type: 'url', placeholder: 'provider.field.webhookUrlPlaceholder' },
+    { key: 'mode', label: 'provider.field.mode', type: 'select', options: [{ value: 'sync', label: 'provider.mode.sync' }, { value: 'async', label: 'provider.mode.async' }, { value: 'stream', label: 'provider.mode.stream' }] },
+    { key: 'statusUrl', label: 'provider.field.statusUrl', type: 'url', placeholder: 'provider.field.statusUrlPlaceholder' },
+    { key: 'timeoutSeconds', label: 'provider.field.timeoutSeconds', type: 'number' },
+    { key: 'retries', label: 'provider.field.retries', type: 'number' },
+    { key: 'pollIntervalSeconds', label: 'provider.field.pollIntervalSeconds', type: 'number' }
+  ],
+  defaults: {
+    webhookUrl: '',
+    mode: 'sync',
+    statusUrl: '',
+    timeoutSeconds: DEFAULT_TIMEOUT_MS / 1000,
+    retries: DEFAULT_RETRIES,
+    pollIntervalSeconds: DEFAULT_POLL_INTERVAL_MS / 1000
+  },
+  lookup(url, config, { signal, exchanges, onProgress } = {}) {
+    return fetchScan(url, config.webhookUrl || undefined, {
+      signal,
+      exchanges,
+      onProgress,
+      mode: config.mode,
+      statusUrl: config.statusUrl || undefined,
+      timeoutMs: secondsToMs(config.timeoutSeconds, DEFAULT_TIMEOUT_MS),
+      retries: Math.max(0, Math.floor(Number(config.retries) || 0)),
+      pollIntervalMs: secondsToMs(config.pollIntervalSeconds, DEFAULT_POLL_INTERVAL_MS)
+    });
+  },
+  normalize(raw) {
+    return raw;
+  }
+};
+
+const virusTotalProvider = {
+  id: 'virustotal',
+  label: 'VirusTotal API',
+  capabilities: { detections: true, whois: false, dns: false, ssl: false, screenshot: false },
+  configFields: [
+    { key: 'apiKey', label: 'provider.field.apiKey', type: 'password' },
+    { key: 'baseUrl', label: 'provider.field.baseUrl', type: 'url' }
+  ],
+  defaults: { apiKey: '', baseUrl: 'https://www.virustotal.com/api/v3' },
+  async lookup(url, config, { signal, exchanges } = {}) {
+    if (!config.apiKey) throw new Error('VirusTotal API key is not configured');
+    const headers = { 'x-apikey': config.apiKey };
+    const reportUrl = `${config.baseUrl}/urls/${vtUrlId(url)}`;
+
+    try {
+      return await requestJson(reportUrl, { headers, signal }, 'VirusTotal', exchanges);
+    } catch (err) {
+      if (err.status !== 404) throw err;
+    }
+
+    // Not analysed yet: submit it and wait for the analysis to finish
+    const submitted = await requestJson(`${config.baseUrl}/urls`, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ url }).toString(),
+      signal
+    }, 'VirusTotal', exchanges);
+
+    const analysisId = submitted?.data?.id;
+    for (let attempt = 0; analysisId && attempt < VT_POLL_ATTEMPTS; attempt++) {
+      await wait(POLL_INTERVAL_MS, signal);
+      const analysis = await requestJson(`${config.baseUrl}/analyses/${analysisId}`, { headers, signal }, 'VirusTotal', exchanges);
+      if (analysis?.data?.attributes?.status === 'completed') break;
+    }
+
+    return requestJson(reportUrl, { headers, signal }, 'VirusTotal', exchanges);
+  },
+  normalize(raw, url) {
+    const attrs = raw?.data?.attributes || {};
+    const stats = attrs.last_analysis_stats || {};
+    const engines = attrs.last_analysis_results || {};
+    const malicious = Number(stats.malicious) || 0;
+    const suspicious = Number(stats.suspicious) || 0;
+    const total = Object.values(stats).reduce((sum, n) => sum + (Number(n) || 0), 0);
+
+    const detections = Object.entries(engines)
+      .filter(([, e]) => e && (e.category === 'malicious' || e.category === 'suspicious'))
+      // threat_type is the engine's verdict (phishing, malware); category only says malicious/suspicious
+      .map(([name, e]) => ({ engine: e.engine_name || name, result: e.result || e.category, category: e.category, threat_type: e.result || e.category }));
+
+    const riskScore = total > 0 ? Math.round(((malicious + suspicious) / total) * 100) : 0;
+
+    return [{
+      risk_score: riskScore,
+      malicious_count: malicious,
+      total_engines: total,
+      detections,
+      vt: {
+        risk_score: riskScore,
+        malicious_count: malicious,
+        total_engines: total,
+        detections,
+        // Kept whole for the engine breakdown (see parseVTResult)
+        last_analysis_stats: stats,
+        last_analysis_results: engines,
+        categories: attrs.categories || {},
+        tags: attrs.tags || [],
+        first_submission_date: attrs.first_submission_date,
+        last_submission_date: attrs.last_submission_date,
+        last_analysis_date: attrs.last_analysis_date
+      },
+      results: [{ input_url: attrs.url || url, domain: hostnameOf(attrs.url || url) }]
+    }];
+  }
+};
+
+const urlscanProvider = {
+  id: 'urlscan',
+  label: 'urlscan.io',
+  capabilities: { detections: true, whois: false, dns: false, ssl: false, screenshot: true },
+  configFields: [
+    { key: 'apiKey', label: 'provider.field.apiKey', type: 'password' },
+    { key: 'baseUrl', label: 'provider.field.baseUrl', type: 'url' },
+    { key: 'visibility', label: 'provider.field.visibility', type: 'text', placeholder: 'provider.field.visibilityPlaceholder' }
+  ],
+  defaults: { apiKey: '', baseUrl: 'https://urlscan.io/api/v1', visibility: 'unlisted' },
+  async lookup(url, config, { signal, exchanges } = {}) {
+    if (!config.apiKey) throw new Error('urlscan.io API key is not configured');
+    const headers = { 'API-Key': config.apiKey, 'Content-Type': 'application/json' };
+
+    const submitted = await requestJson(`${config.baseUrl}/scan/`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ url, visibility: config.visibility || 'unlisted' }),
+      signal
+    }, 'urlscan.io', exchanges);
+
+    // The result endpoint answers 404 until the scan has finished
+    for (let attempt = 0; attempt < URLSCAN_POLL_ATTEMPTS; attempt++) {
+      await wait(POLL_INTERVAL_MS, signal);
+      try {
+        return await requestJson(`${config.baseUrl}/result/${submitted.uuid}/`, { signal }, 'urlscan.io', exchanges);
+      } catch (err) {
+        if (err.status !== 404) throw err;
+      }
+    }
+
+    throw new Error('urlscan.io scan did not finish in time');
+  },
+  normalize(raw, url) {
+    const overall = raw?.verdicts?.overall || {};
+    const page = raw?.page || {};
+    const task = raw?.task || {};
+    const categories = Array.isArray(overall.categories) ? overall.categories : [];
+
+    const detections = overall.malicious
+      ? [{ engine: 'urlscan.io', result: 'malicious', threat_type: categories.join(', ') || 'malicious' }]
+      : [];
+
+    return [{
+      verdict: overall.malicious ? 'MALICIOUS' : undefined,
+      risk_score: Math.max(0, Number(overall.score) || 0),
+      malicious_count: detections.length,
+      total_engines: 1,
+      detections,
+      results: [{
+        input_url: task.url || url,
+        domain: page.domain || hostnameOf(url),
+        ip: page.ip || null,
+        screenshot: { image_url: task.screenshotURL || null },
+        report_url: task.reportURL || null
+      }]
+    }];
+  }
+};
+
+const fixtureProvider = {
+  id: 'fixture',
+  label: 'Recorded Fixtures',
+  capabilities: { detections: true, whois: true, dns: true, ssl: true, screenshot: true },
+  configFields: [],
+  defaults: {},
+  async lookup(url) {
+    return findRecording(url);
+  },
+  // Replay through the normalizer of the provider that produced the recording
+  normalize(raw, url) {
+    const source = getProvider(raw?.provider);
+    return source && source.id !== 'fixture' ? source.normalize(raw.response, url) : raw?.response;
+  }
+};
+
+// Used instead of the enabled providers while demo mode is on; see demoResponses.js
+const demoProvider = {
+  id: 'demo',
+  label: 'Demo Data',
+  capabilities: { detections: true, whois: true, dns: true, ssl: true, screenshot: true },
+  configFields: [],
+  defaults: {},
+  async lookup(url, config, { signal, exchanges, onProgress } = {}) {
+    const demoCase = matchDemoCase(url);
+    const text = demoBodyText(demoCase, url);
+    const payload = parseJsonBody(text);
+    const exchange = startExchange(`demo:${demoCase.id}`, { method: 'POST', body: JSON.stringify({ url }) }, exchanges);
+    const started = Date.now();
+
+    try {
+      // Spread the delay over the stages so the progress view behaves like a streaming scan
+      const stages = onProgress && demoCase.status < 400 ? demoStages(payload) : [];
+      const step = demoCase.delayMs / (stages.length + 1);
+      for (const { stage, data } of stages) {
+        onProgress({ stage, status: 'running', message: null, data: null });
+        await wait(step, signal);
+        onProgress({ stage, status: data ? 'done' : 'skipped', message: data ? null : 'Not part of the demo data', data });
+      }
+      await wait(step, signal);
+
+      exchange.status = demoCase.status;
+      exchange.response = text;
+      if (demoCase.status >= 400) {
+        throw new Error(`Demo request failed: HTTP ${demoCase.status} ${text}`);
+      }
+      return payload;
+    } catch (err) {
+      exchange.error = err.message || String(err);
+      throw err;
+    } finally {
+      exchange.durationMs = Date.now() - started;
+    }
+  },
+  normalize(raw) {
+    return raw;
+  }
+};
+
+export const PROVIDERS = [n8nProvider, virusTotalProvider, urlscanProvider, fixtureProvider];
+
+/**
+ * Look up a provider by id
+ * @param {string} id - Provider id
+ * @returns {object|null} Provider or null if unknown
+ */
+export function getProvider(id) {
+  return PROVIDERS.find(p => p.id === id) || null;
+}
+
+/**
+ * Resolve a provider's effective config from its defaults and the user settings
+ * @param {object} provider - Provider definition
+ * @param {object} settings - Settings from loadSettings
+ * @returns {object} Provider config
+ */
+export function getProviderConfig(provider, settings) {
+  return { ...provider.defaults, ...(settings?.providerConfig?.[provider.id] || {}) };
+}
+
+/**
+ * Run every enabled provider for a URL and merge their categories.
+ * Providers run in parallel; the scan only fails if all of them fail.
+ * In demo mode only the demo provider runs, so no backend is needed.
+ * A payload no layout matches becomes an `unrecognized` category so its data is still shown.
+ * When some providers fail, every category carries `provider_errors`:
+ * [{ provider, provider_label, error }], so the verdict shows what it was reached without.
+ * @param {string} url - Fully qualified URL
+ * @param {object} settings - Settings from loadSettings
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts all provider requests
+ * @param {Array} [options.diagnostics] - Receives one entry per provider:
+ *   { provider, provider_label, exchanges, durationMs, payload, validation, error }
+ * @param {Function} [options.onProgress] - Receives stage events tagged with `provider`
+ * @returns {Promise<Array>} Normalized categories, each tagged with `provider` and `provider_label`
+ */
+export async function runProviders(url, settings, { signal, diagnostics, onProgress } = {}) {
+  const enabled = settings?.demoMode
+    ? [demoProvider]
+    : (settings?.enabledProviders || []).map(getProvider).filter(Boolean);
+  if (enabled.length === 0) throw new Error('No scan provider is enabled');
+
+  const outcomes = await Promise.allSettled(enabled.map(async provider => {
+    const entry = { provider: provider.id, provider_label: provider.label, exchanges: [], durationMs: null, payload: null, validation: null, error: null };
+    diagnostics?.push(entry);
+    const started = Date.now();
+
+    try {
+      const raw = await provider.lookup(url, getProviderConfig(provider, settings), {
+        signal,
+        exchanges: entry.exchanges,
+        onProgress: onProgress && (event => onProgress({ ...event, provider: provider.id }))
+      });
+      if (settings.recordResponses && provider.id !== 'fixture' && provider.id !== 'demo') recordResponse(url, provider.id, raw);
+
+      const payload = provider.normalize(raw, url);
+      entry.payload = payload;
+      entry.validation = validateScanResponse(payload);
+
+      const categories = normalizeScanResponse(payload);
+      return (categories.length > 0 ? categories : [unrecognizedCategory(payload)]).map(cat => ({
+        ...cat,
+        provider: provider.id,
+        provider_label: provider.label
+      }));
+    } catch (err) {
+      entry.error = err.message || String(err);
+      throw err;
+    } finally {
+      entry.durationMs = Date.now() - started;
+    }
+  }));
+
+  const failures = outcomes
+    .map((o, i) => (o.status === 'rejected'
+      ? { provider: enabled[i].id, provider_label: enabled[i].label, error: o.reason?.message || String(o.reason) }
+      : null))
+    .filter(Boolean);
+
+  if (failures.length === outcomes.length) throw new Error(failures.map(f => `${f.provider_label}: ${f.error}`).join('; '));
+
+  const categories = outcomes.filter(o => o.status === 'fulfilled').flatMap(o => o.value);
+  if (failures.length === 0) return categories;
+
+  console.warn('Some scan providers failed:', failures);
+  return categories.map(cat => ({ ...cat, provider_errors: failures }));
+}
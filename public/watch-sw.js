@@ -0,0 +1,66 @@
+/**
+ * Service worker for the watchlist. Rescans themselves run in the app (they need the
+ * scan pipeline), so the worker only wakes up through Periodic Background Sync where the
+ * browser supports it: it asks an open tab to run due rescans, or, with no tab open,
+ * shows a notification that rescans are due. It also shows the app's desktop alerts.
+ */
+
+const DB_NAME = 'urlscanner';
+const WATCHLIST_STORE = 'watchlist';
+const SYNC_TAG = 'watchlist-rescan';
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+// Count watch items whose next rescan time has passed, without creating the database
+function countDueItems() {
+  return new Promise((resolve) => {
+    const request = indexedDB.open(DB_NAME);
+    request.onupgradeneeded = () => request.transaction.abort();
+    request.onerror = () => resolve(0);
+    request.onsuccess = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(WATCHLIST_STORE)) {
+        db.close();
+        resolve(0);
+        return;
+      }
+      const range = IDBKeyRange.upperBound(new Date().toISOString());
+      const countRequest = db.transaction(WATCHLIST_STORE, 'readonly').objectStore(WATCHLIST_STORE).index('nextScanAt').count(range);
+      countRequest.onsuccess = () => { db.close(); resolve(countRequest.result); };
+      countRequest.onerror = () => { db.close(); resolve(0); };
+    };
+  });
+}
+
+async function checkWatchlist() {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  if (windows.length > 0) {
+    windows.forEach(client => client.postMessage({ type: 'watchlist:due' }));
+    return;
+  }
+
+  const due = await countDueItems();
+  if (due > 0 && self.Notification?.permission === 'granted') {
+    await self.registration.showNotification('Watched URLs are due for a rescan', {
+      body: `${due} watched URL${due === 1 ? ' is' : 's are'} due. Open the scanner to rescan ${due === 1 ? 'it' : 'them'}.`,
+      tag: SYNC_TAG
+    });
+  }
+}
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === SYNC_TAG) event.waitUntil(checkWatchlist());
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.length > 0) return windows[0].focus();
+    return self.clients.openWindow(self.registration.scope);
+  })());
+});
@@ -0,0 +1,59 @@
+import { severityForWeight } from './heuristics.js';
+import { baseDomain, hostnameOf } from './urlUtils.js';
+
+/**
+ * Signals derived from the redirect chain a scan followed
+ */
+
+const URL_SHORTENERS = [
+  'bit.ly', 't.co', 'tinyurl.com', 'goo.gl', 'ow.ly', 'is.gd', 'buff.ly', 'rebrand.ly', 'cutt.ly',
+  'shorturl.at', 'rb.gy', 't.ly', 'tiny.cc', 'lnkd.in', 'bl.ink', 's.id', 'v.gd', 'qrco.de'
+];
+
+const MAX_QUIET_HOPS = 3;
+
+function finding(id, weight, detail) {
+  return { id, message: `finding.redirects.${id}`, weight, severity: severityForWeight(weight), detail: detail || null };
+}
+
+/**
+ * Score a normalized redirect chain (see normalizeRedirectChain)
+ * @param {Array} chain - Normalized hops
+ * @param {string} inputUrl - URL that was submitted
+ * @param {string} finalUrl - Landing URL
+ * @returns {object} Signal category with source 'redirects', score and findings
+ */
+export function analyzeRedirects(chain, inputUrl, finalUrl) {
+  const signal = { source: 'redirects', message: 'signal.redirects', score: 0, findings: [] };
+  const hops = Array.isArray(chain) ? chain : [];
+  const findings = signal.findings;
+
+  const redirects = Math.max(0, hops.length - 1);
+  if (redirects > MAX_QUIET_HOPS) {
+    findings.push(finding('many-hops', 10, { message: 'finding.detail.redirects', params: { count: redirects } }));
+  }
+
+  const shorteners = hops.map(h => hostnameOf(h.url)).filter(host => URL_SHORTENERS.includes(host));
+  if (shorteners.length > 0) {
+    findings.push(finding('shortener', 10, [...new Set(shorteners)].join(', ')));
+  }
+
+  const crossDomain = hops.filter(h => h.cross_domain).length;
+  if (crossDomain > 1) {
+    findings.push(finding('cross-domain', 15, { message: 'finding.detail.crossDomainHops', params: { count: crossDomain } }));
+  }
+
+  const clientSide = hops.filter(h => h.method === 'meta' || h.method === 'js');
+  if (clientSide.length > 0) {
+    findings.push(finding('client-redirect', 15, clientSide.map(h => h.method).join(', ')));
+  }
+
+  const inputDomain = baseDomain(hostnameOf(inputUrl));
+  const finalDomain = baseDomain(hostnameOf(finalUrl));
+  if (finalUrl && inputDomain && finalDomain && inputDomain !== finalDomain) {
+    findings.push(finding('landing-elsewhere', 10, finalDomain));
+  }
+
+  signal.score = Math.min(100, findings.reduce((sum, f) => sum + f.weight, 0));
+  return signal;
+}
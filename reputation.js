@@ -0,0 +1,227 @@
+import { parseVTResult } from './VT.js';
+import { DEFAULT_POLICY } from './policy.js';
+
+/**
+ * Reputation sources: threat feeds and lookup services queried by the scan flow.
+ *
+ * A category may carry `reputation`, either a list of entries or an object keyed by
+ * source id. An entry is { source, name?, verdict?, evidence?, link?, ...raw fields };
+ * when verdict is missing it is derived from the source's own response fields (see
+ * ADAPTERS). The VirusTotal blob older flows send (`vt`, `virustotal`, ...) becomes
+ * one more source.
+ *
+ * Each normalized source is { id, name, verdict, evidence: Array<string>, link, weight, details }
+ * where verdict is MALICIOUS, SUSPICIOUS, CLEAN or UNKNOWN.
+ */
+
+export const REPUTATION_SOURCES = {
+  virustotal: {
+    name: 'VirusTotal',
+    weight: 1,
+    link: (url) => `https://www.virustotal.com/gui/search/${encodeURIComponent(url)}`
+  },
+  urlhaus: {
+    name: 'URLhaus',
+    weight: 2,
+    link: (url) => `https://urlhaus.abuse.ch/browse.php?search=${encodeURIComponent(url)}`
+  },
+  phishtank: {
+    name: 'PhishTank',
+    weight: 2,
+    link: () => 'https://phishtank.org/'
+  },
+  openphish: {
+    name: 'OpenPhish',
+    weight: 1.5,
+    link: () => 'https://openphish.com/'
+  },
+  safebrowsing: {
+    name: 'Google Safe Browsing',
+    weight: 2,
+    link: (url) => `https://transparencyreport.google.com/safe-browsing/search?url=${encodeURIComponent(url)}`
+  },
+  // Rates the IP, which may be shared hosting, so it counts for less
+  abuseipdb: {
+    name: 'AbuseIPDB',
+    weight: 1,
+    link: (url, ip) => (ip ? `https://www.abuseipdb.com/check/${encodeURIComponent(ip)}` : null)
+  }
+};
+
+// Older payloads put the VirusTotal report under any of these keys
+const VT_KEYS = ['vt', 'virustotal', 'vt_data', 'raw_vt', 'virus_total', 'vtResult', 'vtData'];
+
+const VERDICT_WORDS = {
+  MALICIOUS: ['malicious', 'malware', 'phishing', 'listed', 'blacklisted', 'blocklisted', 'unsafe', 'dangerous', 'high'],
+  SUSPICIOUS: ['suspicious', 'spam', 'medium', 'potentially harmful'],
+  CLEAN: ['clean', 'harmless', 'safe', 'benign', 'not listed', 'unlisted', 'no_results', 'ok', 'low', 'none']
+};
+
+/**
+ * Map a source's own verdict wording to MALICIOUS, SUSPICIOUS, CLEAN or UNKNOWN
+ * @param {any} value - Verdict string or boolean "listed" flag
+ * @returns {string}
+ */
+export function normalizeSourceVerdict(value) {
+  if (value === true) return 'MALICIOUS';
+  if (value === false) return 'CLEAN';
+  const text = String(value ?? '').trim().toLowerCase();
+  if (!text) return 'UNKNOWN';
+  if (['MALICIOUS', 'SUSPICIOUS', 'CLEAN', 'UNKNOWN'].includes(text.toUpperCase())) return text.toUpperCase();
+  const match = Object.entries(VERDICT_WORDS).find(([, words]) => words.includes(text));
+  return match ? match[0] : 'UNKNOWN';
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : [value]).map(v => (typeof v === 'string' ? v : JSON.stringify(v)));
+}
+
+// Derive { verdict, evidence } from each service's response fields when the flow did not
+const ADAPTERS = {
+  urlhaus(entry) {
+    if (entry.query_status === 'no_results') return { verdict: 'CLEAN', evidence: ['Not in URLhaus'] };
+    if (entry.query_status !== 'ok') return null;
+    const evidence = [entry.threat && `Threat: ${entry.threat}`, entry.url_status && `Status: ${entry.url_status}`,
+      Array.isArray(entry.tags) && entry.tags.length > 0 && `Tags: ${entry.tags.join(', ')}`].filter(Boolean);
+    return { verdict: 'MALICIOUS', evidence };
+  },
+  phishtank(entry) {
+    if (entry.in_database === undefined) return null;
+    if (!entry.in_database) return { verdict: 'CLEAN', evidence: ['Not in PhishTank'] };
+    const verified = entry.verified === true || entry.verified === 'yes';
+    return {
+      verdict: entry.valid === false ? 'CLEAN' : verified ? 'MALICIOUS' : 'SUSPICIOUS',
+      evidence: [verified ? 'Verified phish' : 'Reported, not yet verified', entry.phish_id && `Phish ID ${entry.phish_id}`].filter(Boolean)
+    };
+  },
+  openphish(entry) {
+    if (entry.listed === undefined) return null;
+    return { verdict: entry.listed ? 'MALICIOUS' : 'CLEAN', evidence: [entry.listed ? 'Listed in the OpenPhish feed' : 'Not in the OpenPhish feed'] };
+  },
+  safebrowsing(entry) {
+    if (!('matches' in entry)) return null;
+    const matches = Array.isArray(entry.matches) ? entry.matches : [];
+    if (matches.length === 0) return { verdict: 'CLEAN', evidence: ['No Safe Browsing matches'] };
+    return { verdict: 'MALICIOUS', evidence: [...new Set(matches.map(m => m.threatType).filter(Boolean))] };
+  },
+  abuseipdb(entry) {
+    const data = entry.data && typeof entry.data === 'object' ? entry.data : entry;
+    const confidence = Number(data.abuseConfidenceScore);
+    if (!Number.isFinite(confidence)) return null;
+    return {
+      verdict: confidence >= 75 ? 'MALICIOUS' : confidence >= 25 ? 'SUSPICIOUS' : 'CLEAN',
+      evidence: [`Abuse confidence ${confidence}%`, Number.isFinite(Number(data.totalReports)) && `${data.totalReports} reports`].filter(Boolean),
+      ip: data.ipAddress
+    };
+  }
+};
+
+function sourceId(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+function normalizeEntry(entry, key, { url, ip }) {
+  if (!entry || typeof entry !== 'object') return null;
+  const id = sourceId(entry.id || entry.source || key || entry.name);
+  if (!id) return null;
+
+  const known = REPUTATION_SOURCES[id];
+  const derived = entry.verdict === undefined ? ADAPTERS[id]?.(entry) : null;
+  const verdict = entry.verdict !== undefined ? normalizeSourceVerdict(entry.verdict) : derived?.verdict || 'UNKNOWN';
+
+  return {
+    id,
+    name: entry.name || known?.name || entry.source || id,
+    verdict,
+    evidence: entry.evidence !== undefined ? toList(entry.evidence) : derived?.evidence || [],
+    link: entry.link || known?.link(url, derived?.ip || ip) || null,
+    details: entry.details || null
+  };
+}
+
+// A handful of engines flag most popular sites at some point, so the engine counts
+// only become a verdict at the policy's detection thresholds
+function vtVerdict(vt, detectionThresholds) {
+  const verdict = normalizeSourceVerdict(vt.verdict);
+  if (verdict !== 'UNKNOWN' || !(vt.has_stats || vt.total_engines > 0)) return verdict;
+  if (vt.malicious_count >= Number(detectionThresholds.malicious)) return 'MALICIOUS';
+  if (vt.malicious_count >= Number(detectionThresholds.suspicious)) return 'SUSPICIOUS';
+  return 'CLEAN';
+}
+
+function vtSource(category, url, detectionThresholds) {
+  const raw = VT_KEYS.map(key => category[key] ?? category._raw?.[key]).find(v => v && typeof v === 'object');
+  if (!raw) return null;
+
+  const vt = parseVTResult(raw);
+  const verdict = vtVerdict(vt, detectionThresholds);
+
+  const engines = vt.detections.slice(0, 3).map(d => d.engine).filter(Boolean);
+  return {
+    id: 'virustotal',
+    name: REPUTATION_SOURCES.virustotal.name,
+    verdict,
+    evidence: [
+      `${vt.malicious_count}/${vt.total_engines} engines flag it`,
+      engines.length > 0 && `Flagged by ${engines.join(', ')}${vt.detections.length > engines.length ? ' and others' : ''}`
+    ].filter(Boolean),
+    link: REPUTATION_SOURCES.virustotal.link(url),
+    details: vt
+  };
+}
+
+/**
+ * Collect the reputation sources of one category
+ * @param {object} category - Normalized category
+ * @param {object} [options]
+ * @param {object} [options.detectionThresholds] - Engine counts at which VirusTotal data
+ *   without its own verdict counts as MALICIOUS or SUSPICIOUS (see policy.js)
+ * @returns {Array} Normalized sources (see the module comment), one per source id
+ */
+export function extractReputationSources(category, { detectionThresholds = DEFAULT_POLICY.detectionThresholds } = {}) {
+  if (!category || typeof category !== 'object') return [];
+  const first = Array.isArray(category.results) ? category.results[0] : null;
+  const context = { url: first?.input_url || '', ip: first?.ip || '' };
+
+  const raw = category.reputation ?? category._raw?.reputation;
+  const entries = Array.isArray(raw)
+    ? raw.map(entry => normalizeEntry(entry, null, context))
+    : Object.entries(raw && typeof raw === 'object' ? raw : {}).map(([key, entry]) => normalizeEntry(entry, key, context));
+
+  const sources = new Map();
+  [vtSource(category, context.url, detectionThresholds), ...entries].filter(Boolean).forEach(source => {
+    // An explicit reputation entry for VirusTotal replaces the legacy blob, but keeps its details
+    const previous = sources.get(source.id);
+    sources.set(source.id, previous ? { ...source, details: source.details || previous.details } : source);
+  });
+  return [...sources.values()];
+}
+
+/**
+ * Weigh the sources' verdicts into a consensus
+ * @param {Array} sources - Output of extractReputationSources
+ * @param {object} [weights] - Source id -> weight; unlisted sources use REPUTATION_SOURCES, then 1
+ * @returns {{sources: Array, flagged: number, total: number, score: number}}
+ *   flagged counts MALICIOUS and SUSPICIOUS sources, total those with a known verdict;
+ *   score (0-100) is the weighted share of flagging sources, suspicious counting half
+ */
+export function summarizeReputation(sources, weights = {}) {
+  const weighted = (sources || []).map(source => {
+    const configured = Number(weights?.[source.id]);
+    const weight = Number.isFinite(configured) ? configured : REPUTATION_SOURCES[source.id]?.weight ?? 1;
+    return { ...source, weight };
+  });
+
+  const known = weighted.filter(s => s.verdict !== 'UNKNOWN');
+  const flagging = known.filter(s => s.verdict === 'MALICIOUS' || s.verdict === 'SUSPICIOUS');
+  const totalWeight = known.reduce((sum, s) => sum + s.weight, 0);
+  const flaggedWeight = flagging.reduce((sum, s) => sum + s.weight * (s.verdict === 'MALICIOUS' ? 1 : 0.5), 0);
+
+  return {
+    sources: weighted,
+    flagged: flagging.length,
+    total: known.length,
+    score: totalWeight > 0 ? Math.round((flaggedWeight / totalWeight) * 100) : 0
+  };
+}
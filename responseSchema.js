@@ -0,0 +1,175 @@
+/**
+ * Versioned description of the scan response the UI understands, and a validator
+ * that reports missing or mistyped fields instead of silently dropping the payload.
+ *
+ * Field spec shape: { type, required, enum, items, properties }
+ *   type       - 'string' | 'number' | 'boolean' | 'object' | 'array', or a list of them
+ *   required   - names of properties that must be present (objects only)
+ *   items      - spec for array elements
+ *   properties - specs for object properties; unknown properties are allowed
+ */
+
+export const SCHEMA_VERSION = 1;
+
+const DETECTION = {
+  type: 'object',
+  required: ['engine'],
+  properties: {
+    engine: { type: 'string' },
+    result: { type: 'string' },
+    threat_type: { type: 'string' }
+  }
+};
+
+const REPUTATION_ENTRY = {
+  type: 'object',
+  properties: {
+    source: { type: 'string' },
+    name: { type: 'string' },
+    verdict: { type: ['string', 'boolean'] },
+    evidence: { type: ['array', 'string'] },
+    link: { type: 'string' }
+  }
+};
+
+const STRING_LIST = { type: ['array', 'string'], items: { type: 'string' } };
+
+const RESULT = {
+  type: 'object',
+  required: ['input_url'],
+  properties: {
+    input_url: { type: 'string' },
+    domain: { type: 'string' },
+    ip: { type: 'string' },
+    risk_score: { type: 'number' },
+    whois: { type: ['object', 'string'] },
+    dns: {
+      type: 'object',
+      properties: { A: STRING_LIST, AAAA: STRING_LIST, MX: STRING_LIST, NS: STRING_LIST, TXT: STRING_LIST, CNAME: STRING_LIST }
+    },
+    ssl: { type: ['object', 'string'] },
+    screenshot: { type: ['object', 'string'] },
+    redirect_chain: { type: 'array' },
+    final_url: { type: 'string' }
+  }
+};
+
+const CATEGORY = {
+  type: 'object',
+  required: ['results'],
+  properties: {
+    verdict: { type: 'string', enum: ['CLEAN', 'SUSPICIOUS', 'MALICIOUS', 'UNKNOWN'] },
+    risk_score: { type: 'number' },
+    malicious_count: { type: 'number' },
+    total_engines: { type: 'number' },
+    detections: { type: 'array', items: DETECTION },
+    reputation: { type: ['array', 'object'], items: REPUTATION_ENTRY },
+    results: { type: 'array', items: RESULT }
+  }
+};
+
+export const SCHEMAS = {
+  1: { category: CATEGORY, result: RESULT }
+};
+
+/**
+ * Work out which of the accepted top-level layouts a payload uses
+ * @param {any} raw - Payload as returned by a provider's normalize()
+ * @returns {string} 'categories' | 'wrapped-categories' | 'result-categories' | 'category' | 'result' | 'unknown'
+ */
+export function detectResponseShape(raw) {
+  if (Array.isArray(raw)) return 'categories';
+  if (!raw || typeof raw !== 'object') return 'unknown';
+  if (Array.isArray(raw.categories)) return 'wrapped-categories';
+  if (Array.isArray(raw.results) && raw.results.length > 0 && raw.results[0]?.verdict) return 'result-categories';
+  if (raw.verdict || raw.risk_score || Array.isArray(raw.results)) return 'category';
+  if (raw.input_url || raw.domain || raw.ip) return 'result';
+  return 'unknown';
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && !Number.isFinite(value)) return 'invalid number';
+  return typeof value;
+}
+
+function check(value, spec, path, warnings) {
+  const allowed = Array.isArray(spec.type) ? spec.type : [spec.type];
+  const actual = typeOf(value);
+  if (!allowed.includes(actual)) {
+    warnings.push({ path, message: `expected ${allowed.join(' or ')}, got ${actual}` });
+    return;
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    warnings.push({ path, message: `unexpected value "${value}" (expected ${spec.enum.join(', ')})` });
+  }
+
+  if (actual === 'array' && spec.items) {
+    value.forEach((item, i) => check(item, spec.items, `${path}[${i}]`, warnings));
+  }
+
+  if (actual === 'object') {
+    (spec.required || []).forEach(key => {
+      if (value[key] === undefined || value[key] === null) {
+        warnings.push({ path: path ? `${path}.${key}` : key, message: 'missing required field' });
+      }
+    });
+    Object.entries(spec.properties || {}).forEach(([key, propSpec]) => {
+      // Absent optional fields are fine; only fields that are present get type-checked
+      if (value[key] !== undefined && value[key] !== null) {
+        check(value[key], propSpec, path ? `${path}.${key}` : key, warnings);
+      }
+    });
+  }
+}
+
+/**
+ * Validate a scan payload against the schema version it declares (or the current one)
+ * @param {any} raw - Payload as returned by a provider's normalize()
+ * @returns {{version: number, shape: string, warnings: Array<{path: string, message: string}>}}
+ */
+export function validateScanResponse(raw) {
+  const warnings = [];
+  const declared = raw && typeof raw === 'object' && !Array.isArray(raw) ? Number(raw.schema_version) : NaN;
+  let version = SCHEMA_VERSION;
+
+  if (Number.isFinite(declared)) {
+    if (SCHEMAS[declared]) {
+      version = declared;
+    } else {
+      warnings.push({ path: 'schema_version', message: `unsupported version ${declared}; validating against version ${SCHEMA_VERSION}` });
+    }
+  }
+
+  const schema = SCHEMAS[version];
+  const shape = detectResponseShape(raw);
+
+  switch (shape) {
+    case 'categories':
+      if (raw.length === 0) warnings.push({ path: '', message: 'empty category list' });
+      raw.forEach((cat, i) => check(cat, schema.category, `[${i}]`, warnings));
+      break;
+    case 'wrapped-categories':
+      raw.categories.forEach((cat, i) => check(cat, schema.category, `categories[${i}]`, warnings));
+      break;
+    case 'result-categories':
+      raw.results.forEach((cat, i) => check(cat, schema.category, `results[${i}]`, warnings));
+      break;
+    case 'category':
+      check(raw, { ...schema.category, required: [] }, '', warnings);
+      break;
+    case 'result':
+      check(raw, schema.result, '', warnings);
+      break;
+    default:
+      warnings.push({
+        path: '',
+        message: raw === null || raw === undefined
+          ? 'empty response body'
+          : `unrecognized payload (${typeOf(raw)}); expected categories, a category or a scan result`
+      });
+  }
+
+  return { version, shape, warnings };
+}
@@ -0,0 +1,93 @@
+/**
+ * Registry of the collapsible panels shown for each result entry (one URL's data in a
+ * category's results). A panel declares the entry fields it handles; fields no panel
+ * claims are listed in a generic fallback panel, so new enrichment data from a scan
+ * flow is visible before anyone writes a panel for it.
+ *
+ * Panel shape:
+ *   id     - unique key; registering the same id again replaces the panel
+ *   title  - string, or (entry) => string for titles that depend on the data
+ *   icon   - emoji shown before the title
+ *   order  - panels render in ascending order
+ *   fields - entry fields the panel handles
+ *   when   - optional (entry) => boolean; defaults to "any of the fields has a value"
+ *   render - (entry, context) => React node; context is { scannedUrl }
+ */
+
+// Shown by the detail card itself (header, favicon, screenshot sidebar) rather than a
+// panel, including the aliases parsers.js accepts for them
+export const CARD_FIELDS = [
+  'input_url', 'final_url', 'finalUrl', 'landing_url', 'effective_url',
+  'favicon', 'faviconUrl', 'favicon_image_url', 'favicons', 'faviconBase64', 'favicon_data', 'faviconData',
+  'screenshot', 'screenshot_src', 'screenshot_base64', 'screenshotBase64', 'screenshot_url', 'screenshotUrl', 'screenshot_stored'
+];
+
+const panels = [];
+
+/**
+ * Add a result panel
+ * @param {object} panel - See the panel shape above
+ * @returns {object} The registered panel
+ */
+export function registerResultPanel(panel) {
+  if (!panel?.id) throw new Error('A result panel needs an id');
+  if (typeof panel.render !== 'function') throw new Error(`Result panel "${panel.id}" needs a render function`);
+  if (!Array.isArray(panel.fields)) throw new Error(`Result panel "${panel.id}" needs a list of fields`);
+
+  const registered = { order: 100, icon: '🧩', ...panel };
+  const existing = panels.findIndex(p => p.id === panel.id);
+  if (existing >= 0) panels.splice(existing, 1, registered);
+  else panels.push(registered);
+  panels.sort((a, b) => a.order - b.order);
+  return registered;
+}
+
+/**
+ * @returns {Array} Registered panels in render order
+ */
+export function listResultPanels() {
+  return [...panels];
+}
+
+/**
+ * Whether a field value is worth showing
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function hasValue(value) {
+  if (value === null || value === undefined || value === '') return false;
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'object') return Object.keys(value).length > 0;
+  return true;
+}
+
+/**
+ * The panels that apply to an entry
+ * @param {object} entry - Result entry
+ * @returns {Array}
+ */
+export function panelsForEntry(entry) {
+  if (!entry || typeof entry !== 'object') return [];
+  return panels.filter(p => (p.when ? p.when(entry) : p.fields.some(field => hasValue(entry[field]))));
+}
+
+/**
+ * Fields of an entry that neither the detail card nor any registered panel handles
+ * @param {object} entry - Result entry
+ * @returns {object} Those fields, skipping empty values
+ */
+export function unclaimedFields(entry) {
+  if (!entry || typeof entry !== 'object') return {};
+  const claimed = new Set([...CARD_FIELDS, ...panels.flatMap(p => p.fields)]);
+  return Object.fromEntries(Object.entries(entry).filter(([key, value]) => !claimed.has(key) && hasValue(value)));
+}
+
+/**
+ * Resolve a panel's title for an entry
+ * @param {object} panel
+ * @param {object} entry
+ * @returns {string}
+ */
+export function panelTitle(panel, entry) {
+  return typeof panel.title === 'function' ? panel.title(entry) : panel.title;
+}
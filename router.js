@@ -0,0 +1,98 @@
+/**
+ * Minimal History API router for the scanner's deep links:
+ *   /?url=...[&scan=1]  prefill the input (and optionally start the scan)
+ *   /scan/:id           a scan from this browser's history
+ *   /shared#r=...       a result carried in the fragment (see sharing.js)
+ *   /history            the history list
+ *
+ * Route shape: { name: 'home'|'scan'|'shared'|'history', url?, autoScan?, id?, payload? }
+ */
+
+// Vite's base ("/" or "/sub/path/"), so links keep working when the app is not served from the root
+const BASE = (import.meta.env?.BASE_URL || '/').replace(/\/?$/, '/');
+
+function relativePath(pathname) {
+  const path = pathname.startsWith(BASE) ? pathname.slice(BASE.length) : pathname.replace(/^\//, '');
+  return path.replace(/\/+$/, '');
+}
+
+/**
+ * Read the route from a location
+ * @param {Location|URL} [location] - Defaults to window.location
+ * @returns {object} Route
+ */
+export function parseRoute(location = window.location) {
+  const path = relativePath(location.pathname);
+  const params = new URLSearchParams(location.search);
+  const hash = new URLSearchParams(String(location.hash || '').replace(/^#/, ''));
+
+  if (path === 'history') return { name: 'history' };
+  if (path === 'shared' && hash.get('r')) return { name: 'shared', payload: hash.get('r') };
+
+  const scanMatch = /^scan\/(\d+)$/.exec(path);
+  if (scanMatch) return { name: 'scan', id: Number(scanMatch[1]) };
+
+  return {
+    name: 'home',
+    url: params.get('url') || '',
+    autoScan: params.get('scan') === '1'
+  };
+}
+
+/**
+ * Build the path (with query and fragment) for a route
+ * @param {object} route
+ * @returns {string}
+ */
+export function routePath(route) {
+  switch (route?.name) {
+    case 'scan':
+      return `${BASE}scan/${encodeURIComponent(route.id)}`;
+    case 'shared':
+      return `${BASE}shared#r=${route.payload}`;
+    case 'history':
+      return `${BASE}history`;
+    default: {
+      const params = new URLSearchParams();
+      if (route?.url) params.set('url', route.url);
+      if (route?.autoScan) params.set('scan', '1');
+      const query = params.toString();
+      return query ? `${BASE}?${query}` : BASE;
+    }
+  }
+}
+
+/**
+ * Absolute link to a route, for copying
+ * @param {object} route
+ * @returns {string}
+ */
+export function routeUrl(route) {
+  return new URL(routePath(route), window.location.origin).href;
+}
+
+/**
+ * Move to a route without reloading. Navigating to the current address does nothing,
+ * so re-opening the shown scan does not add a history entry.
+ * @param {object} route
+ * @param {object} [options]
+ * @param {boolean} [options.replace] - Replace the current entry instead of adding one
+ */
+export function navigate(route, { replace = false } = {}) {
+  const path = routePath(route);
+  const current = window.location.pathname + window.location.search + window.location.hash;
+  if (path === current) return;
+  if (replace) window.history.replaceState({ route }, '', path);
+  else window.history.pushState({ route }, '', path);
+}
+
+/**
+ * Listen for back/forward navigation
+ * @param {Function} handler - Receives the new route
+ * @returns {Function} Removes the listener
+ */
+export function onRouteChange(handler) {
+  const listener = () => handler(parseRoute(window.location));
+  window.addEventListener('popstate', listener);
+  return () => window.removeEventListener('popstate', listener);
+}
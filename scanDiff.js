@@ -0,0 +1,101 @@
+import { summarizeResult, VERDICT_RANK } from './verdict.js';
+import { parseWhoisData } from './whoisUtils.js';
+import { parseCertificate } from './certUtils.js';
+import { t } from './i18n.js';
+
+/**
+ * Compare two scans of the same host field by field
+ */
+
+function firstResult(result) {
+  if (!Array.isArray(result)) return null;
+  const cat = result.find(c => Array.isArray(c.results) && c.results.length > 0);
+  return cat ? cat.results[0] : null;
+}
+
+function engineSet(result) {
+  if (!Array.isArray(result)) return [];
+  const engines = result.flatMap(cat => (Array.isArray(cat.detections) ? cat.detections : []).map(d => d.engine).filter(Boolean));
+  return [...new Set(engines)];
+}
+
+function toList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : [value]).map(v => String(v).toLowerCase().replace(/\.$/, ''));
+}
+
+function certDay(date) {
+  return date ? date.toISOString().slice(0, 10) : null;
+}
+
+function scalarChange(field, label, before, after) {
+  const b = before ?? null;
+  const a = after ?? null;
+  if (String(b ?? '') === String(a ?? '')) return null;
+  return { field, label, type: 'value', before: b, after: a };
+}
+
+function setChange(field, label, before, after) {
+  const b = new Set(before);
+  const a = new Set(after);
+  const added = [...a].filter(v => !b.has(v));
+  const removed = [...b].filter(v => !a.has(v));
+  if (added.length === 0 && removed.length === 0) return null;
+  return { field, label, type: 'set', added, removed, unchanged: [...a].filter(v => b.has(v)) };
+}
+
+/**
+ * Diff a previous scan against the current one
+ * @param {Array} previous - Older normalized result
+ * @param {Array} current - Newer normalized result
+ * @returns {{changes: Array, escalated: boolean, verdictBefore: string, verdictAfter: string}}
+ *   Changed fields (value changes carry before/after, set changes carry added/removed)
+ *   and whether the verdict became more severe
+ */
+export function diffScans(previous, current) {
+  const before = summarizeResult(previous);
+  const after = summarizeResult(current);
+  const rb = firstResult(previous) || {};
+  const ra = firstResult(current) || {};
+  const wb = parseWhoisData(rb.whois) || { dates: {} };
+  const wa = parseWhoisData(ra.whois) || { dates: {} };
+  const cb = parseCertificate(rb.ssl) || {};
+  const ca = parseCertificate(ra.ssl) || {};
+
+  const changes = [
+    scalarChange('verdict', t('diff.field.verdict'), before.verdict, after.verdict),
+    scalarChange('risk_score', t('diff.field.risk_score'), before.risk_score, after.risk_score),
+    setChange('engines', t('diff.field.engines'), engineSet(previous), engineSet(current)),
+    scalarChange('ip', t('diff.field.ip'), rb.ip, ra.ip),
+    setChange('dns.A', t('diff.field.dns.A'), toList(rb.dns?.A), toList(ra.dns?.A)),
+    setChange('dns.MX', t('diff.field.dns.MX'), toList(rb.dns?.MX), toList(ra.dns?.MX)),
+    setChange('dns.NS', t('diff.field.dns.NS'), toList(rb.dns?.NS), toList(ra.dns?.NS)),
+    scalarChange('whois.registrar', t('diff.field.whois.registrar'), wb.registrar, wa.registrar),
+    scalarChange('whois.expires', t('diff.field.whois.expires'), wb.dates.expires, wa.dates.expires),
+    scalarChange('ssl.issuer', t('diff.field.ssl.issuer'), cb.issuerDn, ca.issuerDn),
+    scalarChange('ssl.serial', t('diff.field.ssl.serial'), cb.serial, ca.serial),
+    setChange('ssl.san', t('diff.field.ssl.san'), (cb.san || []).map(n => n.value), (ca.san || []).map(n => n.value)),
+    scalarChange('ssl.notBefore', t('diff.field.ssl.notBefore'), certDay(cb.notBefore), certDay(ca.notBefore)),
+    scalarChange('ssl.notAfter', t('diff.field.ssl.notAfter'), certDay(cb.notAfter), certDay(ca.notAfter))
+  ].filter(Boolean);
+
+  return {
+    changes,
+    escalated: (VERDICT_RANK[after.verdict] || 0) > (VERDICT_RANK[before.verdict] || 0),
+    verdictBefore: before.verdict,
+    verdictAfter: after.verdict
+  };
+}
+
+/**
+ * One-line plain-text description of a change, for notifications
+ * @param {object} change - Entry of diffScans().changes
+ * @returns {string} e.g. "Verdict: CLEAN → SUSPICIOUS" or "DNS A Records: +1.2.3.4 −5.6.7.8"
+ */
+export function describeChange(change) {
+  if (change.type === 'set') {
+    const parts = [...change.added.map(v => `+${v}`), ...change.removed.map(v => `−${v}`)];
+    return `${change.label}: ${parts.join(' ')}`;
+  }
+  return `${change.label}: ${change.before ?? '—'} → ${change.after ?? '—'}`;
+}
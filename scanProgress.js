@@ -0,0 +1,58 @@
+/**
+ * Folds stage events from a streaming scan into the progress list and the
+ * partial result shown while the scan is still running
+ */
+
+export const STAGE_LABELS = {
+  dns: 'DNS',
+  whois: 'WHOIS',
+  ssl: 'SSL Certificate',
+  virustotal: 'VirusTotal',
+  screenshot: 'Screenshot'
+};
+
+const STATUS_ALIASES = {
+  pending: 'pending',
+  queued: 'pending',
+  started: 'running',
+  running: 'running',
+  progress: 'running',
+  done: 'done',
+  completed: 'done',
+  complete: 'done',
+  success: 'done',
+  error: 'error',
+  failed: 'error',
+  skipped: 'skipped'
+};
+
+const FINISHED = ['done', 'error', 'skipped'];
+
+/**
+ * Apply one stage event
+ * @param {object|null} progress - Previous state, or null before the first event
+ * @param {object} event - { stage, status, message, data, provider } from runProviders
+ * @returns {object} { stages: [{ id, label, status, message, provider, startedAt, finishedAt }], partial }
+ */
+export function applyStageEvent(progress, event) {
+  const current = progress || { stages: [], partial: {} };
+  const id = String(event.stage || 'scan').toLowerCase();
+  const status = STATUS_ALIASES[String(event.status || '').toLowerCase()] || 'running';
+  const existing = current.stages.find(s => s.id === id);
+  const now = Date.now();
+
+  const stage = {
+    id,
+    label: STAGE_LABELS[id] || id,
+    status,
+    message: event.message || null,
+    provider: event.provider || null,
+    startedAt: existing?.startedAt ?? now,
+    finishedAt: FINISHED.includes(status) ? now : null
+  };
+
+  return {
+    stages: existing ? current.stages.map(s => (s.id === id ? stage : s)) : [...current.stages, stage],
+    partial: event.data && typeof event.data === 'object' ? { ...current.partial, ...event.data } : current.partial
+  };
+}
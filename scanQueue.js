@@ -0,0 +1,113 @@
+/**
+ * Small promise queue used by batch mode to scan many URLs with a bounded
+ * number of requests in flight.
+ */
+
+export const DEFAULT_CONCURRENCY = 3;
+export const MAX_CONCURRENCY = 10;
+
+function clampConcurrency(value) {
+  const n = Math.floor(Number(value));
+  if (!Number.isFinite(n) || n < 1) return 1;
+  return Math.min(n, MAX_CONCURRENCY);
+}
+
+/**
+ * Create a scan queue
+ * @param {object} options
+ * @param {function(string, {signal: AbortSignal}): Promise<any>} options.worker - Scans one URL and resolves with its result
+ * @param {number} [options.concurrency] - Maximum number of scans running at once
+ * @param {function(Array<object>): void} [options.onUpdate] - Called with a snapshot of all jobs whenever one changes
+ * @param {function(object): void} [options.onJobDone] - Called once per successfully finished job
+ * @returns {object} Queue controls
+ */
+export function createScanQueue({ worker, concurrency = DEFAULT_CONCURRENCY, onUpdate, onJobDone }) {
+  let jobs = [];
+  let limit = clampConcurrency(concurrency);
+  let paused = false;
+  let nextId = 1;
+  const controllers = new Map();
+
+  function emit() {
+    if (typeof onUpdate === 'function') onUpdate(jobs.map(j => ({ ...j })));
+  }
+
+  function patch(id, changes) {
+    jobs = jobs.map(j => (j.id === id ? { ...j, ...changes } : j));
+    emit();
+  }
+
+  function runningCount() {
+    return jobs.filter(j => j.status === 'running').length;
+  }
+
+  function pump() {
+    while (!paused && runningCount() < limit) {
+      const job = jobs.find(j => j.status === 'queued');
+      if (!job) return;
+      run(job);
+    }
+  }
+
+  async function run(job) {
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+    patch(job.id, { status: 'running', startedAt: Date.now() });
+
+    try {
+      const result = await worker(job.url, { signal: controller.signal });
+      if (controller.signal.aborted) return;
+      patch(job.id, { status: 'done', result, finishedAt: Date.now() });
+      if (typeof onJobDone === 'function') onJobDone(jobs.find(j => j.id === job.id));
+    } catch (err) {
+      if (controller.signal.aborted) return;
+      patch(job.id, { status: 'error', error: err?.message || 'Scan failed', finishedAt: Date.now() });
+    } finally {
+      controllers.delete(job.id);
+      pump();
+    }
+  }
+
+  return {
+    /**
+     * Queue URLs for scanning; starts immediately unless paused
+     * @param {Array<string>} urls
+     */
+    add(urls) {
+      const added = (urls || []).map(url => ({ id: nextId++, url, status: 'queued', result: null, error: null }));
+      jobs = [...jobs, ...added];
+      emit();
+      pump();
+    },
+
+    pause() {
+      paused = true;
+    },
+
+    resume() {
+      paused = false;
+      pump();
+    },
+
+    /**
+     * Cancel everything that has not finished yet, aborting in-flight scans. A paused
+     * queue is unpaused so the next batch starts.
+     */
+    cancel() {
+      paused = false;
+      controllers.forEach(c => c.abort());
+      controllers.clear();
+      jobs = jobs.map(j => (j.status === 'queued' || j.status === 'running' ? { ...j, status: 'cancelled' } : j));
+      emit();
+    },
+
+    setConcurrency(value) {
+      limit = clampConcurrency(value);
+      pump();
+    },
+
+    isPaused() {
+      return paused;
+    }
+  };
+}
@@ -0,0 +1,99 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createScanQueue } from './scanQueue.js';
+
+// Worker whose scans finish only when the test says so
+function controlledWorker() {
+  const pending = new Map();
+  const aborted = [];
+  const worker = (url, { signal }) => new Promise((resolve, reject) => {
+    pending.set(url, { resolve, reject });
+    signal.addEventListener('abort', () => {
+      aborted.push(url);
+      reject(new Error('aborted'));
+    });
+  });
+  return { worker, pending, aborted };
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+function queueWith(options) {
+  let snapshot = [];
+  const queue = createScanQueue({ ...options, onUpdate: jobs => { snapshot = jobs; } });
+  return { queue, statuses: () => snapshot.map(j => j.status), jobs: () => snapshot };
+}
+
+test('runs at most `concurrency` scans at once', async () => {
+  const { worker, pending } = controlledWorker();
+  const done = [];
+  const { queue, statuses } = queueWith({ worker, concurrency: 2, onJobDone: job => done.push(job.url) });
+
+  queue.add(['a', 'b', 'c']);
+  assert.deepEqual(statuses(), ['running', 'running', 'queued']);
+
+  pending.get('a').resolve('ok');
+  await flush();
+  assert.deepEqual(statuses(), ['done', 'running', 'running']);
+
+  pending.get('b').reject(new Error('boom'));
+  pending.get('c').resolve('ok');
+  await flush();
+  assert.deepEqual(statuses(), ['done', 'error', 'done']);
+  assert.deepEqual(done, ['a', 'c']);
+});
+
+test('pause holds queued scans and resume starts them', async () => {
+  const { worker, pending } = controlledWorker();
+  const { queue, statuses } = queueWith({ worker, concurrency: 1 });
+
+  queue.add(['a', 'b']);
+  queue.pause();
+  assert.equal(queue.isPaused(), true);
+
+  pending.get('a').resolve('ok');
+  await flush();
+  assert.deepEqual(statuses(), ['done', 'queued']);
+
+  queue.resume();
+  assert.equal(queue.isPaused(), false);
+  assert.deepEqual(statuses(), ['done', 'running']);
+});
+
+test('cancel aborts running scans and drops queued ones', async () => {
+  const { worker, pending, aborted } = controlledWorker();
+  const { queue, statuses } = queueWith({ worker, concurrency: 1 });
+
+  queue.add(['a', 'b']);
+  queue.cancel();
+  await flush();
+  assert.deepEqual(aborted, ['a']);
+  assert.deepEqual(statuses(), ['cancelled', 'cancelled']);
+  assert.ok(!pending.has('b'));
+});
+
+test('cancel unpauses the queue so the next batch starts', async () => {
+  const { worker } = controlledWorker();
+  const { queue, statuses } = queueWith({ worker, concurrency: 1 });
+
+  queue.add(['a', 'b']);
+  queue.pause();
+  queue.cancel();
+  assert.equal(queue.isPaused(), false);
+
+  queue.add(['c']);
+  await flush();
+  assert.deepEqual(statuses(), ['cancelled', 'cancelled', 'running']);
+});
+
+test('concurrency is clamped to 1..10 and raising it starts more scans', () => {
+  const { worker } = controlledWorker();
+  const { queue, statuses } = queueWith({ worker, concurrency: 0 });
+
+  queue.add(Array.from({ length: 12 }, (_, i) => `u${i}`));
+  assert.equal(statuses().filter(s => s === 'running').length, 1);
+
+  queue.setConcurrency(50);
+  assert.equal(statuses().filter(s => s === 'running').length, 10);
+  queue.cancel();
+});
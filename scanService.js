@@ -0,0 +1,140 @@
+import { runProviders } from './providers.js';
+import { decideVerdict } from './verdict.js';
+import { analyzeUrl } from './heuristics.js';
+import { analyzeRedirects } from './redirects.js';
+import { analyzeBrandImpersonation, analyzeBrandFavicon } from './brandProtection.js';
+import { resultFaviconHash } from './fingerprints.js';
+import { findScansByFaviconHash } from './storage.js';
+import { analyzeBlocklists } from './blocklists.js';
+import { getDecisionFor } from './decisions.js';
+import { parseCertificate, analyzeCertificate } from './certUtils.js';
+import { hostnameOf } from './urlUtils.js';
+import { loadSettings } from './settings.js';
+import { getPolicy } from './policy.js';
+
+/**
+ * Compute the signals that need no network access. The UI shows these while the
+ * remote scan is still running; scanUrl combines them with the remote results.
+ * @param {string} url - Fully qualified URL
+ * @param {object} [options]
+ * @param {Array} [options.brands] - Protected brands; defaults to the stored settings
+ * @returns {object} Signal categories keyed by source
+ */
+export function analyzeLocally(url, { brands = loadSettings().protectedBrands } = {}) {
+  return { lexical: analyzeUrl(url), brand: analyzeBrandImpersonation(url, brands) };
+}
+
+function sameUrl(a, b) {
+  try {
+    return new URL(a).href === new URL(b).href;
+  } catch {
+    return a === b;
+  }
+}
+
+/**
+ * Compute the signals that depend on what the providers found: the TLS certificate,
+ * the redirect chain, and the lexical heuristics re-run against the landing URL when
+ * it differs from the input
+ * @param {string} url - Submitted URL
+ * @param {Array} normalized - Categories from the providers
+ * @returns {object} Signal categories keyed by source
+ */
+export function analyzeResults(url, normalized) {
+  const results = Array.isArray(normalized) ? normalized.flatMap(cat => cat.results || []).filter(Boolean) : [];
+  const signals = {};
+
+  const withCert = results.find(res => res.ssl);
+  const cert = withCert ? parseCertificate(withCert.ssl) : null;
+  if (cert) {
+    // The certificate belongs to the server the scan ended on, not the submitted host
+    signals.tls = analyzeCertificate(cert, hostnameOf(withCert.final_url || url));
+  }
+
+  const r = results.find(res => res.redirect_chain?.length > 0) || results.find(res => res.final_url);
+  if (!r) return signals;
+
+  const finalUrl = r.final_url || url;
+  if (r.redirect_chain?.length > 0) {
+    signals.redirects = analyzeRedirects(r.redirect_chain, url, finalUrl);
+  }
+  if (!sameUrl(finalUrl, url)) {
+    signals.landing = { ...analyzeUrl(finalUrl), source: 'landing', message: 'signal.landing' };
+  }
+  return signals;
+}
+
+/**
+ * Compare the page's favicon with the protected brands' favicons, including ones learned
+ * from earlier scans of the brands' own domains
+ * @param {string} url - Submitted URL
+ * @param {Array} normalized - Categories from the providers
+ * @param {Array} brands - Protected brands
+ * @returns {Promise<object|null>} The favicon signal category, or null without a favicon
+ */
+async function analyzeFavicon(url, normalized, brands) {
+  const hash = resultFaviconHash(normalized);
+  if (hash === null) return null;
+
+  let knownScans = [];
+  try {
+    knownScans = await findScansByFaviconHash(hash);
+  } catch (error) {
+    console.warn('Could not look up favicon hash in history:', error);
+  }
+  return analyzeBrandFavicon(url, hash, brands, knownScans);
+}
+
+/**
+ * Check the imported blocklists; a broken database must not stop the scan
+ * @param {string} url - Fully qualified URL
+ * @returns {Promise<object|null>} The blocklist signal category, or null without a hit
+ */
+export async function checkLocalBlocklists(url) {
+  try {
+    const signal = await analyzeBlocklists(url);
+    return signal.matches.length > 0 ? signal : null;
+  } catch (error) {
+    console.warn('Could not check local blocklists:', error);
+    return null;
+  }
+}
+
+// The analyst decision for a URL; like the blocklists, a broken database must not stop the scan
+async function loadDecision(url) {
+  try {
+    return await getDecisionFor(url);
+  } catch (error) {
+    console.warn('Could not load analyst decisions:', error);
+    return null;
+  }
+}
+
+/**
+ * Run the full scan pipeline for one URL: local signals, the enabled scan providers,
+ * normalization and verdict heuristics. A URL on a local blocklist skips the providers
+ * when settings.blocklistSkipsRemote is set; an analyst decision replaces the verdict.
+ * Shared by the single-URL form and batch mode so both produce identical results.
+ * @param {string} url - Fully qualified URL to scan
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the scan
+ * @param {object} [options.settings] - Settings to use instead of the stored ones
+ * @param {object} [options.policy] - Verdict policy; defaults to the active policy in settings
+ * @param {Array} [options.diagnostics] - Receives per-provider request/response details (see runProviders)
+ * @param {Function} [options.onProgress] - Receives stage events from streaming providers
+ * @returns {Promise<Array>} Normalized categories with final verdicts
+ */
+export async function scanUrl(url, { signal, settings = loadSettings(), policy = getPolicy(settings), diagnostics, onProgress } = {}) {
+  const decision = await loadDecision(url);
+  const blocklist = await checkLocalBlocklists(url);
+  const local = { ...analyzeLocally(url, { brands: settings.protectedBrands }), ...(blocklist ? { blocklist } : {}) };
+  if (blocklist && settings.blocklistSkipsRemote) {
+    const skipped = [{ confidence: 'High', detections: [], remote_skipped: true, results: [{ input_url: url, domain: hostnameOf(url) }], count: 1 }];
+    return decideVerdict(skipped, local, policy, { decision });
+  }
+
+  const normalized = await runProviders(url, settings, { signal, diagnostics, onProgress });
+  const favicon = await analyzeFavicon(url, normalized, settings.protectedBrands);
+  const signals = { ...local, ...analyzeResults(url, normalized), ...(favicon ? { favicon } : {}) };
+  return decideVerdict(normalized, signals, policy, { decision });
+}
@@ -0,0 +1,63 @@
+import { DEFAULT_PROTECTED_BRANDS } from './brandProtection.js';
+
+const SETTINGS_KEY = 'urlscanner.settings.v1';
+
+export const DEFAULT_SETTINGS = {
+  enabledProviders: ['n8n'],
+  providerConfig: {},
+  recordResponses: false,
+  // Serve canned responses instead of calling providers; VITE_DEMO_MODE=true turns it on by default
+  demoMode: import.meta.env?.VITE_DEMO_MODE === 'true',
+  policies: [],
+  protectedBrands: DEFAULT_PROTECTED_BRANDS,
+  // Answer from the local blocklists alone when the URL is on one, saving provider quota
+  blocklistSkipsRemote: true,
+  // Prefilled as the analyst on false-positive and confirmed-malicious decisions
+  analystName: '',
+  // UI language code from i18n.js; empty follows the browser
+  language: '',
+  activePolicy: 'Default'
+};
+
+/**
+ * Load user settings from localStorage, filling in defaults for missing keys
+ * @returns {object} Settings object
+ */
+export function loadSettings() {
+  try {
+    const raw = localStorage.getItem(SETTINGS_KEY);
+    if (!raw) return { ...DEFAULT_SETTINGS };
+
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' ? { ...DEFAULT_SETTINGS, ...parsed } : { ...DEFAULT_SETTINGS };
+  } catch (error) {
+    console.error('Failed to load settings:', error);
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Save user settings to localStorage
+ * @param {object} settings - Complete settings object
+ * @returns {boolean} True if successful, false otherwise
+ */
+export function saveSettings(settings) {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    return true;
+  } catch (error) {
+    console.error('Failed to save settings:', error);
+    return false;
+  }
+}
+
+/**
+ * Merge changes into the stored settings
+ * @param {object} changes - Top-level keys to replace
+ * @returns {object} Updated settings
+ */
+export function updateSettings(changes) {
+  const updated = { ...loadSettings(), ...changes };
+  saveSettings(updated);
+  return updated;
+}
@@ -0,0 +1,143 @@
+import { routeUrl } from './router.js';
+
+/**
+ * Self-contained share links: a trimmed copy of the result is compressed into the URL
+ * fragment, which browsers never send to a server, so the link needs no backend.
+ *
+ * Payload: "z" + base64url(deflate-raw(json)) where CompressionStream is available,
+ * otherwise "j" + base64url(json). JSON shape: { v, url, when, result }.
+ */
+
+const PAYLOAD_VERSION = 1;
+
+// Keeps the link under what chat tools and browsers reliably accept
+export const MAX_SHARE_LENGTH = 32000;
+
+const hasCompression = () => typeof CompressionStream === 'function' && typeof DecompressionStream === 'function';
+
+function bytesToBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+async function pipeBytes(bytes, stream) {
+  const buffer = await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+  return new Uint8Array(buffer);
+}
+
+// Screenshots, favicons, raw provider payloads and per-engine VT rows make up most of a
+// result and are not needed to read the verdict
+function compactEntry(r) {
+  if (!r || typeof r !== 'object') return r;
+  const { screenshot_base64, screenshotBase64, screenshot_src, screenshot_stored, favicon_base64, ...rest } = r;
+  return {
+    ...rest,
+    screenshot: r.screenshot ? { ...r.screenshot, screenshot_base64: null } : r.screenshot
+  };
+}
+
+/**
+ * Strip a result down to what a shared link needs
+ * @param {Array} result - Normalized scan result
+ * @returns {Array}
+ */
+export function compactResult(result) {
+  if (!Array.isArray(result)) return result;
+  return result.map((cat) => {
+    const { _raw, ...rest } = cat;
+    const compact = {
+      ...rest,
+      results: Array.isArray(cat.results) ? cat.results.map(compactEntry) : cat.results
+    };
+    if (cat.vt && typeof cat.vt === 'object') {
+      const { last_analysis_results, ...vt } = cat.vt;
+      compact.vt = vt;
+    }
+    if (cat.reputation_summary) {
+      compact.reputation_summary = {
+        ...cat.reputation_summary,
+        sources: cat.reputation_summary.sources.map(s => (s.details?.engines ? { ...s, details: { ...s.details, engines: [] } } : s))
+      };
+    }
+    return compact;
+  });
+}
+
+/**
+ * Encode a result for the URL fragment
+ * @param {object} shared
+ * @param {string} shared.url - Scanned URL
+ * @param {Array} shared.result - Normalized scan result
+ * @param {string} [shared.when] - ISO time of the scan
+ * @returns {Promise<string>} Payload
+ */
+export async function encodeSharedResult({ url, result, when = new Date().toISOString() }) {
+  const json = JSON.stringify({ v: PAYLOAD_VERSION, url, when, result: compactResult(result) });
+  const bytes = new TextEncoder().encode(json);
+  if (hasCompression()) {
+    return `z${bytesToBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')))}`;
+  }
+  return `j${bytesToBase64Url(bytes)}`;
+}
+
+/**
+ * Decode a payload produced by encodeSharedResult
+ * @param {string} payload
+ * @returns {Promise<{url: string, when: string, result: Array}>}
+ */
+export async function decodeSharedResult(payload) {
+  const text = String(payload || '');
+  const kind = text[0];
+  let bytes;
+  try {
+    bytes = base64UrlToBytes(text.slice(1));
+  } catch {
+    throw new Error('The shared link is damaged');
+  }
+
+  if (kind === 'z') {
+    if (!hasCompression()) throw new Error('This browser cannot open compressed share links');
+    try {
+      bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+    } catch {
+      throw new Error('The shared link is damaged');
+    }
+  } else if (kind !== 'j') {
+    throw new Error('Unknown share link format');
+  }
+
+  let data;
+  try {
+    data = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    throw new Error('The shared link is damaged');
+  }
+  if (data?.v !== PAYLOAD_VERSION || typeof data.url !== 'string' || !Array.isArray(data.result)) {
+    throw new Error('The shared link does not contain a scan result');
+  }
+  return { url: data.url, when: data.when || '', result: data.result };
+}
+
+/**
+ * Full link that carries the result itself
+ * @param {object} shared - See encodeSharedResult
+ * @returns {Promise<string>}
+ */
+export async function buildShareLink(shared) {
+  const link = routeUrl({ name: 'shared', payload: await encodeSharedResult(shared) });
+  if (link.length > MAX_SHARE_LENGTH) {
+    throw new Error(`The result is too large to fit in a link (${Math.round(link.length / 1000)} kB)`);
+  }
+  return link;
+}
@@ -1,71 +1,360 @@
-const STORAGE_KEY = 'urlscanner.history.v1';
-const MAX_HISTORY_ITEMS = 10;
+import { openDatabase, requestToPromise, transactionDone, STORES } from './db.js';
+import { summarizeResult } from './verdict.js';
+import { computeFingerprints, hammingDistance, NEAR_SCREENSHOT_DISTANCE } from './fingerprints.js';
+
+const LEGACY_STORAGE_KEY = 'urlscanner.history.v1';
+export const DEFAULT_PAGE_SIZE = 20;
+
+let readyPromise = null;
+const objectUrls = new Map();
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return '';
+  }
+}
 
 /**
- * Load scan history from localStorage
- * @returns {Array} Array of history items, or empty array if none found
+ * Convert a base64 payload or data: URL into a Blob
+ * @param {string} value - Base64 string or data: URL
+ * @returns {Blob|null} Blob, or null if the value cannot be decoded
  */
-export function loadHistory() {
+function base64ToBlob(value) {
   try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return [];
-    
-    const parsed = JSON.parse(raw);
-    return Array.isArray(parsed) ? parsed : [];
-  } catch (error) {
-    console.error('Failed to load history:', error);
-    return [];
+    const match = /^data:([^;,]+)?(;base64)?,(.*)$/s.exec(value);
+    const mime = match ? match[1] || 'image/png' : 'image/png';
+    const binary = atob(match ? match[3] : value);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Blob([bytes], { type: mime });
+  } catch {
+    return null;
+  }
+}
+
+// Longer strings under a screenshot key are image data rather than a URL
+const MAX_SCREENSHOT_URL_LENGTH = 2048;
+
+/**
+ * Drop embedded screenshot data from the raw provider payload kept for diagnostics
+ * @param {any} value - Raw payload (or part of it)
+ * @param {boolean} [inScreenshot] - Whether value sits under a screenshot key
+ * @returns {any} Copy without the image data
+ */
+function stripRawScreenshots(value, inScreenshot = false) {
+  if (typeof value === 'string') {
+    return inScreenshot && (value.length > MAX_SCREENSHOT_URL_LENGTH || value.startsWith('data:')) ? null : value;
   }
+  if (Array.isArray(value)) return value.map(v => stripRawScreenshots(v, inScreenshot));
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, stripRawScreenshots(v, inScreenshot || /screenshot/i.test(key))]));
+}
+
+/**
+ * Split embedded screenshots out of a result so metadata stays small.
+ * @param {Array} result - Normalized scan result
+ * @returns {{result: Array, images: Array}} Result without base64 screenshots, and the extracted blobs
+ */
+function extractScreenshots(result) {
+  const images = [];
+  if (!Array.isArray(result)) return { result, images };
+
+  const stripped = result.map((cat, ci) => ({
+    ...cat,
+    ...(cat._raw ? { _raw: stripRawScreenshots(cat._raw) } : {}),
+    results: Array.isArray(cat.results) ? cat.results.map((r, ri) => {
+      if (!r || typeof r !== 'object') return r;
+      const base64 = r.screenshot?.screenshot_base64 || r.screenshot_base64 || r.screenshotBase64 ||
+        (typeof r.screenshot_src === 'string' && r.screenshot_src.startsWith('data:') ? r.screenshot_src : null);
+      if (!base64) return r;
+
+      const blob = base64ToBlob(base64);
+      if (!blob) return r;
+      images.push({ ci, ri, blob });
+
+      const { screenshot_base64, screenshotBase64, ...rest } = r;
+      return {
+        ...rest,
+        screenshot: r.screenshot ? { ...r.screenshot, screenshot_base64: null } : r.screenshot,
+        screenshot_src: null,
+        screenshot_stored: true
+      };
+    }) : cat.results
+  }));
+
+  return { result: stripped, images };
 }
 
 /**
- * Save scan history to localStorage
- * @param {Array} history - Array of history items to save
- * @returns {boolean} True if successful, false otherwise
+ * Put stored screenshot blobs back into a result as object URLs
+ * @param {number} scanId - History item id
+ * @param {Array} result - Result from the scans store
+ * @param {Array} images - Blobs from the screenshots store
+ * @returns {Array} Result with screenshot_src and screenshot.image_url restored
  */
-export function saveHistory(history) {
+function attachScreenshots(scanId, result, images) {
+  if (!Array.isArray(result) || !images?.length) return result;
+
+  if (!objectUrls.has(scanId)) {
+    objectUrls.set(scanId, images.map(img => ({ ...img, url: URL.createObjectURL(img.blob) })));
+  }
+  const urls = objectUrls.get(scanId);
+
+  return result.map((cat, ci) => ({
+    ...cat,
+    results: Array.isArray(cat.results) ? cat.results.map((r, ri) => {
+      const img = urls.find(u => u.ci === ci && u.ri === ri);
+      if (!img) return r;
+      return { ...r, screenshot_src: img.url, screenshot: { ...(r.screenshot || {}), image_url: img.url } };
+    }) : cat.results
+  }));
+}
+
+function releaseObjectUrls(scanId) {
+  (objectUrls.get(scanId) || []).forEach(img => URL.revokeObjectURL(img.url));
+  objectUrls.delete(scanId);
+}
+
+/**
+ * Build the stored record for a scan: searchable metadata plus the result without screenshots
+ */
+function buildRecord(url, result, when) {
+  const first = Array.isArray(result) ? result.find(cat => Array.isArray(cat.results) && cat.results.length > 0)?.results[0] : null;
+  const summary = summarizeResult(result);
+
+  return {
+    url,
+    when,
+    host: hostOf(url),
+    domain: first?.domain || null,
+    ip: first?.ip || null,
+    verdict: summary.verdict,
+    risk_score: summary.risk_score
+  };
+}
+
+async function putScan(db, url, result, when) {
+  // Hashed before the transaction opens: it would auto-commit while the screenshot decodes
+  const fingerprints = await computeFingerprints(result);
+  const { result: stripped, images } = extractScreenshots(result);
+  const record = { ...buildRecord(url, result, when), ...fingerprints, result: stripped, hasScreenshot: images.length > 0 };
+
+  const tx = db.transaction([STORES.SCANS, STORES.SCREENSHOTS], 'readwrite');
+  const id = await requestToPromise(tx.objectStore(STORES.SCANS).add(record));
+  if (images.length > 0) {
+    tx.objectStore(STORES.SCREENSHOTS).put({ scanId: id, images });
+  }
+  await transactionDone(tx);
+  return { ...record, id };
+}
+
+/**
+ * Move history saved by the old localStorage implementation into IndexedDB, then drop the key
+ * @param {IDBDatabase} db
+ */
+async function migrateLegacyHistory(db) {
+  let legacy;
   try {
-    if (!Array.isArray(history)) {
-      console.error('History must be an array');
-      return false;
-    }
-    
-    // Keep only the most recent items
-    const trimmed = history.slice(0, MAX_HISTORY_ITEMS);
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(trimmed));
-    return true;
+    legacy = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEY) || '[]');
   } catch (error) {
-    console.error('Failed to save history:', error);
-    return false;
+    console.error('Failed to read legacy history:', error);
+    return;
+  }
+  if (!Array.isArray(legacy) || legacy.length === 0) return;
+
+  // Trim the legacy list as items are written, so a failure part-way resumes where it
+  // stopped instead of importing the same scans again
+  for (let i = 0; i < legacy.length; i++) {
+    const item = legacy[i];
+    if (item && item.url) {
+      await putScan(db, item.url, item.result, item.when || new Date().toISOString());
+    }
+    localStorage.setItem(LEGACY_STORAGE_KEY, JSON.stringify(legacy.slice(i + 1)));
   }
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
+}
+
+function getDb() {
+  if (!readyPromise) {
+    readyPromise = openDatabase().then(async db => {
+      await migrateLegacyHistory(db);
+      return db;
+    });
+    readyPromise.catch(() => { readyPromise = null; });
+  }
+  return readyPromise;
+}
+
+/**
+ * Check whether a history item matches the search text and filters
+ */
+function matchesQuery(item, { text, verdict, from, to }) {
+  if (verdict && item.verdict !== verdict) return false;
+  if (from && item.when < from) return false;
+  if (to && item.when > to) return false;
+  if (text) {
+    const needle = text.toLowerCase();
+    return [item.url, item.host, item.domain, item.ip]
+      .some(field => typeof field === 'string' && field.toLowerCase().includes(needle));
+  }
+  return true;
+}
+
+/**
+ * Query scan history, newest first
+ * @param {object} [query]
+ * @param {string} [query.text] - Substring matched against URL, host, domain and IP
+ * @param {string} [query.verdict] - Only items with this verdict
+ * @param {string} [query.from] - ISO timestamp lower bound (inclusive)
+ * @param {string} [query.to] - ISO timestamp upper bound (inclusive)
+ * @param {number} [query.page=0] - Zero-based page number
+ * @param {number} [query.pageSize=DEFAULT_PAGE_SIZE] - Items per page
+ * @returns {Promise<{items: Array, total: number}>} One page of items and the total match count
+ */
+export async function queryHistory({ text = '', verdict = '', from = '', to = '', page = 0, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+  const db = await getDb();
+  const tx = db.transaction(STORES.SCANS, 'readonly');
+  const index = tx.objectStore(STORES.SCANS).index('when');
+
+  const start = page * pageSize;
+  const items = [];
+  let total = 0;
+
+  await new Promise((resolve, reject) => {
+    const request = index.openCursor(null, 'prev');
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      if (matchesQuery(cursor.value, { text: text.trim(), verdict, from, to })) {
+        if (total >= start && items.length < pageSize) items.push(cursor.value);
+        total++;
+      }
+      cursor.continue();
+    };
+  });
+
+  return { items, total };
+}
+
+/**
+ * List stored scans of a host, newest first
+ * @param {string} url - Any URL on the host
+ * @returns {Promise<Array>} History items (without restored screenshots)
+ */
+export async function findScansByHost(url) {
+  const host = hostOf(url);
+  if (!host) return [];
+
+  const db = await getDb();
+  const tx = db.transaction(STORES.SCANS, 'readonly');
+  const items = await requestToPromise(tx.objectStore(STORES.SCANS).index('host').getAll(host));
+  return items.sort((a, b) => (a.when < b.when ? 1 : -1));
+}
+
+/**
+ * List stored scans whose favicon has the given Shodan-style hash
+ * @param {number} hash - Favicon hash (see fingerprints.js)
+ * @returns {Promise<Array>} History items (without restored screenshots)
+ */
+export async function findScansByFaviconHash(hash) {
+  if (typeof hash !== 'number') return [];
+  const db = await getDb();
+  const tx = db.transaction(STORES.SCANS, 'readonly');
+  return requestToPromise(tx.objectStore(STORES.SCANS).index('favicon_hash').getAll(hash));
+}
+
+/**
+ * Find earlier scans of other hosts that share a fingerprint with a scan: the same favicon
+ * hash, or a screenshot hash within NEAR_SCREENSHOT_DISTANCE bits
+ * @param {object} fingerprints
+ * @param {number} [fingerprints.faviconHash]
+ * @param {string} [fingerprints.screenshotPhash]
+ * @param {string} [fingerprints.excludeHost] - Host whose own scans are left out
+ * @returns {Promise<Array<{item: object, faviconMatch: boolean, screenshotDistance: number|null}>>}
+ *   Newest first; screenshotDistance is null when the screenshots were not close enough
+ */
+export async function findSimilarScans({ faviconHash, screenshotPhash, excludeHost = '' } = {}) {
+  const db = await getDb();
+  const tx = db.transaction(STORES.SCANS, 'readonly');
+  const store = tx.objectStore(STORES.SCANS);
+  const matches = new Map();
+  const entry = (item) => {
+    if (!matches.has(item.id)) matches.set(item.id, { item, faviconMatch: false, screenshotDistance: null });
+    return matches.get(item.id);
+  };
+
+  if (typeof faviconHash === 'number') {
+    const items = await requestToPromise(store.index('favicon_hash').getAll(faviconHash));
+    items.forEach(item => { entry(item).faviconMatch = true; });
+  }
+
+  if (screenshotPhash) {
+    await new Promise((resolve, reject) => {
+      const request = store.index('screenshot_phash').openCursor();
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        const distance = hammingDistance(screenshotPhash, cursor.key);
+        if (distance <= NEAR_SCREENSHOT_DISTANCE) entry(cursor.value).screenshotDistance = distance;
+        cursor.continue();
+      };
+    });
+  }
+
+  return [...matches.values()]
+    .filter(m => m.item.host !== excludeHost)
+    .sort((a, b) => (a.item.when < b.item.when ? 1 : -1));
+}
+
+/**
+ * Load one history item with its screenshots restored
+ * @param {number} id - History item id
+ * @returns {Promise<object|null>} History item, or null if not found
+ */
+export async function getHistoryItem(id) {
+  const db = await getDb();
+  const tx = db.transaction([STORES.SCANS, STORES.SCREENSHOTS], 'readonly');
+  const item = await requestToPromise(tx.objectStore(STORES.SCANS).get(id));
+  if (!item) return null;
+  if (!item.hasScreenshot) return item;
+
+  const shots = await requestToPromise(tx.objectStore(STORES.SCREENSHOTS).get(id));
+  return { ...item, result: attachScreenshots(id, item.result, shots?.images) };
 }
 
 /**
  * Add a new item to history
  * @param {string} url - The URL that was scanned
  * @param {any} result - The scan result data
- * @returns {Array} Updated history array
+ * @returns {Promise<object>} The stored history item
  */
-export function addToHistory(url, result) {
-  const history = loadHistory();
-  const newItem = {
-    url,
-    when: new Date().toISOString(),
-    result
-  };
-  
-  const updated = [newItem, ...history];
-  saveHistory(updated);
-  return updated;
+export async function addToHistory(url, result) {
+  const db = await getDb();
+  return putScan(db, url, result, new Date().toISOString());
 }
 
 /**
  * Clear all history
- * @returns {boolean} True if successful
+ * @returns {Promise<boolean>} True if successful
  */
-export function clearHistory() {
+export async function clearHistory() {
   try {
-    localStorage.removeItem(STORAGE_KEY);
+    const db = await getDb();
+    const tx = db.transaction([STORES.SCANS, STORES.SCREENSHOTS], 'readwrite');
+    tx.objectStore(STORES.SCANS).clear();
+    tx.objectStore(STORES.SCREENSHOTS).clear();
+    await transactionDone(tx);
+    [...objectUrls.keys()].forEach(releaseObjectUrls);
     return true;
   } catch (error) {
     console.error('Failed to clear history:', error);
@@ -74,15 +363,21 @@ export function clearHistory() {
 }
 
 /**
- * Remove a specific history item by index
- * @param {number} index - Index of item to remove
- * @returns {Array} Updated history array
+ * Remove a specific history item
+ * @param {number} id - History item id
+ * @returns {Promise<boolean>} True if successful
  */
-export function removeHistoryItem(index) {
-  const history = loadHistory();
-  if (index >= 0 && index < history.length) {
-    history.splice(index, 1);
-    saveHistory(history);
+export async function removeHistoryItem(id) {
+  try {
+    const db = await getDb();
+    const tx = db.transaction([STORES.SCANS, STORES.SCREENSHOTS], 'readwrite');
+    tx.objectStore(STORES.SCANS).delete(id);
+    tx.objectStore(STORES.SCREENSHOTS).delete(id);
+    await transactionDone(tx);
+    releaseObjectUrls(id);
+    return true;
+  } catch (error) {
+    console.error('Failed to remove history item:', error);
+    return false;
   }
-  return history;
-}
\ No newline at end of file
+}
@@ -0,0 +1,1039 @@
+/**
+ * Message catalogs for i18n.js, keyed by locale. English is the fallback for keys a
+ * catalog does not have yet. Plural messages are objects keyed by Intl.PluralRules
+ * category.
+ */
+
+const en = {
+  'locale.name': 'English',
+
+  'app.title': '🔒 URL Security Scanner',
+  'app.settings': '⚙️ Settings',
+  'app.language': 'Language',
+  'app.languageAuto': 'Browser default',
+
+  'demo.title': 'Demo mode',
+  'demo.description': '— results are canned responses and no scan backend is contacted. Try:',
+  'demo.turnOff': 'Turn off',
+  'webhook.missingBefore': '⚠️ No webhook URL is configured. Set',
+  'webhook.missingAfter': 'or enter one in Settings, or try the app with canned responses.',
+  'webhook.useDemo': 'Use demo mode',
+
+  'mode.single': 'Single URL',
+  'mode.batch': 'Batch',
+  'mode.extract': 'Extract from Text',
+
+  'form.policy': 'Verdict policy',
+  'form.policyTitle': 'Verdict policy for this scan',
+  'form.scan': 'Scan URL',
+  'form.scanning': 'Scanning…',
+  'form.cancel': 'Cancel',
+  'form.reset': 'Reset',
+
+  'error.invalidUrl': 'Please enter a valid http/https URL.',
+  'error.cancelled': 'Scan cancelled.',
+  'error.scanFailed': 'Scan failed',
+  'error.saveFailed': 'Scan finished but could not be saved to history: {message}',
+  'error.loadFailed': 'Failed to load scan',
+  'error.notInHistory': 'Scan #{id} is not in this browser\'s history.',
+  'error.sharedFailed': 'Failed to open the shared result',
+
+  'notify.escalated': 'Escalated: {host}',
+  'notify.changed': 'Changed: {host}',
+
+  'signals.preliminary': '🧪 Preliminary URL Analysis',
+
+  'result.title': '📊 Scan Results',
+  'result.none': 'No results returned from scan.',
+  'result.sharedTitle': 'Shared result',
+  'result.sharedFrom': ' from {when}',
+  'result.sharedNote': '— opened from a link, not scanned here.',
+  'result.scanAgain': 'Scan again',
+  'result.via': 'via {provider}',
+  'result.expand': '▼ Expand',
+  'result.collapse': '▲ Collapse',
+  'result.riskScore': '🎯 Risk Score',
+  'result.confidence': '📈 Confidence',
+  'result.detections': '🔍 Detections',
+  'result.results': '📋 Results',
+  'result.reputation': '🌐 Reputation',
+  'result.reputationFlags': '{flagged} / {total} flag',
+  'result.threats': '⚠️ Threats Detected',
+  'result.policy': '📐 Policy:',
+  'result.remoteSkipped': '⛔ On a local blocklist, so the remote scan was skipped. Turn this off in Settings to always scan.',
+  'result.unrecognized': '⚠️ {provider} returned a response this app does not recognize. The raw fields are listed below; see Diagnostics for the schema warnings.',
+  'result.theProvider': 'The provider',
+  'result.landsOn': '🏁 Lands on',
+  'result.redirectChain': { one: 'Redirect Chain ({count} hop)', other: 'Redirect Chain ({count} hops)' },
+  'result.preview': '📸 Website Preview',
+  'result.screenshotAlt': 'Screenshot',
+  'result.fullScreenshotAlt': 'Full size screenshot',
+  'result.notAvailable': 'N/A',
+  'result.diagnostics': { one: 'Diagnostics ({count} warning)', other: 'Diagnostics ({count} warnings)' },
+  'result.otherData': { one: 'Other Data ({count} field)', other: 'Other Data ({count} fields)' },
+
+  'domain.title': 'Domain Information',
+  'domain.domain': 'Domain',
+  'domain.ip': 'IP Address',
+  'domain.favicon': 'Favicon',
+  'domain.remote': 'Remote',
+  'domain.embedded': 'Embedded',
+  'domain.open': 'Open',
+  'domain.download': 'Download',
+
+  'whois.title': 'WHOIS Information',
+  'whois.domain': 'Domain',
+  'whois.registrar': 'Registrar',
+  'whois.organization': 'Organization',
+  'whois.country': 'Country',
+  'whois.created': 'Created',
+  'whois.updated': 'Updated',
+  'whois.expires': 'Expires',
+  'whois.registered': 'registered {ago}',
+  'whois.expiresIn': 'expires {when}',
+  'whois.expiredAgo': 'expired {ago}',
+  'whois.age.unknown': 'Unknown',
+  'whois.age.high': 'Very New (High Risk)',
+  'whois.age.medium': 'New (Medium Risk)',
+  'whois.age.low': 'Established',
+  'whois.age.minimal': 'Well Established',
+
+  'dns.title': 'DNS Records',
+  'dns.a': 'A Records',
+  'dns.mx': 'MX Records',
+  'dns.ns': 'NS Records',
+  'ssl.title': 'SSL Certificate',
+
+  'verdict.CLEAN': 'CLEAN',
+  'verdict.SUSPICIOUS': 'SUSPICIOUS',
+  'verdict.MALICIOUS': 'MALICIOUS',
+  'verdict.UNKNOWN': 'UNKNOWN',
+
+  'history.title': '📜 Scan History',
+  'history.clearAll': 'Clear All',
+  'history.confirmClear': 'Are you sure you want to clear all scan history?',
+  'history.search': 'Search URL, domain or IP',
+  'history.allVerdicts': 'All verdicts',
+  'history.filterVerdict': 'Filter by verdict',
+  'history.from': 'From',
+  'history.to': 'To',
+  'history.noMatches': 'No scans match these filters.',
+  'history.empty': 'No recent scans.',
+  'history.remove': 'Remove this item',
+  'history.prev': '◀ Prev',
+  'history.next': 'Next ▶',
+  'history.page': { one: 'Page {page} of {pages} • {count} scan', other: 'Page {page} of {pages} • {count} scans' },
+  'history.loadFailed': 'Failed to load history',
+
+  'batch.placeholder': 'One URL per line\nhttps://example.com\nexample.org/login',
+  'batch.upload': '📂 Upload .txt/.csv',
+  'batch.concurrency': 'Concurrency',
+  'batch.scanAll': 'Scan All',
+  'batch.pause': '⏸ Pause',
+  'batch.resume': '▶ Resume',
+  'batch.cancel': '⛔ Cancel',
+  'batch.clear': 'Clear',
+  'batch.invalid': { one: '❌ Skipped {count} invalid entry: {entries}', other: '❌ Skipped {count} invalid entries: {entries}' },
+  'batch.progress': '{finished} / {total} finished',
+  'batch.progressPaused': '{finished} / {total} finished (paused)',
+  'batch.column.url': 'URL',
+  'batch.column.status': 'Status',
+  'batch.column.verdict': 'Verdict',
+  'batch.column.riskScore': 'Risk Score',
+  'batch.column.detections': 'Detections',
+  'batch.status.queued': '⏳ Queued',
+  'batch.status.running': '🔄 Scanning',
+  'batch.status.done': '✅ Done',
+  'batch.status.error': '❌ Error',
+  'batch.status.cancelled': '⛔ Cancelled',
+  'batch.openResult': 'Open detailed results',
+  'batch.unwrappedFrom': '↩ unwrapped from {host}',
+
+  'settings.close': 'Close',
+  'settings.providers': 'Scan Providers',
+  'settings.capability.detections': 'Detections',
+  'settings.capability.whois': 'WHOIS',
+  'settings.capability.dns': 'DNS',
+  'settings.capability.ssl': 'SSL',
+  'settings.capability.screenshot': 'Screenshot',
+  'settings.policy': 'Verdict Policy',
+  'settings.brands': 'Protected Brands',
+  'settings.brandsFormat': 'One brand per line as',
+  'settings.brandsFormatExample': 'Name: domain, domain',
+  'settings.brandsOwned': '. Scanned hosts that imitate these domains are flagged; prefix a domain with',
+  'settings.brandsFavicon': 'for the brand\'s own infrastructure, which is never flagged but not matched against. Add the brand\'s favicon hash (a number, as in Shodan\'s',
+  'settings.brandsFaviconAfter': ') to also flag other domains that show its favicon.',
+  'settings.brandCount': { one: '{count} brand', other: '{count} brands' },
+  'settings.blocklists': 'Local Blocklists',
+  'settings.blocklistSkipsRemote': 'Skip the remote scan for URLs already on a list (saves provider quota)',
+  'settings.decisions': 'Allowlist & Analyst Decisions',
+  'settings.demo': 'Demo Mode',
+  'settings.demoDescription': 'Serve canned responses instead of calling the providers above',
+  'settings.fixtures': 'Fixtures',
+  'settings.record': 'Record provider responses for replay ({count} stored)',
+  'settings.clearRecordings': 'Clear recordings',
+  'settings.save': 'Save Settings',
+  'settings.noProvider': 'Enable at least one provider.',
+  'settings.saved': 'Saved.',
+
+  'policy.label': 'Policy',
+  'policy.builtIn': '(built-in)',
+  'policy.useByDefault': 'Use by default',
+  'policy.json': 'Policy JSON',
+  'policy.invalidJson': 'Invalid JSON: {message}',
+  'policy.builtInName': '"{name}" is a built-in policy; save it under another name',
+  'policy.save': 'Save policy',
+  'policy.delete': 'Delete',
+  'policy.import': 'Import',
+  'policy.export': 'Export',
+  'policy.showReference': 'Signals reference',
+  'policy.hideReference': 'Hide reference',
+  'policy.saveHint': 'Saving a built-in policy requires a new "name". Remember to save the settings afterwards.',
+  'policy.operators': 'Operators:',
+  'policy.sourceWeights': '(default weight in brackets):',
+
+  'export.button': '⬇️ Export',
+  'export.busy': 'Exporting…',
+  'export.failed': 'Export failed',
+  'export.popupBlocked': 'Allow pop-ups to print the report.',
+  'export.format.html': '📄 HTML report',
+  'export.format.pdf': '🖨️ Print / PDF',
+  'export.format.json': '🧾 JSON',
+  'export.format.csv': '📊 Detections CSV',
+  'export.format.stix': '🧬 STIX 2.1 bundle',
+
+  'diff.titleCount': '🕒 Changes since previous scan ({count})',
+  'diff.titleNone': '🕒 Changes since previous scan (none)',
+  'diff.compareWith': 'Compare with',
+  'diff.escalated': '🚨 Verdict escalated from {before} to {after}',
+  'diff.noChanges': 'No changes detected.',
+  'diff.fieldColumn': 'Field',
+  'diff.before': 'Before',
+  'diff.after': 'After',
+  'diff.field.verdict': 'Verdict',
+  'diff.field.risk_score': 'Risk Score',
+  'diff.field.engines': 'Detecting Engines',
+  'diff.field.ip': 'Resolved IP',
+  'diff.field.dns.A': 'DNS A Records',
+  'diff.field.dns.MX': 'DNS MX Records',
+  'diff.field.dns.NS': 'DNS NS Records',
+  'diff.field.whois.registrar': 'WHOIS Registrar',
+  'diff.field.whois.expires': 'WHOIS Expiry',
+  'diff.field.ssl.issuer': 'SSL Issuer',
+  'diff.field.ssl.serial': 'SSL Serial',
+  'diff.field.ssl.san': 'SSL Subject Alt Names',
+  'diff.field.ssl.notBefore': 'SSL Valid From',
+  'diff.field.ssl.notAfter': 'SSL Valid Until',
+
+  'cert.unreadable': 'Certificate data could not be read.',
+  'cert.subject': 'Subject',
+  'cert.issuer': 'Issuer',
+  'cert.serial': 'Serial',
+  'cert.key': 'Key',
+  'cert.bits': { one: '{count} bit', other: '{count} bits' },
+  'cert.version': 'Version',
+  'cert.validity': 'Validity',
+  'cert.altNames': 'Alt Names ({count})',
+  'cert.expiredAgo': { one: 'expired {count} day ago', other: 'expired {count} days ago' },
+  'cert.expiresToday': 'expires today',
+  'cert.daysLeft': { one: '{count} day left', other: '{count} days left' },
+
+  'progress.title': '⏱️ Scan Progress ({done}/{total})',
+  'progress.partial': 'Partial results',
+
+  'watch.watch': '📌 Watch',
+  'watch.watching': '📌 Watching · {interval}',
+  'watch.stop': 'Stop watching',
+  'watch.interval': 'Rescan interval',
+  'watch.interval.15': 'Every 15 minutes',
+  'watch.interval.60': 'Every hour',
+  'watch.interval.360': 'Every 6 hours',
+  'watch.interval.1440': 'Every day',
+  'watch.interval.10080': 'Every week',
+  'watch.intervalMinutes': { one: 'Every minute', other: 'Every {count} minutes' },
+  'watch.unavailable': 'Watchlist unavailable',
+  'watch.loadFailed': 'Failed to load watchlist',
+  'watch.watchFailed': 'Failed to watch URL',
+  'watch.unwatchFailed': 'Failed to stop watching URL',
+
+  'watchlist.title': '📌 Watchlist',
+  'watchlist.enableAlerts': 'Enable desktop alerts',
+  'watchlist.alertsBlocked': 'Desktop alerts are blocked in this browser',
+  'watchlist.url': 'URL',
+  'watchlist.verdict': 'Verdict',
+  'watchlist.lastScan': 'Last scan',
+  'watchlist.nextScan': 'Next scan',
+  'watchlist.changed': { one: '{count} changed', other: '{count} changed' },
+  'watchlist.rescan': 'Rescan now',
+  'watchlist.updateFailed': 'Failed to update the watchlist',
+
+  'vt.title': '🛡️ VirusTotal breakdown',
+  'vt.titleEngines': { one: '🛡️ VirusTotal breakdown ({count} engine)', other: '🛡️ VirusTotal breakdown ({count} engines)' },
+  'vt.showCategory': 'Show {category} engines',
+  'vt.firstSubmitted': 'First submitted',
+  'vt.lastSubmitted': 'Last submitted',
+  'vt.lastAnalysed': 'Last analysed',
+  'vt.categories': 'Categories',
+  'vt.tags': 'Tags',
+  'vt.filter': 'Filter engines, results or methods',
+  'vt.filterLabel': 'Filter engines',
+  'vt.categoryLabel': 'Engine category',
+  'vt.allCategories': 'All categories',
+  'vt.column.engine': 'Engine',
+  'vt.column.category': 'Category',
+  'vt.column.result': 'Result',
+  'vt.column.method': 'Method',
+
+  'reputation.consensus': { one: '🌐 {flagged} of {count} source flag this', other: '🌐 {flagged} of {count} sources flag this' },
+  'reputation.unanswered': { one: '({count} without an answer)', other: '({count} without an answer)' },
+  'reputation.noEvidence': 'No evidence reported',
+  'reputation.weight': 'weight {weight}',
+  'reputation.weightTitle': 'Weight in the consensus score (set per policy)',
+  'reputation.viewOn': 'View on {name} ↗',
+
+  'redirect.start': 'Start',
+  'redirect.hop': 'Hop {hop}',
+  'redirect.method.http': 'HTTP redirect',
+  'redirect.method.meta': 'Meta refresh',
+  'redirect.method.js': 'JavaScript',
+  'redirect.method.unknown': 'Redirect',
+  'redirect.crossDomain': '🔀 cross-domain',
+  'redirect.crossDomainTitle': 'Different registrable domain than the previous hop',
+  'redirect.landing': '🏁 Landing page',
+  'redirect.ip': 'IP {ip}',
+
+  'share.button': '🔗 Share',
+  'share.permalink': '🔖 Copy permalink',
+  'share.permalinkTitle': 'Opens from this browser\'s history',
+  'share.notSaved': 'The scan is not saved in history',
+  'share.result': '📦 Copy link with result',
+  'share.resultTitle': 'The result is compressed into the link; no server is involved',
+  'share.permalinkCopied': 'Permalink copied',
+  'share.resultCopied': 'Link with result copied',
+  'share.copyFailed': 'Copy failed',
+
+  'canonical.unwrapped': '🔓 Unwrapped {wrappers}; scanning the real target',
+  'canonical.original': 'Original',
+  'canonical.scanned': 'Scanned',
+  'canonical.opaque': '⚠️ {wrapper} link: its target is only known to the gateway, so the wrapper itself is scanned. Check the redirect chain for where it leads.',
+  'canonical.idn': 'Internationalized host',
+  'canonical.scannedAs': 'scanned as',
+  'canonical.removedParams': 'Removed tracking parameters',
+
+  'diagnostics.total': '{ms} ms total',
+  'diagnostics.running': 'running…',
+  'diagnostics.schema': 'schema v{version}',
+  'diagnostics.schemaCurrent': '(current v{version})',
+  'diagnostics.layout': 'layout: {shape}',
+  'diagnostics.root': '(root)',
+  'diagnostics.schemaOk': '✓ Response matches the schema',
+  'diagnostics.requestHeaders': 'Request headers',
+  'diagnostics.requestBody': 'Request body',
+  'diagnostics.response': 'Response',
+  'diagnostics.emptyBody': '(empty body)',
+  'diagnostics.payload': 'Payload (no HTTP request was made)',
+  'diagnostics.truncated': { one: '({count} more character)', other: '({count} more characters)' },
+
+  'kv.items': { one: '{count} item', other: '{count} items' },
+  'kv.fields': { one: '{count} field', other: '{count} fields' },
+  'kv.characters': { one: '{count} character', other: '{count} characters' },
+  'kv.chars': { one: '{count} char', other: '{count} chars' },
+
+  'extract.placeholder': 'Paste an email, chat message or incident notes.\nDefanged links such as hxxps[:]//example[.]com are recognised.',
+  'extract.button': '🔎 Extract URLs',
+  'extract.selectAll': 'Select all',
+  'extract.selectNone': 'Select none',
+  'extract.scanSelected': 'Scan selected ({count})',
+  'extract.none': 'No URLs found in the pasted text.',
+  'extract.refanged': 'refanged',
+  'extract.noScheme': 'no scheme',
+  'extract.unwrapped': 'unwrapped {wrappers}',
+
+  'blocklist.help': 'Hosts files, Adblock/uBlock domain lists, URLhaus CSV dumps and plain domain or URL lists. URLs on a list are flagged before the remote scan runs. Changes here are saved immediately.',
+  'blocklist.name': 'List name',
+  'blocklist.namePlaceholder': 'List name (optional)',
+  'blocklist.formatLabel': 'List format',
+  'blocklist.format.auto': 'Detect automatically',
+  'blocklist.format.hosts': 'Hosts file',
+  'blocklist.format.adblock': 'Adblock / uBlock list',
+  'blocklist.format.urlhaus-csv': 'URLhaus CSV dump',
+  'blocklist.format.plain': 'Plain domains or URLs',
+  'blocklist.importFile': 'Import file',
+  'blocklist.url': 'Blocklist URL',
+  'blocklist.download': 'Download',
+  'blocklist.working': 'Working…',
+  'blocklist.loadFailed': 'Failed to load blocklists',
+  'blocklist.imported': { one: 'Imported {count} entry into "{name}" ({format}).', other: 'Imported {count} entries into "{name}" ({format}).' },
+  'blocklist.refreshed': { one: 'Refreshed "{name}": {count} entry.', other: 'Refreshed "{name}": {count} entries.' },
+  'blocklist.removed': 'Removed "{name}".',
+  'blocklist.list': 'List',
+  'blocklist.format': 'Format',
+  'blocklist.entries': 'Entries',
+  'blocklist.updated': 'Updated',
+  'blocklist.refresh': 'Refresh',
+  'blocklist.refreshUrl': 'Download again from {url}',
+  'blocklist.refreshFile': 'Choose the file again',
+  'blocklist.remove': 'Remove list',
+
+  'similar.titleCount': '🧬 Similar sites ({count})',
+  'similar.titleNone': '🧬 Similar sites (none)',
+  'similar.faviconHash': 'Favicon hash',
+  'similar.faviconTitle': 'Search Shodan with this query to find other hosts serving the same favicon',
+  'similar.screenshotHash': 'Screenshot hash',
+  'similar.screenshotTitle': 'Perceptual hash of the screenshot; near-identical pages have hashes a few bits apart',
+  'similar.none': 'No earlier scans of other hosts share these fingerprints.',
+  'similar.sameFavicon': 'same favicon',
+  'similar.identical': 'identical screenshot',
+  'similar.distance': { one: 'screenshot {count} bit apart', other: 'screenshot {count} bits apart' },
+
+  'signals.title': '🧪 Local Signals',
+
+  'defang.copy': '🛡️ Copy defanged',
+  'defang.copied': '✅ Copied',
+  'defang.failed': '❌ Copy failed',
+  'defang.title': 'Copy {url}',
+  'defang.label': 'Copy defanged URL',
+
+  'alerts.escalated': '⚠️ Escalated:',
+  'alerts.changed': '🔔 Changed:',
+  'alerts.view': 'View',
+  'alerts.dismiss': 'Dismiss',
+
+  'decision.kind.allow': 'Allowlisted',
+  'decision.kind.false-positive': 'False positive',
+  'decision.kind.confirmed-malicious': 'Confirmed malicious',
+  'decision.scope.url': 'This exact URL',
+  'decision.scope.url-pattern': 'URL pattern (* wildcards)',
+  'decision.scope.domain': 'Domain and its subdomains',
+  'decision.madeBy': '{decision} by {analyst} on {when}',
+  'decision.madeOn': '{decision} on {when}',
+  'decision.appliesToPattern': 'Applies to: {scope} — {pattern}',
+  'decision.reasonIs': 'Reason: {reason}',
+  'decision.was': '(was {verdict})',
+  'decision.undo': '↩ Undo override',
+  'decision.removeTitle': 'Remove the {decision} decision',
+  'decision.falsePositive': '✋ False positive',
+  'decision.confirmMalicious': '☠️ Confirm malicious',
+  'decision.appliesTo': 'Applies to',
+  'decision.pattern': 'URL, domain or pattern',
+  'decision.reason': 'Reason',
+  'decision.analyst': 'Analyst',
+  'decision.save': 'Save',
+  'decision.saveFailed': 'Failed to save the decision',
+  'decision.removeFailed': 'Failed to remove the decision',
+  'decision.help': 'Allowlisted URLs are reported CLEAN. False-positive and confirmed-malicious decisions made on results are listed here too. Changes here are saved immediately.',
+  'decision.allowScope': 'Allowlist scope',
+  'decision.domainOrPattern': 'Domain or pattern',
+  'decision.allow': 'Allow',
+  'decision.decision': 'Decision',
+  'decision.remove': 'Remove',
+  'decision.exportJson': 'Export JSON',
+  'decision.exportCsv': 'Export CSV',
+  'decision.loadFailed': 'Failed to load decisions',
+  'decision.addFailed': 'Failed to add the entry',
+  'decision.removeEntryFailed': 'Failed to remove the entry',
+
+  'provider.field.webhookUrl': 'Webhook URL',
+  'provider.field.webhookUrlPlaceholder': 'Defaults to VITE_WEBHOOK_URL',
+  'provider.field.mode': 'Mode',
+  'provider.mode.sync': 'Wait for the result',
+  'provider.mode.async': 'Submit a job and poll',
+  'provider.mode.stream': 'Stream stage progress (SSE)',
+  'provider.field.statusUrl': 'Job status URL (async)',
+  'provider.field.statusUrlPlaceholder': 'e.g. https://n8n.example/webhook/status?job_id={jobId}',
+  'provider.field.timeoutSeconds': 'Request timeout (s)',
+  'provider.field.retries': 'Retries on 429/5xx',
+  'provider.field.pollIntervalSeconds': 'Poll interval (s, async)',
+  'provider.field.apiKey': 'API Key',
+  'provider.field.baseUrl': 'Base URL',
+  'provider.field.visibility': 'Visibility',
+  'provider.field.visibilityPlaceholder': 'public, unlisted or private',
+
+  'signal.lexical': 'URL Heuristics',
+  'signal.landing': 'Landing URL Heuristics',
+  'signal.tls': 'TLS Certificate',
+  'signal.redirects': 'Redirect Chain',
+  'signal.brand': 'Brand Impersonation',
+  'signal.favicon': 'Brand Favicon',
+  'signal.blocklist': 'Local Blocklists',
+  'finding.lexical.raw-ip': 'Host is a raw IP address',
+  'finding.lexical.userinfo': '"@" in the authority hides the real host',
+  'finding.lexical.punycode': 'Punycode/IDN host (possible homograph)',
+  'finding.lexical.long-host': 'Very long hostname',
+  'finding.lexical.deep-subdomain': 'Deeply nested subdomains',
+  'finding.lexical.suspicious-tld': 'Frequently abused TLD',
+  'finding.lexical.hyphens': 'Excessive hyphens in hostname',
+  'finding.lexical.digits': 'Excessive digits in hostname',
+  'finding.lexical.encoded-payload': 'Encoded payload in path or query',
+  'finding.lexical.keywords': 'Login/verification keywords',
+  'finding.detail.characters': { one: '{count} character', other: '{count} characters' },
+  'finding.detail.labels': { one: '{count} label', other: '{count} labels' },
+  'finding.detail.hyphens': { one: '{count} hyphen', other: '{count} hyphens' },
+  'finding.detail.digits': { one: '{count} digit', other: '{count} digits' },
+  'finding.detail.percentEncoded': { one: '{count} percent-encoded byte', other: '{count} percent-encoded bytes' },
+  'finding.detail.base64': 'long base64-like segment',
+  'finding.detail.hex': 'long hex segment',
+  'finding.detail.embeddedUri': 'embedded data:/javascript: URI',
+  'finding.redirects.many-hops': 'Long redirect chain',
+  'finding.redirects.shortener': 'Passes through a URL shortener',
+  'finding.redirects.cross-domain': 'Bounces across several domains',
+  'finding.redirects.client-redirect': 'Meta refresh or JavaScript redirect',
+  'finding.redirects.landing-elsewhere': 'Lands on a different domain than submitted',
+  'finding.detail.redirects': { one: '{count} redirect', other: '{count} redirects' },
+  'finding.detail.crossDomainHops': { one: '{count} cross-domain hop', other: '{count} cross-domain hops' },
+  'finding.tls.self-signed': 'Self-signed certificate',
+  'finding.tls.expired': 'Certificate has expired',
+  'finding.tls.expiring': 'Certificate expires within a week',
+  'finding.tls.not-yet-valid': 'Certificate is not valid yet',
+  'finding.tls.fresh-free-ca': 'Freshly issued short-lived free-CA certificate',
+  'finding.tls.hostname-mismatch': 'Certificate does not cover this hostname',
+  'finding.detail.certAge': { one: '{count} day old, {issuer}', other: '{count} days old, {issuer}' },
+  'finding.brand.impersonation': 'Possible impersonation of {brand}',
+  'finding.favicon.brand': '{brand} favicon on an unrelated domain',
+  'finding.brand.detail': '{technique}: {match}',
+  'finding.blocklist.listed': 'Known bad (list {list}, added {added})',
+  'finding.blocklist.detail': '{type}: {value}',
+  'finding.blocklist.detailThreat': '{type}: {value} · {threat}',
+  'blocklist.match.exact-url': 'Exact URL',
+  'blocklist.match.url-prefix': 'URL prefix',
+  'blocklist.match.exact-host': 'Exact host',
+  'blocklist.match.parent-domain': 'Parent domain',
+
+  'brand.realDomain': '{detail}; the real domain is',
+  'brand.technique.homoglyph': 'Homoglyph / confusable characters',
+  'brand.technique.typosquat': 'Typosquatting (edit distance)',
+  'brand.technique.combosquat': 'Brand combined with other words',
+  'brand.technique.subdomain': 'Brand embedded in a subdomain',
+  'brand.technique.tld-swap': 'Same name under another TLD',
+  'brand.technique.favicon': 'Brand favicon on another domain',
+  'brand.match.tldSwap': '.{suffix} instead of .{expected}',
+  'brand.match.homoglyph': '"{label}" looks like "{keyword}"',
+  'brand.match.typosquat': { one: '"{label}" is {count} edit from "{keyword}"', other: '"{label}" is {count} edits from "{keyword}"' },
+  'brand.match.combosquat': '"{keyword}" inside "{label}"',
+  'brand.match.subdomain': '"{keyword}" in subdomain "{sub}"',
+  'brand.match.faviconListed': 'favicon hash {hash} is listed for {brand}',
+  'brand.match.faviconSeen': 'same favicon as the earlier scan of {host}',
+
+  'result.providerErrors': { one: '⚠️ {count} provider failed; this verdict was reached without it:', other: '⚠️ {count} providers failed; this verdict was reached without them:' },
+
+  'history.removeFailed': 'Failed to remove the scan from history',
+  'history.clearFailed': 'Failed to clear the history'
+};
+
+const es = {
+  'locale.name': 'Español',
+
+  'app.title': '🔒 Analizador de seguridad de URL',
+  'app.settings': '⚙️ Ajustes',
+  'app.language': 'Idioma',
+  'app.languageAuto': 'Idioma del navegador',
+
+  'demo.title': 'Modo demo',
+  'demo.description': '— los resultados son respuestas de ejemplo y no se contacta con ningún servicio de análisis. Prueba:',
+  'demo.turnOff': 'Desactivar',
+  'webhook.missingBefore': '⚠️ No hay ninguna URL de webhook configurada. Define',
+  'webhook.missingAfter': 'o introduce una en Ajustes, o prueba la aplicación con respuestas de ejemplo.',
+  'webhook.useDemo': 'Usar modo demo',
+
+  'mode.single': 'Una URL',
+  'mode.batch': 'Lote',
+  'mode.extract': 'Extraer de texto',
+
+  'form.policy': 'Política de veredicto',
+  'form.policyTitle': 'Política de veredicto para este análisis',
+  'form.scan': 'Analizar URL',
+  'form.scanning': 'Analizando…',
+  'form.cancel': 'Cancelar',
+  'form.reset': 'Restablecer',
+
+  'error.invalidUrl': 'Introduce una URL http/https válida.',
+  'error.cancelled': 'Análisis cancelado.',
+  'error.scanFailed': 'El análisis ha fallado',
+  'error.saveFailed': 'El análisis terminó pero no se pudo guardar en el historial: {message}',
+  'error.loadFailed': 'No se pudo cargar el análisis',
+  'error.notInHistory': 'El análisis n.º {id} no está en el historial de este navegador.',
+  'error.sharedFailed': 'No se pudo abrir el resultado compartido',
+
+  'notify.escalated': 'Agravado: {host}',
+  'notify.changed': 'Cambiado: {host}',
+
+  'signals.preliminary': '🧪 Análisis preliminar de la URL',
+
+  'result.title': '📊 Resultados del análisis',
+  'result.none': 'El análisis no devolvió resultados.',
+  'result.sharedTitle': 'Resultado compartido',
+  'result.sharedFrom': ' del {when}',
+  'result.sharedNote': '— abierto desde un enlace, no analizado aquí.',
+  'result.scanAgain': 'Volver a analizar',
+  'result.via': 'vía {provider}',
+  'result.expand': '▼ Ampliar',
+  'result.collapse': '▲ Contraer',
+  'result.riskScore': '🎯 Puntuación de riesgo',
+  'result.confidence': '📈 Confianza',
+  'result.detections': '🔍 Detecciones',
+  'result.results': '📋 Resultados',
+  'result.reputation': '🌐 Reputación',
+  'result.reputationFlags': '{flagged} / {total} la marcan',
+  'result.threats': '⚠️ Amenazas detectadas',
+  'result.policy': '📐 Política:',
+  'result.remoteSkipped': '⛔ Está en una lista de bloqueo local, así que se omitió el análisis remoto. Desactívalo en Ajustes para analizar siempre.',
+  'result.unrecognized': '⚠️ {provider} devolvió una respuesta que esta aplicación no reconoce. Los campos sin procesar se muestran abajo; consulta Diagnóstico para ver los avisos del esquema.',
+  'result.theProvider': 'El proveedor',
+  'result.landsOn': '🏁 Termina en',
+  'result.redirectChain': { one: 'Cadena de redirecciones ({count} salto)', other: 'Cadena de redirecciones ({count} saltos)' },
+  'result.preview': '📸 Vista previa del sitio',
+  'result.screenshotAlt': 'Captura de pantalla',
+  'result.fullScreenshotAlt': 'Captura de pantalla a tamaño completo',
+  'result.notAvailable': 'N/D',
+  'result.diagnostics': { one: 'Diagnóstico ({count} aviso)', other: 'Diagnóstico ({count} avisos)' },
+  'result.otherData': { one: 'Otros datos ({count} campo)', other: 'Otros datos ({count} campos)' },
+
+  'domain.title': 'Información del dominio',
+  'domain.domain': 'Dominio',
+  'domain.ip': 'Dirección IP',
+  'domain.favicon': 'Favicon',
+  'domain.remote': 'Remoto',
+  'domain.embedded': 'Incrustado',
+  'domain.open': 'Abrir',
+  'domain.download': 'Descargar',
+
+  'whois.title': 'Información WHOIS',
+  'whois.domain': 'Dominio',
+  'whois.registrar': 'Registrador',
+  'whois.organization': 'Organización',
+  'whois.country': 'País',
+  'whois.created': 'Creado',
+  'whois.updated': 'Actualizado',
+  'whois.expires': 'Caduca',
+  'whois.registered': 'registrado {ago}',
+  'whois.expiresIn': 'caduca {when}',
+  'whois.expiredAgo': 'caducó {ago}',
+  'whois.age.unknown': 'Desconocida',
+  'whois.age.high': 'Muy reciente (riesgo alto)',
+  'whois.age.medium': 'Reciente (riesgo medio)',
+  'whois.age.low': 'Consolidado',
+  'whois.age.minimal': 'Muy consolidado',
+
+  'dns.title': 'Registros DNS',
+  'dns.a': 'Registros A',
+  'dns.mx': 'Registros MX',
+  'dns.ns': 'Registros NS',
+  'ssl.title': 'Certificado SSL',
+
+  'verdict.CLEAN': 'LIMPIO',
+  'verdict.SUSPICIOUS': 'SOSPECHOSO',
+  'verdict.MALICIOUS': 'MALICIOSO',
+  'verdict.UNKNOWN': 'DESCONOCIDO',
+
+  'history.title': '📜 Historial de análisis',
+  'history.clearAll': 'Borrar todo',
+  'history.confirmClear': '¿Seguro que quieres borrar todo el historial de análisis?',
+  'history.search': 'Buscar URL, dominio o IP',
+  'history.allVerdicts': 'Todos los veredictos',
+  'history.filterVerdict': 'Filtrar por veredicto',
+  'history.from': 'Desde',
+  'history.to': 'Hasta',
+  'history.noMatches': 'Ningún análisis coincide con estos filtros.',
+  'history.empty': 'No hay análisis recientes.',
+  'history.remove': 'Eliminar este elemento',
+  'history.prev': '◀ Anterior',
+  'history.next': 'Siguiente ▶',
+  'history.page': { one: 'Página {page} de {pages} • {count} análisis', other: 'Página {page} de {pages} • {count} análisis' },
+  'history.loadFailed': 'No se pudo cargar el historial',
+
+  'batch.placeholder': 'Una URL por línea\nhttps://example.com\nexample.org/login',
+  'batch.upload': '📂 Subir .txt/.csv',
+  'batch.concurrency': 'Simultáneos',
+  'batch.scanAll': 'Analizar todo',
+  'batch.pause': '⏸ Pausar',
+  'batch.resume': '▶ Reanudar',
+  'batch.cancel': '⛔ Cancelar',
+  'batch.clear': 'Limpiar',
+  'batch.invalid': { one: '❌ Se omitió {count} entrada no válida: {entries}', other: '❌ Se omitieron {count} entradas no válidas: {entries}' },
+  'batch.progress': '{finished} / {total} terminados',
+  'batch.progressPaused': '{finished} / {total} terminados (en pausa)',
+  'batch.column.url': 'URL',
+  'batch.column.status': 'Estado',
+  'batch.column.verdict': 'Veredicto',
+  'batch.column.riskScore': 'Puntuación de riesgo',
+  'batch.column.detections': 'Detecciones',
+  'batch.status.queued': '⏳ En cola',
+  'batch.status.running': '🔄 Analizando',
+  'batch.status.done': '✅ Hecho',
+  'batch.status.error': '❌ Error',
+  'batch.status.cancelled': '⛔ Cancelado',
+  'batch.openResult': 'Abrir resultados detallados',
+  'batch.unwrappedFrom': '↩ extraída de {host}',
+
+  'settings.close': 'Cerrar',
+  'settings.providers': 'Proveedores de análisis',
+  'settings.capability.detections': 'Detecciones',
+  'settings.capability.whois': 'WHOIS',
+  'settings.capability.dns': 'DNS',
+  'settings.capability.ssl': 'SSL',
+  'settings.capability.screenshot': 'Captura',
+  'settings.policy': 'Política de veredicto',
+  'settings.brands': 'Marcas protegidas',
+  'settings.brandsFormat': 'Una marca por línea con el formato',
+  'settings.brandsFormatExample': 'Nombre: dominio, dominio',
+  'settings.brandsOwned': '. Se marcan los hosts analizados que imitan estos dominios; antepón',
+  'settings.brandsFavicon': 'a un dominio propio de la marca, que nunca se marca ni se usa para comparar. Añade el hash del favicon de la marca (un número, como en el',
+  'settings.brandsFaviconAfter': ' de Shodan) para marcar también otros dominios que muestren su favicon.',
+  'settings.brandCount': { one: '{count} marca', other: '{count} marcas' },
+  'settings.blocklists': 'Listas de bloqueo locales',
+  'settings.blocklistSkipsRemote': 'Omitir el análisis remoto de las URL que ya están en una lista (ahorra cuota del proveedor)',
+  'settings.decisions': 'Lista de permitidos y decisiones del analista',
+  'settings.demo': 'Modo demo',
+  'settings.demoDescription': 'Usar respuestas de ejemplo en lugar de llamar a los proveedores anteriores',
+  'settings.fixtures': 'Grabaciones',
+  'settings.record': 'Grabar las respuestas de los proveedores para reproducirlas ({count} guardadas)',
+  'settings.clearRecordings': 'Borrar grabaciones',
+  'settings.save': 'Guardar ajustes',
+  'settings.noProvider': 'Activa al menos un proveedor.',
+  'settings.saved': 'Guardado.',
+
+  'policy.label': 'Política',
+  'policy.builtIn': '(predefinida)',
+  'policy.useByDefault': 'Usar por defecto',
+  'policy.json': 'JSON de la política',
+  'policy.invalidJson': 'JSON no válido: {message}',
+  'policy.builtInName': '"{name}" es una política predefinida; guárdala con otro nombre',
+  'policy.save': 'Guardar política',
+  'policy.delete': 'Eliminar',
+  'policy.import': 'Importar',
+  'policy.export': 'Exportar',
+  'policy.showReference': 'Referencia de señales',
+  'policy.hideReference': 'Ocultar referencia',
+  'policy.saveHint': 'Para guardar una política predefinida hace falta un "name" nuevo. Recuerda guardar los ajustes después.',
+  'policy.operators': 'Operadores:',
+  'policy.sourceWeights': '(peso por defecto entre paréntesis):',
+
+  'export.button': '⬇️ Exportar',
+  'export.busy': 'Exportando…',
+  'export.failed': 'No se pudo exportar',
+  'export.popupBlocked': 'Permite las ventanas emergentes para imprimir el informe.',
+  'export.format.html': '📄 Informe HTML',
+  'export.format.pdf': '🖨️ Imprimir / PDF',
+  'export.format.json': '🧾 JSON',
+  'export.format.csv': '📊 CSV de detecciones',
+  'export.format.stix': '🧬 Paquete STIX 2.1',
+
+  'diff.titleCount': '🕒 Cambios desde el análisis anterior ({count})',
+  'diff.titleNone': '🕒 Cambios desde el análisis anterior (ninguno)',
+  'diff.compareWith': 'Comparar con',
+  'diff.escalated': '🚨 El veredicto se agravó de {before} a {after}',
+  'diff.noChanges': 'No se detectaron cambios.',
+  'diff.fieldColumn': 'Campo',
+  'diff.before': 'Antes',
+  'diff.after': 'Después',
+  'diff.field.verdict': 'Veredicto',
+  'diff.field.risk_score': 'Puntuación de riesgo',
+  'diff.field.engines': 'Motores que lo detectan',
+  'diff.field.ip': 'IP resuelta',
+  'diff.field.dns.A': 'Registros DNS A',
+  'diff.field.dns.MX': 'Registros DNS MX',
+  'diff.field.dns.NS': 'Registros DNS NS',
+  'diff.field.whois.registrar': 'Registrador WHOIS',
+  'diff.field.whois.expires': 'Caducidad WHOIS',
+  'diff.field.ssl.issuer': 'Emisor SSL',
+  'diff.field.ssl.serial': 'Número de serie SSL',
+  'diff.field.ssl.san': 'Nombres alternativos SSL',
+  'diff.field.ssl.notBefore': 'SSL válido desde',
+  'diff.field.ssl.notAfter': 'SSL válido hasta',
+
+  'cert.unreadable': 'No se pudieron leer los datos del certificado.',
+  'cert.subject': 'Sujeto',
+  'cert.issuer': 'Emisor',
+  'cert.serial': 'Número de serie',
+  'cert.key': 'Clave',
+  'cert.bits': { one: '{count} bit', other: '{count} bits' },
+  'cert.version': 'Versión',
+  'cert.validity': 'Validez',
+  'cert.altNames': 'Nombres alternativos ({count})',
+  'cert.expiredAgo': { one: 'caducó hace {count} día', other: 'caducó hace {count} días' },
+  'cert.expiresToday': 'caduca hoy',
+  'cert.daysLeft': { one: 'queda {count} día', other: 'quedan {count} días' },
+
+  'progress.title': '⏱️ Progreso del análisis ({done}/{total})',
+  'progress.partial': 'Resultados parciales',
+
+  'watch.watch': '📌 Vigilar',
+  'watch.watching': '📌 Vigilando · {interval}',
+  'watch.stop': 'Dejar de vigilar',
+  'watch.interval': 'Intervalo de reanálisis',
+  'watch.interval.15': 'Cada 15 minutos',
+  'watch.interval.60': 'Cada hora',
+  'watch.interval.360': 'Cada 6 horas',
+  'watch.interval.1440': 'Cada día',
+  'watch.interval.10080': 'Cada semana',
+  'watch.intervalMinutes': { one: 'Cada minuto', other: 'Cada {count} minutos' },
+  'watch.unavailable': 'Lista de vigilancia no disponible',
+  'watch.loadFailed': 'No se pudo cargar la lista de vigilancia',
+  'watch.watchFailed': 'No se pudo vigilar la URL',
+  'watch.unwatchFailed': 'No se pudo dejar de vigilar la URL',
+
+  'watchlist.title': '📌 Lista de vigilancia',
+  'watchlist.enableAlerts': 'Activar avisos de escritorio',
+  'watchlist.alertsBlocked': 'Los avisos de escritorio están bloqueados en este navegador',
+  'watchlist.url': 'URL',
+  'watchlist.verdict': 'Veredicto',
+  'watchlist.lastScan': 'Último análisis',
+  'watchlist.nextScan': 'Próximo análisis',
+  'watchlist.changed': { one: '{count} cambio', other: '{count} cambios' },
+  'watchlist.rescan': 'Reanalizar ahora',
+  'watchlist.updateFailed': 'No se pudo actualizar la lista de vigilancia',
+
+  'vt.title': '🛡️ Desglose de VirusTotal',
+  'vt.titleEngines': { one: '🛡️ Desglose de VirusTotal ({count} motor)', other: '🛡️ Desglose de VirusTotal ({count} motores)' },
+  'vt.showCategory': 'Mostrar motores {category}',
+  'vt.firstSubmitted': 'Primer envío',
+  'vt.lastSubmitted': 'Último envío',
+  'vt.lastAnalysed': 'Último análisis',
+  'vt.categories': 'Categorías',
+  'vt.tags': 'Etiquetas',
+  'vt.filter': 'Filtrar motores, resultados o métodos',
+  'vt.filterLabel': 'Filtrar motores',
+  'vt.categoryLabel': 'Categoría del motor',
+  'vt.allCategories': 'Todas las categorías',
+  'vt.column.engine': 'Motor',
+  'vt.column.category': 'Categoría',
+  'vt.column.result': 'Resultado',
+  'vt.column.method': 'Método',
+
+  'reputation.consensus': { one: '🌐 {flagged} de {count} fuente la marca', other: '🌐 {flagged} de {count} fuentes la marcan' },
+  'reputation.unanswered': { one: '({count} sin respuesta)', other: '({count} sin respuesta)' },
+  'reputation.noEvidence': 'No se ha informado de ninguna prueba',
+  'reputation.weight': 'peso {weight}',
+  'reputation.weightTitle': 'Peso en la puntuación de consenso (definido por política)',
+  'reputation.viewOn': 'Ver en {name} ↗',
+
+  'redirect.start': 'Inicio',
+  'redirect.hop': 'Salto {hop}',
+  'redirect.method.http': 'Redirección HTTP',
+  'redirect.method.meta': 'Meta refresh',
+  'redirect.method.js': 'JavaScript',
+  'redirect.method.unknown': 'Redirección',
+  'redirect.crossDomain': '🔀 otro dominio',
+  'redirect.crossDomainTitle': 'Dominio registrable distinto del salto anterior',
+  'redirect.landing': '🏁 Página de destino',
+  'redirect.ip': 'IP {ip}',
+
+  'share.button': '🔗 Compartir',
+  'share.permalink': '🔖 Copiar enlace permanente',
+  'share.permalinkTitle': 'Se abre desde el historial de este navegador',
+  'share.notSaved': 'El análisis no está guardado en el historial',
+  'share.result': '📦 Copiar enlace con el resultado',
+  'share.resultTitle': 'El resultado va comprimido en el enlace; no interviene ningún servidor',
+  'share.permalinkCopied': 'Enlace permanente copiado',
+  'share.resultCopied': 'Enlace con el resultado copiado',
+  'share.copyFailed': 'No se pudo copiar',
+
+  'canonical.unwrapped': '🔓 Se ha desenvuelto {wrappers}; se analiza el destino real',
+  'canonical.original': 'Original',
+  'canonical.scanned': 'Analizada',
+  'canonical.opaque': '⚠️ Enlace de {wrapper}: solo la pasarela conoce su destino, así que se analiza el propio envoltorio. Revisa la cadena de redirecciones para ver adónde lleva.',
+  'canonical.idn': 'Host internacionalizado',
+  'canonical.scannedAs': 'analizado como',
+  'canonical.removedParams': 'Parámetros de seguimiento eliminados',
+
+  'diagnostics.total': '{ms} ms en total',
+  'diagnostics.running': 'en curso…',
+  'diagnostics.schema': 'esquema v{version}',
+  'diagnostics.schemaCurrent': '(actual v{version})',
+  'diagnostics.layout': 'estructura: {shape}',
+  'diagnostics.root': '(raíz)',
+  'diagnostics.schemaOk': '✓ La respuesta cumple el esquema',
+  'diagnostics.requestHeaders': 'Cabeceras de la petición',
+  'diagnostics.requestBody': 'Cuerpo de la petición',
+  'diagnostics.response': 'Respuesta',
+  'diagnostics.emptyBody': '(cuerpo vacío)',
+  'diagnostics.payload': 'Datos (no se hizo ninguna petición HTTP)',
+  'diagnostics.truncated': { one: '({count} carácter más)', other: '({count} caracteres más)' },
+
+  'kv.items': { one: '{count} elemento', other: '{count} elementos' },
+  'kv.fields': { one: '{count} campo', other: '{count} campos' },
+  'kv.characters': { one: '{count} carácter', other: '{count} caracteres' },
+  'kv.chars': { one: '{count} car.', other: '{count} car.' },
+
+  'extract.placeholder': 'Pega un correo, un mensaje de chat o notas de un incidente.\nSe reconocen enlaces desactivados como hxxps[:]//example[.]com.',
+  'extract.button': '🔎 Extraer URL',
+  'extract.selectAll': 'Seleccionar todas',
+  'extract.selectNone': 'No seleccionar ninguna',
+  'extract.scanSelected': 'Analizar seleccionadas ({count})',
+  'extract.none': 'No se encontraron URL en el texto pegado.',
+  'extract.refanged': 'reactivada',
+  'extract.noScheme': 'sin esquema',
+  'extract.unwrapped': 'extraída de {wrappers}',
+
+  'blocklist.help': 'Archivos hosts, listas de dominios de Adblock/uBlock, volcados CSV de URLhaus y listas simples de dominios o URL. Las URL de una lista se marcan antes del análisis remoto. Los cambios de esta sección se guardan al instante.',
+  'blocklist.name': 'Nombre de la lista',
+  'blocklist.namePlaceholder': 'Nombre de la lista (opcional)',
+  'blocklist.formatLabel': 'Formato de la lista',
+  'blocklist.format.auto': 'Detectar automáticamente',
+  'blocklist.format.hosts': 'Archivo hosts',
+  'blocklist.format.adblock': 'Lista de Adblock / uBlock',
+  'blocklist.format.urlhaus-csv': 'Volcado CSV de URLhaus',
+  'blocklist.format.plain': 'Dominios o URL sin formato',
+  'blocklist.importFile': 'Importar archivo',
+  'blocklist.url': 'URL de la lista de bloqueo',
+  'blocklist.download': 'Descargar',
+  'blocklist.working': 'Procesando…',
+  'blocklist.loadFailed': 'No se pudieron cargar las listas de bloqueo',
+  'blocklist.imported': { one: 'Se importó {count} entrada en "{name}" ({format}).', other: 'Se importaron {count} entradas en "{name}" ({format}).' },
+  'blocklist.refreshed': { one: '"{name}" actualizada: {count} entrada.', other: '"{name}" actualizada: {count} entradas.' },
+  'blocklist.removed': '"{name}" eliminada.',
+  'blocklist.list': 'Lista',
+  'blocklist.format': 'Formato',
+  'blocklist.entries': 'Entradas',
+  'blocklist.updated': 'Actualizada',
+  'blocklist.refresh': 'Actualizar',
+  'blocklist.refreshUrl': 'Volver a descargar de {url}',
+  'blocklist.refreshFile': 'Vuelve a elegir el archivo',
+  'blocklist.remove': 'Eliminar lista',
+
+  'similar.titleCount': '🧬 Sitios parecidos ({count})',
+  'similar.titleNone': '🧬 Sitios parecidos (ninguno)',
+  'similar.faviconHash': 'Hash del favicon',
+  'similar.faviconTitle': 'Busca en Shodan con esta consulta otros hosts que sirvan el mismo favicon',
+  'similar.screenshotHash': 'Hash de la captura',
+  'similar.screenshotTitle': 'Hash perceptual de la captura; las páginas casi idénticas difieren en pocos bits',
+  'similar.none': 'Ningún análisis anterior de otros hosts comparte estas huellas.',
+  'similar.sameFavicon': 'mismo favicon',
+  'similar.identical': 'captura idéntica',
+  'similar.distance': { one: 'captura a {count} bit de distancia', other: 'captura a {count} bits de distancia' },
+
+  'signals.title': '🧪 Señales locales',
+
+  'defang.copy': '🛡️ Copiar desactivada',
+  'defang.copied': '✅ Copiada',
+  'defang.failed': '❌ No se pudo copiar',
+  'defang.title': 'Copiar {url}',
+  'defang.label': 'Copiar la URL desactivada',
+
+  'alerts.escalated': '⚠️ Agravado:',
+  'alerts.changed': '🔔 Cambiado:',
+  'alerts.view': 'Ver',
+  'alerts.dismiss': 'Descartar',
+
+  'decision.kind.allow': 'En lista de permitidos',
+  'decision.kind.false-positive': 'Falso positivo',
+  'decision.kind.confirmed-malicious': 'Malicioso confirmado',
+  'decision.scope.url': 'Esta URL exacta',
+  'decision.scope.url-pattern': 'Patrón de URL (comodines *)',
+  'decision.scope.domain': 'El dominio y sus subdominios',
+  'decision.madeBy': '{decision} por {analyst} el {when}',
+  'decision.madeOn': '{decision} el {when}',
+  'decision.appliesToPattern': 'Se aplica a: {scope} — {pattern}',
+  'decision.reasonIs': 'Motivo: {reason}',
+  'decision.was': '(antes {verdict})',
+  'decision.undo': '↩ Deshacer la corrección',
+  'decision.removeTitle': 'Eliminar la decisión «{decision}»',
+  'decision.falsePositive': '✋ Falso positivo',
+  'decision.confirmMalicious': '☠️ Confirmar malicioso',
+  'decision.appliesTo': 'Se aplica a',
+  'decision.pattern': 'URL, dominio o patrón',
+  'decision.reason': 'Motivo',
+  'decision.analyst': 'Analista',
+  'decision.save': 'Guardar',
+  'decision.saveFailed': 'No se pudo guardar la decisión',
+  'decision.removeFailed': 'No se pudo eliminar la decisión',
+  'decision.help': 'Las URL de la lista de permitidos se consideran LIMPIAS. Aquí también aparecen las decisiones de falso positivo y de malicioso confirmado tomadas sobre resultados. Los cambios de esta sección se guardan al instante.',
+  'decision.allowScope': 'Alcance de la lista de permitidos',
+  'decision.domainOrPattern': 'Dominio o patrón',
+  'decision.allow': 'Permitir',
+  'decision.decision': 'Decisión',
+  'decision.remove': 'Eliminar',
+  'decision.exportJson': 'Exportar JSON',
+  'decision.exportCsv': 'Exportar CSV',
+  'decision.loadFailed': 'No se pudieron cargar las decisiones',
+  'decision.addFailed': 'No se pudo añadir la entrada',
+  'decision.removeEntryFailed': 'No se pudo eliminar la entrada',
+
+  'provider.field.webhookUrl': 'URL del webhook',
+  'provider.field.webhookUrlPlaceholder': 'Por defecto, VITE_WEBHOOK_URL',
+  'provider.field.mode': 'Modo',
+  'provider.mode.sync': 'Esperar el resultado',
+  'provider.mode.async': 'Enviar un trabajo y consultar',
+  'provider.mode.stream': 'Transmitir el progreso por etapas (SSE)',
+  'provider.field.statusUrl': 'URL de estado del trabajo (asíncrono)',
+  'provider.field.statusUrlPlaceholder': 'p. ej. https://n8n.example/webhook/status?job_id={jobId}',
+  'provider.field.timeoutSeconds': 'Tiempo de espera de la solicitud (s)',
+  'provider.field.retries': 'Reintentos ante 429/5xx',
+  'provider.field.pollIntervalSeconds': 'Intervalo de consulta (s, asíncrono)',
+  'provider.field.apiKey': 'Clave de API',
+  'provider.field.baseUrl': 'URL base',
+  'provider.field.visibility': 'Visibilidad',
+  'provider.field.visibilityPlaceholder': 'public, unlisted o private',
+
+  'signal.lexical': 'Heurística de la URL',
+  'signal.landing': 'Heurística de la URL de destino',
+  'signal.tls': 'Certificado TLS',
+  'signal.redirects': 'Cadena de redirecciones',
+  'signal.brand': 'Suplantación de marca',
+  'signal.favicon': 'Favicon de marca',
+  'signal.blocklist': 'Listas de bloqueo locales',
+  'finding.lexical.raw-ip': 'El host es una dirección IP',
+  'finding.lexical.userinfo': 'Una "@" en la autoridad oculta el host real',
+  'finding.lexical.punycode': 'Host Punycode/IDN (posible homógrafo)',
+  'finding.lexical.long-host': 'Nombre de host muy largo',
+  'finding.lexical.deep-subdomain': 'Subdominios muy anidados',
+  'finding.lexical.suspicious-tld': 'TLD usado con frecuencia para abusos',
+  'finding.lexical.hyphens': 'Demasiados guiones en el nombre de host',
+  'finding.lexical.digits': 'Demasiados dígitos en el nombre de host',
+  'finding.lexical.encoded-payload': 'Carga codificada en la ruta o la consulta',
+  'finding.lexical.keywords': 'Palabras de inicio de sesión o verificación',
+  'finding.detail.characters': { one: '{count} carácter', other: '{count} caracteres' },
+  'finding.detail.labels': { one: '{count} etiqueta', other: '{count} etiquetas' },
+  'finding.detail.hyphens': { one: '{count} guion', other: '{count} guiones' },
+  'finding.detail.digits': { one: '{count} dígito', other: '{count} dígitos' },
+  'finding.detail.percentEncoded': { one: '{count} byte codificado con %', other: '{count} bytes codificados con %' },
+  'finding.detail.base64': 'segmento largo similar a base64',
+  'finding.detail.hex': 'segmento hexadecimal largo',
+  'finding.detail.embeddedUri': 'URI data:/javascript: incrustada',
+  'finding.redirects.many-hops': 'Cadena de redirecciones larga',
+  'finding.redirects.shortener': 'Pasa por un acortador de URL',
+  'finding.redirects.cross-domain': 'Salta entre varios dominios',
+  'finding.redirects.client-redirect': 'Redirección por meta refresh o JavaScript',
+  'finding.redirects.landing-elsewhere': 'Llega a un dominio distinto del enviado',
+  'finding.detail.redirects': { one: '{count} redirección', other: '{count} redirecciones' },
+  'finding.detail.crossDomainHops': { one: '{count} salto entre dominios', other: '{count} saltos entre dominios' },
+  'finding.tls.self-signed': 'Certificado autofirmado',
+  'finding.tls.expired': 'El certificado ha caducado',
+  'finding.tls.expiring': 'El certificado caduca en menos de una semana',
+  'finding.tls.not-yet-valid': 'El certificado aún no es válido',
+  'finding.tls.fresh-free-ca': 'Certificado reciente de corta duración de una CA gratuita',
+  'finding.tls.hostname-mismatch': 'El certificado no cubre este nombre de host',
+  'finding.detail.certAge': { one: 'emitido hace {count} día, {issuer}', other: 'emitido hace {count} días, {issuer}' },
+  'finding.brand.impersonation': 'Posible suplantación de {brand}',
+  'finding.favicon.brand': 'Favicon de {brand} en un dominio ajeno',
+  'finding.brand.detail': '{technique}: {match}',
+  'finding.blocklist.listed': 'Malicioso conocido (lista {list}, añadido el {added})',
+  'finding.blocklist.detail': '{type}: {value}',
+  'finding.blocklist.detailThreat': '{type}: {value} · {threat}',
+  'blocklist.match.exact-url': 'URL exacta',
+  'blocklist.match.url-prefix': 'Prefijo de URL',
+  'blocklist.match.exact-host': 'Host exacto',
+  'blocklist.match.parent-domain': 'Dominio superior',
+
+  'brand.realDomain': '{detail}; el dominio real es',
+  'brand.technique.homoglyph': 'Homoglifos / caracteres confundibles',
+  'brand.technique.typosquat': 'Typosquatting (distancia de edición)',
+  'brand.technique.combosquat': 'Marca combinada con otras palabras',
+  'brand.technique.subdomain': 'Marca incrustada en un subdominio',
+  'brand.technique.tld-swap': 'Mismo nombre con otro TLD',
+  'brand.technique.favicon': 'Favicon de la marca en otro dominio',
+  'brand.match.tldSwap': '.{suffix} en lugar de .{expected}',
+  'brand.match.homoglyph': '"{label}" se parece a "{keyword}"',
+  'brand.match.typosquat': { one: '"{label}" está a {count} edición de "{keyword}"', other: '"{label}" está a {count} ediciones de "{keyword}"' },
+  'brand.match.combosquat': '"{keyword}" dentro de "{label}"',
+  'brand.match.subdomain': '"{keyword}" en el subdominio "{sub}"',
+  'brand.match.faviconListed': 'el hash de favicon {hash} figura para {brand}',
+  'brand.match.faviconSeen': 'mismo favicon que el escaneo anterior de {host}',
+
+  'result.providerErrors': { one: '⚠️ Falló {count} proveedor; este veredicto se obtuvo sin él:', other: '⚠️ Fallaron {count} proveedores; este veredicto se obtuvo sin ellos:' },
+
+  'history.removeFailed': 'No se pudo eliminar el análisis del historial',
+  'history.clearFailed': 'No se pudo borrar el historial'
+};
+
+export const MESSAGES = { en, es };
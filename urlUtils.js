@@ -0,0 +1,115 @@
+/**
+ * Helpers for validating and preparing URLs before they are scanned
+ */
+
+/**
+ * Check that a value parses as an http/https URL
+ * @param {string} value - Candidate URL
+ * @returns {boolean} True if the value is a valid http(s) URL
+ */
+export function isValidUrl(value) {
+  try {
+    const u = new URL(value.trim());
+    return u.protocol === 'http:' || u.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Ensure the URL has a protocol; default to http if missing
+ * @param {string} value - Candidate URL
+ * @returns {string} URL with a protocol prefix
+ */
+export function ensureProtocol(value) {
+  if (!value || typeof value !== 'string') return value;
+  const v = value.trim();
+  if (/^https?:\/\//i.test(v)) return v;
+  return `http://${v}`;
+}
+
+/**
+ * Strip surrounding quotes that spreadsheet exports put around CSV cells
+ * @param {string} cell - Raw CSV cell
+ * @returns {string} Unquoted cell
+ */
+function unquote(cell) {
+  const c = cell.trim();
+  if (c.length >= 2 && c.startsWith('"') && c.endsWith('"')) {
+    return c.slice(1, -1).replace(/""/g, '"').trim();
+  }
+  return c;
+}
+
+/**
+ * Parse a pasted list or an uploaded .txt/.csv file into scannable URLs.
+ * Plain text is one URL per line; for CSV the first column of each row is used,
+ * so a header row simply ends up in `invalid`.
+ * @param {string} text - Raw list contents
+ * @param {object} [options]
+ * @param {boolean} [options.csv=false] - Treat each line as a CSV row
+ * @returns {{valid: Array<string>, invalid: Array<string>}} Deduplicated URLs and rejected entries
+ */
+export function parseUrlList(text, { csv = false } = {}) {
+  const valid = [];
+  const invalid = [];
+  const seen = new Set();
+
+  if (!text || typeof text !== 'string') return { valid, invalid };
+
+  text.split(/\r?\n/).forEach(line => {
+    const entry = csv ? unquote(line.split(',')[0] || '') : line.trim();
+    if (!entry || entry.startsWith('#')) return;
+
+    const candidate = ensureProtocol(entry);
+    // Bare words such as a CSV "url" header parse as single-label hosts; skip them
+    if (!isValidUrl(candidate) || !new URL(candidate).hostname.includes('.')) {
+      invalid.push(entry);
+      return;
+    }
+
+    if (seen.has(candidate)) return;
+    seen.add(candidate);
+    valid.push(candidate);
+  });
+
+  return { valid, invalid };
+}
+
+// Public suffixes with two labels that are common in phishing infrastructure;
+// not the full Public Suffix List, but enough to avoid treating "co.uk" as a site
+const TWO_LABEL_SUFFIXES = [
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'com.au', 'net.au', 'org.au', 'co.nz', 'co.jp', 'ne.jp',
+  'com.br', 'com.mx', 'com.ar', 'com.tr', 'com.cn', 'com.hk', 'com.sg', 'co.in', 'co.za', 'co.kr',
+  'com.ua', 'com.pl', 'co.id', 'com.my', 'github.io', 'blogspot.com', 'herokuapp.com', 'web.app',
+  'pages.dev', 'netlify.app', 'vercel.app', 'azurewebsites.net', 'appspot.com', 'firebaseapp.com'
+];
+
+/**
+ * Approximate the registrable domain (eTLD+1) of a hostname
+ * @param {string} hostname - Hostname such as login.example.co.uk
+ * @returns {string} Registrable domain such as example.co.uk, or the hostname for IPs
+ */
+export function baseDomain(hostname) {
+  if (!hostname || typeof hostname !== 'string') return '';
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.includes(':') || host.startsWith('[')) return host;
+
+  const labels = host.split('.');
+  if (labels.length <= 2) return host;
+  const lastTwo = labels.slice(-2).join('.');
+  return TWO_LABEL_SUFFIXES.includes(lastTwo) ? labels.slice(-3).join('.') : lastTwo;
+}
+
+/**
+ * Hostname of a URL, or an empty string if it does not parse
+ * @param {string} url - URL
+ * @returns {string} Lowercased hostname
+ */
+export function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return '';
+  }
+}
@@ -1,13 +1,39 @@
+import { DEFAULT_POLICY, collectSignals, evaluateRules } from './policy.js';
+import { extractReputationSources, summarizeReputation } from './reputation.js';
+import { DECISION_KINDS } from './decisions.js';
+
+export const VERDICT_RANK = { 'MALICIOUS': 3, 'SUSPICIOUS': 2, 'CLEAN': 1 };
+
+function clampScore(score) {
+  return Math.max(0, Math.min(100, Math.round(Number(score) || 0)));
+}
+
 /**
  * Applies heuristics to determine the final verdict (CLEAN, SUSPICIOUS, or MALICIOUS)
  * based on scan results from various engines and sources
+ * @param {Array} normalized - Categories from normalizeScanResponse
+ * @param {object} [signals] - Locally computed signal categories keyed by source (e.g. `lexical`),
+ *   each with a 0-100 `score` and a `findings` list
+ * @param {object} [policy] - Verdict policy with thresholds, weighted rules and optional
+ *   per-source reputation weights (see policy.js)
+ * @param {object} [options]
+ * @param {object} [options.decision] - Analyst decision for the URL (see decisions.js); it
+ *   replaces the computed verdict
  */
-export function decideVerdict(normalized) {
+export function decideVerdict(normalized, signals = {}, policy = DEFAULT_POLICY, { decision = null } = {}) {
   if (!Array.isArray(normalized)) {
     return normalized;
   }
 
-  return normalized.map(category => {
+  const signalList = Object.values(signals || {}).filter(Boolean);
+  const signalScore = signalList.reduce((max, s) => Math.max(max, Number(s.score) || 0), 0);
+
+  // Local signals still produce a verdict when the remote scan returned nothing usable
+  const categories = normalized.length === 0 && signalList.length > 0
+    ? [{ confidence: 'Low', detections: [], results: [], count: 0 }]
+    : normalized;
+
+  return applyDecision(categories.map(category => {
     let verdict = 'CLEAN';
     let riskScore = 0;
     let maliciousCount = 0;
@@ -27,7 +53,7 @@ export function decideVerdict(normalized) {
     if (Array.isArray(category.detections) && category.detections.length > 0) {
       const detectionCount = category.detections.length;
       maliciousCount += detectionCount;
-      totalEngines = Math.max(totalEngines, 70); // Assume ~70 engines for VT
+      totalEngines = Math.max(totalEngines, policy.assumedEngines || 70); // Assume ~70 engines for VT
     }
 
     // Use existing counts if available
@@ -45,20 +71,38 @@ export function decideVerdict(normalized) {
       riskScore = category.risk_score;
     }
 
+    // Reputation sources (threat feeds, VirusTotal) agree or disagree with weights from the policy
+    const { thresholds, detectionThresholds } = policy;
+    const reputation = summarizeReputation(extractReputationSources(category, { detectionThresholds }), policy.sourceWeights);
+    // A lone source is no consensus; its own data (e.g. the engine ratio) already counts above
+    const reputationScore = reputation.total >= 2 ? reputation.score : 0;
+
+    // Local signals and the reputation consensus can raise the score but never lower what the engines reported
+    const combinedScore = Math.max(riskScore, signalScore, reputationScore);
+
+    // Policy rules add (or subtract) their weights on top
+    const counts = { maliciousCount, totalEngines, riskScore, reputation };
+    const { adjustment, matched } = evaluateRules(policy, collectSignals(category, counts, signals));
+    const policyScore = clampScore(combinedScore + adjustment);
+
     // Determine verdict based on heuristics
-    if (riskScore >= 70 || maliciousCount >= 10) {
+    if (policyScore >= thresholds.malicious || maliciousCount >= detectionThresholds.malicious) {
       verdict = 'MALICIOUS';
-    } else if (riskScore >= 40 || maliciousCount >= 3) {
+    } else if (policyScore >= thresholds.suspicious || maliciousCount >= detectionThresholds.suspicious) {
       verdict = 'SUSPICIOUS';
     } else {
       verdict = 'CLEAN';
     }
 
+    // A payload that could not be read is no evidence of a clean URL
+    if (category.unrecognized && verdict === 'CLEAN') {
+      verdict = 'UNKNOWN';
+    }
+
     // Override with existing verdict if it's more severe
     if (category.verdict) {
-      const verdictRank = { 'MALICIOUS': 3, 'SUSPICIOUS': 2, 'CLEAN': 1 };
-      const currentRank = verdictRank[category.verdict] || 0;
-      const calculatedRank = verdictRank[verdict] || 0;
+      const currentRank = VERDICT_RANK[category.verdict] || 0;
+      const calculatedRank = VERDICT_RANK[verdict] || 0;
       if (currentRank > calculatedRank) {
         verdict = category.verdict;
       }
@@ -67,9 +111,67 @@ export function decideVerdict(normalized) {
     return {
       ...category,
       verdict,
-      risk_score: category.risk_score !== undefined ? category.risk_score : riskScore,
+      risk_score: clampScore(Math.max(category.risk_score !== undefined ? category.risk_score : riskScore, signalScore, reputationScore) + adjustment),
       malicious_count: maliciousCount,
-      total_engines: totalEngines || 1
+      total_engines: totalEngines || 1,
+      signals,
+      ...(reputation.sources.length > 0 ? { reputation_summary: reputation } : {}),
+      policy_result: { name: policy.name, adjustment, matched }
     };
+  }), decision);
+}
+
+/**
+ * Put an analyst decision's verdict on every category, keeping the computed one in
+ * `override.original_verdict`. Passing no decision restores the computed verdicts.
+ * @param {Array} result - Output of decideVerdict
+ * @param {object|null} decision - Decision from decisions.js
+ * @returns {Array} Result with `verdict` and `override` updated
+ */
+export function applyDecision(result, decision) {
+  if (!Array.isArray(result)) return result;
+  const kind = decision ? DECISION_KINDS[decision.kind] : null;
+
+  return result.map(category => {
+    const { override, ...rest } = category;
+    const original = override ? override.original_verdict : category.verdict;
+    if (!kind) return { ...rest, verdict: original };
+
+    return {
+      ...rest,
+      verdict: kind.verdict,
+      override: {
+        id: decision.id,
+        kind: decision.kind,
+        scope: decision.scope,
+        pattern: decision.pattern,
+        reason: decision.reason,
+        analyst: decision.analyst,
+        createdAt: decision.createdAt,
+        original_verdict: original
+      }
+    };
+  });
+}
+
+/**
+ * Reduce a multi-category result to one row: the most severe verdict,
+ * the highest risk score and the largest detection counts
+ * @param {Array} result - Output of decideVerdict
+ * @returns {object} Summary with verdict, risk_score, malicious_count and total_engines
+ */
+export function summarizeResult(result) {
+  const summary = { verdict: 'UNKNOWN', risk_score: 0, malicious_count: 0, total_engines: 0 };
+  if (!Array.isArray(result)) return summary;
+
+  result.forEach(cat => {
+    if ((VERDICT_RANK[cat.verdict] || 0) > (VERDICT_RANK[summary.verdict] || 0)) {
+      summary.verdict = cat.verdict;
+    }
+    summary.risk_score = Math.max(summary.risk_score, Number(cat.risk_score) || 0);
+    summary.malicious_count = Math.max(summary.malicious_count, Number(cat.malicious_count) || 0);
+    summary.total_engines = Math.max(summary.total_engines, Number(cat.total_engines) || 0);
   });
-}
\ No newline at end of file
+
+  return summary;
+}
@@ -0,0 +1,17 @@
+/**
+ * Inline style for a verdict badge or box
+ * @param {string} verdict - CLEAN, SUSPICIOUS, MALICIOUS or anything else
+ * @returns {object} React style object
+ */
+export function getVerdictStyle(verdict) {
+  switch(verdict?.toUpperCase()) {
+    case 'CLEAN':
+      return { background: '#d1fae5', color: '#065f46', border: '2px solid #10b981' };
+    case 'SUSPICIOUS':
+      return { background: '#fef3c7', color: '#92400e', border: '2px solid #f59e0b' };
+    case 'MALICIOUS':
+      return { background: '#fee2e2', color: '#991b1b', border: '2px solid #ef4444' };
+    default:
+      return { background: '#f3f4f6', color: '#374151', border: '2px solid #9ca3af' };
+  }
+}
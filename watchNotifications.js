@@ -0,0 +1,90 @@
+/**
+ * Desktop notifications and the watchlist service worker (public/watch-sw.js)
+ */
+
+const WORKER_URL = `${import.meta.env?.BASE_URL || '/'}watch-sw.js`;
+const SYNC_TAG = 'watchlist-rescan';
+// Browsers treat this as a lower bound and usually wake the worker less often
+const SYNC_MIN_INTERVAL_MS = 15 * 60 * 1000;
+
+let registrationPromise = null;
+
+async function registerPeriodicSync(registration) {
+  if (!registration?.periodicSync || !navigator.permissions) return;
+  try {
+    const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+    if (status.state === 'granted') {
+      await registration.periodicSync.register(SYNC_TAG, { minInterval: SYNC_MIN_INTERVAL_MS });
+    }
+  } catch (error) {
+    console.warn('Periodic background sync is unavailable:', error);
+  }
+}
+
+/**
+ * Register the service worker and listen for its "rescans are due" messages
+ * @param {Function} onDue - Called when the worker asks the app to run due rescans
+ * @returns {Function} Removes the message listener
+ */
+export function registerWatchWorker(onDue) {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return () => {};
+
+  if (!registrationPromise) {
+    registrationPromise = navigator.serviceWorker.register(WORKER_URL).catch(error => {
+      console.warn('Failed to register the watchlist service worker:', error);
+      return null;
+    });
+    registrationPromise.then(registerPeriodicSync);
+  }
+
+  const onMessage = (event) => {
+    if (event.data?.type === 'watchlist:due') onDue?.();
+  };
+  navigator.serviceWorker.addEventListener('message', onMessage);
+  return () => navigator.serviceWorker.removeEventListener('message', onMessage);
+}
+
+/**
+ * Current desktop notification permission
+ * @returns {'granted'|'denied'|'default'|'unsupported'}
+ */
+export function desktopPermission() {
+  return typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+}
+
+/**
+ * Ask for desktop notification permission
+ * @returns {Promise<string>} Resulting permission
+ */
+export async function requestDesktopPermission() {
+  if (desktopPermission() === 'unsupported') return 'unsupported';
+  return Notification.requestPermission();
+}
+
+/**
+ * Show a desktop notification, through the service worker when one is registered
+ * @param {string} title
+ * @param {object} [options]
+ * @param {string} [options.body]
+ * @param {string} [options.tag] - Notifications with the same tag replace each other
+ * @returns {Promise<boolean>} True if a notification was shown
+ */
+export async function notifyDesktop(title, { body, tag } = {}) {
+  if (desktopPermission() !== 'granted') return false;
+  try {
+    const registration = registrationPromise ? await registrationPromise : null;
+    if (registration) {
+      try {
+        await registration.showNotification(title, { body, tag });
+        return true;
+      } catch (error) {
+        console.warn('Service worker notification failed, showing it from the page:', error);
+      }
+    }
+    new Notification(title, { body, tag });
+    return true;
+  } catch (error) {
+    console.warn('Failed to show desktop notification:', error);
+    return false;
+  }
+}
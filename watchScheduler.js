@@ -0,0 +1,117 @@
+import { scanUrl } from './scanService.js';
+import { addToHistory, getHistoryItem, findScansByHost } from './storage.js';
+import { diffScans } from './scanDiff.js';
+import { summarizeResult } from './verdict.js';
+import { dueWatchItems, updateWatchItem, addMinutes } from './watchlist.js';
+
+/**
+ * Rescans watched URLs when they are due. Rescans go through scanUrl, so they use the
+ * same providers, normalization and verdict policy as a manual scan, and are saved to history.
+ */
+
+export const WATCH_TICK_MS = 30000;
+
+// Changes that raise an alert; other differences (DNS, WHOIS) are only shown in the diff view
+export const ALERT_FIELDS = ['verdict', 'risk_score', 'ip', 'ssl.issuer', 'ssl.serial', 'ssl.san', 'ssl.notBefore', 'ssl.notAfter'];
+
+async function findBaseline(item, currentId) {
+  if (item.lastScanId) {
+    const previous = await getHistoryItem(item.lastScanId);
+    if (previous) return previous;
+  }
+  const scans = await findScansByHost(item.url);
+  return scans.find(scan => scan.id !== currentId) || null;
+}
+
+/**
+ * Rescan one watched URL and compare it with the previous scan
+ * @param {object} item - Watch item
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{item: object, scanId: number, result: Array, changes: Array, escalated: boolean}>}
+ *   `changes` only holds the ALERT_FIELDS changes
+ */
+export async function rescanWatchItem(item, { signal } = {}) {
+  const startedAt = new Date().toISOString();
+  let result;
+  try {
+    result = await scanUrl(item.url, { signal });
+  } catch (err) {
+    if (!signal?.aborted) {
+      await updateWatchItem(item.url, {
+        lastScanAt: startedAt,
+        nextScanAt: addMinutes(startedAt, item.intervalMinutes),
+        lastError: err.message || String(err)
+      });
+    }
+    throw err;
+  }
+
+  const saved = await addToHistory(item.url, result);
+  const baseline = await findBaseline(item, saved.id);
+  const diff = baseline ? diffScans(baseline.result, result) : { changes: [], escalated: false };
+  const changes = diff.changes.filter(change => ALERT_FIELDS.includes(change.field));
+  const summary = summarizeResult(result);
+
+  const updated = await updateWatchItem(item.url, {
+    lastScanAt: startedAt,
+    nextScanAt: addMinutes(startedAt, item.intervalMinutes),
+    lastScanId: saved.id,
+    lastVerdict: summary.verdict,
+    lastRiskScore: summary.risk_score,
+    lastError: null,
+    lastChanges: changes.length
+  });
+
+  return { item: updated || item, scanId: saved.id, result, changes, escalated: diff.escalated };
+}
+
+/**
+ * Periodically rescan due watch items while the app is open
+ * @param {object} [options]
+ * @param {Function} [options.onRescan] - Called with each rescanWatchItem outcome
+ * @param {Function} [options.onError] - Called with (item, error) when a rescan fails
+ * @param {number} [options.tickMs] - How often to look for due items
+ * @returns {{start: Function, stop: Function, runDue: Function}}
+ */
+export function createWatchScheduler({ onRescan, onError, tickMs = WATCH_TICK_MS } = {}) {
+  let timer = null;
+  let running = false;
+  let controller = null;
+
+  // Due items are scanned one after another so a long watchlist does not flood the backend
+  async function runDue() {
+    if (running) return;
+    running = true;
+    controller = new AbortController();
+    try {
+      const due = await dueWatchItems();
+      for (const item of due) {
+        if (controller.signal.aborted) break;
+        try {
+          onRescan?.(await rescanWatchItem(item, { signal: controller.signal }));
+        } catch (err) {
+          if (!controller.signal.aborted) onError?.(item, err);
+        }
+      }
+    } catch (err) {
+      console.error('Failed to run watchlist rescans:', err);
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    start() {
+      if (timer) return;
+      timer = setInterval(runDue, tickMs);
+      runDue();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+      controller?.abort();
+    },
+    runDue
+  };
+}
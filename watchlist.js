@@ -0,0 +1,134 @@
+import { openDatabase, requestToPromise, transactionDone, STORES } from './db.js';
+import { t } from './i18n.js';
+
+/**
+ * Watched URLs and their rescan schedule, kept in IndexedDB.
+ * Item shape: { url, intervalMinutes, addedAt, lastScanAt, nextScanAt, lastScanId,
+ *   lastVerdict, lastRiskScore, lastError, lastChanges } (times are ISO strings)
+ */
+
+export const WATCH_INTERVALS = [
+  { minutes: 15 },
+  { minutes: 60 },
+  { minutes: 360 },
+  { minutes: 1440 },
+  { minutes: 10080 }
+];
+
+export const DEFAULT_WATCH_INTERVAL = 60;
+
+/**
+ * Label for an interval, falling back to a minute count for custom values
+ * @param {number} minutes
+ * @returns {string}
+ */
+export function intervalLabel(minutes) {
+  return WATCH_INTERVALS.some(i => i.minutes === minutes)
+    ? t(`watch.interval.${minutes}`)
+    : t('watch.intervalMinutes', { count: minutes });
+}
+
+/**
+ * ISO time `minutes` after `from`
+ * @param {string|number|Date} from
+ * @param {number} minutes
+ * @returns {string}
+ */
+export function addMinutes(from, minutes) {
+  return new Date(new Date(from).getTime() + minutes * 60000).toISOString();
+}
+
+/**
+ * All watched URLs, soonest rescan first
+ * @returns {Promise<Array>}
+ */
+export async function listWatchlist() {
+  const db = await openDatabase();
+  const tx = db.transaction(STORES.WATCHLIST, 'readonly');
+  return requestToPromise(tx.objectStore(STORES.WATCHLIST).index('nextScanAt').getAll());
+}
+
+/**
+ * Look up one watched URL
+ * @param {string} url
+ * @returns {Promise<object|null>}
+ */
+export async function getWatchItem(url) {
+  const db = await openDatabase();
+  const tx = db.transaction(STORES.WATCHLIST, 'readonly');
+  return (await requestToPromise(tx.objectStore(STORES.WATCHLIST).get(url))) || null;
+}
+
+/**
+ * Start watching a URL; the first rescan is one interval after the scan it was pinned from
+ * @param {string} url - Scanned URL
+ * @param {object} [options]
+ * @param {number} [options.intervalMinutes]
+ * @param {number|null} [options.scanId] - History item the watch starts from, used as the diff baseline
+ * @param {object} [options.summary] - { verdict, risk_score } of that scan
+ * @returns {Promise<object>} The stored item
+ */
+export async function watchUrl(url, { intervalMinutes = DEFAULT_WATCH_INTERVAL, scanId = null, summary = {} } = {}) {
+  const now = new Date().toISOString();
+  const item = {
+    url,
+    intervalMinutes,
+    addedAt: now,
+    lastScanAt: now,
+    nextScanAt: addMinutes(now, intervalMinutes),
+    lastScanId: scanId,
+    lastVerdict: summary.verdict || null,
+    lastRiskScore: summary.risk_score ?? null,
+    lastError: null,
+    lastChanges: 0
+  };
+
+  const db = await openDatabase();
+  const tx = db.transaction(STORES.WATCHLIST, 'readwrite');
+  tx.objectStore(STORES.WATCHLIST).put(item);
+  await transactionDone(tx);
+  return item;
+}
+
+/**
+ * Merge changes into a watched item
+ * @param {string} url
+ * @param {object} changes - Fields to overwrite
+ * @returns {Promise<object|null>} Updated item, or null if the URL is no longer watched
+ */
+export async function updateWatchItem(url, changes) {
+  const db = await openDatabase();
+  const tx = db.transaction(STORES.WATCHLIST, 'readwrite');
+  const store = tx.objectStore(STORES.WATCHLIST);
+  const current = await requestToPromise(store.get(url));
+  if (!current) return null;
+
+  const updated = { ...current, ...changes, url };
+  store.put(updated);
+  await transactionDone(tx);
+  return updated;
+}
+
+/**
+ * Stop watching a URL
+ * @param {string} url
+ * @returns {Promise<void>}
+ */
+export async function unwatchUrl(url) {
+  const db = await openDatabase();
+  const tx = db.transaction(STORES.WATCHLIST, 'readwrite');
+  tx.objectStore(STORES.WATCHLIST).delete(url);
+  await transactionDone(tx);
+}
+
+/**
+ * Watched URLs whose next rescan time has passed
+ * @param {Date} [now]
+ * @returns {Promise<Array>}
+ */
+export async function dueWatchItems(now = new Date()) {
+  const db = await openDatabase();
+  const tx = db.transaction(STORES.WATCHLIST, 'readonly');
+  const range = IDBKeyRange.upperBound(now.toISOString());
+  return requestToPromise(tx.objectStore(STORES.WATCHLIST).index('nextScanAt').getAll(range));
+}
@@ -1,3 +1,5 @@
+import { formatDate, t } from './i18n.js';
+
 /**
  * Utility functions for parsing and displaying WHOIS information
  */
@@ -49,7 +51,7 @@ function normalizeWhoisFields(whois) {
 }
 
 /**
- * Format a date from WHOIS data
+ * Format a date from WHOIS data in the UI locale
  * @param {string|array} dateValue - Date value (can be array or string)
  * @returns {string|null} Formatted date string or null
  */
@@ -64,11 +66,7 @@ export function formatWhoisDate(dateValue) {
     const date = new Date(dateStr);
     if (isNaN(date.getTime())) return dateStr; // Return as-is if invalid
     
-    return date.toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric'
-    });
+    return formatDate(date);
   } catch {
     return null;
   }
@@ -227,6 +225,10 @@ export function getDomainStatus(whois) {
   return [];
 }
 
+function firstValue(dateValue) {
+  return (Array.isArray(dateValue) ? dateValue[0] : dateValue) || null;
+}
+
 /**
  * Parse WHOIS data into a structured format
  * @param {object} whois - Raw WHOIS data
@@ -250,6 +252,9 @@ export function parseWhoisData(whois) {
       created: formatWhoisDate(normalized.creation_date),
       updated: formatWhoisDate(normalized.updated_date),
       expires: formatWhoisDate(normalized.expiration_date),
+      // Unformatted, for relative ages ("registered 3 days ago")
+      createdRaw: firstValue(normalized.creation_date),
+      expiresRaw: firstValue(normalized.expiration_date),
       age: domainAge,
       ageInDays: domainAgeInDays,
       daysToExpiry: daysToExpiry
@@ -270,17 +275,17 @@ export function parseWhoisData(whois) {
  */
 export function getDomainAgeRisk(ageYears) {
   if (ageYears === null || ageYears === undefined) {
-    return { level: 'unknown', color: '#6b7280', label: 'Unknown' };
+    return { level: 'unknown', color: '#6b7280', label: t('whois.age.unknown') };
   }
   
   if (ageYears < 0.5) {
-    return { level: 'high', color: '#ef4444', label: 'Very New (High Risk)' };
+    return { level: 'high', color: '#ef4444', label: t('whois.age.high') };
   } else if (ageYears < 1) {
-    return { level: 'medium', color: '#f59e0b', label: 'New (Medium Risk)' };
+    return { level: 'medium', color: '#f59e0b', label: t('whois.age.medium') };
   } else if (ageYears < 3) {
-    return { level: 'low', color: '#10b981', label: 'Established' };
+    return { level: 'low', color: '#10b981', label: t('whois.age.low') };
   } else {
-    return { level: 'minimal', color: '#059669', label: 'Well Established' };
+    return { level: 'minimal', color: '#059669', label: t('whois.age.minimal') };
   }
 }
 